@@ -0,0 +1,33 @@
+// Support agents - one API key per agent, so the agent API knows who is calling
+//
+// Agents are configured in AGENTS_FILE (kept out of the repository, like any other secret):
+//   { "agents": [{ "id": "maria", "name": "Maria", "key": "..." }] }
+// A request made with an agent's key acts as that agent, whatever X-Agent-ID it sends, so agents
+// can't reply to, release or close each other's conversations.
+
+const fs = require('fs');
+
+function createAgentDirectory(options = {}) {
+    const filePath = options.file || null;
+    const config = filePath && fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : { agents: [] };
+
+    const byKey = new Map();
+    const ids = new Set();
+    (config.agents || []).forEach(agent => {
+        const id = String(agent.id || '').trim();
+        if (!id || !agent.key) throw new Error(`Agent without an id or key in ${filePath}`);
+        if (ids.has(id)) throw new Error(`Agent "${id}" is configured twice in ${filePath}`);
+        if (byKey.has(agent.key)) throw new Error(`Agents "${byKey.get(agent.key).id}" and "${id}" share a key in ${filePath}`);
+        ids.add(id);
+        byKey.set(agent.key, { id, name: agent.name || id });
+    });
+
+    return {
+        // { id, name } for an agent's key, or null
+        findByKey: (key) => (key && byKey.get(key)) || null,
+        size: () => byKey.size,
+        describe: () => ({ file: filePath, agents: byKey.size })
+    };
+}
+
+module.exports = { createAgentDirectory };
@@ -0,0 +1,54 @@
+// Append-only audit log stored as JSON lines
+//
+// Entries are only ever appended; query() reads the file back and filters it, which is
+// plenty for support-lead lookups of a few days of verification attempts.
+
+const fs = require('fs');
+const path = require('path');
+
+function createAuditLog({ file }) {
+    if (!file) throw new Error('Audit log requires a file path');
+
+    function append(event) {
+        const entry = { timestamp: new Date().toISOString(), ...event };
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error(`[Audit] Could not write to ${file}:`, error.message);
+        }
+        return entry;
+    }
+
+    // Filter entries by exact field values plus an optional time range; newest first
+    function query({ from, to, limit = 100, ...filters } = {}) {
+        if (!fs.existsSync(file)) return [];
+
+        const fromTime = from ? new Date(from).getTime() : null;
+        const toTime = to ? new Date(to).getTime() : null;
+        const fields = Object.entries(filters).filter(([, value]) => value !== undefined && value !== '');
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        const results = [];
+        for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+            if (!lines[i]) continue;
+            let entry;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch (error) {
+                continue; // Skip a torn line rather than failing the whole query
+            }
+            const time = new Date(entry.timestamp).getTime();
+            if (fromTime !== null && time < fromTime) continue;
+            if (toTime !== null && time > toTime) continue;
+            if (fields.every(([key, value]) => String(entry[key]) === String(value))) {
+                results.push(entry);
+            }
+        }
+        return results;
+    }
+
+    return { append, query };
+}
+
+module.exports = { createAuditLog };
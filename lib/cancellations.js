@@ -0,0 +1,196 @@
+// Self-service order cancellation
+//
+// Only orders that are still PLACED (packing not started) can be cancelled. In chat the customer
+// gives a reason and confirms; the cancellation is then submitted through an order-actions adapter
+// (lib/orderActions) and recorded here. Recorded cancellations are applied to fetched orders, so
+// an order shows as CANCELLED straight away even while the backend (or a fixture file) still
+// reports PLACED, and the same order is never submitted twice. Stores share the order-ID space, so
+// records are kept per store and order; a second submit while one is in flight shares its result.
+
+const CANCEL_REASONS = ['ordered_by_mistake', 'delivery_too_late', 'found_better_price', 'changed_mind', 'other'];
+
+// Why an order in a given status can't be cancelled
+const NOT_CANCELLABLE = {
+    STARTED: 'PACKING_STARTED',
+    COMPLETED: 'PACKING_STARTED',
+    OUT_FOR_DELIVERY: 'OUT_FOR_DELIVERY',
+    DELIVERED: 'DELIVERED',
+    CANCELLED: 'ALREADY_CANCELLED'
+};
+
+const NOT_CANCELLABLE_ERRORS = {
+    PACKING_STARTED: 'Packing has already started',
+    OUT_FOR_DELIVERY: 'The order is out for delivery',
+    DELIVERED: 'The order has been delivered',
+    ALREADY_CANCELLED: 'The order is already cancelled',
+    NOT_CANCELLABLE: 'The order cannot be cancelled'
+};
+
+// Replies to "are you sure?" in English, Spanish, Hindi and Telugu
+const YES_WORDS = ['yes', 'y', 'yeah', 'yep', 'sure', 'ok', 'okay', 'confirm', 'si', 'haan', 'han', 'हाँ', 'हां', 'जी', 'avunu', 'అవును', 'సరే'];
+const NO_WORDS = ['no', 'n', 'nope', 'nah', 'keep', 'nahi', 'nahin', 'नहीं', 'नही', 'vaddu', 'వద్దు', 'కాదు'];
+
+const RECORD_TTL_MS = 60 * 24 * 60 * 60 * 1000; // 60 days, the order lookup window
+const MAX_NOTE_LENGTH = 200;
+
+function firstWord(text) {
+    const words = String(text || '').toLowerCase().normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(Boolean);
+    return words[0] || null;
+}
+
+// true for yes, false for no, null for anything else
+function parseConfirmation(text) {
+    const word = firstWord(text);
+    if (YES_WORDS.includes(word)) return true;
+    if (NO_WORDS.includes(word)) return false;
+    return null;
+}
+
+// "2" picks the second listed reason, a reason key is taken as-is, anything else is an 'other' note
+function parseReason(text) {
+    const trimmed = String(text || '').trim();
+    const index = /^\d$/.test(trimmed) ? parseInt(trimmed, 10) - 1 : -1;
+    if (CANCEL_REASONS[index]) return { reason: CANCEL_REASONS[index], note: null };
+    if (CANCEL_REASONS.includes(trimmed)) return { reason: trimmed, note: null };
+    return { reason: 'other', note: trimmed.slice(0, MAX_NOTE_LENGTH) || null };
+}
+
+// `onCancel(cancellation, order)` runs after a cancellation is recorded (e.g. to reindex cached orders)
+function createCancellations({ actions, store, pendingStore, pendingExpiryMs = 15 * 60 * 1000, refundDays = '5-7', onCancel = null }) {
+    const inFlight = new Map(); // store:order -> cancel promise
+
+    function recordKey(storeId, orderId) {
+        return `${storeId}:${orderId}`;
+    }
+
+    // The store an order belongs to: its own storeId, else the store it was fetched for
+    function orderStoreId(order, storeId = null) {
+        return String(order.storeId || order._storeId || storeId);
+    }
+
+    function get(storeId, orderId) {
+        return store.get(recordKey(storeId, orderId)) || null;
+    }
+
+    // { eligible: true } or { eligible: false, code, error }
+    function checkEligibility(order, storeId = null) {
+        const code = get(orderStoreId(order, storeId), order.customerOrderId) ? 'ALREADY_CANCELLED'
+            : order.orderStatus === 'PLACED' ? null
+            : NOT_CANCELLABLE[order.orderStatus] || 'NOT_CANCELLABLE';
+        if (!code) return { eligible: true };
+        return { eligible: false, code, error: NOT_CANCELLABLE_ERRORS[code] };
+    }
+
+    // Refund the customer can expect (amount, payment method, business days)
+    function getRefund(order, refund = null) {
+        return {
+            amount: refund && refund.amount !== undefined ? refund.amount : order.totalSalePrice || 0,
+            method: (refund && refund.method) || order.paymentMode || null,
+            days: (refund && refund.expectedDays) || refundDays
+        };
+    }
+
+    // Submit a cancellation. Returns { cancelled: true, cancellation } or { cancelled: false, error, code }.
+    function cancel(request) {
+        const key = recordKey(orderStoreId(request.order, request.storeId), request.order.customerOrderId);
+        if (inFlight.has(key)) return inFlight.get(key);
+        const promise = submit(request).finally(() => inFlight.delete(key));
+        inFlight.set(key, promise);
+        return promise;
+    }
+
+    async function submit({ order, storeId, reason, note = null, requestedBy = {} }) {
+        const eligibility = checkEligibility(order, storeId);
+        if (!eligibility.eligible) {
+            return { cancelled: false, error: eligibility.error, code: eligibility.code };
+        }
+        if (!CANCEL_REASONS.includes(reason)) {
+            return { cancelled: false, error: `Reason must be one of: ${CANCEL_REASONS.join(', ')}`, code: 'INVALID_REASON' };
+        }
+
+        const orderId = String(order.customerOrderId);
+        note = note ? String(note).slice(0, MAX_NOTE_LENGTH) : null;
+        let result;
+        try {
+            result = await actions.cancelOrder({ storeId, orderId, reason, note, requestedBy });
+        } catch (error) {
+            console.error(`[Cancel] ${actions.name} adapter failed for order #${orderId}:`, error.message);
+            return { cancelled: false, error: 'Cancellation service unavailable', code: 'CANCEL_UNAVAILABLE' };
+        }
+        if (!result.cancelled) {
+            console.log(`[Cancel] Order #${orderId} refused by ${actions.name}: ${result.code}`);
+            return result;
+        }
+
+        const cancellation = {
+            orderId,
+            storeId: orderStoreId(order, storeId),
+            reason,
+            note,
+            reference: result.reference || null,
+            previousStatus: order.orderStatus,
+            requestedBy,
+            refund: getRefund(order, result.refund),
+            cancelledAt: new Date().toISOString()
+        };
+        store.set(recordKey(cancellation.storeId, orderId), cancellation, RECORD_TTL_MS);
+        apply([order], cancellation.storeId);
+        if (onCancel) onCancel(cancellation, order);
+        console.log(`[Cancel] ✓ Order #${orderId} cancelled (${reason}) via ${actions.name}, reference ${cancellation.reference}`);
+        return { cancelled: true, cancellation };
+    }
+
+    // Show recorded cancellations on fetched orders until the backend catches up. `storeId` is the
+    // store the orders were fetched for (orders carrying their own storeId use that).
+    function apply(orders, storeId = null) {
+        (orders || []).forEach(order => {
+            const cancellation = get(orderStoreId(order, storeId), order.customerOrderId);
+            if (cancellation && order.orderStatus === 'PLACED') {
+                order.orderStatus = 'CANCELLED';
+                order.cancellation = { reason: cancellation.reason, reference: cancellation.reference, cancelledAt: cancellation.cancelledAt };
+            }
+        });
+        return orders;
+    }
+
+    // Chat flow state per session: { orderId, storeId, step: 'reason' | 'confirm', reason, note }
+    function startRequest(sessionId, orderId, storeId) {
+        pendingStore.set(sessionId, { orderId: String(orderId), storeId, step: 'reason' }, pendingExpiryMs);
+    }
+
+    function pendingRequest(sessionId) {
+        return pendingStore.get(sessionId) || null;
+    }
+
+    function setReason(sessionId, reason, note) {
+        const pending = pendingRequest(sessionId);
+        if (!pending) return null;
+        const updated = { ...pending, step: 'confirm', reason, note };
+        pendingStore.set(sessionId, updated, pendingExpiryMs);
+        return updated;
+    }
+
+    function clearRequest(sessionId) {
+        pendingStore.delete(sessionId);
+    }
+
+    return {
+        reasons: CANCEL_REASONS,
+        refundDays,
+        get,
+        checkEligibility,
+        getRefund,
+        cancel,
+        apply,
+        startRequest,
+        pendingRequest,
+        setReason,
+        clearRequest,
+        describe: () => ({ adapter: actions.describe(), refundDays })
+    };
+}
+
+module.exports = { createCancellations, parseConfirmation, parseReason, CANCEL_REASONS };
@@ -0,0 +1,297 @@
+// Missing, damaged and wrong item claims
+//
+// A claim covers items picked from a delivered order's menuList, a reason and optional photos.
+// Claims are filed in chat or through /api/v1/claims within CLAIM_WINDOW_DAYS of delivery and
+// get an ID like CLM-K7Q2MX. Damaged and wrong-item claims need at least one photo before staff
+// review them; staff approve (with a refund amount) or deny them through the admin API.
+// Claims live in a store keyed by claim ID; photos are written to photoDir/<claimId>/.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CLAIM_REASONS = ['missing', 'damaged', 'wrong_item'];
+const PHOTO_REASONS = ['damaged', 'wrong_item'];
+const CLAIM_STATUSES = ['submitted', 'approved', 'denied'];
+
+const PHOTO_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/heic': 'heic' };
+
+// Claim IDs start with a letter and avoid look-alike characters, so they never read as order IDs
+const ID_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ID_CHARS = ID_LETTERS + '23456789';
+const CLAIM_ID_PATTERN = /\bCLM-[A-Z2-9]{6}\b/i;
+
+const RECORD_TTL_MS = 180 * 24 * 60 * 60 * 1000; // 180 days
+const MAX_NOTE_LENGTH = 500;
+
+// Reason words in English, Spanish, Hindi and Telugu
+const REASON_WORDS = {
+    missing: /missing|never (?:came|arrived)|not (?:in the bag|received)|falta|no lleg|गायब|नहीं मिला|नहीं आया|రాలేదు/i,
+    damaged: /damaged|broken|crushed|spoiled|leak|rotten|dañad|danad|roto|खराब|ख़राब|टूटा|పాడై|పగిలి/i,
+    wrong_item: /wrong|incorrect|not what i ordered|equivocad|गलत|ग़लत|తప్పు/i
+};
+
+// "all" in the supported languages
+const ALL_ITEMS_PATTERN = /^\s*(?:all|everything|todo|todos|सब|सभी|అన్నీ|అన్ని)\s*$/i;
+
+function generateClaimId() {
+    const bytes = crypto.randomBytes(6);
+    let id = ID_LETTERS[bytes[0] % ID_LETTERS.length];
+    for (let i = 1; i < 6; i++) id += ID_CHARS[bytes[i] % ID_CHARS.length];
+    return `CLM-${id}`;
+}
+
+function extractClaimId(message) {
+    const match = String(message || '').match(CLAIM_ID_PATTERN);
+    return match ? match[0].toUpperCase() : null;
+}
+
+// Reason mentioned in a message ("1"-"3" picks from CLAIM_REASONS), or null
+function parseClaimReason(message) {
+    const text = String(message || '').trim();
+    if (/^[1-3]$/.test(text)) return CLAIM_REASONS[parseInt(text, 10) - 1];
+    if (CLAIM_REASONS.includes(text)) return text;
+    return CLAIM_REASONS.find(reason => REASON_WORDS[reason].test(text)) || null;
+}
+
+// "1, 3", "2 and 4" or "all" -> zero-based item indexes, or null when nothing valid was picked
+function parseItemSelection(message, itemCount) {
+    if (ALL_ITEMS_PATTERN.test(message || '')) {
+        return Array.from({ length: itemCount }, (_, i) => i);
+    }
+    const numbers = (String(message || '').match(/\d+/g) || []).map(n => parseInt(n, 10));
+    const indexes = Array.from(new Set(numbers.filter(n => n >= 1 && n <= itemCount).map(n => n - 1)));
+    return indexes.length > 0 && indexes.length === numbers.length ? indexes.sort((a, b) => a - b) : null;
+}
+
+// Claim as shown to customers (no session details)
+function publicView(claim) {
+    if (!claim) return null;
+    const { requestedBy, ...rest } = claim;
+    return { ...rest, channel: requestedBy ? requestedBy.channel : null };
+}
+
+function createClaims({ store, pendingStore, photoDir, windowDays = 7, maxPhotos = 5, pendingExpiryMs = 15 * 60 * 1000 }) {
+    if (!photoDir) throw new Error('Claims require a photo directory');
+
+    function get(claimId) {
+        return store.get(String(claimId).toUpperCase()) || null;
+    }
+
+    // Every claim, newest first
+    function all() {
+        return Array.from(store.entries().keys())
+            .map(id => store.get(id))
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    function list({ status, storeId, orderId } = {}) {
+        return all().filter(claim =>
+            (!status || claim.status === status) &&
+            (!storeId || claim.storeId === String(storeId)) &&
+            (!orderId || claim.orderId === String(orderId)));
+    }
+
+    function listForOrders(orderIds) {
+        const ids = new Set(Array.from(orderIds || []).map(String));
+        return all().filter(claim => ids.has(claim.orderId));
+    }
+
+    // { eligible: true } or { eligible: false, code, error }
+    function checkEligibility(order, now = Date.now()) {
+        if (order.orderStatus !== 'DELIVERED') {
+            return { eligible: false, code: 'NOT_DELIVERED', error: 'Claims can be filed once the order is delivered' };
+        }
+        const deliveredAt = new Date(order.requestedDeliveryDate || order.orderCreationTime).getTime();
+        if (!isNaN(deliveredAt) && now - deliveredAt > windowDays * 24 * 60 * 60 * 1000) {
+            return { eligible: false, code: 'CLAIM_WINDOW_EXPIRED', error: `Claims must be filed within ${windowDays} days of delivery` };
+        }
+        return { eligible: true };
+    }
+
+    // Item indexes already covered by a submitted or approved claim on the order
+    function claimedIndexes(orderId) {
+        const indexes = new Set();
+        list({ orderId }).filter(claim => claim.status !== 'denied')
+            .forEach(claim => claim.items.forEach(item => indexes.add(item.index)));
+        return indexes;
+    }
+
+    // File a claim. items: [{ index, quantity? }] into order.menuList.
+    // Returns { claim } or { error, code }.
+    function create({ order, storeId, items, reason, note = null, requestedBy = {} }) {
+        const eligibility = checkEligibility(order);
+        if (!eligibility.eligible) return { error: eligibility.error, code: eligibility.code };
+        if (!CLAIM_REASONS.includes(reason)) {
+            return { error: `reason must be one of: ${CLAIM_REASONS.join(', ')}`, code: 'INVALID_REASON' };
+        }
+
+        const menuList = order.menuList || [];
+        if (!Array.isArray(items) || items.length === 0) {
+            return { error: 'Pick at least one item from the order', code: 'NO_ITEMS' };
+        }
+        const alreadyClaimed = claimedIndexes(order.customerOrderId);
+        const claimItems = [];
+        for (const selection of items) {
+            const index = parseInt(selection.index, 10);
+            const item = menuList[index];
+            if (!item) return { error: `No item at index ${selection.index}`, code: 'INVALID_ITEM' };
+            const ordered = item.count || 1;
+            const quantity = selection.quantity === undefined ? ordered : parseInt(selection.quantity, 10);
+            if (!(quantity >= 1 && quantity <= ordered)) {
+                return { error: `Quantity for ${item.menuItemName} must be between 1 and ${ordered}`, code: 'INVALID_QUANTITY' };
+            }
+            if (alreadyClaimed.has(index) || claimItems.some(claimed => claimed.index === index)) {
+                return { error: `${item.menuItemName} is already part of a claim`, code: 'ITEM_ALREADY_CLAIMED' };
+            }
+            const unitPrice = item.salePrice || 0;
+            claimItems.push({ index, name: item.menuItemName, quantity, unitPrice, amount: Math.round(unitPrice * quantity * 100) / 100 });
+        }
+
+        const now = new Date().toISOString();
+        let id = generateClaimId();
+        while (store.has(id)) id = generateClaimId();
+        const claim = {
+            id,
+            orderId: String(order.customerOrderId),
+            storeId: storeId ? String(storeId) : null,
+            status: 'submitted',
+            reason,
+            note: note ? String(note).slice(0, MAX_NOTE_LENGTH) : null,
+            items: claimItems,
+            claimedAmount: Math.round(claimItems.reduce((sum, item) => sum + item.amount, 0) * 100) / 100,
+            photosRequired: PHOTO_REASONS.includes(reason),
+            photos: [],
+            requestedBy,
+            createdAt: now,
+            updatedAt: now,
+            resolution: null
+        };
+        store.set(id, claim, RECORD_TTL_MS);
+        console.log(`[Claims] ${id} filed for order #${claim.orderId}: ${reason}, ${claimItems.length} item(s), ${claim.claimedAmount}`);
+        return { claim };
+    }
+
+    // Store a photo for an open claim. Returns { claim, photo } or { error, code }.
+    async function addPhoto(claimId, { contentType, data }) {
+        const claim = get(claimId);
+        if (!claim) return { error: 'Claim not found', code: 'CLAIM_NOT_FOUND' };
+        if (claim.status !== 'submitted') return { error: `Claim is already ${claim.status}`, code: 'CLAIM_CLOSED' };
+        const extension = PHOTO_TYPES[contentType];
+        if (!extension) {
+            return { error: `Photos must be one of: ${Object.keys(PHOTO_TYPES).join(', ')}`, code: 'UNSUPPORTED_MEDIA_TYPE' };
+        }
+        if (!data || data.length === 0) return { error: 'Photo is empty', code: 'EMPTY_PHOTO' };
+        if (claim.photos.length >= maxPhotos) {
+            return { error: `A claim can have at most ${maxPhotos} photos`, code: 'TOO_MANY_PHOTOS' };
+        }
+
+        const photo = {
+            id: crypto.randomBytes(8).toString('hex'),
+            contentType,
+            size: data.length,
+            uploadedAt: new Date().toISOString()
+        };
+        const dir = path.join(photoDir, claim.id);
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, `${photo.id}.${extension}`), data);
+
+        claim.photos.push(photo);
+        claim.updatedAt = photo.uploadedAt;
+        store.set(claim.id, claim);
+        console.log(`[Claims] Photo ${photo.id} added to ${claim.id} (${photo.size} bytes)`);
+        return { claim, photo };
+    }
+
+    // { contentType, data } of a stored photo, or null
+    async function readPhoto(claimId, photoId) {
+        const claim = get(claimId);
+        const photo = claim && claim.photos.find(p => p.id === photoId);
+        if (!photo) return null;
+        const data = await fs.promises.readFile(path.join(photoDir, claim.id, `${photo.id}.${PHOTO_TYPES[photo.contentType]}`));
+        return { contentType: photo.contentType, data };
+    }
+
+    // Staff decision. Approvals refund `refundAmount` (default: the claimed amount).
+    // Returns { claim } or { error, code }.
+    function resolve(claimId, { decision, refundAmount, note = null, resolvedBy = null }) {
+        const claim = get(claimId);
+        if (!claim) return { error: 'Claim not found', code: 'CLAIM_NOT_FOUND' };
+        if (claim.status !== 'submitted') return { error: `Claim is already ${claim.status}`, code: 'CLAIM_CLOSED' };
+        if (decision !== 'approved' && decision !== 'denied') {
+            return { error: 'decision must be "approved" or "denied"', code: 'INVALID_DECISION' };
+        }
+
+        let amount = 0;
+        if (decision === 'approved') {
+            amount = refundAmount === undefined || refundAmount === null ? claim.claimedAmount : Number(refundAmount);
+            if (!(amount >= 0 && amount <= claim.claimedAmount)) {
+                return { error: `refundAmount must be between 0 and ${claim.claimedAmount}`, code: 'INVALID_REFUND_AMOUNT' };
+            }
+        }
+
+        const now = new Date().toISOString();
+        claim.status = decision;
+        claim.resolution = { decision, refundAmount: amount, note: note ? String(note).slice(0, MAX_NOTE_LENGTH) : null, resolvedBy, resolvedAt: now };
+        claim.updatedAt = now;
+        store.set(claim.id, claim);
+        console.log(`[Claims] ${claim.id} ${decision}${decision === 'approved' ? ` (refund ${amount})` : ''}`);
+        return { claim };
+    }
+
+    // Chat flow state per session: { orderId, storeId, step: 'items' | 'reason', items, reason }
+    function startRequest(sessionId, request) {
+        pendingStore.set(sessionId, request, pendingExpiryMs);
+    }
+
+    function pendingRequest(sessionId) {
+        return pendingStore.get(sessionId) || null;
+    }
+
+    function updateRequest(sessionId, changes) {
+        const pending = pendingRequest(sessionId);
+        if (!pending) return null;
+        const updated = { ...pending, ...changes };
+        pendingStore.set(sessionId, updated, pendingExpiryMs);
+        return updated;
+    }
+
+    function clearRequest(sessionId) {
+        pendingStore.delete(sessionId);
+    }
+
+    function stats() {
+        const counts = { total: 0 };
+        CLAIM_STATUSES.forEach(status => { counts[status] = 0; });
+        all().forEach(claim => {
+            counts.total++;
+            counts[claim.status]++;
+        });
+        return counts;
+    }
+
+    return {
+        reasons: CLAIM_REASONS,
+        statuses: CLAIM_STATUSES,
+        photoTypes: Object.keys(PHOTO_TYPES),
+        windowDays,
+        maxPhotos,
+        get,
+        list,
+        listForOrders,
+        checkEligibility,
+        claimedIndexes,
+        create,
+        addPhoto,
+        readPhoto,
+        resolve,
+        startRequest,
+        pendingRequest,
+        updateRequest,
+        clearRequest,
+        stats
+    };
+}
+
+module.exports = { createClaims, extractClaimId, parseClaimReason, parseItemSelection, publicView, CLAIM_REASONS };
@@ -0,0 +1,61 @@
+// Conversation context - what the chat is currently about
+//
+// Each session keeps a small context record next to its verified orders:
+//   activeOrderId  the order being discussed (last one shown, verified or paid for)
+//   orderIds       orders discussed in this chat, most recent first
+//   lastIntent     the intent the previous message was answered with
+//   entities       what the previous message mentioned ({ orderId, channel })
+// so follow-ups like "when will it arrive?", "what did I pay for that order?" or "and the other
+// one?" resolve against the active order instead of asking for the order number again.
+
+const MAX_RECENT_ORDERS = 5;
+
+// "the other one", "previous order", "el otro pedido", "दूसरा ऑर्डर", "ఇంకొక ఆర్డర్"
+const OTHER_ORDER_PATTERN = /\b(?:the\s+)?other\s+(?:one|order)\b|\bprevious\s+order\b|\b(?:el|la)\s+otr[oa]\b|\botro\s+pedido\b|दूसरा|दूसरे|ఇంకొక|మరొక/i;
+
+// "it", "that order", "my order", "ese pedido", "यह ऑर्डर", "నా ఆర్డర్". Spanish, Hindi and Telugu
+// usually drop the pronoun ("¿cuándo llega?", "कब आएगा?"), so their arrival verbs count too.
+const ORDER_REFERENCE_PATTERN = /\b(?:it|its|this\s+(?:one|order)|that\s+(?:one|order)|(?:my|the|same)\s+order)\b|\b(?:ese|esa|este|esta|mi)\s+(?:pedido|orden)\b|\bllega\b|यह|वह|इसका|उसका|मेरा\s+ऑर्डर|आएगा|आएगी|ఇది|అది|దాని|నా\s+ఆర్డర్|వస్తుంది/i;
+
+function createContext() {
+    return { activeOrderId: null, orderIds: [], lastIntent: null, entities: {}, updatedAt: null };
+}
+
+// Make an order the active one (sessions created before contexts existed start empty)
+function withActiveOrder(context, orderId) {
+    const current = context || createContext();
+    const id = String(orderId);
+    return {
+        ...current,
+        activeOrderId: id,
+        orderIds: [id, ...(current.orderIds || []).filter(other => other !== id)].slice(0, MAX_RECENT_ORDERS),
+        updatedAt: Date.now()
+    };
+}
+
+// Remember how the last message was answered
+function withTurn(context, { intent, entities = {} }) {
+    return { ...(context || createContext()), lastIntent: intent || null, entities, updatedAt: Date.now() };
+}
+
+function mentionsOtherOrder(message) {
+    return OTHER_ORDER_PATTERN.test(message || '');
+}
+
+// Does the message point at an order without giving its number?
+function refersToOrder(message) {
+    return mentionsOtherOrder(message) || ORDER_REFERENCE_PATTERN.test(message || '');
+}
+
+// The order a message is about: the number in it, "the other one" (the most recent order that
+// isn't the active one), otherwise the active order. Returns null when none applies.
+function resolveOrderReference(message, context, mentionedOrderId) {
+    if (mentionedOrderId) return String(mentionedOrderId);
+    const current = context || createContext();
+    if (mentionsOtherOrder(message)) {
+        return (current.orderIds || []).find(id => id !== current.activeOrderId) || null;
+    }
+    return current.activeOrderId || null;
+}
+
+module.exports = { createContext, withActiveOrder, withTurn, mentionsOtherOrder, refersToOrder, resolveOrderReference };
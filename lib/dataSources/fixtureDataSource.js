@@ -0,0 +1,82 @@
+// Fixture data source - serves orders and driver locations from local JSON files
+// so every chat flow can be developed, demoed and tested offline.
+//
+// Fixture files may contain date tokens inside string values, resolved on every read
+// so the data always looks like "today":
+//   {{date:N}}   -> YYYY-MM-DD, N days from today
+//   {{time:N}}   -> ISO timestamp, N minutes from now
+//   {{route:N}}  -> M.D.YY route date suffix, N days from today
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'data', 'fixtures');
+
+function formatIsoDate(d) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function formatRouteDate(d) {
+    return `${d.getMonth() + 1}.${d.getDate()}.${String(d.getFullYear()).slice(-2)}`;
+}
+
+// Replace {{date:N}}, {{time:N}} and {{route:N}} tokens relative to now
+function resolveTokens(text, now = new Date()) {
+    return text.replace(/\{\{(date|time|route):(-?\d+)\}\}/g, (match, kind, offset) => {
+        const n = parseInt(offset, 10);
+        if (kind === 'time') {
+            return new Date(now.getTime() + n * 60000).toISOString();
+        }
+        const d = new Date(now);
+        d.setDate(d.getDate() + n);
+        return kind === 'date' ? formatIsoDate(d) : formatRouteDate(d);
+    });
+}
+
+function createFixtureDataSource(options = {}) {
+    const fixtureDir = options.fixtureDir || DEFAULT_FIXTURE_DIR;
+
+    function readFixture(fileName) {
+        const filePath = path.join(fixtureDir, fileName);
+        const raw = fs.readFileSync(filePath, 'utf8');
+        return JSON.parse(resolveTokens(raw));
+    }
+
+    // Local calendar day of a date-like value
+    function dayOf(value) {
+        if (!value) return null;
+        const d = new Date(value);
+        return isNaN(d.getTime()) ? null : formatIsoDate(d);
+    }
+
+    async function fetchOrders({ storeId, startDate, endDate }) {
+        const orders = readFixture('orders.json');
+        return orders.filter(o => {
+            if (storeId && o.storeId && String(o.storeId) !== String(storeId)) return false;
+            const created = dayOf(o.orderCreationTime);
+            if (!created) return true;
+            return (!startDate || created >= startDate) && (!endDate || created <= endDate);
+        });
+    }
+
+    // Today's orders are the fixture orders scheduled for delivery today
+    async function fetchTodaysOrders() {
+        const today = formatIsoDate(new Date());
+        return readFixture('orders.json').filter(o => dayOf(o.requestedDeliveryDate) === today);
+    }
+
+    async function fetchDriverLocations() {
+        return readFixture('driver-locations.json');
+    }
+
+    return {
+        name: 'fixture',
+        fetchOrders,
+        fetchTodaysOrders,
+        fetchDriverLocations,
+        describe: () => ({ type: 'fixture', fixtureDir })
+    };
+}
+
+module.exports = { createFixtureDataSource, resolveTokens, DEFAULT_FIXTURE_DIR };
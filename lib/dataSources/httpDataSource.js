@@ -0,0 +1,63 @@
+// HTTP data source - talks to the delivery-routes service (production backend)
+
+const { upstreamError } = require('../upstream');
+
+const DEFAULT_BASE_URL = 'https://delivery-routes.vercel.app/api';
+
+// Parse a JSON response; HTTP errors are thrown with their status (so 5xx responses can be retried)
+async function readJson(response, url) {
+    if (!response.ok) {
+        throw upstreamError(`${url} responded with HTTP ${response.status}`, 'UPSTREAM_ERROR', { status: response.status });
+    }
+    return response.json();
+}
+
+function createHttpDataSource(options = {}) {
+    const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const ordersUrl = `${baseUrl}/orders-by-criteria`;
+    const todaysOrdersUrl = `${baseUrl}/orders`; // Today's orders API with route assignments
+    const driverLocationUrl = `${baseUrl}/driver-location`;
+
+    // Orders for a store within a date range
+    async function fetchOrders({ storeId, startDate, endDate }, { signal } = {}) {
+        const response = await fetch(ordersUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ storeId, startDate, endDate }),
+            signal
+        });
+        const data = await readJson(response, ordersUrl);
+        return data && data.items ? data.items : null;
+    }
+
+    // Today's orders (for live tracking)
+    async function fetchTodaysOrders({ signal } = {}) {
+        const response = await fetch(todaysOrdersUrl, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            signal
+        });
+        const data = await readJson(response, todaysOrdersUrl);
+        return data && data.items ? data.items : null;
+    }
+
+    // Latest known location of every active driver
+    async function fetchDriverLocations({ signal } = {}) {
+        const response = await fetch(driverLocationUrl, { signal });
+        const data = await readJson(response, driverLocationUrl);
+        return data && data.success && data.locations ? data.locations : null;
+    }
+
+    return {
+        name: 'http',
+        fetchOrders,
+        fetchTodaysOrders,
+        fetchDriverLocations,
+        describe: () => ({ type: 'http', ordersUrl, todaysOrdersUrl, driverLocationUrl })
+    };
+}
+
+module.exports = { createHttpDataSource, DEFAULT_BASE_URL };
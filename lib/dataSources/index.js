@@ -0,0 +1,30 @@
+// Order/driver data-source adapters
+//
+// Every adapter exposes the same interface:
+//   name                                              - adapter identifier
+//   fetchOrders({ storeId, startDate, endDate })      - orders in a date range (array or null)
+//   fetchTodaysOrders()                               - today's orders with route assignments (array or null)
+//   fetchDriverLocations()                            - latest driver locations (array or null)
+//   describe()                                        - adapter details for health/debug output
+// Adapters throw on transport errors; caching and fallbacks are left to the caller.
+// Fetch methods also take { signal } as their last argument to abort the request.
+// createResilientDataSource() wraps an adapter with timeouts, retries and circuit breakers.
+
+const { createHttpDataSource } = require('./httpDataSource');
+const { createFixtureDataSource } = require('./fixtureDataSource');
+const { createResilientDataSource } = require('./resilientDataSource');
+
+const adapters = {
+    http: createHttpDataSource,
+    fixture: createFixtureDataSource
+};
+
+function createDataSource(type = 'http', options = {}) {
+    const factory = adapters[type];
+    if (!factory) {
+        throw new Error(`Unknown data source "${type}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = { createDataSource, createResilientDataSource, createHttpDataSource, createFixtureDataSource };
@@ -0,0 +1,37 @@
+// Resilient data source - runs another adapter's calls through one upstream each (lib/upstream.js)
+//
+// Orders, today's orders and driver locations are separate dependencies with their own timeout and
+// circuit: a slow 60-day order query shouldn't take live driver locations down with it.
+// `options` (retries, failureThreshold, resetMs, observe) are passed to every upstream; `timeouts`
+// overrides timeoutMs per dependency.
+
+const { createUpstream } = require('../upstream');
+
+const DEFAULT_TIMEOUTS = {
+    orders: 10000,
+    todaysOrders: 6000,
+    driverLocations: 4000
+};
+
+function createResilientDataSource(dataSource, { timeouts = {}, ...options } = {}) {
+    const upstreams = {};
+    Object.keys(DEFAULT_TIMEOUTS).forEach(dependency => {
+        upstreams[dependency] = createUpstream(`${dataSource.name}.${dependency}`, {
+            ...options,
+            timeoutMs: timeouts[dependency] || DEFAULT_TIMEOUTS[dependency]
+        });
+    });
+
+    return {
+        name: dataSource.name,
+        fetchOrders: (criteria) => upstreams.orders.call(({ signal }) => dataSource.fetchOrders(criteria, { signal })),
+        fetchTodaysOrders: () => upstreams.todaysOrders.call(({ signal }) => dataSource.fetchTodaysOrders({ signal })),
+        fetchDriverLocations: () => upstreams.driverLocations.call(({ signal }) => dataSource.fetchDriverLocations({ signal })),
+        // State of each dependency: { orders: { state, healthy, ... }, todaysOrders, driverLocations }
+        dependencies: () => Object.fromEntries(Object.entries(upstreams).map(([dependency, upstream]) => [dependency, upstream.describe()])),
+        isHealthy: (dependency) => upstreams[dependency].isHealthy(),
+        describe: () => dataSource.describe()
+    };
+}
+
+module.exports = { createResilientDataSource, DEFAULT_TIMEOUTS };
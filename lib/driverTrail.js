@@ -0,0 +1,163 @@
+// Driver location history - the breadcrumb trail behind each driver on an active route
+//
+// The delivery backend only reports where each driver is right now, so the trail samples the feed
+// every `intervalMs` for routes with orders out for delivery and keeps the points per route
+// (route IDs include the day, so each day's run gets its own trail). A point is only added when the
+// driver reported a new position: repeated pings from a parked driver don't pile up.
+// It also says how fresh a reported location is: 'live', 'stale' (older than `staleMinutes`) or
+// 'offline' (older than `offlineMinutes`, or the driver app reports itself inactive).
+
+const { distanceMiles } = require('./eta');
+const { parseRouteId } = require('./routes');
+
+const METERS_PER_MILE = 1609.344;
+const FRESHNESS_LEVELS = ['live', 'stale', 'offline'];
+
+// Google's encoded polyline format (what Google Maps and Mapbox SDKs decode), precision 5
+function encodePolyline(points) {
+    let lastLatitude = 0;
+    let lastLongitude = 0;
+    let encoded = '';
+    const encodeValue = (value) => {
+        let number = value < 0 ? ~(value << 1) : value << 1;
+        let chunk = '';
+        while (number >= 0x20) {
+            chunk += String.fromCharCode((0x20 | (number & 0x1f)) + 63);
+            number >>= 5;
+        }
+        return chunk + String.fromCharCode(number + 63);
+    };
+    points.forEach(([latitude, longitude]) => {
+        const lat = Math.round(latitude * 1e5);
+        const lng = Math.round(longitude * 1e5);
+        encoded += encodeValue(lat - lastLatitude) + encodeValue(lng - lastLongitude);
+        lastLatitude = lat;
+        lastLongitude = lng;
+    });
+    return encoded;
+}
+
+// Normalize a driver-feed entry ({ latitude, longitude, speed, heading, last_updated, is_active })
+function toPoint(location) {
+    const latitude = parseFloat(location.latitude);
+    const longitude = parseFloat(location.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    return {
+        latitude,
+        longitude,
+        speed: location.speed !== undefined ? location.speed : null,
+        heading: location.heading !== undefined ? location.heading : null,
+        at: location.last_updated || new Date().toISOString()
+    };
+}
+
+function createDriverTrail({
+    store,
+    sample,                    // async () => [{ routeId, location }] for the routes being driven right now
+    intervalMs = 30000,
+    minDistanceMeters = 25,    // Closer points are GPS jitter, not movement
+    maxPoints = 500,
+    ttlMs = 2 * 24 * 60 * 60 * 1000,
+    staleMinutes = 5,
+    offlineMinutes = 20
+}) {
+    let running = false;
+
+    function routeKey(routeId) {
+        const route = parseRouteId(routeId);
+        return route ? route.id.toLowerCase() : '';
+    }
+
+    // Add a reported location to a route's trail. Returns the point, or null when it adds nothing new.
+    function record(routeId, location) {
+        const key = routeKey(routeId);
+        const point = key && location ? toPoint(location) : null;
+        if (!point) return null;
+
+        const trail = store.get(key) || { routeId: key, driverName: location.driver_name || null, points: [] };
+        const last = trail.points[trail.points.length - 1];
+        if (last) {
+            if (last.at === point.at) return null;
+            if (new Date(point.at).getTime() < new Date(last.at).getTime()) return null;
+            if (distanceMiles(last, point) * METERS_PER_MILE < minDistanceMeters) {
+                // Still there: keep one point, but remember how recently the driver was seen at it
+                last.lastSeenAt = point.at;
+                store.set(key, trail, ttlMs);
+                return null;
+            }
+        }
+        trail.points = [...trail.points, point].slice(-maxPoints);
+        trail.driverName = location.driver_name || trail.driverName;
+        store.set(key, trail, ttlMs);
+        return point;
+    }
+
+    // A route's trail, oldest point first. `since` (timestamp) drops earlier points; `movingOnly` drops
+    // the places the driver stayed (other customers' stops), for showing the trail to a customer.
+    // `sinceLastStop` keeps only the drive since the driver last stayed somewhere, so the trail can't
+    // be followed back to earlier stops, and `decimals` rounds the coordinates (3 is about 100 m).
+    function getTrail(routeId, { since = null, movingOnly = false, sinceLastStop = false, decimals = null } = {}) {
+        const trail = store.get(routeKey(routeId));
+        if (!trail) return null;
+        const from = since ? new Date(since).getTime() : null;
+        let lastStop = -1;
+        if (sinceLastStop) trail.points.forEach((point, index) => { if (point.lastSeenAt) lastStop = index; });
+        const round = (value) => (decimals === null ? value : Math.round(value * 10 ** decimals) / 10 ** decimals);
+        const points = trail.points
+            .filter((point, index) => index > lastStop &&
+                (!from || new Date(point.at).getTime() >= from) && !(movingOnly && point.lastSeenAt))
+            .map(point => (decimals === null ? point : { ...point, latitude: round(point.latitude), longitude: round(point.longitude) }));
+        return {
+            routeId: trail.routeId,
+            driverName: trail.driverName,
+            points,
+            polyline: encodePolyline(points.map(point => [point.latitude, point.longitude])),
+            startedAt: points.length ? points[0].at : null,
+            lastSeenAt: trail.points.length
+                ? (trail.points[trail.points.length - 1].lastSeenAt || trail.points[trail.points.length - 1].at)
+                : null,
+            distanceMiles: Math.round(points.reduce((total, point, index) =>
+                index === 0 ? 0 : total + distanceMiles(points[index - 1], point), 0) * 10) / 10
+        };
+    }
+
+    // { status: 'live' | 'stale' | 'offline', minutesAgo, lastSeenAt } for a driver-feed entry
+    function freshness(location, now = Date.now()) {
+        if (!location) return null;
+        const lastSeenAt = location.last_updated || null;
+        const time = lastSeenAt ? new Date(lastSeenAt).getTime() : NaN;
+        const minutesAgo = isNaN(time) ? null : Math.max(0, Math.floor((now - time) / 60000));
+        let status = 'live';
+        if (location.is_active === false || minutesAgo === null || minutesAgo >= offlineMinutes) status = 'offline';
+        else if (minutesAgo >= staleMinutes) status = 'stale';
+        return { status, minutesAgo, lastSeenAt };
+    }
+
+    async function poll() {
+        if (running) return 0;
+        running = true;
+        try {
+            const samples = await sample();
+            return samples.filter(({ routeId, location }) => record(routeId, location)).length;
+        } catch (error) {
+            console.error('[Trail] Sampling failed:', error.message);
+            return 0;
+        } finally {
+            running = false;
+        }
+    }
+
+    const timer = setInterval(poll, intervalMs);
+    timer.unref();
+
+    return {
+        poll,
+        record,
+        getTrail,
+        freshness,
+        stats: () => ({ routes: store.size(), staleMinutes, offlineMinutes }),
+        stop: () => clearInterval(timer)
+    };
+}
+
+module.exports = { createDriverTrail, encodePolyline, FRESHNESS_LEVELS };
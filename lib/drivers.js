@@ -0,0 +1,176 @@
+// Driver registry - who drives which route, and which driver-feed entry is theirs
+//
+// Orders only carry a route ID like "kranthi-west-10.18.26" and the location feed only a
+// `driver_name`, so drivers are configured in data/drivers.json:
+//   { id, name, phone, storeIds, locationName, aliases, routes }
+// `routes` are route names without the date ("kranthi-west"); `locationName` is the driver's
+// `driver_name` in the location feed (default: the ID). A route resolves to its driver by, in order:
+//   1. an assignment made for that day's route (assign(), e.g. from the admin API)
+//   2. the driver whose `routes` include the route name
+//   3. the driver whose ID or alias is exactly the route's driver part ("kranthi", or "mary-ann" in
+//      "mary-ann-south-1.22.26" - route IDs are parsed by lib/routes.js knowing every ID and alias)
+// Matches are exact, never by prefix or substring, so "jag-edison" and "jagan-north" can't collide.
+// When more than one driver matches a step the route is ambiguous: nobody is picked and the
+// conflict is reported by conflicts() until an assignment settles it (or the configuration is fixed).
+
+const fs = require('fs');
+const path = require('path');
+const { parseRouteId } = require('./routes');
+
+const DEFAULT_DRIVERS_FILE = path.join(__dirname, '..', 'data', 'drivers.json');
+const ASSIGNMENT_TTL_MS = 2 * 24 * 60 * 60 * 1000; // Route IDs are per day
+
+function normalize(value) {
+    return String(value || '').replace(/"/g, '').trim().toLowerCase();
+}
+
+function maskPhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 4 ? `***-***-${digits.slice(-4)}` : null;
+}
+
+function createDriverRegistry(options = {}) {
+    const filePath = options.file || DEFAULT_DRIVERS_FILE;
+    const store = options.store;
+    const config = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : { drivers: [] };
+
+    const drivers = new Map();
+    (config.drivers || []).forEach(driver => {
+        const id = normalize(driver.id);
+        if (!id) throw new Error(`Driver without an id in ${filePath}`);
+        if (drivers.has(id)) throw new Error(`Driver "${id}" is configured twice in ${filePath}`);
+        drivers.set(id, {
+            id,
+            name: driver.name || id.charAt(0).toUpperCase() + id.slice(1),
+            phone: driver.phone || null,
+            storeIds: (driver.storeIds || []).map(String),
+            locationName: normalize(driver.locationName || id),
+            aliases: (driver.aliases || []).map(normalize),
+            routes: (driver.routes || []).map(route => parseRouteId(route)).filter(Boolean).map(route => route.name)
+        });
+    });
+    const driverIds = Array.from(drivers.values()).flatMap(driver => [driver.id, ...driver.aliases]);
+
+    function parseRoute(routeId) {
+        return parseRouteId(routeId, { driverIds });
+    }
+
+    // Routes that couldn't be resolved to exactly one driver: routeId -> { routeId, problem, candidates, lastSeenAt }
+    const conflicts = new Map();
+
+    function getDriver(driverId) {
+        return drivers.get(normalize(driverId)) || null;
+    }
+
+    // Registry entry without the full phone number, for API responses
+    function publicDriver(driver) {
+        if (!driver) return null;
+        return {
+            id: driver.id,
+            name: driver.name,
+            phone: maskPhone(driver.phone),
+            storeIds: driver.storeIds,
+            routes: driver.routes
+        };
+    }
+
+    function reportConflict(routeId, problem, candidates) {
+        const key = normalize(routeId);
+        if (!conflicts.has(key)) {
+            console.log(`[Drivers] Route "${routeId}" ${problem === 'ambiguous_location'
+                ? 'has several driver locations'
+                : 'matches several drivers'}: ${candidates.join(', ')}`);
+        }
+        conflicts.set(key, { routeId: key, problem, candidates, lastSeenAt: new Date().toISOString() });
+    }
+
+    // Resolve a route ID to its driver.
+    // Returns { routeId, driver, matchedBy: 'assignment' | 'route' | 'name' | null, ambiguous, candidates }.
+    function resolveRoute(routeId) {
+        const key = normalize(routeId);
+        const result = { routeId: key, driver: null, matchedBy: null, ambiguous: false, candidates: [] };
+        if (!key) return result;
+
+        const assigned = store ? store.get(key) : null;
+        if (assigned && drivers.has(assigned.driverId)) {
+            return { ...result, driver: drivers.get(assigned.driverId), matchedBy: 'assignment' };
+        }
+
+        const { name, driverKey } = parseRoute(key);
+        const steps = [
+            ['route', driver => driver.routes.includes(name)],
+            ['name', driver => driver.id === driverKey || driver.aliases.includes(driverKey)]
+        ];
+        for (const [matchedBy, matches] of steps) {
+            const found = Array.from(drivers.values()).filter(matches);
+            if (found.length === 1) {
+                return { ...result, driver: found[0], matchedBy };
+            }
+            if (found.length > 1) {
+                const candidates = found.map(driver => driver.id);
+                reportConflict(key, 'ambiguous', candidates);
+                return { ...result, ambiguous: true, candidates };
+            }
+        }
+        return result;
+    }
+
+    // The location-feed entry for a route: the resolved driver's `locationName`, or for drivers not in
+    // the registry the route's driver part, compared exactly with `driver_name`. With several
+    // entries under one name, the most recently updated is used and the route is reported.
+    function findLocation(locations, routeId) {
+        const match = resolveRoute(routeId);
+        if (match.ambiguous) return null;
+        const route = parseRoute(routeId);
+        const locationName = match.driver ? match.driver.locationName : route && route.driverKey;
+        if (!locationName) return null;
+
+        const found = (locations || []).filter(location => normalize(location.driver_name) === locationName);
+        if (found.length > 1) {
+            reportConflict(routeId, 'ambiguous_location', found.map(location => location.driver_name));
+            found.sort((a, b) => new Date(b.last_updated || 0).getTime() - new Date(a.last_updated || 0).getTime());
+        }
+        return found[0] || null;
+    }
+
+    // Assign a day's route to a driver (overrides the configured routes). Returns { assignment } or { error, code }.
+    function assign(routeId, driverId, { by = null } = {}) {
+        const key = normalize(routeId);
+        if (!key) return { error: 'Route ID is required', code: 'INVALID_ROUTE' };
+        const driver = getDriver(driverId);
+        if (!driver) return { error: `Unknown driver "${driverId}"`, code: 'UNKNOWN_DRIVER' };
+        const assignment = { routeId: key, driverId: driver.id, by, assignedAt: new Date().toISOString() };
+        store.set(key, assignment, ASSIGNMENT_TTL_MS);
+        conflicts.delete(key);
+        console.log(`[Drivers] Route "${key}" assigned to ${driver.id}${by ? ` by ${by}` : ''}`);
+        return { assignment };
+    }
+
+    function unassign(routeId) {
+        const key = normalize(routeId);
+        if (!store.has(key)) return false;
+        store.delete(key);
+        return true;
+    }
+
+    function getAssignment(routeId) {
+        return store ? store.get(normalize(routeId)) || null : null;
+    }
+
+    return {
+        getDriver,
+        listDrivers: () => Array.from(drivers.values()),
+        publicDriver,
+        resolveRoute,
+        findLocation,
+        assign,
+        unassign,
+        getAssignment,
+        // Conflicts seen in the last day (older ones belong to routes that are over)
+        conflicts: () => Array.from(conflicts.values())
+            .filter(conflict => Date.now() - new Date(conflict.lastSeenAt).getTime() < 24 * 60 * 60 * 1000),
+        describe: () => ({ file: filePath, drivers: drivers.size, conflicts: conflicts.size })
+    };
+}
+
+module.exports = { createDriverRegistry, DEFAULT_DRIVERS_FILE };
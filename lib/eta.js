@@ -0,0 +1,168 @@
+// Delivery ETA engine
+//
+// Estimates how long until a stop is delivered from three inputs:
+//   - the driver's last GPS ping (position and speed) from the driver-location feed
+//   - the coordinates of the route's remaining stops, in deliverySeq order, up to the customer's
+//   - per-route history of stop durations: minutes between consecutive deliveries on the route,
+//     recorded as deliveries happen and kept per route name across days ("kranthi-west")
+// With a fresh ping and coordinates for every remaining stop, the drive distance is turned into
+// minutes and blended with the route's history. Without them the route's history alone is used,
+// and without enough history a flat time per stop. Every estimate is a range with a confidence
+// level: 'high', 'medium' or 'low'.
+
+const { parseRouteId } = require('./routes');
+
+const EARTH_RADIUS_MILES = 3958.8;
+const HISTORY_TTL_MS = 60 * 24 * 60 * 60 * 1000; // 60 days
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// Great-circle distance between two { latitude, longitude } points
+function distanceMiles(from, to) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+function isLocation(point) {
+    return Boolean(point) && Number.isFinite(point.latitude) && Number.isFinite(point.longitude);
+}
+
+// "kranthi-west-10.18.26" -> "kranthi-west": history is kept per route, not per day
+function routeKey(routeId) {
+    const route = parseRouteId(routeId);
+    return route ? route.name : '';
+}
+
+function percentile(sorted, p) {
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+function lowerConfidence(confidence) {
+    return CONFIDENCE_LEVELS[Math.max(0, CONFIDENCE_LEVELS.indexOf(confidence) - 1)];
+}
+
+function createEtaEngine({
+    store,
+    stopMinutes = 12,      // Flat time per stop when nothing better is known
+    dwellMinutes = 4,      // Time spent at each stop before the customer's (parking, hand-over)
+    speedMph = 20,         // Average driving speed between stops
+    roadFactor = 1.3,      // Road distance per straight-line mile
+    stalePingMinutes = 10, // Older GPS pings are ignored
+    minSamples = 3,        // History needed before a route's stop durations are used
+    maxSamples = 50,
+    maxGapMinutes = 90     // Longer gaps between deliveries (breaks, reloading) aren't stop durations
+}) {
+    // Record a delivery on a route; the gap since the route's previous delivery that day is a sample
+    function recordDelivery(routeId, deliveredAt = Date.now()) {
+        const key = routeKey(routeId);
+        if (!key) return null;
+        const history = store.get(key) || { samples: [], lastDelivery: null };
+        const day = parseRouteId(routeId).id;
+        let sample = null;
+        if (history.lastDelivery && history.lastDelivery.routeId === day) {
+            const minutes = (deliveredAt - history.lastDelivery.at) / 60000;
+            if (minutes >= 0.5 && minutes <= maxGapMinutes) {
+                sample = Math.round(minutes * 10) / 10;
+                history.samples = [...history.samples, sample].slice(-maxSamples);
+            }
+        }
+        history.lastDelivery = { routeId: day, at: deliveredAt };
+        store.set(key, history, HISTORY_TTL_MS);
+        return sample;
+    }
+
+    // { samples, median, low, high } (25th/75th percentiles, minutes per stop) or null without enough history
+    function stopDurations(routeId) {
+        const history = store.get(routeKey(routeId));
+        if (!history || history.samples.length < minSamples) return null;
+        const sorted = [...history.samples].sort((a, b) => a - b);
+        return {
+            samples: sorted.length,
+            median: percentile(sorted, 0.5),
+            low: percentile(sorted, 0.25),
+            high: percentile(sorted, 0.75)
+        };
+    }
+
+    // Drive time from the driver through every remaining stop, or null when a position is missing
+    function driveEstimate(driver, stops, now) {
+        if (!isLocation(driver) || stops.length === 0 || !stops.every(isLocation)) return null;
+        const pingAge = driver.lastUpdated ? (now - new Date(driver.lastUpdated).getTime()) / 60000 : Infinity;
+        if (!(pingAge <= stalePingMinutes)) return null;
+
+        let miles = distanceMiles(driver, stops[0]);
+        for (let i = 1; i < stops.length; i++) {
+            miles += distanceMiles(stops[i - 1], stops[i]);
+        }
+        miles *= roadFactor;
+        // A moving driver's speed says something about traffic right now; a stopped one's doesn't
+        const speed = driver.speed > 5 ? (driver.speed + speedMph) / 2 : speedMph;
+        const minutes = (miles / speed) * 60 + (stops.length - 1) * dwellMinutes;
+        return { miles, minutes, pingAge };
+    }
+
+    // stops: locations ({ latitude, longitude } or null) of the remaining stops up to and including
+    // the customer's. driver: { latitude, longitude, speed, lastUpdated } or null.
+    // departureMinutes is added when the driver hasn't left with the order yet.
+    // Returns { minutes, minMinutes, maxMinutes, confidence, method, distanceMiles, stopDurations }.
+    function estimate({ routeId = null, stops = [], driver = null, departureMinutes = 0, now = Date.now() }) {
+        const stopCount = Math.max(1, stops.length);
+        const history = routeId ? stopDurations(routeId) : null;
+        const drive = driveEstimate(driver, stops, now);
+
+        let result;
+        if (drive) {
+            // Recent deliveries on the route catch what distance alone misses (stairs, buzzers, traffic)
+            const historyMinutes = history ? history.median * stopCount : null;
+            const minutes = history ? drive.minutes * 0.7 + historyMinutes * 0.3 : drive.minutes;
+            const agrees = !history || Math.abs(drive.minutes - historyMinutes) <= historyMinutes * 0.35;
+            result = {
+                minutes,
+                minMinutes: minutes * 0.85,
+                maxMinutes: minutes * 1.2 + 3,
+                confidence: drive.pingAge <= 3 && stopCount <= 3 && agrees ? 'high' : 'medium',
+                method: 'gps',
+                distanceMiles: Math.round(drive.miles * 10) / 10
+            };
+        } else if (history) {
+            result = {
+                minutes: history.median * stopCount,
+                minMinutes: history.low * stopCount,
+                maxMinutes: history.high * stopCount + 5,
+                confidence: history.samples >= 10 ? 'medium' : 'low',
+                method: 'history',
+                distanceMiles: null
+            };
+        } else {
+            const minutes = Math.max(stopCount * stopMinutes, 5);
+            result = { minutes, minMinutes: minutes, maxMinutes: minutes + 15, confidence: 'low', method: 'default', distanceMiles: null };
+        }
+
+        if (departureMinutes > 0) {
+            result.minutes += departureMinutes;
+            result.minMinutes += departureMinutes;
+            result.maxMinutes += departureMinutes;
+            result.confidence = lowerConfidence(result.confidence); // Departure time is a guess
+        }
+
+        const minMinutes = Math.max(1, Math.round(result.minMinutes));
+        return {
+            ...result,
+            minutes: Math.max(minMinutes, Math.round(result.minutes)),
+            minMinutes,
+            maxMinutes: Math.max(minMinutes + 5, Math.round(result.maxMinutes)),
+            stopDurations: history
+        };
+    }
+
+    return { estimate, recordDelivery, stopDurations };
+}
+
+module.exports = { createEtaEngine, distanceMiles };
@@ -0,0 +1,82 @@
+// Persistent cache in front of a geocoder
+//
+// Results are kept in a session store (use a file store to keep them across restarts): found
+// addresses for `ttlMs`, addresses the geocoder doesn't know for the shorter `missTtlMs`.
+// Concurrent lookups of the same address share one request, and transport errors aren't cached.
+
+function normalizeAddress(address) {
+    return String(address || '').toLowerCase().replace(/[^a-z0-9,# ]/g, ' ').replace(/\s*,\s*/g, ', ').replace(/\s+/g, ' ').trim();
+}
+
+function createCachedGeocoder({
+    geocoder,
+    store,
+    ttlMs = 180 * 24 * 60 * 60 * 1000, // 180 days
+    missTtlMs = 24 * 60 * 60 * 1000    // 1 day
+}) {
+    const inFlight = new Map();
+    const counts = { hits: 0, misses: 0, errors: 0 };
+
+    // The cached result: { latitude, longitude }, null (known not found) or undefined (not looked up yet)
+    function peek(address) {
+        const key = normalizeAddress(address);
+        if (!key) return null;
+        const cached = store.get(key);
+        return cached ? cached.location : undefined;
+    }
+
+    // Look an address up, from the cache when possible. Resolves to { latitude, longitude } or null.
+    function geocode(address) {
+        const key = normalizeAddress(address);
+        if (!key) return Promise.resolve(null);
+        const cached = store.get(key);
+        if (cached) {
+            counts.hits++;
+            return Promise.resolve(cached.location);
+        }
+        if (inFlight.has(key)) return inFlight.get(key);
+
+        counts.misses++;
+        const lookup = geocoder.geocode(address)
+            .then(location => {
+                const found = location && Number.isFinite(location.latitude) && Number.isFinite(location.longitude)
+                    ? { latitude: location.latitude, longitude: location.longitude }
+                    : null;
+                store.set(key, { location: found, geocodedAt: new Date().toISOString() }, found ? ttlMs : missTtlMs);
+                if (!found) console.log('[Geocode] No match for an address');
+                return found;
+            })
+            .catch(error => {
+                counts.errors++;
+                console.error('[Geocode] Lookup failed:', error.message);
+                return null;
+            })
+            .finally(() => inFlight.delete(key));
+        inFlight.set(key, lookup);
+        return lookup;
+    }
+
+    // Like geocode, but gives up waiting after timeoutMs (the lookup still finishes and is cached),
+    // so a slow geocoder never holds up a response
+    function locate(address, timeoutMs = 250) {
+        const cached = peek(address);
+        if (cached !== undefined) {
+            counts.hits++;
+            return Promise.resolve(cached);
+        }
+        let timer;
+        const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(null), timeoutMs); });
+        return Promise.race([geocode(address), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    return {
+        name: geocoder.name,
+        peek,
+        geocode,
+        locate,
+        stats: () => ({ cached: store.size(), ...counts }),
+        describe: () => geocoder.describe()
+    };
+}
+
+module.exports = { createCachedGeocoder, normalizeAddress };
@@ -0,0 +1,36 @@
+// Fixture geocoder - coordinates for the fixture addresses, read from geocodes.json in the
+// fixture directory, so maps and GPS-based ETAs work offline. Unknown addresses are not found.
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_FIXTURE_DIR } = require('../dataSources/fixtureDataSource');
+const { normalizeAddress } = require('./cachedGeocoder');
+
+function createFixtureGeocoder(options = {}) {
+    const file = path.join(options.fixtureDir || DEFAULT_FIXTURE_DIR, 'geocodes.json');
+    let locations = null;
+
+    // { "12 Maple Ave, Edison, NJ 08817": { "latitude": ..., "longitude": ... }, ... }
+    function load() {
+        if (!locations) {
+            locations = new Map();
+            const entries = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+            Object.entries(entries).forEach(([address, location]) => {
+                locations.set(normalizeAddress(address), { latitude: location.latitude, longitude: location.longitude });
+            });
+        }
+        return locations;
+    }
+
+    async function geocode(address) {
+        return load().get(normalizeAddress(address)) || null;
+    }
+
+    return {
+        name: 'fixture',
+        geocode,
+        describe: () => ({ type: 'fixture', file })
+    };
+}
+
+module.exports = { createFixtureGeocoder };
@@ -0,0 +1,33 @@
+// Address geocoders
+//
+// Every geocoder exposes the same interface:
+//   name                 - geocoder identifier
+//   geocode(address)     - resolves to { latitude, longitude } or null when the address isn't found
+//   describe()           - geocoder details for health/debug output
+// Geocoders throw on transport errors. 'nominatim' calls OpenStreetMap's Nominatim service (or a
+// compatible one), 'fixture' looks addresses up in data/fixtures/geocodes.json and 'none' finds
+// nothing. createCachedGeocoder wraps one of them with a persistent cache.
+
+const { createNominatimGeocoder } = require('./nominatimGeocoder');
+const { createFixtureGeocoder } = require('./fixtureGeocoder');
+const { createCachedGeocoder, normalizeAddress } = require('./cachedGeocoder');
+
+const adapters = {
+    nominatim: createNominatimGeocoder,
+    fixture: createFixtureGeocoder,
+    none: () => ({
+        name: 'none',
+        geocode: async () => null,
+        describe: () => ({ type: 'none' })
+    })
+};
+
+function createGeocoder(type = 'nominatim', options = {}) {
+    const factory = adapters[type];
+    if (!factory) {
+        throw new Error(`Unknown geocoder "${type}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = { createGeocoder, createCachedGeocoder, normalizeAddress };
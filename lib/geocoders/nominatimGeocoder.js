@@ -0,0 +1,52 @@
+// Nominatim geocoder - OpenStreetMap's search API (or a self-hosted instance)
+//
+// The public service allows one request per second and requires an identifying User-Agent,
+// so requests are queued and spaced out. Each request goes through lib/upstream.js: it times out
+// after `timeoutMs`, so a hung request can't hold up the queue, and repeated failures open a circuit.
+
+const { createUpstream } = require('../upstream');
+
+const DEFAULT_BASE_URL = 'https://nominatim.openstreetmap.org';
+const MIN_INTERVAL_MS = 1100;
+
+function createNominatimGeocoder(options = {}) {
+    const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const userAgent = options.userAgent || 'iperkz-support-agent';
+    const countryCodes = options.countryCodes || 'us';
+    const upstream = createUpstream('geocoder', {
+        timeoutMs: options.timeoutMs || 5000,
+        retries: 0
+    });
+    let queue = Promise.resolve();
+    let lastRequestAt = 0;
+
+    async function request(address) {
+        const wait = lastRequestAt + MIN_INTERVAL_MS - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        lastRequestAt = Date.now();
+
+        const url = `${baseUrl}/search?format=json&limit=1&countrycodes=${countryCodes}&q=${encodeURIComponent(address)}`;
+        const results = await upstream.call(async ({ signal }) => {
+            const response = await fetch(url, { headers: { 'User-Agent': userAgent, 'Accept': 'application/json' }, signal });
+            if (!response.ok) throw Object.assign(new Error(`Nominatim returned HTTP ${response.status}`), { status: response.status });
+            return response.json();
+        });
+        if (!Array.isArray(results) || results.length === 0) return null;
+        return { latitude: parseFloat(results[0].lat), longitude: parseFloat(results[0].lon) };
+    }
+
+    // One request at a time; a failed request doesn't hold up the ones behind it
+    function geocode(address) {
+        const result = queue.then(() => request(address));
+        queue = result.catch(() => null);
+        return result;
+    }
+
+    return {
+        name: 'nominatim',
+        geocode,
+        describe: () => ({ type: 'nominatim', baseUrl, upstream: upstream.describe() })
+    };
+}
+
+module.exports = { createNominatimGeocoder, DEFAULT_BASE_URL };
@@ -0,0 +1,178 @@
+// Live handoff to a human agent
+//
+// A customer who asks for a person (or keeps getting the fallback answer) is put in a queue of
+// waiting conversations. Agents claim one through the agent API, read the transcript and the
+// verified-order context captured when it was opened, and reply. While a handoff is open the
+// customer's chat messages are relayed to the agent instead of being answered by the bot.
+// A conversation goes waiting -> active -> closed; an agent can release an active one back to
+// the queue. Messages carry a per-conversation sequence number so both sides can poll for new ones.
+
+const crypto = require('crypto');
+
+const HANDOFF_STATUSES = ['waiting', 'active', 'closed'];
+
+const RECORD_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_MESSAGE_LENGTH = 2000;
+
+function createHandoffs({ store }) {
+    function get(handoffId) {
+        return store.get(String(handoffId)) || null;
+    }
+
+    // Every conversation, oldest first (queue order)
+    function all() {
+        return Array.from(store.entries().keys())
+            .map(id => store.get(id))
+            .filter(Boolean)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    function list({ status, storeId, agentId } = {}) {
+        return all().filter(handoff =>
+            (!status || handoff.status === status) &&
+            (!storeId || handoff.storeId === String(storeId)) &&
+            (!agentId || (handoff.agent && handoff.agent.id === agentId)));
+    }
+
+    // The session's waiting or active conversation, if any
+    function openFor(sessionId) {
+        return all().find(handoff => handoff.sessionId === sessionId && handoff.status !== 'closed') || null;
+    }
+
+    // 1-based place in the queue for a waiting conversation
+    function queuePosition(handoff) {
+        if (!handoff || handoff.status !== 'waiting') return null;
+        return list({ status: 'waiting', storeId: handoff.storeId }).findIndex(waiting => waiting.id === handoff.id) + 1;
+    }
+
+    function save(handoff) {
+        handoff.updatedAt = new Date().toISOString();
+        store.set(handoff.id, handoff);
+        return handoff;
+    }
+
+    // Queue a conversation. Returns { handoff, created } - a session with one open already gets that one.
+    function open({ sessionId, storeId, reason = null, language = null, channel = 'web', context = {} }) {
+        const existing = openFor(sessionId);
+        if (existing) return { handoff: existing, created: false };
+
+        const now = new Date().toISOString();
+        const handoff = {
+            id: `HO-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+            sessionId,
+            storeId: storeId ? String(storeId) : null,
+            status: 'waiting',
+            reason: reason ? String(reason).slice(0, MAX_MESSAGE_LENGTH) : null,
+            language,
+            channel,
+            context, // { activeOrderId, orders: [...] } at the time the customer asked
+            agent: null,
+            messages: [],
+            createdAt: now,
+            updatedAt: now,
+            claimedAt: null,
+            closedAt: null,
+            closedBy: null
+        };
+        store.set(handoff.id, handoff, RECORD_TTL_MS);
+        console.log(`[Handoff] ${handoff.id} queued for session ${sessionId.slice(0, 8)}... (store ${handoff.storeId})`);
+        return { handoff, created: true };
+    }
+
+    // Add a message from the customer, the agent or the system. Returns the message or null.
+    function addMessage(handoffId, { from, text, agent = null }) {
+        const handoff = get(handoffId);
+        if (!handoff || !text) return null;
+        const message = {
+            seq: handoff.messages.length + 1,
+            from,
+            text: String(text).slice(0, MAX_MESSAGE_LENGTH),
+            agentName: agent ? agent.name : null,
+            at: new Date().toISOString()
+        };
+        handoff.messages.push(message);
+        save(handoff);
+        return message;
+    }
+
+    function messagesSince(handoff, after = 0) {
+        return handoff.messages.filter(message => message.seq > after);
+    }
+
+    // Returns { handoff } or { error, code }
+    function claim(handoffId, agent) {
+        const handoff = get(handoffId);
+        if (!handoff) return { error: 'Conversation not found', code: 'HANDOFF_NOT_FOUND' };
+        if (handoff.status === 'closed') return { error: 'Conversation is closed', code: 'HANDOFF_CLOSED' };
+        if (handoff.agent && handoff.agent.id !== agent.id) {
+            return { error: `Conversation is already claimed by ${handoff.agent.name}`, code: 'ALREADY_CLAIMED' };
+        }
+        handoff.status = 'active';
+        handoff.agent = { id: agent.id, name: agent.name };
+        handoff.claimedAt = handoff.claimedAt || new Date().toISOString();
+        console.log(`[Handoff] ${handoff.id} claimed by ${agent.name}`);
+        return { handoff: save(handoff) };
+    }
+
+    // Only the agent handling a conversation may reply to it, release it or close it
+    function checkAssigned(handoff, agent) {
+        if (!handoff) return { error: 'Conversation not found', code: 'HANDOFF_NOT_FOUND' };
+        if (handoff.status === 'closed') return { error: 'Conversation is closed', code: 'HANDOFF_CLOSED' };
+        if (!handoff.agent || handoff.agent.id !== agent.id) {
+            return { error: 'Claim the conversation first', code: 'NOT_ASSIGNED' };
+        }
+        return null;
+    }
+
+    // Hand an active conversation back to the queue
+    function release(handoffId, agent) {
+        const handoff = get(handoffId);
+        const error = checkAssigned(handoff, agent);
+        if (error) return error;
+        handoff.status = 'waiting';
+        handoff.agent = null;
+        console.log(`[Handoff] ${handoff.id} released by ${agent.name}`);
+        return { handoff: save(handoff) };
+    }
+
+    // Close a conversation. by: 'agent' (must be assigned) or 'customer'.
+    function close(handoffId, { by, agent = null }) {
+        const handoff = get(handoffId);
+        if (by === 'agent') {
+            const error = checkAssigned(handoff, agent);
+            if (error) return error;
+        } else if (!handoff || handoff.status === 'closed') {
+            return { error: 'Conversation not found', code: 'HANDOFF_NOT_FOUND' };
+        }
+        handoff.status = 'closed';
+        handoff.closedAt = new Date().toISOString();
+        handoff.closedBy = by;
+        console.log(`[Handoff] ${handoff.id} closed by ${by === 'agent' ? agent.name : by}`);
+        return { handoff: save(handoff) };
+    }
+
+    function stats() {
+        const counts = {};
+        HANDOFF_STATUSES.forEach(status => { counts[status] = 0; });
+        all().forEach(handoff => { counts[handoff.status]++; });
+        return counts;
+    }
+
+    return {
+        statuses: HANDOFF_STATUSES,
+        get,
+        list,
+        openFor,
+        queuePosition,
+        open,
+        addMessage,
+        messagesSince,
+        claim,
+        checkAssigned,
+        release,
+        close,
+        stats
+    };
+}
+
+module.exports = { createHandoffs, HANDOFF_STATUSES };
@@ -0,0 +1,199 @@
+// Localisation: translated message catalogs, language detection and locale formatting
+//
+// Catalogs are JSON files named by language code (data/locales/en.json, hi.json, ...).
+// Keys are nested objects; a value can be a string, an array of lines (joined with "\n")
+// or a plural object ({ "one": ..., "other": ... }) picked by the `count` parameter.
+// `{name}` placeholders are filled from the parameters. Missing keys fall back to English.
+
+const fs = require('fs');
+const path = require('path');
+
+// Words that give a language away in romanized or plain chat text: strong hints count double
+const LANGUAGE_HINTS = {
+    hi: {
+        strong: ['namaste', 'namaskar', 'dhanyavad', 'dhanyawad', 'shukriya', 'kahan', 'kripya', 'aayega', 'kab'],
+        weak: ['mera', 'meri', 'kya', 'hai', 'madad', 'nahi']
+    },
+    te: {
+        strong: ['namaskaram', 'namaskaaram', 'dhanyavadalu', 'ekkada', 'cheppandi', 'vastundi', 'sahayam'],
+        weak: ['naa', 'ela', 'enti', 'undi']
+    },
+    es: {
+        strong: ['hola', 'gracias', 'pedido', 'donde', 'quiero', 'ayuda', 'reembolso', 'entrega', 'cuando', 'buenos', 'buenas', 'pago', 'favor'],
+        weak: ['mi', 'esta', 'por', 'que']
+    },
+    en: {
+        strong: [],
+        weak: ['where', 'is', 'my', 'the', 'what', 'when', 'how', 'please', 'can', 'you', 'did', 'track', 'thanks', 'hello', 'want']
+    }
+};
+
+// Scripts are unambiguous
+const SCRIPT_HINTS = [
+    [/[\u0900-\u097F]/, 'hi'], // Devanagari
+    [/[\u0C00-\u0C7F]/, 'te']  // Telugu
+];
+
+// Names people type to pick a language
+const LANGUAGE_NAMES = {
+    en: ['english', 'ingles', 'अंग्रेज़ी', 'अंग्रेजी', 'ఇంగ్లీష్'],
+    hi: ['hindi', 'हिंदी', 'हिन्दी'],
+    te: ['telugu', 'తెలుగు'],
+    es: ['spanish', 'espanol', 'español']
+};
+
+function normalize(text) {
+    return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function tokenize(text) {
+    return normalize(text).split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+}
+
+function createI18n({ dir, defaultLanguage = 'en' }) {
+    const catalogs = {};
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            catalogs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        });
+    if (!catalogs[defaultLanguage]) {
+        throw new Error(`No catalog for default language "${defaultLanguage}" in ${dir}`);
+    }
+    const languages = Object.keys(catalogs);
+    console.log(`[i18n] Loaded languages: ${languages.join(', ')}`);
+
+    // Language named in a message ('Spanish', 'हिंदी', ...) - codes are not accepted, "hi" is a greeting
+    function resolveName(value) {
+        const text = normalize(value).trim();
+        return Object.keys(LANGUAGE_NAMES).find(lang => catalogs[lang] && LANGUAGE_NAMES[lang].some(name => normalize(name) === text)) || null;
+    }
+
+    // Map 'es-MX', 'hi', 'Spanish', ... to a supported language code (or null)
+    function resolve(value) {
+        if (!value) return null;
+        const code = normalize(value).trim().split(/[-_]/)[0];
+        return catalogs[code] ? code : resolveName(value);
+    }
+
+    // First supported language in an Accept-Language header
+    function fromAcceptLanguage(header) {
+        if (!header) return null;
+        const ranked = header.split(',')
+            .map(part => {
+                const [tag, q] = part.trim().split(';q=');
+                return { tag, q: q ? parseFloat(q) : 1 };
+            })
+            .sort((a, b) => b.q - a.q);
+        for (const { tag } of ranked) {
+            const lang = resolve(tag);
+            if (lang) return lang;
+        }
+        return null;
+    }
+
+    // "hindi", "language: español", "change language to telugu", "తెలుగు" -> language code
+    function parseSelection(message) {
+        const text = normalize(message).trim()
+            .replace(/[.!?।]+$/, '')
+            .replace(/^(?:(?:change|switch|set)\s+(?:the\s+)?language\s+to|language|lang|idioma|bhasha|भाषा|భాష|reply in|speak|in)(?:\s*[:\-]\s*|\s+)/u, '');
+        return /^\S+$/.test(text) ? resolveName(text) : null;
+    }
+
+    // Best guess at the language of a chat message, or null when there isn't enough to go on
+    function detect(message) {
+        for (const [pattern, lang] of SCRIPT_HINTS) {
+            if (pattern.test(message) && catalogs[lang]) return lang;
+        }
+        const tokens = tokenize(message);
+        let best = null;
+        let bestScore = 0;
+        Object.entries(LANGUAGE_HINTS).forEach(([lang, hints]) => {
+            if (!catalogs[lang]) return;
+            const score = tokens.reduce((sum, token) => {
+                if (hints.strong.includes(token)) return sum + 2;
+                if (hints.weak.includes(token)) return sum + 1;
+                return sum;
+            }, 0);
+            if (score > bestScore) {
+                best = lang;
+                bestScore = score;
+            }
+        });
+        return bestScore >= 2 ? best : null;
+    }
+
+    function lookup(lang, key) {
+        return key.split('.').reduce((node, part) => (node && node[part] !== undefined ? node[part] : undefined), catalogs[lang]);
+    }
+
+    // Translator bound to one language
+    function forLanguage(language) {
+        const lang = catalogs[language] ? language : defaultLanguage;
+        const locale = lookup(lang, '_meta.locale') || lang;
+        const pluralRules = new Intl.PluralRules(locale);
+
+        function has(key) {
+            return lookup(lang, key) !== undefined;
+        }
+
+        function t(key, params = {}) {
+            let value = lookup(lang, key);
+            if (value === undefined) value = lookup(defaultLanguage, key);
+            if (value === undefined) return key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                value = value[pluralRules.select(params.count)] || value.other;
+            }
+            if (Array.isArray(value)) value = value.join('\n');
+            return String(value).replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+        }
+
+        function toDate(value) {
+            const date = value instanceof Date ? value : new Date(value);
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        return {
+            lang,
+            locale,
+            has,
+            t,
+            date: (value) => {
+                const date = toDate(value);
+                return date ? date.toLocaleDateString(locale, { dateStyle: 'medium' }) : null;
+            },
+            time: (value) => {
+                const date = toDate(value);
+                return date ? date.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' }) : null;
+            },
+            dateTime: (value) => {
+                const date = toDate(value);
+                return date ? date.toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' }) : null;
+            },
+            money: (amount, currency = 'USD') => new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount || 0)
+        };
+    }
+
+    // Every language's entries for a word-list key, normalized like chat text (e.g. verification.fillerWords)
+    function words(key) {
+        const all = new Set();
+        languages.forEach(lang => {
+            const value = lookup(lang, key);
+            if (Array.isArray(value)) value.forEach(word => all.add(normalize(word)));
+        });
+        return all;
+    }
+
+    function list() {
+        return languages.map(code => ({
+            code,
+            name: lookup(code, '_meta.name') || code,
+            nativeName: lookup(code, '_meta.nativeName') || code,
+            locale: lookup(code, '_meta.locale') || code
+        }));
+    }
+
+    return { defaultLanguage, languages, resolve, fromAcceptLanguage, parseSelection, detect, forLanguage, words, list };
+}
+
+module.exports = { createI18n, normalize };
@@ -0,0 +1,165 @@
+// Scored intent classifier
+//
+// Intent definitions live in a JSON file (data/intents.json by default) so they can be tuned
+// without touching server.js. Every intent is scored against the whole message:
+//   keywords  { word: weight }     - single words; close misspellings count at 80%
+//   phrases   { "a b c": weight }  - word sequences; each word may be misspelled
+//   patterns  { regex: weight }    - regular expressions tested on the lowercased message
+// Words are normalized through the `synonyms` map first (e.g. "ordr" -> "order").
+// Any script works, so Spanish, Hindi and Telugu keywords sit alongside the English ones.
+// All intents reaching `threshold` (or the intent's own `threshold`) are returned, highest
+// score first, so a message like "thanks, where is my order 64531" yields both intents.
+
+const fs = require('fs');
+
+const FUZZY_WEIGHT = 0.8;
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function editDistance(a, b) {
+    const d = [];
+    for (let i = 0; i <= a.length; i++) d[i] = [i];
+    for (let j = 0; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+// Typos are only tolerated on longer words; "bill" vs "will" must not match
+function allowedEdits(word) {
+    if (word.length >= 8) return 2;
+    if (word.length >= 5) return 1;
+    return 0;
+}
+
+// 1 for an exact match, FUZZY_WEIGHT for a tolerated typo, 0 otherwise
+function wordMatch(token, word) {
+    if (token === word) return 1;
+    const edits = allowedEdits(word);
+    if (edits === 0 || token.length < 4 || Math.abs(token.length - word.length) > edits) return 0;
+    return editDistance(token, word) <= edits ? FUZZY_WEIGHT : 0;
+}
+
+// Accents are dropped ("dónde" -> "donde"); Devanagari and Telugu vowel signs are kept
+function tokenize(text, synonyms) {
+    return text.toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f'’]/g, '')
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(Boolean)
+        .map(token => synonyms[token] || token);
+}
+
+function createIntentClassifier({ file }) {
+    let config = null;
+
+    function compile(raw) {
+        const synonyms = raw.synonyms || {};
+        const intents = (raw.intents || []).map(intent => ({
+            name: intent.name,
+            type: intent.type || 'action',
+            prefix: intent.prefix || null,
+            response: intent.response || null,
+            threshold: intent.threshold || raw.threshold || 2,
+            keywords: Object.entries(intent.keywords || {}).map(([word, weight]) => ({ term: word, tokens: tokenize(word, synonyms), weight })),
+            phrases: Object.entries(intent.phrases || {}).map(([phrase, weight]) => ({ term: phrase, tokens: tokenize(phrase, synonyms), weight })),
+            patterns: Object.entries(intent.patterns || {}).map(([pattern, weight]) => ({ term: pattern, regex: new RegExp(pattern, 'i'), weight }))
+        }));
+        return {
+            synonyms,
+            threshold: raw.threshold || 2,
+            secondaryThreshold: raw.secondaryThreshold || raw.threshold || 2,
+            intents
+        };
+    }
+
+    // Best match of a word sequence anywhere in the message tokens
+    function sequenceMatch(tokens, sequence) {
+        let best = 0;
+        for (let start = 0; start + sequence.length <= tokens.length; start++) {
+            let factor = 1;
+            for (let k = 0; k < sequence.length && factor > 0; k++) {
+                factor = Math.min(factor, wordMatch(tokens[start + k], sequence[k]));
+            }
+            best = Math.max(best, factor);
+            if (best === 1) break;
+        }
+        return best;
+    }
+
+    function scoreIntent(intent, tokens, text) {
+        let score = 0;
+        const matched = [];
+        const add = (entry, factor) => {
+            score += entry.weight * factor;
+            matched.push(factor === 1 ? entry.term : `~${entry.term}`);
+        };
+
+        // Each message word counts for one keyword at most: exact matches claim their
+        // words first, so "thanks" is not also scored as a misspelled "thank"
+        const used = new Set();
+        const pending = [];
+        intent.keywords.forEach(entry => {
+            const index = tokens.findIndex((token, i) => !used.has(i) && token === entry.tokens[0]);
+            if (index >= 0) {
+                used.add(index);
+                add(entry, 1);
+            } else {
+                pending.push(entry);
+            }
+        });
+        pending.forEach(entry => {
+            const index = tokens.findIndex((token, i) => !used.has(i) && wordMatch(token, entry.tokens[0]) > 0);
+            if (index >= 0) {
+                used.add(index);
+                add(entry, FUZZY_WEIGHT);
+            }
+        });
+
+        intent.phrases.forEach(entry => {
+            const factor = sequenceMatch(tokens, entry.tokens);
+            if (factor > 0) add(entry, factor);
+        });
+        intent.patterns.forEach(entry => {
+            if (entry.regex.test(text)) {
+                score += entry.weight;
+                matched.push(`/${entry.term}/`);
+            }
+        });
+        return { score: Math.round(score * 100) / 100, matched };
+    }
+
+    function load() {
+        const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        config = compile(raw); // Only replaced once the whole file compiled
+        console.log(`[Intents] Loaded ${config.intents.length} intents from ${file}`);
+        return config.intents.length;
+    }
+
+    // Score every intent; returns matches at or above their threshold, best first
+    function classify(message) {
+        const text = (message || '').toLowerCase().trim();
+        const tokens = tokenize(text, config.synonyms);
+        const intents = config.intents
+            .map(intent => ({ name: intent.name, type: intent.type, prefix: intent.prefix, response: intent.response, threshold: intent.threshold, ...scoreIntent(intent, tokens, text) }))
+            .filter(result => result.score >= result.threshold)
+            .sort((a, b) => b.score - a.score);
+        return { intents, tokens, secondaryThreshold: config.secondaryThreshold };
+    }
+
+    load();
+
+    return {
+        classify,
+        reload: load,
+        describe: () => ({ file, intents: config.intents.map(i => ({ name: i.name, type: i.type, threshold: i.threshold })) })
+    };
+}
+
+module.exports = { createIntentClassifier, editDistance };
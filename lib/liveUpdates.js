@@ -0,0 +1,106 @@
+// Live order updates over Server-Sent Events
+//
+// Every subscriber is one open SSE response for one order. While anyone is listening the hub
+// calls `poll(subscribers)` once per interval for all of them together, so the caller can share
+// upstream fetches (today's orders, driver locations, route progress) across subscribers on the
+// same route. Each snapshot is split into sections (status, packing, route, driver) and a section
+// is only pushed when its value changed since the last event that subscriber received.
+// A snapshot with an `end` section is pushed and then the stream is closed.
+
+function createLiveUpdates({ poll, intervalMs = 5000, heartbeatMs = 25000 }) {
+    const subscribers = new Map();
+    let nextId = 1;
+    let pollTimer = null;
+    let heartbeatTimer = null;
+    let polling = false;
+
+    function send(subscriber, event, data) {
+        subscriber.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function close(subscriber) {
+        subscribers.delete(subscriber.id);
+        subscriber.res.end();
+        if (subscribers.size === 0) stop();
+    }
+
+    // Send the sections that changed since the subscriber's last update
+    function push(subscriber, snapshot) {
+        if (!subscribers.has(subscriber.id)) return;
+        Object.entries(snapshot).forEach(([section, value]) => {
+            const serialized = JSON.stringify(value);
+            if (subscriber.last[section] === serialized) return;
+            subscriber.last[section] = serialized;
+            send(subscriber, section, value);
+        });
+        if (snapshot.end) close(subscriber);
+    }
+
+    async function update(targets) {
+        try {
+            const snapshots = await poll(targets);
+            targets.forEach(subscriber => {
+                const snapshot = snapshots.get(subscriber.id);
+                if (snapshot) push(subscriber, snapshot);
+            });
+        } catch (error) {
+            console.error('[Live] Update failed:', error.message);
+        }
+    }
+
+    async function tick() {
+        if (polling || subscribers.size === 0) return;
+        polling = true;
+        await update([...subscribers.values()]);
+        polling = false;
+    }
+
+    function start() {
+        pollTimer = setInterval(tick, intervalMs);
+        heartbeatTimer = setInterval(() => {
+            subscribers.forEach(subscriber => subscriber.res.write(': ping\n\n'));
+        }, heartbeatMs);
+        console.log(`[Live] Polling every ${intervalMs / 1000}s`);
+    }
+
+    function stop() {
+        clearInterval(pollTimer);
+        clearInterval(heartbeatTimer);
+        pollTimer = null;
+        heartbeatTimer = null;
+        console.log('[Live] No subscribers, polling stopped');
+    }
+
+    // Turn an Express response into an event stream for one order.
+    // `context` (orderId, storeId, sessionId, ...) is kept on the subscriber for poll().
+    function subscribe(res, context) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Keep proxies from buffering the stream
+        });
+        res.write(`retry: ${intervalMs}\n\n`);
+
+        const subscriber = { ...context, id: nextId++, res, last: {} };
+        subscribers.set(subscriber.id, subscriber);
+        res.on('close', () => {
+            if (!subscribers.has(subscriber.id)) return;
+            subscribers.delete(subscriber.id);
+            if (subscribers.size === 0) stop();
+        });
+
+        if (!pollTimer) start();
+        update([subscriber]); // Initial state right away instead of waiting for the next tick
+        return subscriber;
+    }
+
+    function stats() {
+        const orders = new Set([...subscribers.values()].map(s => `${s.storeId}:${s.orderId}`));
+        return { subscribers: subscribers.size, orders: orders.size };
+    }
+
+    return { subscribe, stats };
+}
+
+module.exports = { createLiveUpdates };
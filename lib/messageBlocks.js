@@ -0,0 +1,48 @@
+// Structured chat replies for native clients
+//
+// Chat handlers return either a markdown string or a reply { text, blocks }. `text` is the markdown
+// the web chat renders; `blocks` are typed components the iOS and Android apps render natively
+// instead of parsing the markdown:
+//   text              { text }                                      markdown paragraph
+//   status_card       { orderId, status, title, step, totalSteps, eta, customer, store, driver, ... }
+//   timeline          { title, cancelled, steps: [{ key, label, state }] }  state: done|current|upcoming
+//   item_list         { title, variant, items: [{ name, quantity, unitPrice, total, ... }] }
+//   payment_breakdown { title, currency, lines: [{ key, label, amount, display }], total, method }
+//   map_link          { kind, label, url }                          kind: location|directions|store
+//   image             { kind, url, caption }
+//   quick_replies     { options: [{ label, message } | { label, action, orderId }] }
+// A quick reply with `message` is sent back to the chat as-is; one with `action` opens a screen
+// (track_driver, packing_status, or claim_photos with a claimId to attach photos to a claim).
+
+const BLOCK_TYPES = ['text', 'status_card', 'timeline', 'item_list', 'payment_breakdown', 'map_link', 'image', 'quick_replies'];
+
+function block(type, fields = {}) {
+    if (!BLOCK_TYPES.includes(type)) throw new Error(`Unknown message block type "${type}"`);
+    return { type, ...fields };
+}
+
+// Plain markdown becomes a single text block
+function createReply(text, blocks) {
+    return { text, blocks: blocks && blocks.length > 0 ? blocks : [block('text', { text })] };
+}
+
+function toReply(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? createReply(value) : value;
+}
+
+// Combine replies (e.g. a "Verified!" line and the order): texts joined by `separator`, blocks in order
+function joinReplies(parts, separator = '\n\n') {
+    const replies = parts.filter(part => part !== null && part !== undefined && part !== '').map(toReply);
+    return {
+        text: replies.map(reply => reply.text).join(separator),
+        blocks: replies.reduce((blocks, reply) => blocks.concat(reply.blocks), [])
+    };
+}
+
+function replyText(value) {
+    const reply = toReply(value);
+    return reply ? reply.text : null;
+}
+
+module.exports = { BLOCK_TYPES, block, createReply, toReply, joinReplies, replyText };
@@ -0,0 +1,114 @@
+// Metrics - counters, gauges and histograms rendered in the Prometheus text format
+//
+//   counter(name, help, { collect })  -> { inc(labels, by = 1) }
+//   gauge(name, help, { collect })    -> { set(labels, value) }
+//   histogram(name, help, { buckets }) -> { observe(labels, value) }
+//   render()                          -> the exposition text served at GET /metrics
+// `collect()` returns [{ labels, value }] at scrape time, for numbers another module already keeps
+// (session counts, cache stats) - such a metric reports only what collect() returns.
+// Label values should come from small fixed sets (route patterns, intent names), never from user input.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels = {}) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    return entries.length ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function labelKey(labels = {}) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+function createMetrics() {
+    const metrics = [];
+
+    function register(type, name, help, options = {}) {
+        if (metrics.some(metric => metric.name === name)) throw new Error(`Metric "${name}" is registered twice`);
+        const metric = { type, name, help, collect: options.collect || null, series: new Map() };
+        metrics.push(metric);
+        return metric;
+    }
+
+    function counter(name, help, options) {
+        const metric = register('counter', name, help, options);
+        return {
+            inc: (labels = {}, by = 1) => {
+                const key = labelKey(labels);
+                const series = metric.series.get(key) || { labels, value: 0 };
+                series.value += by;
+                metric.series.set(key, series);
+            }
+        };
+    }
+
+    function gauge(name, help, options) {
+        const metric = register('gauge', name, help, options);
+        return {
+            set: (labels = {}, value) => metric.series.set(labelKey(labels), { labels, value })
+        };
+    }
+
+    function histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+        const metric = register('histogram', name, help);
+        metric.buckets = [...buckets].sort((a, b) => a - b);
+        return {
+            observe: (labels = {}, value) => {
+                const key = labelKey(labels);
+                const series = metric.series.get(key) ||
+                    { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+                metric.buckets.forEach((bound, index) => {
+                    if (value <= bound) series.counts[index]++;
+                });
+                series.sum += value;
+                series.count++;
+                metric.series.set(key, series);
+            }
+        };
+    }
+
+    function renderMetric(metric) {
+        const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+        if (metric.type === 'histogram') {
+            metric.series.forEach(({ labels, counts, sum, count }) => {
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${metric.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+                lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+            });
+            return lines;
+        }
+        const samples = metric.collect ? metric.collect() : Array.from(metric.series.values());
+        samples.forEach(({ labels, value }) => {
+            lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+        return lines;
+    }
+
+    // A collector that throws shouldn't take the whole scrape down
+    function render() {
+        return metrics.map(metric => {
+            try {
+                return renderMetric(metric).join('\n');
+            } catch (error) {
+                console.error(`[Metrics] Collecting ${metric.name} failed:`, error.message);
+                return `# HELP ${metric.name} ${metric.help}\n# TYPE ${metric.name} ${metric.type}`;
+            }
+        }).join('\n') + '\n';
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
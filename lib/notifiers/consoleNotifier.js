@@ -0,0 +1,12 @@
+// Console notifier - prints messages to the server log (local stand-in for SMS/email)
+
+function createConsoleNotifier() {
+    async function send({ channel, to, subject, text }) {
+        console.log(`[Notifier] ${channel.toUpperCase()} to ${to}${subject ? ` (${subject})` : ''}: ${text}`);
+        return { delivered: true };
+    }
+
+    return { name: 'console', send };
+}
+
+module.exports = { createConsoleNotifier };
@@ -0,0 +1,21 @@
+// File notifier - appends every message as a JSON line to an outbox file (local stand-in for SMS/email)
+
+const fs = require('fs');
+const path = require('path');
+
+function createFileNotifier(options = {}) {
+    const filePath = options.file;
+    if (!filePath) throw new Error('File notifier requires a file path');
+
+    async function send({ channel, to, subject, text }) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const line = JSON.stringify({ channel, to, subject: subject || null, text, sentAt: new Date().toISOString() });
+        await fs.promises.appendFile(filePath, line + '\n');
+        console.log(`[Notifier] ${channel.toUpperCase()} written to ${filePath}`);
+        return { delivered: true };
+    }
+
+    return { name: 'file', send };
+}
+
+module.exports = { createFileNotifier };
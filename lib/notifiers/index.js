@@ -0,0 +1,20 @@
+// Customer notifiers (SMS / email)
+//
+// Every notifier exposes:
+//   name                                      - notifier identifier
+//   send({ channel, to, subject, text })      - deliver a message; channel is 'sms' or 'email'
+// Real SMS/email providers plug in here; 'console' and 'file' are local stand-ins.
+
+const path = require('path');
+const { createConsoleNotifier } = require('./consoleNotifier');
+const { createFileNotifier } = require('./fileNotifier');
+
+const DEFAULT_OUTBOX_FILE = path.join(__dirname, '..', '..', '.data', 'outbox.jsonl');
+
+function createNotifier(type = 'console', options = {}) {
+    if (type === 'console') return createConsoleNotifier();
+    if (type === 'file') return createFileNotifier({ file: options.file || DEFAULT_OUTBOX_FILE });
+    throw new Error(`Unknown notifier "${type}" (expected one of: console, file)`);
+}
+
+module.exports = { createNotifier };
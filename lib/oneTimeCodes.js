@@ -0,0 +1,94 @@
+// One-time verification codes sent to the phone or email on file for an order
+//
+// Codes are kept hashed (HMAC with the API secret) in a session store keyed by session + order,
+// expire after a few minutes and are invalidated after too many wrong attempts.
+
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+
+function createOneTimeCodes({ secret, store, notifier, ttlMs = 10 * 60 * 1000, length = 6, maxAttempts = 5, resendCooldownMs = 30 * 1000 }) {
+    function key(sessionId, orderId) {
+        return `${sessionId}:${orderId}`;
+    }
+
+    function hash(code, sessionId, orderId) {
+        return CryptoJS.HmacSHA256(`${sessionId}:${orderId}:${code}`, secret).toString();
+    }
+
+    // Compared in constant time, so how long a wrong code takes says nothing about the stored hash
+    function matches(code, sessionId, orderId, storedHash) {
+        const actual = Buffer.from(hash(code, sessionId, orderId), 'hex');
+        const expected = Buffer.from(String(storedHash || ''), 'hex');
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    function generateCode() {
+        return String(crypto.randomInt(0, 10 ** length)).padStart(length, '0');
+    }
+
+    // Send a new code. Returns { sent: true, expiresIn } or { error, code }.
+    async function send({ sessionId, orderId, channel, to, storeName }) {
+        if (!to) {
+            return { error: `No ${channel === 'sms' ? 'phone number' : 'email address'} on file for this order`, code: 'NO_CONTACT' };
+        }
+
+        const existing = store.get(key(sessionId, orderId));
+        if (existing && Date.now() - existing.sentAt < resendCooldownMs) {
+            return { error: 'A code was just sent. Please wait a moment before requesting another.', code: 'OTP_COOLDOWN' };
+        }
+
+        const code = generateCode();
+        const minutes = Math.round(ttlMs / 60000);
+        await notifier.send({
+            channel,
+            to,
+            subject: channel === 'email' ? `Your ${storeName || 'iPerkz'} verification code` : null,
+            text: `Your ${storeName || 'iPerkz'} code for order #${orderId} is ${code}. It expires in ${minutes} minutes.`
+        });
+
+        store.set(key(sessionId, orderId), {
+            hash: hash(code, sessionId, orderId),
+            channel,
+            attempts: 0,
+            sentAt: Date.now()
+        }, ttlMs);
+        return { sent: true, expiresIn: ttlMs };
+    }
+
+    // Whether a code is outstanding for this session (optionally for one order)
+    function pendingOrder(sessionId) {
+        for (const [entryKey] of store.entries()) {
+            if (entryKey.startsWith(`${sessionId}:`) && store.get(entryKey)) {
+                return entryKey.slice(sessionId.length + 1);
+            }
+        }
+        return null;
+    }
+
+    // Check a code. Returns { valid: true } or { valid: false, error, code } (plus attemptsLeft for OTP_INVALID).
+    function verify({ sessionId, orderId, code }) {
+        const entryKey = key(sessionId, orderId);
+        const entry = store.get(entryKey);
+        if (!entry) {
+            return { valid: false, error: 'No active code for this order. Please request a new one.', code: 'OTP_NOT_FOUND' };
+        }
+
+        if (matches(String(code).trim(), sessionId, orderId, entry.hash)) {
+            store.delete(entryKey);
+            return { valid: true };
+        }
+
+        entry.attempts++;
+        if (entry.attempts >= maxAttempts) {
+            store.delete(entryKey);
+            return { valid: false, error: 'Too many incorrect codes. Please request a new one.', code: 'OTP_ATTEMPTS_EXCEEDED' };
+        }
+        store.set(entryKey, entry);
+        const attemptsLeft = maxAttempts - entry.attempts;
+        return { valid: false, error: `Incorrect code. ${attemptsLeft} attempt(s) left.`, code: 'OTP_INVALID', attemptsLeft };
+    }
+
+    return { send, verify, pendingOrder, codeLength: length };
+}
+
+module.exports = { createOneTimeCodes };
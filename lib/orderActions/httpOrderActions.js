@@ -0,0 +1,36 @@
+// HTTP order actions - submits order changes to the delivery-routes service
+// Submissions aren't retried (a cancellation that timed out may still have gone through).
+
+const { DEFAULT_BASE_URL } = require('../dataSources/httpDataSource');
+
+function createHttpOrderActions(options = {}) {
+    const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const cancelUrl = `${baseUrl}/cancel-order`;
+    const timeoutMs = options.timeoutMs || 10000;
+
+    async function cancelOrder({ storeId, orderId, reason, note, requestedBy }) {
+        const response = await fetch(cancelUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ storeId, orderId: parseInt(orderId, 10), reason, note, requestedBy }),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        const data = await response.json();
+        if (!data || !data.success) {
+            return {
+                cancelled: false,
+                error: (data && data.error) || `Cancellation failed (HTTP ${response.status})`,
+                code: (data && data.code) || 'CANCEL_REJECTED'
+            };
+        }
+        return { cancelled: true, reference: data.cancellationId || null, refund: data.refund || null };
+    }
+
+    return {
+        name: 'http',
+        cancelOrder,
+        describe: () => ({ type: 'http', cancelUrl, timeoutMs })
+    };
+}
+
+module.exports = { createHttpOrderActions };
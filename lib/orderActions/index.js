@@ -0,0 +1,30 @@
+// Order-action adapters (changes to an order, e.g. cancellation)
+//
+// Every adapter exposes the same interface:
+//   name                                                        - adapter identifier
+//   cancelOrder({ storeId, orderId, reason, note, requestedBy }) - cancel an order; resolves to
+//       { cancelled: true, reference, refund? } or { cancelled: false, error, code } when refused
+//   describe()                                                  - adapter details for health/debug output
+// Adapters throw on transport errors. 'http' calls the delivery-routes service; 'local' is a
+// stand-in that records actions in a JSON-lines file.
+
+const path = require('path');
+const { createHttpOrderActions } = require('./httpOrderActions');
+const { createLocalOrderActions } = require('./localOrderActions');
+
+const DEFAULT_ACTIONS_FILE = path.join(__dirname, '..', '..', '.data', 'order-actions.jsonl');
+
+const adapters = {
+    http: options => createHttpOrderActions(options),
+    local: options => createLocalOrderActions({ file: options.file || DEFAULT_ACTIONS_FILE })
+};
+
+function createOrderActions(type = 'http', options = {}) {
+    const factory = adapters[type];
+    if (!factory) {
+        throw new Error(`Unknown order actions adapter "${type}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = { createOrderActions };
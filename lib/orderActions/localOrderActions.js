@@ -0,0 +1,27 @@
+// Local order actions - appends every action as a JSON line to a file (stand-in for the
+// delivery-routes service when developing against fixtures)
+
+const fs = require('fs');
+const path = require('path');
+
+function createLocalOrderActions(options = {}) {
+    const filePath = options.file;
+    if (!filePath) throw new Error('Local order actions require a file path');
+
+    async function cancelOrder({ storeId, orderId, reason, note, requestedBy }) {
+        const reference = `LOCAL-${Date.now().toString(36).toUpperCase()}`;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const line = JSON.stringify({ action: 'cancel', reference, storeId, orderId: String(orderId), reason, note: note || null, requestedBy, at: new Date().toISOString() });
+        await fs.promises.appendFile(filePath, line + '\n');
+        console.log(`[OrderActions] Cancellation of order #${orderId} written to ${filePath}`);
+        return { cancelled: true, reference, refund: null };
+    }
+
+    return {
+        name: 'local',
+        cancelOrder,
+        describe: () => ({ type: 'local', file: filePath })
+    };
+}
+
+module.exports = { createLocalOrderActions };
@@ -0,0 +1,101 @@
+// Order status transitions, detected by diffing successive today's-orders snapshots
+//
+// The delivery backend has no change feed, so the watcher polls the same today's-orders
+// feed used for live tracking and compares each order's status with the previous poll.
+// Every change becomes an event such as `order.out_for_delivery`; an order that shows up
+// for the first time as PLACED becomes `order.placed`. The first poll only records a baseline.
+
+const ORDER_EVENT_TYPES = [
+    'order.placed',
+    'order.started',
+    'order.completed',
+    'order.out_for_delivery',
+    'order.delivered',
+    'order.cancelled'
+];
+
+function eventTypeFor(status) {
+    return `order.${String(status).toLowerCase()}`;
+}
+
+function orderKey(order) {
+    return `${order.storeId || ''}:${order.customerOrderId}`;
+}
+
+// Compare a snapshot (Map of orderKey -> status) with the current orders.
+// Returns { snapshot, events } where events are { type, previousStatus, status, order }.
+function diffOrderStatuses(previous, orders) {
+    const snapshot = new Map();
+    const events = [];
+
+    orders.forEach(order => {
+        const key = orderKey(order);
+        const status = order.orderStatus;
+        snapshot.set(key, status);
+
+        if (!previous.has(key)) {
+            if (status === 'PLACED') {
+                events.push({ type: 'order.placed', previousStatus: null, status, order });
+            }
+            return;
+        }
+
+        const previousStatus = previous.get(key);
+        if (previousStatus !== status) {
+            events.push({ type: eventTypeFor(status), previousStatus, status, order });
+        }
+    });
+
+    return { snapshot, events };
+}
+
+// Poll `fetchOrders` every `intervalMs` and call `onEvent` for each transition.
+// While `isActive()` is false (e.g. nobody subscribed) nothing is fetched and the baseline is dropped.
+function createOrderStatusWatcher({ fetchOrders, onEvent, intervalMs = 15000, isActive = () => true }) {
+    let snapshot = null;
+    let running = false;
+
+    async function poll() {
+        if (running) return [];
+        if (!isActive()) {
+            snapshot = null;
+            return [];
+        }
+
+        running = true;
+        try {
+            const orders = await fetchOrders();
+            // An empty feed is far more likely a failed fetch than every order vanishing
+            if (!orders || orders.length === 0) return [];
+
+            if (!snapshot) {
+                snapshot = diffOrderStatuses(new Map(), orders).snapshot;
+                console.log(`[Events] Baseline of ${snapshot.size} order statuses recorded`);
+                return [];
+            }
+
+            const result = diffOrderStatuses(snapshot, orders);
+            snapshot = result.snapshot;
+            result.events.forEach(event => {
+                console.log(`[Events] Order #${event.order.customerOrderId}: ${event.previousStatus || 'new'} -> ${event.status}`);
+                onEvent(event);
+            });
+            return result.events;
+        } catch (error) {
+            console.error('[Events] Poll failed:', error.message);
+            return [];
+        } finally {
+            running = false;
+        }
+    }
+
+    const timer = setInterval(poll, intervalMs);
+    timer.unref();
+
+    return {
+        poll,
+        stop: () => clearInterval(timer)
+    };
+}
+
+module.exports = { createOrderStatusWatcher, diffOrderStatuses, ORDER_EVENT_TYPES };
@@ -0,0 +1,156 @@
+// Order repository - cached order lists indexed by order ID, route, phone and status
+//
+// Orders are loaded per key (a store ID for order history, one key for the all-store feed of today's
+// orders) and kept as a snapshot with its indexes, so lookups don't scan 60+ days of orders.
+//   - fresh (younger than `ttlMs`): served from the snapshot
+//   - stale (younger than `maxStaleMs`): served from the snapshot straight away while one background
+//     refresh fetches the new list
+//   - missing or too old: the caller waits for the refresh
+// An order ID that isn't in a stale snapshot waits for the refresh before it is reported missing, so
+// orders placed since the last fetch are found.
+// Concurrent refreshes of a key share one upstream call. A failed refresh keeps the last snapshot,
+// and isAvailable(key) is false until a refresh works again (a missing order may just not be fetched).
+// `prepare(orders, key)` runs on every loaded list (e.g. applying recorded cancellations) and again on
+// reindex(), for when cached orders were changed in place.
+
+const { normalizeRouteId } = require('./routes');
+
+function normalizePhone(phone) {
+    return String(phone || '').replace(/[^0-9]/g, '').slice(-10);
+}
+
+function addTo(index, key, order) {
+    if (!key) return;
+    const list = index.get(key);
+    if (list) list.push(order);
+    else index.set(key, [order]);
+}
+
+function buildIndexes(orders) {
+    const byId = new Map();
+    const byRoute = new Map();
+    const byPhone = new Map();
+    const byStatus = new Map();
+    orders.forEach(order => {
+        byId.set(String(order.customerOrderId), order);
+        addTo(byRoute, normalizeRouteId(order.deliveryAssociate), order);
+        addTo(byPhone, normalizePhone(order.phone), order);
+        addTo(byStatus, order.orderStatus, order);
+    });
+    return { byId, byRoute, byPhone, byStatus };
+}
+
+function createOrderRepository({
+    name,
+    load,                        // async (key) => orders array, or null when there is nothing new
+    ttlMs = 30000,
+    maxStaleMs = 2 * 60 * 1000,  // Older snapshots are refreshed before answering
+    prepare = orders => orders
+}) {
+    const snapshots = new Map(); // key -> { orders, indexes, fetchedAt }
+    const inFlight = new Map();  // key -> refresh promise
+    const failures = new Map();  // key -> { error, code, failedAt } while the key's refreshes fail
+    const counters = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshes: 0, errors: 0 };
+
+    // Fetch a key's orders, sharing the call with any refresh already running for it
+    function refresh(key) {
+        if (inFlight.has(key)) {
+            counters.coalesced++;
+            return inFlight.get(key);
+        }
+        const started = Date.now();
+        const promise = (async () => {
+            try {
+                const orders = await load(key);
+                if (!orders) return snapshots.get(key) || null;
+                const prepared = prepare(orders, key);
+                const snapshot = { orders: prepared, indexes: buildIndexes(prepared), fetchedAt: started };
+                snapshots.set(key, snapshot);
+                counters.refreshes++;
+                if (failures.delete(key)) console.log(`[Orders] ${name} orders for ${key} are available again`);
+                return snapshot;
+            } catch (error) {
+                counters.errors++;
+                // Logged once per outage: while a circuit is open every request would fail the same way
+                if (!failures.has(key)) console.error(`[Orders] Refreshing ${name} orders for ${key} failed:`, error.message);
+                failures.set(key, { error: error.message, code: error.code || null, failedAt: new Date().toISOString() });
+                return snapshots.get(key) || null;
+            } finally {
+                inFlight.delete(key);
+            }
+        })();
+        inFlight.set(key, promise);
+        return promise;
+    }
+
+    async function getSnapshot(key) {
+        const snapshot = snapshots.get(key);
+        const age = snapshot ? Date.now() - snapshot.fetchedAt : Infinity;
+        if (age < ttlMs) {
+            counters.hits++;
+            return snapshot;
+        }
+        if (age < maxStaleMs) {
+            counters.staleHits++;
+            refresh(key);
+            return snapshot;
+        }
+        counters.misses++;
+        return refresh(key);
+    }
+
+    function isStale(snapshot) {
+        return !snapshot || Date.now() - snapshot.fetchedAt >= ttlMs;
+    }
+
+    async function lookup(key, index, value) {
+        const snapshot = await getSnapshot(key);
+        return snapshot ? snapshot.indexes[index].get(value) || [] : [];
+    }
+
+    // Rebuild indexes after cached orders were changed in place (runs `prepare` again)
+    function reindex() {
+        snapshots.forEach((snapshot, key) => {
+            snapshot.orders = prepare(snapshot.orders, key);
+            snapshot.indexes = buildIndexes(snapshot.orders);
+        });
+    }
+
+    return {
+        getAll: async (key) => {
+            const snapshot = await getSnapshot(key);
+            return snapshot ? snapshot.orders : [];
+        },
+        findById: async (key, orderId) => {
+            const id = String(parseInt(orderId, 10));
+            let snapshot = await getSnapshot(key);
+            let order = snapshot ? snapshot.indexes.byId.get(id) : null;
+            if (!order && snapshot && isStale(snapshot)) {
+                snapshot = await refresh(key);
+                order = snapshot ? snapshot.indexes.byId.get(id) : null;
+            }
+            return order || null;
+        },
+        findByRoute: (key, routeId) => lookup(key, 'byRoute', normalizeRouteId(routeId)),
+        findByPhone: (key, phone) => lookup(key, 'byPhone', normalizePhone(phone)),
+        findByStatus: (key, status) => lookup(key, 'byStatus', status),
+        isAvailable: (key) => !failures.has(key),
+        refresh,
+        reindex,
+        invalidate: (key) => (key === undefined ? snapshots.clear() : snapshots.delete(key)),
+        stats: () => {
+            const served = counters.hits + counters.staleHits + counters.misses;
+            return {
+                ...counters,
+                hitRate: served ? Math.round(((counters.hits + counters.staleHits) / served) * 100) / 100 : null,
+                keys: snapshots.size,
+                orders: Array.from(snapshots.values()).reduce((total, snapshot) => total + snapshot.orders.length, 0),
+                refreshing: inFlight.size,
+                failing: Object.fromEntries(failures),
+                ttlMs
+            };
+        }
+    };
+}
+
+module.exports = { createOrderRepository };
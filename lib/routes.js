@@ -0,0 +1,127 @@
+// Delivery routes - route IDs parsed into driver, zone and service date, and routes built from their stops
+//
+// The delivery backend names each day's route "<driver>-<zone>-<M.D.YY>" ("kranthi-west-10.18.26",
+// "Jag-edison-1.22.26") and puts it in the deliveryAssociate of every order on the route, with the
+// order's place in the run in deliverySeq. Words inside a name or zone are joined with underscores,
+// spaces or further dashes ("mary_ann-south-plainfield-1.22.26"): the first segment is the driver
+// and the rest the zone, unless `driverIds` has a longer match ("mary-ann").
+
+const ROUTE_DATE_PATTERN = /^(.*?)-(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local calendar day as YYYY-MM-DD (route dates are the store's days, not UTC ones)
+function formatServiceDate(date = new Date()) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// "south_plainfield" / "south-plainfield" -> "South Plainfield"
+function toDisplayName(text) {
+    return String(text || '')
+        .split(/[-_\s]+/)
+        .filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+function normalizeRouteId(routeId) {
+    return String(routeId || '').replace(/"/g, '').trim().toLowerCase();
+}
+
+function sameRoute(a, b) {
+    const id = normalizeRouteId(a);
+    return Boolean(id) && id === normalizeRouteId(b);
+}
+
+// "10.18.26" parts -> "2026-10-18", or null when it isn't a real date
+function toServiceDate(month, day, year) {
+    const fullYear = year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+    const date = new Date(fullYear, parseInt(month, 10) - 1, parseInt(day, 10));
+    if (date.getMonth() !== parseInt(month, 10) - 1 || date.getDate() !== parseInt(day, 10)) return null;
+    return formatServiceDate(date);
+}
+
+// Parse a route ID. Returns { id, name, driver, driverKey, zone, serviceDate } or null for an empty value.
+// `name` is the ID without its date ("kranthi-west"); serviceDate is YYYY-MM-DD or null when the ID has none.
+function parseRouteId(raw, { driverIds = [] } = {}) {
+    const id = String(raw || '').replace(/"/g, '').trim();
+    if (!id) return null;
+
+    let body = id;
+    let serviceDate = null;
+    const dated = id.match(ROUTE_DATE_PATTERN);
+    if (dated) {
+        serviceDate = toServiceDate(dated[2], dated[3], dated[4]);
+        if (serviceDate) body = dated[1];
+    }
+
+    const lower = body.toLowerCase();
+    const knownDriver = driverIds
+        .map(driverId => String(driverId).toLowerCase())
+        .filter(driverId => lower === driverId || lower.startsWith(`${driverId}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    const separator = knownDriver ? knownDriver.length : (body.indexOf('-') === -1 ? body.length : body.indexOf('-'));
+    const driverPart = body.slice(0, separator);
+    const zonePart = body.slice(separator + 1);
+
+    return {
+        id,
+        name: lower,
+        driver: toDisplayName(driverPart),
+        driverKey: driverPart.toLowerCase(),
+        zone: zonePart ? toDisplayName(zonePart) : null,
+        serviceDate
+    };
+}
+
+// Stops in delivery sequence; stops without a sequence number go last
+function sortStops(orders) {
+    const seq = (order) => (order.deliverySeq === null || order.deliverySeq === undefined ? Infinity : order.deliverySeq);
+    return [...orders].sort((a, b) => seq(a) - seq(b));
+}
+
+// A route (from parseRouteId) with its orders as stops. Cancelled stops are listed but don't count
+// towards progress. status: 'planned' (nothing out for delivery yet), 'in_progress' or 'completed'.
+function buildRoute(route, orders) {
+    const stops = sortStops(orders).map(order => ({
+        seq: order.deliverySeq === undefined ? null : order.deliverySeq,
+        orderId: order.customerOrderId,
+        status: order.orderStatus,
+        address: order.address || null,
+        customerName: `${order.firstName || ''} ${order.lastName || ''}`.trim()
+    }));
+    const active = stops.filter(stop => stop.status !== 'CANCELLED');
+    const delivered = active.filter(stop => stop.status === 'DELIVERED');
+    const currentStop = active.find(stop => stop.status !== 'DELIVERED') || null;
+
+    let status = 'planned';
+    if (active.length > 0 && delivered.length === active.length) status = 'completed';
+    else if (delivered.length > 0 || active.some(stop => stop.status === 'OUT_FOR_DELIVERY')) status = 'in_progress';
+
+    return {
+        routeId: route.id,
+        name: route.name,
+        driver: route.driver,
+        zone: route.zone,
+        serviceDate: route.serviceDate,
+        status,
+        totalStops: active.length,
+        completedStops: delivered.length,
+        pendingStops: active.length - delivered.length,
+        cancelledStops: stops.length - active.length,
+        progressPercent: active.length ? Math.round((delivered.length / active.length) * 100) : 0,
+        currentStop,
+        lastDeliveredStop: delivered.length ? delivered[delivered.length - 1] : null,
+        stops
+    };
+}
+
+module.exports = {
+    parseRouteId,
+    buildRoute,
+    sortStops,
+    sameRoute,
+    normalizeRouteId,
+    formatServiceDate,
+    toDisplayName
+};
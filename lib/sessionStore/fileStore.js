@@ -0,0 +1,85 @@
+// File-backed session store - keeps entries in memory and persists them to a JSON file
+// so sessions and pending verifications survive restarts and deploys
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+
+const PERSIST_DELAY = 250; // ms - batch bursts of writes into one file write
+
+// Sets (verified order IDs) are not JSON-serialisable, so tag them
+function replacer(key, value) {
+    if (value instanceof Set) return { __set: Array.from(value) };
+    return value;
+}
+
+function reviver(key, value) {
+    if (value && typeof value === 'object' && Array.isArray(value.__set)) return new Set(value.__set);
+    return value;
+}
+
+function createFileStore(options = {}) {
+    const filePath = options.file;
+    if (!filePath) throw new Error('File session store requires a file path');
+
+    const store = createMemoryStore();
+    let persistTimer = null;
+
+    // Load previously persisted entries
+    try {
+        if (fs.existsSync(filePath)) {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'), reviver);
+            Object.entries(saved).forEach(([key, entry]) => store.entries().set(key, entry));
+            const removed = store.sweep();
+            console.log(`[Sessions] Loaded ${store.size()} entries from ${filePath}${removed ? ` (${removed} expired)` : ''}`);
+        }
+    } catch (error) {
+        console.error(`[Sessions] Could not load ${filePath}:`, error.message);
+    }
+
+    // Write atomically (temp file + rename) so a crash never leaves a half-written file
+    function flush() {
+        if (persistTimer) {
+            clearTimeout(persistTimer);
+            persistTimer = null;
+        }
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const data = JSON.stringify(Object.fromEntries(store.entries()), replacer);
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, data);
+            fs.renameSync(tmpPath, filePath);
+        } catch (error) {
+            console.error(`[Sessions] Could not persist ${filePath}:`, error.message);
+        }
+    }
+
+    function schedulePersist() {
+        if (persistTimer) return;
+        persistTimer = setTimeout(flush, PERSIST_DELAY);
+        persistTimer.unref();
+    }
+
+    return {
+        ...store,
+        type: 'file',
+        set(key, value, ttlMs) {
+            store.set(key, value, ttlMs);
+            schedulePersist();
+            return value;
+        },
+        delete(key) {
+            const deleted = store.delete(key);
+            if (deleted) schedulePersist();
+            return deleted;
+        },
+        sweep(now) {
+            const removed = store.sweep(now);
+            if (removed) schedulePersist();
+            return removed;
+        },
+        flush
+    };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,42 @@
+// Session stores for customer sessions and pending verifications
+//
+// Every store exposes the same synchronous interface:
+//   get(key) / has(key)           - live (non-expired) value lookup
+//   getEntry(key)                 - raw { value, expiresAt } entry, even if expired
+//   set(key, value, ttlMs)        - store a value; without ttlMs an existing expiry is kept
+//   delete(key)                   - remove an entry
+//   sweep(now)                    - remove expired entries, returns the number removed
+//   size()                        - number of stored entries
+//   flush()                       - persist pending writes (no-op for memory)
+// Values are re-saved with set() after being mutated so persistent backends see the change.
+
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', '.data');
+
+function createSessionStore(name, type = 'memory', options = {}) {
+    if (type === 'memory') return createMemoryStore();
+    if (type === 'file') {
+        const dataDir = options.dataDir || DEFAULT_DATA_DIR;
+        return createFileStore({ file: path.join(dataDir, `${name}.json`) });
+    }
+    throw new Error(`Unknown session store "${type}" (expected one of: memory, file)`);
+}
+
+// Periodically remove expired entries from the given stores
+function startSessionSweeper(stores, intervalMs) {
+    const timer = setInterval(() => {
+        const removed = Object.entries(stores)
+            .map(([name, store]) => [name, store.sweep()])
+            .filter(([, count]) => count > 0);
+        if (removed.length > 0) {
+            console.log(`[Sessions] Swept expired entries: ${removed.map(([name, count]) => `${name}=${count}`).join(', ')}`);
+        }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = { createSessionStore, startSessionSweeper, createMemoryStore, createFileStore };
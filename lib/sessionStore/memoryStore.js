@@ -0,0 +1,72 @@
+// In-memory session store - entries are lost on restart
+
+function createMemoryStore() {
+    const entries = new Map(); // key -> { value, expiresAt }
+
+    function isExpired(entry, now = Date.now()) {
+        return entry.expiresAt !== null && entry.expiresAt <= now;
+    }
+
+    // Raw entry including expired ones (callers that need to tell "expired" from "unknown")
+    function getEntry(key) {
+        return entries.get(key) || null;
+    }
+
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        if (isExpired(entry)) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    function has(key) {
+        return get(key) !== undefined;
+    }
+
+    // Store a value. Without ttlMs an existing entry keeps its expiry (so mutated values can be re-saved)
+    function set(key, value, ttlMs) {
+        const existing = entries.get(key);
+        let expiresAt = null;
+        if (ttlMs) {
+            expiresAt = Date.now() + ttlMs;
+        } else if (existing) {
+            expiresAt = existing.expiresAt;
+        }
+        entries.set(key, { value, expiresAt });
+        return value;
+    }
+
+    function del(key) {
+        return entries.delete(key);
+    }
+
+    // Remove every expired entry, returns the number removed
+    function sweep(now = Date.now()) {
+        let removed = 0;
+        for (const [key, entry] of entries) {
+            if (isExpired(entry, now)) {
+                entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    return {
+        type: 'memory',
+        get,
+        getEntry,
+        has,
+        set,
+        delete: del,
+        sweep,
+        size: () => entries.size,
+        entries: () => entries,
+        flush: () => {}
+    };
+}
+
+module.exports = { createMemoryStore };
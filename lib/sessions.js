@@ -0,0 +1,158 @@
+// Unified customer sessions for web and mobile clients
+//
+// Clients receive a signed session token: base64url(claims) + '.' + HMAC-SHA256 signature.
+// The claims carry the session ID, store, device binding and expiry, so a token can be
+// validated without a lookup and forged or tampered tokens are rejected outright.
+// Mutable session state (verified order IDs, chat language, conversation context) lives in the session
+// store under the session ID.
+//
+// Verified orders carry an access level: 'status' (order status only, e.g. after a name match)
+// or 'full' (contact details, address, payment and delivery photos, after a one-time code).
+
+const CryptoJS = require('crypto-js');
+const { v4: uuidv4 } = require('uuid');
+const { createContext } = require('./conversationContext');
+
+function encodeClaims(claims) {
+    return CryptoJS.enc.Utf8.parse(JSON.stringify(claims)).toString(CryptoJS.enc.Base64url);
+}
+
+function decodeClaims(encoded) {
+    return JSON.parse(CryptoJS.enc.Base64url.parse(encoded).toString(CryptoJS.enc.Utf8));
+}
+
+// Compare signatures without leaking the position of the first mismatch
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+function createSessionManager({ secret, store, expiryMs }) {
+    if (!secret) throw new Error('Session manager requires a signing secret');
+
+    function sign(encodedClaims) {
+        return CryptoJS.HmacSHA256(encodedClaims, secret).toString(CryptoJS.enc.Base64url);
+    }
+
+    // Device IDs are hashed into the token so they are not readable from it
+    function hashDevice(deviceId) {
+        return CryptoJS.SHA256(`${secret}:${deviceId}`).toString(CryptoJS.enc.Base64url).slice(0, 22);
+    }
+
+    function createSessionRecord(claims, details = {}) {
+        return {
+            id: claims.sid,
+            storeId: claims.store,
+            deviceHash: claims.dev,
+            platform: details.platform || 'unknown',
+            appVersion: details.appVersion || null,
+            language: details.language || null,
+            languageSource: details.language ? 'selected' : null, // 'selected' (explicit choice) or 'detected'
+            createdAt: claims.iat,
+            expiresAt: claims.exp,
+            verifiedOrders: new Set(),
+            fullAccessOrders: new Set(),
+            context: createContext()
+        };
+    }
+
+    // Issue a new session and its token
+    function issue({ storeId, deviceId, platform, appVersion, language }) {
+        const now = Date.now();
+        const claims = {
+            sid: uuidv4(),
+            store: storeId,
+            dev: hashDevice(deviceId),
+            iat: now,
+            exp: now + expiryMs
+        };
+        const encoded = encodeClaims(claims);
+        const token = `${encoded}.${sign(encoded)}`;
+        const session = createSessionRecord(claims, { platform, appVersion, language });
+        store.set(session.id, session, expiryMs);
+        return { token, session };
+    }
+
+    // Validate a token for a device. Returns { session } or { error, code }.
+    function authenticate(token, deviceId) {
+        if (!token) {
+            return { error: 'Session token required', code: 'UNAUTHORIZED' };
+        }
+
+        const [encoded, signature, extra] = String(token).split('.');
+        if (!encoded || !signature || extra !== undefined || !safeEqual(sign(encoded), signature)) {
+            return { error: 'Invalid session token', code: 'INVALID_SESSION' };
+        }
+
+        let claims;
+        try {
+            claims = decodeClaims(encoded);
+        } catch (error) {
+            return { error: 'Invalid session token', code: 'INVALID_SESSION' };
+        }
+        if (!claims || !claims.sid || !claims.exp) {
+            return { error: 'Invalid session token', code: 'INVALID_SESSION' };
+        }
+
+        if (Date.now() > claims.exp) {
+            store.delete(claims.sid);
+            return { error: 'Session expired', code: 'SESSION_EXPIRED' };
+        }
+
+        if (claims.dev && (!deviceId || hashDevice(deviceId) !== claims.dev)) {
+            return { error: 'Session token does not belong to this device', code: 'DEVICE_MISMATCH' };
+        }
+
+        // The token is genuine; if the store lost the session (e.g. restart) start it again empty
+        let session = store.get(claims.sid);
+        if (!session) {
+            session = createSessionRecord(claims);
+            store.set(session.id, session, claims.exp - Date.now());
+        }
+        return { session };
+    }
+
+    function isVerified(session, orderId) {
+        return !!session && session.verifiedOrders.has(String(orderId));
+    }
+
+    // 'full', 'status' or null when the order is not verified for this session
+    function getAccessLevel(session, orderId) {
+        if (!isVerified(session, orderId)) return null;
+        return session.fullAccessOrders && session.fullAccessOrders.has(String(orderId)) ? 'full' : 'status';
+    }
+
+    function hasFullAccess(session, orderId) {
+        return getAccessLevel(session, orderId) === 'full';
+    }
+
+    function markVerified(session, orderId, accessLevel = 'status') {
+        session.verifiedOrders.add(String(orderId));
+        if (accessLevel === 'full') {
+            session.fullAccessOrders = session.fullAccessOrders || new Set();
+            session.fullAccessOrders.add(String(orderId));
+        }
+        store.set(session.id, session);
+    }
+
+    // Remember the chat language and whether the customer picked it or it was detected
+    function setLanguage(session, language, source = 'selected') {
+        session.language = language;
+        session.languageSource = source;
+        store.set(session.id, session);
+    }
+
+    // Replace the conversation context (see lib/conversationContext.js)
+    function setContext(session, context) {
+        session.context = context;
+        store.set(session.id, session);
+    }
+
+    return { issue, authenticate, isVerified, getAccessLevel, hasFullAccess, markVerified, setLanguage, setContext };
+}
+
+module.exports = { createSessionManager };
@@ -0,0 +1,63 @@
+// Store registry - per-store metadata and store resolution for incoming requests
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORES_FILE = path.join(__dirname, '..', 'data', 'stores.json');
+
+function createStoreRegistry(options = {}) {
+    const filePath = options.file || DEFAULT_STORES_FILE;
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    const stores = new Map();
+    (config.stores || []).forEach(store => {
+        stores.set(String(store.id), {
+            id: String(store.id),
+            name: store.name || 'iPerkz - Groceries',
+            address: store.address || null,
+            hours: store.hours || '8:00 AM - 10:00 PM',
+            supportEmail: store.supportEmail || 'support@iperkz.com',
+            subdomains: (store.subdomains || []).map(s => s.toLowerCase())
+        });
+    });
+
+    const defaultStoreId = String(options.defaultStoreId || config.defaultStoreId || stores.keys().next().value);
+    if (!stores.has(defaultStoreId)) {
+        throw new Error(`Default store "${defaultStoreId}" is not configured in ${filePath}`);
+    }
+
+    function getStore(storeId) {
+        if (storeId === undefined || storeId === null) return null;
+        return stores.get(String(storeId)) || null;
+    }
+
+    // Match the first label of the host name (e.g. "edison.iperkz.com") against store subdomains
+    function findBySubdomain(hostname) {
+        if (!hostname) return null;
+        const label = hostname.toLowerCase().split('.')[0];
+        for (const store of stores.values()) {
+            if (store.subdomains.includes(label)) return store;
+        }
+        return null;
+    }
+
+    // Resolve the store for a request: X-Store-ID header first, then subdomain.
+    // Returns { store } or { error } when an explicit store ID is unknown.
+    function resolveFromRequest(req) {
+        const headerId = req.headers['x-store-id'];
+        if (headerId) {
+            const store = getStore(headerId.trim());
+            return store ? { store } : { error: `Unknown store "${headerId}"` };
+        }
+        return { store: findBySubdomain(req.hostname) || getStore(defaultStoreId) };
+    }
+
+    return {
+        defaultStoreId,
+        getStore,
+        listStores: () => Array.from(stores.values()),
+        resolveFromRequest
+    };
+}
+
+module.exports = { createStoreRegistry, DEFAULT_STORES_FILE };
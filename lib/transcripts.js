@@ -0,0 +1,153 @@
+// Chat transcripts - what was said in each session
+//
+// Every chat turn (customer message, bot reply, relayed agent message, system notice) is appended to
+// the session's transcript, so a human agent taking over can read the conversation so far and support
+// can look up what the bot told a customer when something is disputed.
+// Entries: { from: 'customer' | 'bot' | 'agent' | 'system', text, at, intent, orderId, agentName? }.
+// Text is masked before it is stored: e-mail addresses, phone and card numbers always, plus any
+// known values (the customer's name, phone, e-mail and address from their order) the caller passes.
+// Only the most recent `maxEntries` per session are kept.
+
+const TRANSCRIPT_FROM = ['customer', 'bot', 'agent', 'system'];
+
+const CSV_COLUMNS = ['sessionId', 'storeId', 'at', 'from', 'intent', 'orderId', 'agentName', 'text'];
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+const PHONE_PATTERN = /(?:\+?\d{1,2}[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Mask personal details in free text. known: [{ value, mask }] for values that don't follow a
+// pattern, like names and street addresses (matched case-insensitively, longest first).
+function maskPii(text, known = []) {
+    let masked = String(text)
+        .replace(EMAIL_PATTERN, email => `${email.charAt(0)}***@${email.split('@')[1]}`)
+        .replace(CARD_PATTERN, number => `****${number.replace(/\D/g, '').slice(-4)}`)
+        .replace(PHONE_PATTERN, phone => `***-***-${phone.replace(/\D/g, '').slice(-4)}`);
+    known
+        .filter(entry => entry && entry.value && String(entry.value).trim().length >= 2)
+        .sort((a, b) => String(b.value).length - String(a.value).length)
+        .forEach(({ value, mask }) => {
+            masked = masked.replace(new RegExp(`\\b${escapeRegExp(String(value).trim())}\\b`, 'gi'), mask);
+        });
+    return masked;
+}
+
+// Quote a CSV field; a leading =, +, - or @ is prefixed so spreadsheets don't run it as a formula
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createTranscripts({ store, maxEntries = 200, ttlMs = 90 * 24 * 60 * 60 * 1000 }) {
+    function find(sessionId) {
+        return store.get(sessionId) || null;
+    }
+
+    function get(sessionId) {
+        const transcript = find(sessionId);
+        return transcript ? transcript.entries : [];
+    }
+
+    // Record one entry. intent and orderId tag the turn the entry belongs to; pii is passed to maskPii.
+    function append(session, { from, text, agentName = null, intent = null, orderId = null, at = null, pii = [] }) {
+        if (!TRANSCRIPT_FROM.includes(from)) throw new Error(`Unknown transcript author "${from}"`);
+        if (!text) return null;
+
+        const now = new Date().toISOString();
+        const transcript = find(session.id) || {
+            sessionId: session.id,
+            storeId: session.storeId || null,
+            startedAt: now,
+            updatedAt: now,
+            orderIds: [],
+            intents: [],
+            entries: []
+        };
+        const entry = {
+            from,
+            text: maskPii(text, pii),
+            at: at || now,
+            intent: intent || null,
+            orderId: orderId ? String(orderId) : null
+        };
+        if (agentName) entry.agentName = agentName;
+
+        // Kept in time order: a customer message is recorded once it has been answered, after any
+        // notices posted while answering it
+        let index = transcript.entries.length;
+        while (index > 0 && transcript.entries[index - 1].at > entry.at) index--;
+        transcript.entries.splice(index, 0, entry);
+        if (transcript.entries.length > maxEntries) {
+            transcript.entries = transcript.entries.slice(-maxEntries);
+        }
+        // Kept per transcript (not just per entry) so searches still find trimmed conversations
+        transcript.orderIds = transcript.orderIds || [];
+        transcript.intents = transcript.intents || [];
+        if (entry.orderId && !transcript.orderIds.includes(entry.orderId)) transcript.orderIds.push(entry.orderId);
+        if (entry.intent && !transcript.intents.includes(entry.intent)) transcript.intents.push(entry.intent);
+        if (session.language) transcript.language = session.language;
+        transcript.updatedAt = now;
+        store.set(session.id, transcript, ttlMs);
+        return entry;
+    }
+
+    // Does an entry match the entry-level filters? date is a UTC day (YYYY-MM-DD); from/to are timestamps.
+    function entryMatches(entry, { orderId, intent, date, from, to }) {
+        if (orderId && entry.orderId !== String(orderId)) return false;
+        if (intent && entry.intent !== intent) return false;
+        if (date && !entry.at.startsWith(date)) return false;
+        const time = new Date(entry.at).getTime();
+        if (from && time < new Date(from).getTime()) return false;
+        if (to && time > new Date(to).getTime()) return false;
+        return true;
+    }
+
+    // Transcripts with at least one entry matching every filter, most recently active first.
+    // Returns [{ transcript, matches }] where matches counts the matching entries.
+    function search({ orderId, intent, date, from, to, storeId, sessionId, limit = 100 } = {}) {
+        const filters = { orderId, intent, date, from, to };
+        const results = [];
+        for (const id of store.entries().keys()) {
+            const transcript = store.get(id);
+            if (!transcript) continue;
+            if (storeId && transcript.storeId !== String(storeId)) continue;
+            if (sessionId && transcript.sessionId !== sessionId) continue;
+            const matches = transcript.entries.filter(entry => entryMatches(entry, filters)).length;
+            if (matches > 0) results.push({ transcript, matches });
+        }
+        return results
+            .sort((a, b) => b.transcript.updatedAt.localeCompare(a.transcript.updatedAt))
+            .slice(0, limit);
+    }
+
+    // One row per entry, oldest first within each transcript
+    function toCsv(list) {
+        const rows = [CSV_COLUMNS.join(',')];
+        list.forEach(transcript => {
+            transcript.entries.forEach(entry => {
+                const row = { ...entry, sessionId: transcript.sessionId, storeId: transcript.storeId };
+                rows.push(CSV_COLUMNS.map(column => csvField(row[column])).join(','));
+            });
+        });
+        return rows.join('\r\n') + '\r\n';
+    }
+
+    function stats() {
+        let entries = 0;
+        for (const id of store.entries().keys()) {
+            const transcript = store.get(id);
+            if (transcript) entries += transcript.entries.length;
+        }
+        return { transcripts: store.size(), entries };
+    }
+
+    return { find, get, append, search, toCsv, stats };
+}
+
+module.exports = { createTranscripts, maskPii, TRANSCRIPT_FROM };
@@ -0,0 +1,151 @@
+// Upstream calls - a timeout, bounded retries and a circuit breaker for each backend dependency
+//
+// call(fn) runs fn({ signal }) and gives up after `timeoutMs` (the signal is aborted so fetch stops too).
+// Timeouts, network errors and 408/429/5xx responses are retried up to `retries` times, waiting
+// `retryDelayMs`, then twice that, and so on. After `failureThreshold` failed calls in a row the circuit
+// opens: calls fail straight away with CIRCUIT_OPEN for `resetMs`, then a single trial call is let
+// through ('half_open') - if it works the circuit closes again, if not it stays open for another `resetMs`.
+// Errors thrown by call() carry a `code`: UPSTREAM_TIMEOUT, CIRCUIT_OPEN, or the error's own.
+// `observe({ name, outcome, durationMs })` (optional) sees every attempt: outcome is 'success', 'timeout'
+// or 'error', or 'rejected' for a call turned away by the open circuit.
+
+const RETRYABLE_STATUS = [408, 429];
+
+function upstreamError(message, code, extra = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+}
+
+// Worth another try: timeouts, connection failures (fetch throws a TypeError) and overloaded or failing servers
+function isRetryable(error) {
+    if (error.code === 'UPSTREAM_TIMEOUT' || error.name === 'TypeError') return true;
+    return Boolean(error.status) && (error.status >= 500 || RETRYABLE_STATUS.includes(error.status));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createUpstream(name, {
+    timeoutMs = 8000,
+    retries = 1,
+    retryDelayMs = 250,
+    failureThreshold = 5,
+    resetMs = 30000,
+    observe = null
+} = {}) {
+    let state = 'closed';
+    let openedAt = null;
+    let trialInFlight = false;
+    let consecutiveFailures = 0;
+    let lastError = null;
+    let lastFailureAt = null;
+    let lastSuccessAt = null;
+    const counters = { calls: 0, failures: 0, timeouts: 0, retries: 0, rejected: 0 };
+
+    function currentState() {
+        if (state === 'open' && Date.now() - openedAt >= resetMs) state = 'half_open';
+        return state;
+    }
+
+    function report(outcome, startedAt) {
+        if (observe) observe({ name, outcome, durationMs: startedAt ? Date.now() - startedAt : 0 });
+    }
+
+    async function attempt(fn) {
+        const controller = new AbortController();
+        const startedAt = Date.now();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = upstreamError(`${name} timed out after ${timeoutMs}ms`, 'UPSTREAM_TIMEOUT');
+                controller.abort(error);
+                reject(error);
+            }, timeoutMs);
+        });
+        try {
+            const result = await Promise.race([fn({ signal: controller.signal }), timeout]);
+            report('success', startedAt);
+            return result;
+        } catch (error) {
+            report(error.code === 'UPSTREAM_TIMEOUT' ? 'timeout' : 'error', startedAt);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    function onSuccess() {
+        if (state !== 'closed') console.log(`[Upstream] ${name} recovered, circuit closed`);
+        state = 'closed';
+        consecutiveFailures = 0;
+        lastSuccessAt = new Date().toISOString();
+    }
+
+    function onFailure(error) {
+        counters.failures++;
+        if (error.code === 'UPSTREAM_TIMEOUT') counters.timeouts++;
+        consecutiveFailures++;
+        lastError = error.message;
+        lastFailureAt = new Date().toISOString();
+        if (state === 'half_open' || (state === 'closed' && consecutiveFailures >= failureThreshold)) {
+            console.log(`[Upstream] ${name} circuit open after ${consecutiveFailures} failures (${error.message}), retrying in ${Math.round(resetMs / 1000)}s`);
+            state = 'open';
+            openedAt = Date.now();
+        }
+    }
+
+    async function call(fn) {
+        const now = currentState();
+        if (now === 'open' || (now === 'half_open' && trialInFlight)) {
+            counters.rejected++;
+            report('rejected');
+            throw upstreamError(`${name} is unavailable (circuit open)`, 'CIRCUIT_OPEN');
+        }
+        const trial = now === 'half_open';
+        if (trial) trialInFlight = true;
+        counters.calls++;
+        try {
+            for (let attemptNumber = 0; ; attemptNumber++) {
+                try {
+                    const result = await attempt(fn);
+                    onSuccess();
+                    return result;
+                } catch (error) {
+                    // A trial call gets one attempt: the circuit only closes on a clean success
+                    if (trial || attemptNumber >= retries || !isRetryable(error)) throw error;
+                    counters.retries++;
+                    await sleep(retryDelayMs * 2 ** attemptNumber);
+                }
+            }
+        } catch (error) {
+            onFailure(error);
+            throw error;
+        } finally {
+            if (trial) trialInFlight = false;
+        }
+    }
+
+    return {
+        name,
+        call,
+        // Working as far as we know: circuit closed and the last call succeeded
+        isHealthy: () => currentState() === 'closed' && consecutiveFailures === 0,
+        describe: () => {
+            const current = currentState();
+            return {
+                state: current,
+                healthy: current === 'closed' && consecutiveFailures === 0,
+                consecutiveFailures,
+                lastError,
+                lastFailureAt,
+                lastSuccessAt,
+                retryInSeconds: current === 'open' ? Math.ceil((resetMs - (Date.now() - openedAt)) / 1000) : null,
+                timeoutMs,
+                ...counters
+            };
+        }
+    };
+}
+
+module.exports = { createUpstream, upstreamError, isRetryable };
@@ -0,0 +1,46 @@
+// Brute-force protection for order verification
+//
+// Failed attempts are counted per key (order, session and device). After `freeAttempts`
+// failures a key is locked out, and every further failure doubles the lockout up to
+// `maxLockoutMs`. Counters are forgotten `resetAfterMs` after the last failure.
+
+function createVerificationGuard({ store, freeAttempts = 5, baseLockoutMs = 60 * 1000, maxLockoutMs = 60 * 60 * 1000, resetAfterMs = 24 * 60 * 60 * 1000 }) {
+    function lockoutFor(failures) {
+        if (failures < freeAttempts) return 0;
+        return Math.min(baseLockoutMs * Math.pow(2, failures - freeAttempts), maxLockoutMs);
+    }
+
+    // Longest remaining lockout across the keys. Returns { locked, retryAfterMs, key }.
+    function check(keys, now = Date.now()) {
+        let result = { locked: false, retryAfterMs: 0, key: null };
+        keys.filter(Boolean).forEach(key => {
+            const entry = store.get(key);
+            if (entry && entry.lockedUntil > now && entry.lockedUntil - now > result.retryAfterMs) {
+                result = { locked: true, retryAfterMs: entry.lockedUntil - now, key };
+            }
+        });
+        return result;
+    }
+
+    function recordFailure(keys, now = Date.now()) {
+        keys.filter(Boolean).forEach(key => {
+            const entry = store.get(key) || { failures: 0, lockedUntil: 0 };
+            entry.failures++;
+            const lockout = lockoutFor(entry.failures);
+            if (lockout > 0) {
+                entry.lockedUntil = now + lockout;
+                console.log(`[Verification] 🔒 ${key} locked for ${Math.round(lockout / 1000)}s after ${entry.failures} failed attempts`);
+            }
+            store.set(key, entry, resetAfterMs);
+        });
+        return check(keys, now);
+    }
+
+    function recordSuccess(keys) {
+        keys.filter(Boolean).forEach(key => store.delete(key));
+    }
+
+    return { check, recordFailure, recordSuccess };
+}
+
+module.exports = { createVerificationGuard };
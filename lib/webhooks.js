@@ -0,0 +1,175 @@
+// Outbound webhooks: registry, HMAC-signed deliveries, retries and a delivery log
+//
+// Each webhook has its own secret. Deliveries are POSTed as JSON with these headers:
+//   X-IPerkz-Event       event type, e.g. order.delivered
+//   X-IPerkz-Delivery    unique delivery ID (the same across retries)
+//   X-IPerkz-Timestamp   unix seconds when the attempt was sent
+//   X-IPerkz-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret>
+// Network errors, timeouts, 408, 429 and 5xx responses are retried with exponential backoff;
+// other responses are final. Every attempt is appended to the delivery log.
+
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+const { v4: uuidv4 } = require('uuid');
+
+function sign(secret, timestamp, body) {
+    return 'sha256=' + CryptoJS.HmacSHA256(`${timestamp}.${body}`, secret).toString(CryptoJS.enc.Hex);
+}
+
+function isRetryable(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+// Hide the signing secret when listing webhooks
+function publicView(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, secretHint: `whsec_...${secret.slice(-4)}` };
+}
+
+function createWebhooks({ store, log, eventTypes = [], maxAttempts = 5, baseDelayMs = 2000, timeoutMs = 10000 }) {
+    function list() {
+        return Array.from(store.entries().keys())
+            .map(id => store.get(id))
+            .filter(Boolean);
+    }
+
+    // Validate and save a new webhook. Returns { webhook } (including the secret, shown once) or { error }.
+    function register({ url, events = ['*'], storeId = null, description = '' }) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return { error: 'A valid webhook URL is required' };
+        }
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+            return { error: 'Webhook URL must use http or https' };
+        }
+        if (!Array.isArray(events) || events.length === 0) {
+            return { error: 'events must be a non-empty array' };
+        }
+        const unknown = events.filter(e => e !== '*' && !eventTypes.includes(e));
+        if (unknown.length > 0) {
+            return { error: `Unknown event type(s): ${unknown.join(', ')}` };
+        }
+
+        const webhook = {
+            id: uuidv4(),
+            url: parsed.toString(),
+            events,
+            storeId: storeId ? String(storeId) : null,
+            description,
+            secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+            active: true,
+            createdAt: new Date().toISOString()
+        };
+        store.set(webhook.id, webhook);
+        console.log(`[Webhooks] Registered ${webhook.id} -> ${webhook.url} (${events.join(', ')})`);
+        return { webhook };
+    }
+
+    function remove(id) {
+        return store.delete(id);
+    }
+
+    function matches(webhook, type, storeId) {
+        if (!webhook.active) return false;
+        // A store-scoped webhook only gets that store's events (never ones without a store)
+        if (webhook.storeId && (storeId == null || String(storeId) !== webhook.storeId)) return false;
+        return webhook.events.includes('*') || webhook.events.includes(type);
+    }
+
+    async function attempt(webhook, delivery, attemptNumber) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+        const entry = {
+            deliveryId: delivery.id,
+            webhookId: webhook.id,
+            event: delivery.payload.type,
+            orderId: delivery.payload.data.orderId != null ? String(delivery.payload.data.orderId) : null,
+            attempt: attemptNumber
+        };
+
+        let httpStatus = null;
+        let error = null;
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'iPerkz-Webhooks/1.0',
+                    'X-IPerkz-Event': delivery.payload.type,
+                    'X-IPerkz-Delivery': delivery.id,
+                    'X-IPerkz-Timestamp': String(timestamp),
+                    'X-IPerkz-Signature': sign(webhook.secret, timestamp, body)
+                },
+                body,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            httpStatus = response.status;
+        } catch (err) {
+            error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : err.message;
+        }
+
+        const durationMs = Date.now() - started;
+        const ok = httpStatus !== null && httpStatus >= 200 && httpStatus < 300;
+        const retry = !ok && (httpStatus === null || isRetryable(httpStatus)) && attemptNumber < maxAttempts;
+        const result = ok ? 'delivered' : retry ? 'retrying' : 'failed';
+
+        log.append({ ...entry, result, httpStatus, error, durationMs });
+
+        if (retry) {
+            const delay = baseDelayMs * Math.pow(2, attemptNumber - 1);
+            console.log(`[Webhooks] ${delivery.payload.type} to ${webhook.url} failed (${httpStatus || error}), retry ${attemptNumber + 1}/${maxAttempts} in ${delay / 1000}s`);
+            setTimeout(() => {
+                // Skip the retry if the webhook was removed in the meantime
+                const current = store.get(webhook.id);
+                if (current) attempt(current, delivery, attemptNumber + 1);
+            }, delay).unref();
+        } else if (!ok) {
+            console.error(`[Webhooks] ${delivery.payload.type} to ${webhook.url} failed after ${attemptNumber} attempt(s): ${httpStatus || error}`);
+        }
+
+        return result;
+    }
+
+    // Send an event to every matching webhook. Returns the delivery IDs.
+    function dispatch(type, data, { storeId = null, only = null } = {}) {
+        const targets = only ? [only] : list().filter(webhook => matches(webhook, type, storeId));
+        const createdAt = new Date().toISOString();
+
+        return targets.map(webhook => {
+            const delivery = {
+                id: uuidv4(),
+                payload: { id: uuidv4(), type, createdAt, data }
+            };
+            attempt(webhook, delivery, 1);
+            return delivery.id;
+        });
+    }
+
+    function deliveries(query) {
+        return log.query(query);
+    }
+
+    return {
+        list: () => list().map(publicView),
+        get: (id) => {
+            const webhook = store.get(id);
+            return webhook ? publicView(webhook) : null;
+        },
+        register,
+        remove,
+        dispatch,
+        // Test ping to a single webhook regardless of its event filter
+        ping: (id) => {
+            const webhook = store.get(id);
+            if (!webhook) return null;
+            return dispatch('webhook.test', { webhookId: id, message: 'Test delivery from iPerkz' }, { only: webhook })[0];
+        },
+        deliveries,
+        count: () => list().length
+    };
+}
+
+module.exports = { createWebhooks, sign };
@@ -1,16 +1,51 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { v4: uuidv4 } = require('uuid');
-const CryptoJS = require('crypto-js');
+const { createDataSource, createResilientDataSource } = require('./lib/dataSources');
+const { createStoreRegistry } = require('./lib/stores');
+const { createSessionStore, startSessionSweeper } = require('./lib/sessionStore');
+const { createSessionManager } = require('./lib/sessions');
+const { createNotifier } = require('./lib/notifiers');
+const { createOneTimeCodes } = require('./lib/oneTimeCodes');
+const { createVerificationGuard } = require('./lib/verificationGuard');
+const { createAuditLog } = require('./lib/auditLog');
+const { createLiveUpdates } = require('./lib/liveUpdates');
+const { createWebhooks } = require('./lib/webhooks');
+const { createOrderStatusWatcher, ORDER_EVENT_TYPES } = require('./lib/orderEvents');
+const { createIntentClassifier } = require('./lib/intents');
+const { createI18n, normalize: normalizeText } = require('./lib/i18n');
+const { block, createReply, toReply, joinReplies, replyText } = require('./lib/messageBlocks');
+const { withActiveOrder, withTurn, mentionsOtherOrder, refersToOrder, resolveOrderReference } = require('./lib/conversationContext');
+const { createOrderActions } = require('./lib/orderActions');
+const { createCancellations, parseConfirmation, parseReason } = require('./lib/cancellations');
+const { createClaims, extractClaimId, parseClaimReason, parseItemSelection, publicView } = require('./lib/claims');
+const { createTranscripts } = require('./lib/transcripts');
+const { createHandoffs } = require('./lib/handoffs');
+const { createAgentDirectory } = require('./lib/agents');
+const { createEtaEngine } = require('./lib/eta');
+const { createGeocoder, createCachedGeocoder } = require('./lib/geocoders');
+const { createDriverTrail } = require('./lib/driverTrail');
+const { createDriverRegistry } = require('./lib/drivers');
+const { parseRouteId, buildRoute, sameRoute, formatServiceDate } = require('./lib/routes');
+const { createOrderRepository } = require('./lib/orderRepository');
+const { createMetrics } = require('./lib/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Security: API Secret for mobile app authentication
-const API_SECRET = process.env.API_SECRET || 'iperkz-mobile-secret-2026';
+// Security: API Secret for mobile app authentication. It signs session tokens and hashes one-time
+// codes, so production refuses to start without one; elsewhere each process gets a random secret
+// (sessions then don't survive a restart).
+if (!process.env.API_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('API_SECRET must be set in production');
+}
+if (!process.env.API_SECRET) {
+    console.warn('[Security] API_SECRET is not set - using a random secret for this process');
+}
+const API_SECRET = process.env.API_SECRET || crypto.randomBytes(32).toString('hex');
 const API_VERSION = 'v1';
 
 // CORS configuration for mobile apps and web
@@ -29,7 +64,7 @@ const corsOptions = {
     ],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Device-ID', 'X-App-Version', 'X-Platform']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Device-ID', 'X-App-Version', 'X-Platform', 'X-Store-ID']
 };
 
 // Rate limiting for API protection
@@ -56,6 +91,28 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '1mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Prometheus metrics, served at GET /metrics (see lib/metrics.js). Numbers other modules already
+// keep (sessions, caches, circuits) are registered next to the endpoint and read at scrape time.
+const metrics = createMetrics();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route pattern, method and status code');
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route pattern and method');
+const upstreamRequests = metrics.counter('upstream_requests_total', 'Backend calls by dependency and outcome (success, timeout, error, rejected)');
+const upstreamDuration = metrics.histogram('upstream_request_duration_seconds', 'Backend call latency by dependency');
+const chatIntents = metrics.counter('chat_intents_total', 'Chat messages by the intent that answered them');
+const verificationAttempts = metrics.counter('verification_attempts_total', 'Identity verification attempts by method, channel and result (success, failure, locked)');
+const orderNotFound = metrics.counter('order_not_found_total', 'Order lookups answered with not found, by reason (not_found, tracking_unavailable)');
+
+// Count and time every request under its route pattern ("/api/v1/orders/:orderId/track"), not its URL
+app.use((req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        httpRequests.inc({ route, method: req.method, status: res.statusCode });
+        httpDuration.observe({ route, method: req.method }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+    next();
+});
+
 // Request logging for debugging
 app.use((req, res, next) => {
     const platform = req.headers['x-platform'] || 'web';
@@ -64,29 +121,418 @@ app.use((req, res, next) => {
     next();
 });
 
+// Store configuration - one deployment serves every store in data/stores.json
+const stores = createStoreRegistry({
+    file: process.env.STORES_FILE,
+    defaultStoreId: process.env.DEFAULT_STORE_ID
+});
+
+// Resolve the store for every request (X-Store-ID header, then subdomain, then default store)
+app.use((req, res, next) => {
+    const { store, error } = stores.resolveFromRequest(req);
+    if (error) {
+        return res.status(404).json({ success: false, error, code: 'UNKNOWN_STORE' });
+    }
+    req.store = store;
+    next();
+});
+
 // iPerkz API Configuration
-const ORDERS_API_URL = 'https://delivery-routes.vercel.app/api/orders-by-criteria';
-const TODAYS_ORDERS_API = 'https://delivery-routes.vercel.app/api/orders'; // Today's orders API with route assignments
-const DRIVER_LOCATION_API = 'https://delivery-routes.vercel.app/api/driver-location';
-const STORE_ID = '25';
+// DATA_SOURCE selects the order/driver backend: 'http' (delivery-routes service) or 'fixture' (local JSON files)
+// Every call has a timeout, failed calls are retried a bounded number of times and each dependency
+// (orders, today's orders, driver locations) has a circuit breaker (see lib/upstream.js)
+const UPSTREAM_RESET_MS = (parseInt(process.env.UPSTREAM_RESET_SECONDS, 10) || 30) * 1000;
+const dataSource = createResilientDataSource(createDataSource(process.env.DATA_SOURCE || 'http', {
+    baseUrl: process.env.DELIVERY_API_URL,
+    fixtureDir: process.env.FIXTURE_DIR
+}), {
+    timeouts: {
+        orders: parseInt(process.env.ORDERS_TIMEOUT_MS, 10),
+        todaysOrders: parseInt(process.env.TODAYS_ORDERS_TIMEOUT_MS, 10),
+        driverLocations: parseInt(process.env.DRIVER_LOCATION_TIMEOUT_MS, 10)
+    },
+    retries: process.env.UPSTREAM_RETRIES !== undefined ? parseInt(process.env.UPSTREAM_RETRIES, 10) : 1,
+    failureThreshold: parseInt(process.env.UPSTREAM_FAILURE_THRESHOLD, 10) || 5,
+    resetMs: UPSTREAM_RESET_MS,
+    observe: ({ name, outcome, durationMs }) => {
+        upstreamRequests.inc({ dependency: name, outcome });
+        if (outcome !== 'rejected') upstreamDuration.observe({ dependency: name }, durationMs / 1000);
+    }
+});
 const IOS_APP = 'https://apps.apple.com/us/app/iperkz/id1512501611';
 const ANDROID_APP = 'https://play.google.com/store/apps/details?id=com.appisoft.perkz';
 
-// Cache for orders
-let ordersCache = null;
-let lastFetchTime = 0;
+// Order repositories (see lib/orderRepository.js): indexed by order ID, route, phone and status,
+// served stale while they refresh in the background, one upstream call per refresh
 const CACHE_DURATION = 30000; // 30 seconds
-
-// Cache for today's orders (refreshes more frequently for live tracking)
-let todaysOrdersCache = null;
-let todaysOrdersFetchTime = 0;
 const TODAYS_CACHE_DURATION = 10000; // 10 seconds for live updates
+const ORDERS_MAX_STALE_MS = (parseInt(process.env.ORDERS_MAX_STALE_SECONDS, 10) || 120) * 1000;
+
+// Order history per store (60 days back, 7 ahead)
+const orderHistory = createOrderRepository({
+    name: 'history',
+    ttlMs: CACHE_DURATION,
+    maxStaleMs: ORDERS_MAX_STALE_MS,
+    load: async (storeId) => {
+        const { startDate, endDate } = getDateRange();
+        console.log(`[API] Fetching orders for store ${storeId} from ${startDate} to ${endDate}`);
+        const items = await dataSource.fetchOrders({ storeId, startDate, endDate });
+        if (items) {
+            console.log(`[API] Fetched ${items.length} orders for store ${storeId} successfully`);
+        }
+        return items;
+    },
+    prepare: (orders, storeId) => cancellations.apply(tagStore(orders, storeId), storeId)
+});
+
+// Orders as fetched for a store, tagged with it. Fetched orders are shared by the caches and every
+// caller, so they are copied rather than changed in place.
+function tagStore(orders, storeId) {
+    return orders.map(order => (order._storeId === storeId ? order : { ...order, _storeId: storeId }));
+}
+
+// Today's orders for every store in one feed (refreshes more frequently for live tracking)
+const TODAYS_ORDERS = 'today';
+const todaysOrders = createOrderRepository({
+    name: 'today\'s',
+    ttlMs: TODAYS_CACHE_DURATION,
+    maxStaleMs: ORDERS_MAX_STALE_MS,
+    load: async () => {
+        console.log(`[API] Fetching today's orders from ${dataSource.name} data source`);
+        const items = await dataSource.fetchTodaysOrders();
+        if (items) {
+            console.log(`[API] Fetched ${items.length} today's orders successfully`);
+            
+            // Log sample driver assignments for debugging
+            const withDrivers = items.filter(o => o.deliveryAssociate && o.deliveryAssociate !== '""' && o.deliveryAssociate !== '');
+            console.log(`[API] Orders with driver assignments: ${withDrivers.length}`);
+            if (withDrivers.length > 0) {
+                console.log(`[API] Sample driver assignment: Order #${withDrivers[0].customerOrderId} -> ${withDrivers[0].deliveryAssociate}`);
+            }
+        }
+        return items;
+    },
+    prepare: orders => cancellations.apply(orders)
+});
 
-// Customer verification sessions (phone/email -> verified order IDs)
-// Using Map with expiration for security
-const customerSessions = new Map();
+// Customer verification sessions (session ID -> session with verified order IDs)
+// SESSION_STORE selects the backend: 'memory' (default) or 'file' (persisted under SESSION_STORE_DIR)
+const SESSION_STORE = process.env.SESSION_STORE || 'memory';
+const sessionStoreOptions = { dataDir: process.env.SESSION_STORE_DIR };
+const customerSessions = createSessionStore('sessions', SESSION_STORE, sessionStoreOptions);
 const SESSION_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
 
+// Pending verification state per session (order awaiting the customer's name/phone/email)
+const pendingVerifications = createSessionStore('pending-verifications', SESSION_STORE, sessionStoreOptions);
+const PENDING_VERIFICATION_EXPIRY = 15 * 60 * 1000; // 15 minutes
+
+// Outstanding one-time codes (session + order -> hashed code)
+const oneTimeCodeStore = createSessionStore('one-time-codes', SESSION_STORE, sessionStoreOptions);
+
+// Failed verification attempts per order, session and device (brute-force lockout)
+const verificationAttemptStore = createSessionStore('verification-attempts', SESSION_STORE, sessionStoreOptions);
+
+// Cancellations waiting for the customer's reason or confirmation in chat
+const pendingCancellations = createSessionStore('pending-cancellations', SESSION_STORE, sessionStoreOptions);
+
+// Item claims waiting for the customer to pick items or a reason in chat
+const pendingClaims = createSessionStore('pending-claims', SESSION_STORE, sessionStoreOptions);
+
+// Background sweeper so expired sessions don't pile up in memory
+const SESSION_SWEEP_INTERVAL = parseInt(process.env.SESSION_SWEEP_INTERVAL, 10) || 60 * 1000; // 1 minute
+startSessionSweeper({
+    sessions: customerSessions,
+    pendingVerifications,
+    oneTimeCodes: oneTimeCodeStore,
+    verificationAttempts: verificationAttemptStore,
+    pendingCancellations,
+    pendingClaims
+}, SESSION_SWEEP_INTERVAL);
+
+// Signed session tokens shared by the web chat and the mobile apps
+const sessions = createSessionManager({
+    secret: API_SECRET,
+    store: customerSessions,
+    expiryMs: SESSION_EXPIRY
+});
+
+// Chat languages: one JSON catalog per language in LOCALES_DIR (English is the fallback)
+const i18n = createI18n({
+    dir: process.env.LOCALES_DIR || path.join(__dirname, 'data', 'locales')
+});
+
+// Translator for the session's language
+function getTranslator(session) {
+    return i18n.forLanguage(session && session.language);
+}
+
+// Clients can pick the chat language explicitly with a `language` field ('es', 'hi-IN', 'Telugu')
+function applyRequestedLanguage(req) {
+    const language = i18n.resolve(req.body && req.body.language);
+    if (language && (language !== req.customerSession.language || req.customerSession.languageSource !== 'selected')) {
+        sessions.setLanguage(req.customerSession, language, 'selected');
+    }
+}
+
+// Verification tiers: the access level each kind of identity match unlocks.
+// 'status' shows order status only; 'full' also shows contact details, address, payment and photos.
+const VERIFICATION_TIERS = {
+    weak: process.env.WEAK_MATCH_ACCESS || 'status',     // fuzzy name, partial phone/email
+    strong: process.env.STRONG_MATCH_ACCESS || 'status', // exact full phone number or email
+    oneTimeCode: 'full'                                  // code sent to the phone/email on file
+};
+
+// One-time codes for full access, delivered through NOTIFIER ('console' or 'file' locally). The console
+// notifier writes codes to the server log, so production must choose its notifier explicitly.
+if (!process.env.NOTIFIER && process.env.NODE_ENV === 'production') {
+    throw new Error('NOTIFIER must be set in production');
+}
+const notifier = createNotifier(process.env.NOTIFIER || 'console', { file: process.env.NOTIFIER_OUTBOX });
+const oneTimeCodes = createOneTimeCodes({
+    secret: API_SECRET,
+    store: oneTimeCodeStore,
+    notifier
+});
+
+// Self-service cancellation. ORDER_ACTIONS selects where cancellations are submitted: 'http'
+// (delivery-routes service) or 'local' (written to ORDER_ACTIONS_FILE; the default with fixtures)
+const orderActions = createOrderActions(process.env.ORDER_ACTIONS || (process.env.DATA_SOURCE === 'fixture' ? 'local' : 'http'), {
+    baseUrl: process.env.DELIVERY_API_URL,
+    file: process.env.ORDER_ACTIONS_FILE,
+    timeoutMs: parseInt(process.env.ORDER_ACTIONS_TIMEOUT_MS, 10)
+});
+const cancellationStore = createSessionStore('cancellations', 'file', sessionStoreOptions);
+const cancellations = createCancellations({
+    actions: orderActions,
+    store: cancellationStore,
+    pendingStore: pendingCancellations,
+    refundDays: process.env.REFUND_DAYS || '5-7',
+    // The cancelled order may also be cached as another copy (history and today's feed)
+    onCancel: () => {
+        orderHistory.reindex();
+        todaysOrders.reindex();
+    }
+});
+
+// Missing, damaged and wrong item claims on delivered orders. Photos are written to CLAIM_PHOTOS_DIR.
+const CLAIM_PHOTO_MAX_BYTES = parseInt(process.env.CLAIM_PHOTO_MAX_BYTES, 10) || 5 * 1024 * 1024; // 5 MB
+const claimStore = createSessionStore('claims', 'file', sessionStoreOptions);
+const claims = createClaims({
+    store: claimStore,
+    pendingStore: pendingClaims,
+    photoDir: process.env.CLAIM_PHOTOS_DIR || path.join(__dirname, '.data', 'claim-photos'),
+    windowDays: parseInt(process.env.CLAIM_WINDOW_DAYS, 10) || 7,
+    maxPhotos: parseInt(process.env.CLAIM_MAX_PHOTOS, 10) || 5
+});
+
+// Chat transcripts and live handoffs to human agents (both kept across restarts)
+const transcriptStore = createSessionStore('transcripts', 'file', sessionStoreOptions);
+const transcripts = createTranscripts({
+    store: transcriptStore,
+    ttlMs: (parseInt(process.env.TRANSCRIPT_RETENTION_DAYS, 10) || 90) * 24 * 60 * 60 * 1000
+});
+const handoffStore = createSessionStore('handoffs', 'file', sessionStoreOptions);
+const handoffs = createHandoffs({ store: handoffStore });
+
+// Delivery ETAs from driver GPS, stop coordinates and each route's recent stop durations
+const etaHistoryStore = createSessionStore('eta-history', 'file', sessionStoreOptions);
+const etaEngine = createEtaEngine({
+    store: etaHistoryStore,
+    stopMinutes: parseInt(process.env.ETA_MINUTES_PER_STOP, 10) || 12,
+    dwellMinutes: parseInt(process.env.ETA_DWELL_MINUTES, 10) || 4,
+    speedMph: parseInt(process.env.ETA_AVERAGE_SPEED_MPH, 10) || 20
+});
+const ETA_DEPARTURE_MINUTES = parseInt(process.env.ETA_DEPARTURE_MINUTES, 10) || 15;
+
+// Store and delivery addresses -> coordinates for the tracking map and GPS-based ETAs. GEOCODER selects
+// 'nominatim' (OpenStreetMap), 'fixture' (data/fixtures/geocodes.json; the default with fixtures) or 'none'
+// (the default otherwise: 'nominatim' sends customer addresses to a third party, so it has to be chosen).
+// Results are cached across restarts, so each address is looked up once.
+const geocodeStore = createSessionStore('geocodes', 'file', sessionStoreOptions);
+const geocoder = createCachedGeocoder({
+    geocoder: createGeocoder(process.env.GEOCODER || (process.env.DATA_SOURCE === 'fixture' ? 'fixture' : 'none'), {
+        baseUrl: process.env.GEOCODER_URL,
+        timeoutMs: parseInt(process.env.GEOCODER_TIMEOUT_MS, 10),
+        userAgent: process.env.GEOCODER_USER_AGENT,
+        fixtureDir: process.env.FIXTURE_DIR
+    }),
+    store: geocodeStore,
+    ttlMs: (parseInt(process.env.GEOCODE_CACHE_DAYS, 10) || 180) * 24 * 60 * 60 * 1000
+});
+const GEOCODE_WAIT_MS = parseInt(process.env.GEOCODE_WAIT_MS, 10) || 250;
+
+// Drivers and their routes (DRIVERS_FILE, default data/drivers.json). Day-by-day route assignments
+// made through the admin API are kept across restarts.
+const driverAssignmentStore = createSessionStore('driver-assignments', 'file', sessionStoreOptions);
+const drivers = createDriverRegistry({
+    file: process.env.DRIVERS_FILE,
+    store: driverAssignmentStore
+});
+
+// Breadcrumb trails of drivers on active routes (sampled every DRIVER_TRAIL_INTERVAL), and how
+// fresh each driver's last reported location is
+const driverTrailStore = createSessionStore('driver-trails', 'file', sessionStoreOptions);
+const driverTrail = createDriverTrail({
+    store: driverTrailStore,
+    sample: sampleActiveRoutes,
+    intervalMs: parseInt(process.env.DRIVER_TRAIL_INTERVAL, 10) || 30000,
+    staleMinutes: parseInt(process.env.DRIVER_STALE_MINUTES, 10) || 5,
+    offlineMinutes: parseInt(process.env.DRIVER_OFFLINE_MINUTES, 10) || 20
+});
+const DRIVER_TRAIL_MAX_MINUTES = 60;
+const DRIVER_TRAIL_MINUTES = Math.min(DRIVER_TRAIL_MAX_MINUTES, parseInt(process.env.DRIVER_TRAIL_MINUTES, 10) || 30);
+
+// Read the session token from the Authorization header (or body/query for older clients)
+function getSessionToken(req) {
+    const header = req.headers['authorization'];
+    if (header && header.startsWith('Bearer ')) return header.slice(7).trim();
+    return (req.body && (req.body.sessionToken || req.body.sessionId)) ||
+        req.query.sessionToken || req.query.sessionId || null;
+}
+
+// Device ID from the X-Device-ID header (or ?deviceId= for EventSource, which can't set headers)
+function getDeviceId(req) {
+    return req.headers['x-device-id'] || req.query.deviceId || null;
+}
+
+// Require a valid session token; the session's store replaces the request store
+function requireSession(req, res, next) {
+    const { session, error, code } = sessions.authenticate(getSessionToken(req), getDeviceId(req));
+    if (!session) {
+        return res.status(401).json({ success: false, error, code });
+    }
+    req.customerSession = session;
+    req.store = stores.getStore(session.storeId) || req.store;
+    next();
+}
+
+// Lockout after repeated failed verifications; every attempt is written to the audit log
+const verificationGuard = createVerificationGuard({
+    store: verificationAttemptStore,
+    freeAttempts: parseInt(process.env.VERIFICATION_FREE_ATTEMPTS, 10) || 5
+});
+const verificationAudit = createAuditLog({
+    file: process.env.VERIFICATION_AUDIT_FILE || path.join(__dirname, '.data', 'verification-audit.jsonl')
+});
+
+// Who is making a request (for lockout keys and the audit trail)
+function getClientInfo(req) {
+    return {
+        deviceId: getDeviceId(req),
+        ip: req.ip,
+        platform: req.headers['x-platform'] || 'web',
+        channel: req.path.startsWith('/api/v1/') && req.path !== '/api/v1/chat' ? 'api' : 'chat'
+    };
+}
+
+// Run one verification attempt through the lockout guard and record it in the audit log.
+// `verify` returns a truthy match/result on success. Returns { locked, retryAfterMs, result }.
+function runVerificationAttempt({ orderId, session, store, client, method }, verify) {
+    const keys = [
+        `order:${store.id}:${orderId}`,
+        `session:${session.id}`,
+        client.deviceId ? `device:${client.deviceId}` : null
+    ];
+    const auditBase = {
+        orderId: String(orderId),
+        storeId: store.id,
+        sessionId: session.id,
+        deviceId: client.deviceId,
+        ip: client.ip,
+        platform: client.platform,
+        channel: client.channel,
+        method
+    };
+    
+    const countAttempt = (result) => verificationAttempts.inc({ method, channel: client.channel, result });
+    
+    const lock = verificationGuard.check(keys);
+    if (lock.locked) {
+        verificationAudit.append({ ...auditBase, result: 'locked', lockedBy: lock.key.split(':')[0] });
+        countAttempt('locked');
+        return { locked: true, retryAfterMs: lock.retryAfterMs, result: null };
+    }
+    
+    const result = verify();
+    if (result) {
+        verificationGuard.recordSuccess(keys);
+        verificationAudit.append({ ...auditBase, result: 'success', matchMethod: result.method || null });
+        countAttempt('success');
+        return { locked: false, retryAfterMs: 0, result };
+    }
+    
+    const after = verificationGuard.recordFailure(keys);
+    verificationAudit.append({ ...auditBase, result: 'failure', lockedAfter: after.locked });
+    countAttempt('failure');
+    return { locked: false, retryAfterMs: after.retryAfterMs, result: null };
+}
+
+function formatRetryAfter(retryAfterMs) {
+    const minutes = Math.ceil(retryAfterMs / 60000);
+    return minutes <= 1 ? 'a minute' : `${minutes} minutes`;
+}
+
+// Chat reply while verification is locked out
+function getLockoutResponse(retryAfterMs, store, tr) {
+    const retryAfter = tr.t('verification.retryAfter', { count: Math.ceil(retryAfterMs / 60000) });
+    return tr.t('verification.lockout', { retryAfter, supportEmail: store.supportEmail });
+}
+
+// API reply while verification is locked out
+function sendLockout(res, retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({
+        success: false,
+        error: `Too many failed attempts. Try again in ${formatRetryAfter(retryAfterMs)}.`,
+        code: 'VERIFICATION_LOCKED',
+        retryAfter: Math.ceil(retryAfterMs / 1000)
+    });
+}
+
+// Staff/admin endpoints require the ADMIN_API_KEY in the X-API-Key header
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+const AGENT_API_KEY = process.env.AGENT_API_KEY || null;
+
+// Per-agent keys (AGENTS_FILE): the key says which agent is calling (see lib/agents.js)
+const agentDirectory = createAgentDirectory({ file: process.env.AGENTS_FILE });
+
+function requireAdmin(req, res, next) {
+    if (!ADMIN_API_KEY) {
+        return res.status(403).json({ success: false, error: 'Admin API is disabled (ADMIN_API_KEY not set)', code: 'ADMIN_DISABLED' });
+    }
+    if (req.headers['x-api-key'] !== ADMIN_API_KEY) {
+        return res.status(401).json({ success: false, error: 'Invalid admin API key', code: 'UNAUTHORIZED' });
+    }
+    next();
+}
+
+// Staff views (routes) accept the agent key or the admin key
+function requireStaff(req, res, next) {
+    const keys = [AGENT_API_KEY, ADMIN_API_KEY].filter(Boolean);
+    if (keys.length === 0 && agentDirectory.size() === 0) {
+        return res.status(403).json({ success: false, error: 'Staff API is disabled (AGENT_API_KEY or ADMIN_API_KEY not set)', code: 'STAFF_DISABLED' });
+    }
+    if (!keys.includes(req.headers['x-api-key']) && !agentDirectory.findByKey(req.headers['x-api-key'])) {
+        return res.status(401).json({ success: false, error: 'Invalid API key', code: 'UNAUTHORIZED' });
+    }
+    next();
+}
+
+// Standard reply for order endpoints the session has not verified yet
+function sendVerificationRequired(res) {
+    return res.json({
+        success: false,
+        error: 'Please verify your identity first',
+        code: 'VERIFICATION_REQUIRED',
+        requiresVerification: true
+    });
+}
+
+// Keep only orders belonging to a store (orders without a storeId are assumed to match)
+function filterByStore(orders, storeId) {
+    return orders.filter(o => !o.storeId || String(o.storeId) === String(storeId));
+}
+
 // Normalize phone number for comparison
 function normalizePhone(phone) {
     if (!phone) return '';
@@ -146,8 +592,10 @@ function fuzzyMatch(input, target, minMatchPercent = 60) {
 }
 
 // Verify customer owns the order - CASE INSENSITIVE with fuzzy matching
+// Returns null when nothing matches, otherwise { method, strength } where strength is
+// 'strong' (exact full phone number or email) or 'weak' (partial or fuzzy match)
 function verifyCustomerOwnership(order, identifier) {
-    if (!order || !identifier) return false;
+    if (!order || !identifier) return null;
     
     const input = identifier.trim();
     const inputLower = input.toLowerCase();
@@ -161,9 +609,6 @@ function verifyCustomerOwnership(order, identifier) {
     const inputPhone = normalizePhone(input);
     const inputNormalized = normalizeName(input);
     
-    console.log(`[Verification] Checking: "${input}" against order data (case-insensitive)`);
-    console.log(`[Verification] Order - Phone: ${orderPhone}, Email: ${orderEmail}, FirstName: "${firstName}", LastName: "${lastName}"`);
-    
     // 1. Check phone match (full number, last 4 digits, or any matching sequence)
     if (orderPhone && inputPhone && inputPhone.length >= 4) {
         if (orderPhone === inputPhone || 
@@ -171,7 +616,7 @@ function verifyCustomerOwnership(order, identifier) {
             orderPhone.includes(inputPhone) ||
             inputPhone.endsWith(orderPhone.slice(-4))) {
             console.log(`[Verification] ✓ Phone match`);
-            return true;
+            return { method: 'phone', strength: orderPhone === inputPhone && inputPhone.length === 10 ? 'strong' : 'weak' };
         }
     }
     
@@ -184,7 +629,7 @@ function verifyCustomerOwnership(order, identifier) {
             inputLower.includes(emailUsername) ||
             fuzzyMatch(inputLower, emailUsername, 70)) {
             console.log(`[Verification] ✓ Email match (case-insensitive)`);
-            return true;
+            return { method: 'email', strength: orderEmail === inputLower ? 'strong' : 'weak' };
         }
     }
     
@@ -197,7 +642,7 @@ function verifyCustomerOwnership(order, identifier) {
             inputNormalized.includes(firstName) ||
             fuzzyMatch(inputNormalized, firstName, 60)) {
             console.log(`[Verification] ✓ First name match (case-insensitive)`);
-            return true;
+            return { method: 'first-name', strength: 'weak' };
         }
     }
     
@@ -210,7 +655,7 @@ function verifyCustomerOwnership(order, identifier) {
             inputNormalized.includes(lastName) ||
             fuzzyMatch(inputNormalized, lastName, 60)) {
             console.log(`[Verification] ✓ Last name match (case-insensitive)`);
-            return true;
+            return { method: 'last-name', strength: 'weak' };
         }
     }
     
@@ -222,7 +667,7 @@ function verifyCustomerOwnership(order, identifier) {
             inputNormalized.includes(lastName) ||
             fuzzyMatch(inputNormalized, fullName, 50)) {
             console.log(`[Verification] ✓ Full name match (case-insensitive)`);
-            return true;
+            return { method: 'full-name', strength: 'weak' };
         }
     }
     
@@ -231,12 +676,55 @@ function verifyCustomerOwnership(order, identifier) {
         if (fuzzyMatch(inputNormalized, firstName, 70) ||
             fuzzyMatch(inputNormalized, lastName, 70)) {
             console.log(`[Verification] ✓ Fuzzy match found (case-insensitive)`);
-            return true;
+            return { method: 'fuzzy-name', strength: 'weak' };
         }
     }
     
     console.log(`[Verification] ✗ No match found`);
-    return false;
+    return null;
+}
+
+// Access level unlocked by an identity match (see VERIFICATION_TIERS)
+function getMatchAccessLevel(match) {
+    return VERIFICATION_TIERS[match.strength] || 'status';
+}
+
+// Mask contact details for status-only access
+function maskPhone(phone) {
+    const digits = normalizePhone(phone);
+    return digits ? `***-***-${digits.slice(-4)}` : null;
+}
+
+function maskEmail(email) {
+    if (!email || !email.includes('@')) return null;
+    const [user, domain] = email.split('@');
+    return `${user.charAt(0)}***@${domain}`;
+}
+
+// Keep only the town/state part of an address ("221 Wood Ave, Iselin, NJ 08830" -> "***, Iselin, NJ 08830")
+function maskAddress(address) {
+    if (!address) return null;
+    const parts = address.split(',');
+    return parts.length > 1 ? `***,${parts.slice(1).join(',')}` : '***';
+}
+
+// Order view for status-only access: contact details masked, instructions and photo removed
+function redactOrder(order) {
+    return {
+        ...order,
+        phone: maskPhone(order.phone),
+        email: maskEmail(order.email),
+        address: maskAddress(order.address),
+        deliveryInstructions: null,
+        specialInstructions: null,
+        imageUrl: null
+    };
+}
+
+// Customer name for API payloads: full name with full access, first name otherwise
+function getCustomerName(order, accessLevel) {
+    if (accessLevel !== 'full') return order.firstName || null;
+    return `${order.firstName || ''} ${order.lastName || ''}`.trim();
 }
 
 // Get date range for API (last 60 days to now + 7 days)
@@ -251,107 +739,46 @@ function getDateRange() {
     return { startDate: formatDate(startDate), endDate: formatDate(endDate) };
 }
 
-// Fetch orders from API
-async function fetchOrders() {
-    const now = Date.now();
-    
-    if (ordersCache && (now - lastFetchTime) < CACHE_DURATION) {
-        console.log(`[API] Returning ${ordersCache.length} cached orders`);
-        return ordersCache;
-    }
-    
-    const { startDate, endDate } = getDateRange();
-    console.log(`[API] Fetching orders from ${startDate} to ${endDate}`);
-    
-    try {
-        const response = await fetch(ORDERS_API_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                storeId: STORE_ID,
-                startDate: startDate,
-                endDate: endDate
-            })
-        });
-        const data = await response.json();
-        
-        if (data && data.items) {
-            ordersCache = data.items;
-            lastFetchTime = now;
-            console.log(`[API] Fetched ${ordersCache.length} orders successfully`);
-            return ordersCache;
-        }
-    } catch (error) {
-        console.error('[API] Error fetching orders:', error.message);
-    }
-    
-    return ordersCache || [];
+// Orders for a store (60 days back, 7 ahead)
+async function fetchOrders(storeId) {
+    return orderHistory.getAll(storeId);
 }
 
-// Fetch TODAY's orders from iPerkz API (for live tracking)
-async function fetchTodaysOrders() {
-    const now = Date.now();
-    
-    if (todaysOrdersCache && (now - todaysOrdersFetchTime) < TODAYS_CACHE_DURATION) {
-        console.log(`[API] Returning ${todaysOrdersCache.length} cached today's orders`);
-        return todaysOrdersCache;
-    }
-    
-    console.log(`[API] Fetching today's orders from: ${TODAYS_ORDERS_API}`);
-    
-    try {
-        const response = await fetch(TODAYS_ORDERS_API, {
-            method: 'GET',
-            headers: { 
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            }
-        });
-        const data = await response.json();
-        
-        if (data && data.items) {
-            todaysOrdersCache = data.items;
-            todaysOrdersFetchTime = now;
-            console.log(`[API] Fetched ${todaysOrdersCache.length} today's orders successfully`);
-            
-            // Log sample driver assignments for debugging
-            const withDrivers = todaysOrdersCache.filter(o => o.deliveryAssociate && o.deliveryAssociate !== '""' && o.deliveryAssociate !== '');
-            console.log(`[API] Orders with driver assignments: ${withDrivers.length}`);
-            if (withDrivers.length > 0) {
-                console.log(`[API] Sample driver assignment: Order #${withDrivers[0].customerOrderId} -> ${withDrivers[0].deliveryAssociate}`);
-            }
-            
-            return todaysOrdersCache;
-        }
-    } catch (error) {
-        console.error('[API] Error fetching today\'s orders:', error.message);
-    }
-    
-    return todaysOrdersCache || [];
+// Fetch TODAY's orders for a store (for live tracking)
+// The upstream feed covers every store, so it is cached once and filtered and tagged per store
+// (cancellations are applied here too: orders in the feed may not say which store they belong to)
+async function fetchTodaysOrders(storeId) {
+    return cancellations.apply(tagStore(filterByStore(await fetchAllTodaysOrders(), storeId), storeId), storeId);
+}
+
+async function fetchAllTodaysOrders() {
+    return todaysOrders.getAll(TODAYS_ORDERS);
+}
+
+// An order in today's feed, if it belongs to the store
+async function findTodaysOrder(orderId, storeId) {
+    const order = await todaysOrders.findById(TODAYS_ORDERS, orderId);
+    if (!order || filterByStore([order], storeId).length === 0) return null;
+    return cancellations.apply(tagStore([order], storeId), storeId)[0];
 }
 
 // Get order with preference for today's orders (more up-to-date status)
-async function getOrderWithLiveStatus(orderId) {
+async function getOrderWithLiveStatus(orderId, storeId) {
     // First check today's orders (most current status)
-    const todaysOrders = await fetchTodaysOrders();
-    let order = todaysOrders.find(o => o.customerOrderId === parseInt(orderId));
+    let order = await findTodaysOrder(orderId, storeId);
     
     if (order) {
         console.log(`[API] Found order #${orderId} in today's orders - Status: ${order.orderStatus}`);
-        order._source = 'todays';
-        return order;
+        return { ...order, _source: 'todays' };
     }
     
     // Fall back to regular orders cache
-    order = await findOrderById(orderId);
-    if (order) {
-        order._source = 'historical';
-    }
-    return order;
+    order = await findOrderById(orderId, storeId);
+    return order ? { ...order, _source: 'historical' } : null;
 }
 
 // Get packing progress for an order
-function getPackingProgress(order) {
+function getPackingProgress(order, tr = getTranslator()) {
     // Based on order status and timing
     const status = order.orderStatus;
     const items = order.menuList || [];
@@ -361,7 +788,7 @@ function getPackingProgress(order) {
         return {
             stage: 'queued',
             percent: 0,
-            message: '⏳ Your order is in queue waiting to be packed',
+            message: tr.t('packing.queued'),
             itemsPacked: 0,
             totalItems: totalItems,
             estimatedMinutes: null
@@ -383,7 +810,7 @@ function getPackingProgress(order) {
         return {
             stage: 'packing',
             percent: packingPercent,
-            message: `📦 Your order is being packed (${packingPercent}% complete)`,
+            message: tr.t('packing.packing', { percent: packingPercent }),
             itemsPacked: Math.round((packingPercent / 100) * totalItems),
             totalItems: totalItems,
             estimatedMinutes: Math.max(2, Math.round((100 - packingPercent) / 10)),
@@ -395,7 +822,7 @@ function getPackingProgress(order) {
         return {
             stage: 'completed',
             percent: 100,
-            message: '✅ Packing complete!',
+            message: tr.t('packing.completed'),
             itemsPacked: totalItems,
             totalItems: totalItems,
             estimatedMinutes: 0
@@ -405,7 +832,7 @@ function getPackingProgress(order) {
     return {
         stage: 'unknown',
         percent: 0,
-        message: 'Status unknown',
+        message: tr.t('packing.unknown'),
         itemsPacked: 0,
         totalItems: totalItems
     };
@@ -414,15 +841,15 @@ function getPackingProgress(order) {
 // Fetch driver locations from API
 async function fetchDriverLocations() {
     try {
-        const response = await fetch(DRIVER_LOCATION_API);
-        const data = await response.json();
+        const locations = await dataSource.fetchDriverLocations();
         
-        if (data && data.success && data.locations) {
-            console.log(`[API] Fetched ${data.locations.length} driver locations`);
-            return data.locations;
+        if (locations) {
+            console.log(`[API] Fetched ${locations.length} driver locations`);
+            return locations;
         }
     } catch (error) {
-        console.error('[API] Error fetching driver locations:', error.message);
+        // An open circuit was already reported when it opened
+        if (error.code !== 'CIRCUIT_OPEN') console.error('[API] Error fetching driver locations:', error.message);
     }
     return [];
 }
@@ -432,90 +859,256 @@ async function findDriverByRoute(routeName) {
     if (!routeName) return null;
     
     const locations = await fetchDriverLocations();
-    const cleanRoute = routeName.replace(/"/g, '').toLowerCase();
-    
-    // Find driver whose name matches the route pattern
-    const driver = locations.find(loc => {
-        const driverName = (loc.driver_name || '').toLowerCase();
-        return driverName.includes(cleanRoute.split('-')[0]) || cleanRoute.includes(driverName.split('-')[0]);
-    });
-    
-    return driver;
+    return matchDriverToRoute(locations, routeName);
+}
+
+// Pick the route's driver from a list of locations (resolved through the driver registry; null when
+// the route is ambiguous or its driver hasn't reported a location)
+function matchDriverToRoute(locations, routeName) {
+    return drivers.findLocation(locations, routeName);
+}
+
+// Driver location for API responses, with how fresh it is ('live', 'stale' or 'offline')
+function toDriverLocation(location) {
+    if (!location) return null;
+    const freshness = driverTrail.freshness(location);
+    return {
+        latitude: parseFloat(location.latitude),
+        longitude: parseFloat(location.longitude),
+        heading: location.heading,
+        speed: location.speed,
+        lastUpdated: location.last_updated,
+        isActive: location.is_active,
+        freshness: freshness.status,
+        minutesAgo: freshness.minutesAgo
+    };
 }
 
-// Find order by ID
-async function findOrderById(orderId) {
-    console.log(`[API] Searching for order #${orderId}`);
-    const orders = await fetchOrders();
+// Where the driver of every route with an order out for delivery is now (for the trail sampler)
+async function sampleActiveRoutes() {
+    const orders = await todaysOrders.findByStatus(TODAYS_ORDERS, 'OUT_FOR_DELIVERY');
+    const routes = new Set(orders
+        .filter(order => order.deliveryAssociate)
+        .map(order => order.deliveryAssociate.replace(/"/g, '').trim())
+        .filter(Boolean));
+    if (routes.size === 0) return [];
     
-    const order = orders.find(o => o.customerOrderId === parseInt(orderId));
+    const locations = await fetchDriverLocations();
+    return [...routes]
+        .map(routeId => ({ routeId, location: matchDriverToRoute(locations, routeId) }))
+        .filter(sample => sample.location);
+}
+
+// True while a store's orders can't be fetched (the last refresh failed): an order that isn't in the
+// cache may simply not have been loaded, so customers are told tracking is unavailable, not that it doesn't exist
+function isOrderTrackingUnavailable(storeId) {
+    return !orderHistory.isAvailable(storeId);
+}
+
+// Chat reply for an order that wasn't found
+function getOrderNotFoundResponse(orderId, store, tr) {
+    const unavailable = isOrderTrackingUnavailable(store.id);
+    orderNotFound.inc({ reason: unavailable ? 'tracking_unavailable' : 'not_found' });
+    return unavailable
+        ? tr.t('orderQuery.unavailable', { orderId, supportEmail: store.supportEmail })
+        : tr.t('orderQuery.notFound', { orderId, supportEmail: store.supportEmail });
+}
+
+// API reply for an order that wasn't found: 503 TRACKING_UNAVAILABLE while the store's orders can't be fetched
+function sendOrderNotFound(res, storeId) {
+    const unavailable = isOrderTrackingUnavailable(storeId);
+    orderNotFound.inc({ reason: unavailable ? 'tracking_unavailable' : 'not_found' });
+    if (unavailable) {
+        res.set('Retry-After', String(Math.ceil(UPSTREAM_RESET_MS / 1000)));
+        return res.status(503).json({
+            success: false,
+            error: 'Order tracking is temporarily unavailable. Please try again in a few minutes.',
+            code: 'TRACKING_UNAVAILABLE'
+        });
+    }
+    return res.json({ success: false, error: 'Order not found', code: 'ORDER_NOT_FOUND' });
+}
+
+// Find order by ID within a store
+async function findOrderById(orderId, storeId) {
+    console.log(`[API] Searching for order #${orderId} in store ${storeId}`);
+    const order = await orderHistory.findById(storeId, orderId);
     
     if (order) {
         console.log(`[API] Found order #${orderId} - Status: ${order.orderStatus}`);
     } else {
-        console.log(`[API] Order #${orderId} not found in ${orders.length} orders`);
+        console.log(`[API] Order #${orderId} not found in store ${storeId}`);
     }
     
     return order;
 }
 
-// Get route progress - find all orders on the same route and their status
-async function getRouteProgress(routeId) {
-    if (!routeId || routeId === '""') return null;
+// Get route progress - the route's stops and status (see lib/routes.js), with stop coordinates.
+// `orders` keeps the name older callers use for the stops.
+async function getRouteProgress(routeId, storeId) {
+    const route = parseRoute(routeId);
+    if (!route) return null;
     
-    const orders = await fetchOrders();
-    const routeOrders = orders.filter(o => {
-        const associate = o.deliveryAssociate || '';
-        return associate.replace(/"/g, '') === routeId.replace(/"/g, '');
-    });
+    const routeOrders = await orderHistory.findByRoute(storeId, route.id);
     
     if (routeOrders.length === 0) return null;
     
-    // Sort by delivery sequence
-    routeOrders.sort((a, b) => (a.deliverySeq || 0) - (b.deliverySeq || 0));
-    
-    // Count delivered vs pending
-    const delivered = routeOrders.filter(o => o.orderStatus === 'DELIVERED').length;
-    const total = routeOrders.length;
-    const pending = total - delivered;
-    
-    // Find current stop (first non-delivered)
-    const currentStop = routeOrders.find(o => o.orderStatus !== 'DELIVERED');
-    const currentSeq = currentStop ? currentStop.deliverySeq : total;
-    
-    // Get last delivered order for driver's last known location
-    const lastDelivered = routeOrders.filter(o => o.orderStatus === 'DELIVERED').pop();
+    const { stops, ...progress } = buildRoute(route, routeOrders);
+    const locations = new Map(await Promise.all(routeOrders.map(async o => [o.customerOrderId, await getStopLocation(o)])));
     
     return {
-        routeId,
-        totalStops: total,
-        completedStops: delivered,
-        pendingStops: pending,
-        currentStopSeq: currentSeq,
-        currentStopAddress: currentStop ? currentStop.address : null,
-        lastDeliveredAddress: lastDelivered ? lastDelivered.address : null,
-        progressPercent: Math.round((delivered / total) * 100),
-        orders: routeOrders.map(o => ({
-            orderId: o.customerOrderId,
-            seq: o.deliverySeq,
-            status: o.orderStatus,
-            address: o.address,
-            customerName: `${o.firstName || ''} ${o.lastName || ''}`.trim()
-        }))
+        ...progress,
+        currentStopSeq: progress.currentStop ? progress.currentStop.seq : progress.totalStops,
+        orders: stops.map(stop => ({ ...stop, location: locations.get(stop.orderId) || null }))
     };
 }
 
-// Format order status
-function getStatusDisplay(status) {
-    const statusMap = {
-        'PLACED': '📦 Order Placed - Being processed',
-        'STARTED': '📦 Packing Started - Your order is being packed',
-        'COMPLETED': '✅ Ready for Delivery - Your order is packed',
-        'OUT_FOR_DELIVERY': '🚚 Out for Delivery - On the way!',
-        'DELIVERED': '✅ Delivered - Enjoy your groceries!',
-        'CANCELLED': '❌ Cancelled'
+// Coordinates of an order's delivery address: the backend's when it sends them, otherwise geocoded.
+// A lookup that doesn't finish within GEOCODE_WAIT_MS gives null now and is cached for next time.
+async function getStopLocation(order) {
+    const latitude = parseFloat(order.latitude !== undefined ? order.latitude : order.lat);
+    const longitude = parseFloat(order.longitude !== undefined ? order.longitude : order.lng);
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) return { latitude, longitude };
+    return order.address ? geocoder.locate(order.address, GEOCODE_WAIT_MS) : null;
+}
+
+// Round a location so it points at the neighbourhood rather than the house
+function approximateLocation(location, decimals = 2) {
+    if (!location) return null;
+    const factor = 10 ** decimals;
+    return {
+        latitude: Math.round(location.latitude * factor) / factor,
+        longitude: Math.round(location.longitude * factor) / factor,
+        approximate: true
+    };
+}
+
+// Points for the tracking map: the store, the customer's address and the route's remaining stops
+// before theirs. Other customers' stops are only ever approximate, and so is the customer's own
+// address without full access.
+async function getMapPoints(order, routeProgress, accessLevel, storeId) {
+    const store = stores.getStore(storeId);
+    const storeAddress = order.storeAddress1 || (store && store.address) || null;
+    const [storeLocation, destination] = await Promise.all([
+        storeAddress ? geocoder.locate(storeAddress, GEOCODE_WAIT_MS) : null,
+        getStopLocation(order)
+    ]);
+
+    const stops = routeProgress ? routeProgress.orders
+        .filter(stop => stop.status !== 'DELIVERED' && stop.location && (stop.seq || 0) < (order.deliverySeq || 0))
+        .map(stop => ({ seq: stop.seq, ...approximateLocation(stop.location) })) : [];
+
+    return {
+        store: storeLocation ? {
+            name: order.storeName || (store && store.name) || null,
+            address: storeAddress,
+            latitude: storeLocation.latitude,
+            longitude: storeLocation.longitude
+        } : null,
+        destination: destination
+            ? (accessLevel === 'full' ? { ...destination, approximate: false } : approximateLocation(destination, 3))
+            : null,
+        stops
     };
-    return statusMap[status] || `Status: ${status}`;
+}
+
+// Build live-update snapshots for every stream subscriber in one pass.
+// Driver locations are fetched at most once and route progress once per route, however many
+// customers are watching (orders come from the indexed repositories).
+async function pollLiveOrders(subscribers) {
+    const snapshots = new Map();
+    const routeProgressByRoute = new Map();
+    let driverLocations = null;
+
+    for (const subscriber of subscribers) {
+        const { orderId, storeId } = subscriber;
+
+        if (!customerSessions.has(subscriber.sessionId)) {
+            snapshots.set(subscriber.id, { end: { reason: 'SESSION_EXPIRED' } });
+            continue;
+        }
+
+        const order = await findTodaysOrder(orderId, storeId) || await findOrderById(orderId, storeId);
+
+        if (!order) {
+            // While orders can't be fetched the stream stays open without updates
+            if (!isOrderTrackingUnavailable(storeId)) {
+                snapshots.set(subscriber.id, { end: { reason: 'ORDER_NOT_FOUND' } });
+            }
+            continue;
+        }
+
+        const tr = i18n.forLanguage(subscriber.language);
+        const packing = getPackingProgress(order, tr);
+        const snapshot = {
+            status: {
+                orderId: order.customerOrderId,
+                status: order.orderStatus,
+                display: getStatusDisplay(order.orderStatus, tr),
+                step: getStatusStep(order.orderStatus)
+            },
+            packing: {
+                stage: packing.stage,
+                percent: packing.percent,
+                message: packing.message,
+                itemsPacked: packing.itemsPacked,
+                totalItems: packing.totalItems,
+                estimatedMinutes: packing.estimatedMinutes
+            }
+        };
+
+        const driverInfo = formatDriverName(order.deliveryAssociate);
+        if (driverInfo) {
+            const routeKey = `${storeId}:${driverInfo.route}`;
+            if (!routeProgressByRoute.has(routeKey)) {
+                routeProgressByRoute.set(routeKey, await getRouteProgress(driverInfo.route, storeId));
+            }
+            const routeProgress = routeProgressByRoute.get(routeKey);
+
+            if (routeProgress) {
+                snapshot.route = {
+                    totalStops: routeProgress.totalStops,
+                    completedStops: routeProgress.completedStops,
+                    progressPercent: routeProgress.progressPercent,
+                    currentStopSeq: routeProgress.currentStopSeq,
+                    stopsAway: Math.max(0, (order.deliverySeq || 0) - routeProgress.completedStops)
+                };
+            }
+
+            if (order.orderStatus === 'OUT_FOR_DELIVERY') {
+                if (!driverLocations) driverLocations = await fetchDriverLocations();
+                const location = matchDriverToRoute(driverLocations, driverInfo.route);
+                // last_updated is left out so a driver event means the driver actually moved
+                snapshot.driver = {
+                    name: driverInfo.driver,
+                    zone: driverInfo.zone,
+                    location: location ? {
+                        latitude: parseFloat(location.latitude),
+                        longitude: parseFloat(location.longitude),
+                        heading: location.heading,
+                        speed: location.speed,
+                        isActive: location.is_active,
+                        freshness: driverTrail.freshness(location).status
+                    } : null
+                };
+            }
+        }
+
+        // Nothing more will change once the order is delivered or cancelled
+        if (order.orderStatus === 'DELIVERED' || order.orderStatus === 'CANCELLED') {
+            snapshot.end = { reason: order.orderStatus };
+        }
+
+        snapshots.set(subscriber.id, snapshot);
+    }
+
+    return snapshots;
+}
+
+// Format order status
+function getStatusDisplay(status, tr = getTranslator()) {
+    const known = ['PLACED', 'STARTED', 'COMPLETED', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED'];
+    return known.includes(status) ? tr.t(`status.${status}`) : tr.t('status.other', { status });
 }
 
 // Get status progress step (1-5)
@@ -531,30 +1124,41 @@ function getStatusStep(status) {
     return steps[status] || 1;
 }
 
-// Generate progress timeline
-function getProgressTimeline(status) {
+// Order stages in the progress timeline (step 1-5)
+const TIMELINE_STAGES = [
+    { key: 'placed', icon: '📝' },
+    { key: 'packing', icon: '📦' },
+    { key: 'ready', icon: '✅' },
+    { key: 'outForDelivery', icon: '🚚' },
+    { key: 'delivered', icon: '🏠' }
+];
+
+// Timeline stages with their state: 'done', 'current' or 'upcoming'
+function getTimelineSteps(status, tr = getTranslator()) {
     const step = getStatusStep(status);
+    return TIMELINE_STAGES.map((stage, index) => {
+        const stageNum = index + 1;
+        let state = 'upcoming';
+        if (stageNum < step) state = 'done';
+        else if (stageNum === step) state = 'current';
+        return { key: stage.key, label: tr.t(`timeline.${stage.key}`), icon: stage.icon, state };
+    });
+}
+
+// Generate progress timeline
+function getProgressTimeline(status, tr = getTranslator()) {
     if (status === 'CANCELLED') {
-        return `❌ Order Cancelled`;
+        return tr.t('timeline.cancelled');
     }
     
-    const stages = [
-        { name: 'Order Placed', icon: '📝' },
-        { name: 'Packing', icon: '📦' },
-        { name: 'Ready', icon: '✅' },
-        { name: 'Out for Delivery', icon: '🚚' },
-        { name: 'Delivered', icon: '🏠' }
-    ];
-    
-    let timeline = '**Order Progress:**\n';
-    stages.forEach((stage, index) => {
-        const stageNum = index + 1;
-        if (stageNum < step) {
-            timeline += `✅ ${stage.name}\n`;
-        } else if (stageNum === step) {
-            timeline += `➡️ **${stage.name}** ⬅️ Current\n`;
+    let timeline = `${tr.t('timeline.title')}\n`;
+    getTimelineSteps(status, tr).forEach(stage => {
+        if (stage.state === 'done') {
+            timeline += `✅ ${stage.label}\n`;
+        } else if (stage.state === 'current') {
+            timeline += `➡️ **${stage.label}** ${tr.t('timeline.current')}\n`;
         } else {
-            timeline += `⬜ ${stage.name}\n`;
+            timeline += `⬜ ${stage.label}\n`;
         }
     });
     
@@ -576,145 +1180,175 @@ function getDirectionsUrl(storeAddress, customerAddress) {
     return `https://www.google.com/maps/dir/?api=1&origin=${origin}&destination=${dest}&travelmode=driving`;
 }
 
-// Estimate delivery time based on sequence and status
-async function getDeliveryEstimate(order, driverInfo) {
+// Estimate delivery time from the order status; once it is packed, from the ETA engine (lib/eta.js)
+async function getDeliveryEstimate(order, driverInfo, tr = getTranslator()) {
     const deliverySeq = order.deliverySeq || 1;
     const status = order.orderStatus;
     
-    // Average time per delivery stop (in minutes)
-    const avgTimePerStop = 12;
-    
     if (status === 'DELIVERED') {
         return { 
-            eta: 'Delivered',
+            eta: tr.t('estimate.delivered.eta'),
             stopsAway: 0,
             estimatedMinutes: 0,
-            message: '✅ Your order has been delivered!',
+            message: tr.t('estimate.delivered.message'),
             routeProgress: null
         };
     }
     
     if (status === 'CANCELLED') {
         return {
-            eta: 'Cancelled',
+            eta: tr.t('estimate.cancelled.eta'),
             stopsAway: 0,
             estimatedMinutes: 0,
-            message: '❌ This order was cancelled.',
+            message: tr.t('estimate.cancelled.message'),
             routeProgress: null
         };
     }
     
     if (status === 'PLACED') {
         return {
-            eta: 'Pending',
+            eta: tr.t('estimate.placed.eta'),
             stopsAway: null,
             estimatedMinutes: null,
-            message: '⏳ Your order is being processed. Delivery time will be available once packing starts.',
+            message: tr.t('estimate.placed.message'),
             routeProgress: null
         };
     }
     
     if (status === 'STARTED') {
         return {
-            eta: 'Packing',
+            eta: tr.t('estimate.started.eta'),
             stopsAway: null,
             estimatedMinutes: null,
-            message: '📦 Your order is being packed. Delivery estimate available after driver assignment.',
+            message: tr.t('estimate.started.message'),
             routeProgress: null
         };
     }
     
-    // Get live route progress for COMPLETED and OUT_FOR_DELIVERY
-    let routeProgress = null;
-    let stopsAway = deliverySeq;
+    if (status !== 'COMPLETED' && status !== 'OUT_FOR_DELIVERY') {
+        return {
+            eta: tr.t('estimate.calculating.eta'),
+            stopsAway: null,
+            estimatedMinutes: null,
+            message: tr.t('estimate.calculating.message'),
+            routeProgress: null
+        };
+    }
     
-    if (driverInfo && driverInfo.route) {
-        routeProgress = await getRouteProgress(driverInfo.route);
-        if (routeProgress) {
-            // Calculate actual stops away based on completed deliveries
-            stopsAway = deliverySeq - routeProgress.completedStops;
-            if (stopsAway < 0) stopsAway = 0;
+    // COMPLETED and OUT_FOR_DELIVERY: the stops still ahead on the live route, up to and including
+    // this order. Without route data, assume every stop before it is still to come.
+    const route = driverInfo && driverInfo.route ? driverInfo.route : null;
+    const routeProgress = route ? await getRouteProgress(route, order._storeId) : null;
+    let stops = new Array(Math.max(1, deliverySeq)).fill(null);
+    if (routeProgress) {
+        const remaining = routeProgress.orders.filter(stop =>
+            stop.status !== 'DELIVERED' && stop.status !== 'CANCELLED' && (stop.seq || 0) <= deliverySeq);
+        if (remaining.length > 0) stops = remaining.map(stop => stop.location);
+    }
+    const stopsAway = stops.length - 1;
+    
+    let driver = null;
+    let lastSeen = null;
+    if (status === 'OUT_FOR_DELIVERY' && route) {
+        const location = await findDriverByRoute(route);
+        if (location) {
+            lastSeen = driverTrail.freshness(location);
+            driver = {
+                latitude: parseFloat(location.latitude),
+                longitude: parseFloat(location.longitude),
+                speed: location.speed,
+                lastUpdated: location.last_updated
+            };
         }
     }
     
+    const eta = etaEngine.estimate({
+        routeId: route,
+        stops,
+        driver,
+        departureMinutes: status === 'COMPLETED' ? ETA_DEPARTURE_MINUTES : 0
+    });
+    const range = { min: eta.minMinutes, max: eta.maxMinutes };
+    const confidence = tr.t(`estimate.confidence.${eta.confidence}`);
+    
+    let display;
+    let message;
     if (status === 'COMPLETED') {
-        return {
-            eta: 'Ready for pickup',
-            stopsAway: stopsAway,
-            estimatedMinutes: stopsAway * avgTimePerStop + 15,
-            message: `🚚 Ready! Estimated ${stopsAway * avgTimePerStop + 15}-${stopsAway * avgTimePerStop + 30} minutes once driver starts route.`,
-            routeProgress
-        };
-    }
-    
-    if (status === 'OUT_FOR_DELIVERY') {
-        const minTime = Math.max(stopsAway * avgTimePerStop, 5);
-        const maxTime = minTime + 15;
-        
-        return {
-            eta: `${minTime}-${maxTime} min`,
-            stopsAway: stopsAway,
-            estimatedMinutes: minTime,
-            message: stopsAway === 0 
-                ? '🎉 Driver is heading to you now! Arriving in 5-15 minutes.'
-                : `🚗 ${stopsAway} stop${stopsAway > 1 ? 's' : ''} before you. Estimated arrival: ${minTime}-${maxTime} minutes.`,
-            routeProgress
-        };
+        display = tr.t('estimate.completed.eta');
+        message = tr.t('estimate.completed.message', range);
+    } else {
+        display = tr.t('estimate.outForDelivery.eta', range);
+        message = stopsAway === 0
+            ? tr.t('estimate.outForDelivery.next', range)
+            : tr.t('estimate.outForDelivery.message', { count: stopsAway, ...range });
     }
     
     return {
-        eta: 'Calculating...',
-        stopsAway: null,
-        estimatedMinutes: null,
-        message: '⏳ Calculating delivery estimate...',
-        routeProgress: null
+        eta: display,
+        stopsAway,
+        estimatedMinutes: eta.minutes,
+        minMinutes: eta.minMinutes,
+        maxMinutes: eta.maxMinutes,
+        confidence: eta.confidence,
+        method: eta.method,
+        message: `${message}\n${confidence}`,
+        lastSeen,
+        routeProgress
     };
 }
 
+// "Driver last seen N min ago" line for the chat; a stale or offline location gets a warning
+function getLastSeenText(lastSeen, tr = getTranslator()) {
+    if (!lastSeen || lastSeen.minutesAgo === null) return '';
+    if (lastSeen.status === 'live' && lastSeen.minutesAgo === 0) return tr.t('order.tracking.lastSeen.now');
+    return tr.t(`order.tracking.lastSeen.${lastSeen.status}`, { minutes: lastSeen.minutesAgo });
+}
+
+// { min, max, confidence, method } for payloads, or null before the order is packed or once it is done
+function getEtaRange(estimate) {
+    if (estimate.minMinutes === undefined) return null;
+    return { min: estimate.minMinutes, max: estimate.maxMinutes, confidence: estimate.confidence, method: estimate.method };
+}
+
 // Format order type
-function getOrderType(takeOut) {
-    const types = { 0: 'Dine-in', 1: 'Take Out', 2: 'Delivery' };
-    return types[takeOut] || 'Unknown';
+function getOrderType(takeOut, tr = getTranslator()) {
+    return ['0', '1', '2'].includes(String(takeOut)) ? tr.t(`orderType.${takeOut}`) : tr.t('orderType.unknown');
+}
+
+// Parse a route ID ("kranthi-west-1.19.26") into driver, zone and service date, using the driver
+// registry's IDs for multi-word driver names (see lib/routes.js)
+function parseRoute(routeId) {
+    return parseRouteId(routeId, { driverIds: drivers.listDrivers().map(driver => driver.id) });
 }
 
-// Format driver/route name for display
+// Driver, zone and route for display, or null when the order has no route yet
 function formatDriverName(deliveryAssociate) {
-    console.log(`[DRIVER] formatDriverName input: "${deliveryAssociate}" (type: ${typeof deliveryAssociate})`);
-    
-    // Check for empty/null values - handle various empty formats from API
-    if (!deliveryAssociate || 
-        deliveryAssociate === '""' || 
-        deliveryAssociate === '' ||
-        deliveryAssociate === '\"\"' ||
-        deliveryAssociate.trim() === '' ||
-        deliveryAssociate.trim() === '""') {
-        console.log(`[DRIVER] Returning null - empty value detected`);
-        return null;
-    }
-    
-    // Parse route name like "giga-north-1.19.26" or "kranthi-west-1.19.26" or "Jag-edison-1.22.26"
-    const cleaned = deliveryAssociate.replace(/"/g, '').trim();
-    console.log(`[DRIVER] Cleaned value: "${cleaned}"`);
+    const route = parseRoute(deliveryAssociate);
+    if (!route) return null;
     
-    if (!cleaned) {
-        console.log(`[DRIVER] Returning null - cleaned value is empty`);
-        return null;
-    }
-    
-    const parts = cleaned.split('-');
-    if (parts.length >= 2) {
-        const driverName = parts[0].charAt(0).toUpperCase() + parts[0].slice(1);
-        const zone = parts[1].charAt(0).toUpperCase() + parts[1].slice(1);
-        console.log(`[DRIVER] Parsed: driver="${driverName}", zone="${zone}", route="${cleaned}"`);
-        return { driver: driverName, zone: zone, route: cleaned };
-    }
-    console.log(`[DRIVER] Single part driver name: "${cleaned}"`);
-    return { driver: cleaned, zone: 'N/A', route: cleaned };
+    // The registry knows the driver's display name; the route name is only a fallback
+    const match = drivers.resolveRoute(route.id);
+    const driverName = match.driver ? match.driver.name : route.driver;
+    console.log(`[DRIVER] Parsed: driver="${driverName}", zone="${route.zone}", route="${route.id}", date=${route.serviceDate}`);
+    return {
+        driver: driverName,
+        zone: route.zone || 'N/A',
+        route: route.id,
+        serviceDate: route.serviceDate,
+        driverId: match.driver ? match.driver.id : null,
+        matchedBy: match.matchedBy,
+        ambiguous: match.ambiguous
+    };
 }
 
-// Format order response with full details
-async function formatOrderResponse(order) {
+// Format order response with full details: markdown for the web chat plus typed blocks for the apps
+// With 'status' access, contact details and address are masked and the delivery photo is withheld.
+// `accessLevel` is required: anything other than 'full' gets the masked view.
+async function formatOrderResponse(order, store, accessLevel, tr = getTranslator()) {
+    const fullAccess = accessLevel === 'full';
+    const details = fullAccess ? order : redactOrder(order);
     const items = order.menuList || [];
+    const na = tr.t('common.na');
     
     // Find unavailable items (items marked as not available, out of stock, or substituted)
     const unavailableItems = items.filter(item => {
@@ -735,41 +1369,43 @@ async function formatOrderResponse(order) {
     if (unavailableItems.length > 0) {
         const unavailableStr = unavailableItems.map(item => {
             const qty = item.count || 1;
-            return `• ❌ ${item.menuItemName} x${qty}${item.substituteItem ? ` → Substituted with: ${item.substituteItem}` : ''}`;
+            return `• ❌ ${item.menuItemName} x${qty}${item.substituteItem ? ` ${tr.t('order.unavailable.substituted', { item: item.substituteItem })}` : ''}`;
         }).join('\n');
         
         unavailableSection = `
 ━━━━━━━━━━━━━━━━━━━━━━
-⚠️ **Unavailable Items (${unavailableItems.length})**
+${tr.t('order.unavailable.title', { count: unavailableItems.length })}
 ━━━━━━━━━━━━━━━━━━━━━━
 ${unavailableStr}
 
-💡 These items were not available. You'll be refunded for any items not substituted.`;
+${tr.t('order.unavailable.note')}`;
     }
     
     // Delivery proof image (photo taken at delivery)
     let deliveryProofSection = '';
     if (order.orderStatus === 'DELIVERED') {
-        if (order.imageUrl) {
-            deliveryProofSection = `\n\n📸 **Delivery Proof Photo:**\n<!--DELIVERY_PROOF:${order.imageUrl}-->`;
+        if (order.imageUrl && !fullAccess) {
+            deliveryProofSection = `\n\n${tr.t('order.proof.locked')}`;
+        } else if (order.imageUrl) {
+            deliveryProofSection = `\n\n${tr.t('order.proof.photo')}\n<!--DELIVERY_PROOF:${order.imageUrl}-->`;
         } else {
-            deliveryProofSection = `\n\n📸 **Delivery Proof:** Photo not available for this order.`;
+            deliveryProofSection = `\n\n${tr.t('order.proof.none')}`;
         }
     } else if (order.orderStatus === 'OUT_FOR_DELIVERY') {
-        deliveryProofSection = `\n\n📸 **Delivery Proof:** Photo will be available after delivery.`;
+        deliveryProofSection = `\n\n${tr.t('order.proof.later')}`;
     }
     
     // Calculate subtotal
     const subtotal = items.reduce((sum, item) => sum + ((item.salePrice || 0) * (item.count || 1)), 0);
     
-    // Format order creation time
-    const orderDate = order.orderCreationTimeStr || order.orderCreationTime || 'N/A';
+    // Format order creation time in the customer's locale
+    const orderDate = tr.dateTime(order.orderCreationTime) || order.orderCreationTimeStr || order.orderCreationTime || na;
     
     // Format delivery time
-    let deliveryTime = order.requestedDeliveryDateString || order.requestedDeliveryDateStr || 'Pending';
+    let deliveryTime = order.requestedDeliveryDateString || order.requestedDeliveryDateStr || tr.t('common.pending');
     if (order.requestedDeliveryDate) {
-        const reqDate = new Date(order.requestedDeliveryDate);
-        deliveryTime += ` (${reqDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })})`;
+        const reqTime = tr.time(order.requestedDeliveryDate);
+        if (reqTime) deliveryTime += ` (${reqTime})`;
     }
     
     // Order platform
@@ -789,28 +1425,27 @@ ${unavailableStr}
     const packingAssociate = order.packingAssociate || null;
     const deliverySeq = order.deliverySeq || null;
     
-    // Google Maps link
-    const mapsUrl = getGoogleMapsUrl(order.address);
+    // Google Maps link (only with full access - it reveals the delivery address)
+    const mapsUrl = fullAccess ? getGoogleMapsUrl(order.address) : null;
     const storeMapsUrl = getGoogleMapsUrl(order.storeAddress1);
-    const directionsUrl = getDirectionsUrl(order.storeAddress1, order.address);
+    const directionsUrl = fullAccess ? getDirectionsUrl(order.storeAddress1, order.address) : null;
     
     // Progress timeline
-    const progressTimeline = getProgressTimeline(order.orderStatus);
+    const progressTimeline = getProgressTimeline(order.orderStatus, tr);
     
     // Delivery estimate (now async with live route data)
-    const estimate = await getDeliveryEstimate(order, driverInfo);
+    const estimate = await getDeliveryEstimate(order, driverInfo, tr);
     
     // Live route progress info
     let liveRouteSection = '';
     if (estimate.routeProgress) {
         const rp = estimate.routeProgress;
         liveRouteSection = `
-📊 **LIVE Route Progress:**
+${tr.t('order.liveRoute.title')}
 ━━━━━━━━━━━━━━━━━━━━━━
-**Route:** ${rp.routeId}
-**Progress:** ${rp.completedStops}/${rp.totalStops} stops completed (${rp.progressPercent}%)
-**Driver Currently At:** ${rp.currentStopAddress || 'Starting route'}
-${rp.lastDeliveredAddress ? `**Last Delivery:** ${rp.lastDeliveredAddress}` : ''}
+**${tr.t('labels.route')}:** ${rp.routeId}
+**${tr.t('labels.progress')}:** ${tr.t('order.liveRoute.progress', { completed: rp.completedStops, total: rp.totalStops, percent: rp.progressPercent })}
+**${tr.t('labels.driverCurrentlyAt')}:** ${rp.completedStops > 0 ? tr.t('order.liveRoute.currentStop', { seq: rp.currentStopSeq, total: rp.totalStops }) : tr.t('order.liveRoute.startingRoute')}
 
 [████${'█'.repeat(Math.floor(rp.progressPercent/10))}${'░'.repeat(10-Math.floor(rp.progressPercent/10))}] ${rp.progressPercent}%
 `;
@@ -820,181 +1455,320 @@ ${rp.lastDeliveredAddress ? `**Last Delivery:** ${rp.lastDeliveredAddress}` : ''
     let deliveryTrackingSection = '';
     
     // Determine driver assignment text based on actual data
-    let driverAssignmentText = '⏳ Not yet assigned';
-    let routeText = '⏳ Pending route optimization';
+    let driverAssignmentText = tr.t('order.tracking.driverNotAssigned');
+    let routeText = tr.t('order.tracking.routePending');
     let stopText = '';
     
     if (driverInfo) {
-        driverAssignmentText = `✅ **${driverInfo.driver}** (${driverInfo.zone} Zone)`;
-        routeText = `✅ Route: ${driverInfo.route}`;
+        driverAssignmentText = tr.t('order.tracking.driverAssigned', { driver: driverInfo.driver, zone: driverInfo.zone });
+        routeText = tr.t('order.tracking.routeAssigned', { route: driverInfo.route });
         if (deliverySeq) {
-            stopText = `📍 Your Stop: #${deliverySeq} in route`;
+            stopText = tr.t('order.tracking.yourStopInRoute', { seq: deliverySeq });
         }
     }
     
     if (order.orderStatus === 'PLACED') {
         deliveryTrackingSection = `
 ━━━━━━━━━━━━━━━━━━━━━━
-🚚 **Delivery Tracking**
+${tr.t('order.tracking.title')}
 ━━━━━━━━━━━━━━━━━━━━━━
-**Packing Status:** ⏳ Awaiting packing
-**Driver Assignment:** ${driverAssignmentText}
-**Route:** ${routeText}
+**${tr.t('labels.packingStatus')}:** ${tr.t('order.tracking.awaitingPacking')}
+**${tr.t('labels.driverAssignment')}:** ${driverAssignmentText}
+**${tr.t('labels.route')}:** ${routeText}
 ${stopText}
 
-⏱️ **Estimated Delivery:**
+${tr.t('order.tracking.estimatedDelivery')}
 ${estimate.message}
 
-📍 **Delivery Location:**
-${order.address || 'N/A'}
-${mapsUrl ? `🗺️ View on Map: ${mapsUrl}` : ''}
-${directionsUrl ? `🚗 Get Directions: ${directionsUrl}` : ''}
+${tr.t('order.tracking.deliveryLocation')}
+${details.address || na}
+${mapsUrl ? tr.t('order.tracking.viewOnMap', { url: mapsUrl }) : ''}
+${directionsUrl ? tr.t('order.tracking.directions', { url: directionsUrl }) : ''}
 
-${driverInfo ? '✅ A driver has been assigned to your order!' : '💡 Your order will be assigned to a driver once packing begins.'}`;
+${driverInfo ? tr.t('order.tracking.driverAssignedNote') : tr.t('order.tracking.driverSoonNote')}`;
     } else if (order.orderStatus === 'STARTED') {
         // Get packing progress
-        const packingProgress = getPackingProgress(order);
+        const packingProgress = getPackingProgress(order, tr);
         const progressBar = '█'.repeat(Math.floor(packingProgress.percent/10)) + '░'.repeat(10-Math.floor(packingProgress.percent/10));
         
         deliveryTrackingSection = `
 ━━━━━━━━━━━━━━━━━━━━━━
-📦 **LIVE PACKING PROGRESS**
+${tr.t('order.tracking.packingTitle')}
 ━━━━━━━━━━━━━━━━━━━━━━
-🟠 **Your order is being packed!**
+${tr.t('order.tracking.beingPacked')}
 
 [${progressBar}] ${packingProgress.percent}%
-📊 Progress: ${packingProgress.itemsPacked}/${packingProgress.totalItems} items
-${packingProgress.packer ? `👤 Packed by: ${packingProgress.packer}` : ''}
-${packingProgress.estimatedMinutes ? `⏱️ Est. ${packingProgress.estimatedMinutes} min remaining` : ''}
+${tr.t('order.tracking.packingProgress', { packed: packingProgress.itemsPacked, total: packingProgress.totalItems })}
+${packingProgress.packer ? tr.t('order.tracking.packedByLine', { name: packingProgress.packer }) : ''}
+${packingProgress.estimatedMinutes ? tr.t('order.tracking.remaining', { minutes: packingProgress.estimatedMinutes }) : ''}
 
-**Driver Assignment:** ${driverAssignmentText}
-**Route:** ${routeText}
+**${tr.t('labels.driverAssignment')}:** ${driverAssignmentText}
+**${tr.t('labels.route')}:** ${routeText}
 ${stopText}
 
-📍 **Delivery Location:**
-${order.address || 'N/A'}
-${mapsUrl ? `🗺️ View on Map: ${mapsUrl}` : ''}
-${directionsUrl ? `🚗 Get Directions: ${directionsUrl}` : ''}
+${tr.t('order.tracking.deliveryLocation')}
+${details.address || na}
+${mapsUrl ? tr.t('order.tracking.viewOnMap', { url: mapsUrl }) : ''}
+${directionsUrl ? tr.t('order.tracking.directions', { url: directionsUrl }) : ''}
 
-💡 Click the "📋 Packing Status" button below for real-time packing updates!`;
+${tr.t('order.tracking.packingButtonHint')}`;
     } else if (order.orderStatus === 'COMPLETED' && driverInfo) {
         deliveryTrackingSection = `
 ━━━━━━━━━━━━━━━━━━━━━━
-🚚 **Delivery Tracking**
+${tr.t('order.tracking.title')}
 ━━━━━━━━━━━━━━━━━━━━━━
-✅ **Order Packed & Ready!**
+${tr.t('order.tracking.packedReady')}
 
-**Packed By:** ${packingAssociate || 'N/A'}
-**Driver:** ${driverInfo.driver}
-**Delivery Zone:** ${driverInfo.zone}
-**Route ID:** ${driverInfo.route}
-**Your Stop:** #${deliverySeq} in route
+**${tr.t('labels.packedBy')}:** ${packingAssociate || na}
+**${tr.t('labels.driver')}:** ${driverInfo.driver}
+**${tr.t('labels.deliveryZone')}:** ${driverInfo.zone}
+**${tr.t('labels.routeId')}:** ${driverInfo.route}
+**${tr.t('labels.yourStop')}:** ${tr.t('order.tracking.stopInRoute', { seq: deliverySeq })}
 
-⏱️ **Estimated Delivery:**
+${tr.t('order.tracking.estimatedDelivery')}
 ${estimate.message}
 
-📍 **Delivery Location:**
-${order.address || 'N/A'}
-${mapsUrl ? `🗺️ View on Map: ${mapsUrl}` : ''}
-${directionsUrl ? `🚗 Get Directions from Store: ${directionsUrl}` : ''}
+${tr.t('order.tracking.deliveryLocation')}
+${details.address || na}
+${mapsUrl ? tr.t('order.tracking.viewOnMap', { url: mapsUrl }) : ''}
+${directionsUrl ? tr.t('order.tracking.directionsFromStore', { url: directionsUrl }) : ''}
 
-🔴 **Track Route:**
+${tr.t('order.tracking.trackRoute')}
 https://delivery-routes.vercel.app/driver`;
     } else if (order.orderStatus === 'OUT_FOR_DELIVERY' && driverInfo) {
         const driverTrackingUrl = `https://delivery-routes.vercel.app/driver`;
         deliveryTrackingSection = `
 ━━━━━━━━━━━━━━━━━━━━━━
-🚚 **LIVE DELIVERY TRACKING**
+${tr.t('order.tracking.liveTitle')}
 ━━━━━━━━━━━━━━━━━━━━━━
-🟢 **Your order is on the way!**
+${tr.t('order.tracking.onTheWay')}
 
-⏱️ **ETA: ${estimate.eta}**
+${tr.t('order.tracking.eta', { eta: estimate.eta })}
 ${estimate.message}
 
-**Packed By:** ${packingAssociate || 'N/A'}
-**Driver:** ${driverInfo.driver}
-**Delivery Zone:** ${driverInfo.zone}
-**Route ID:** ${driverInfo.route}
-**Your Stop:** #${deliverySeq} in delivery sequence
+**${tr.t('labels.packedBy')}:** ${packingAssociate || na}
+**${tr.t('labels.driver')}:** ${driverInfo.driver}
+${getLastSeenText(estimate.lastSeen, tr)}
+**${tr.t('labels.deliveryZone')}:** ${driverInfo.zone}
+**${tr.t('labels.routeId')}:** ${driverInfo.route}
+**${tr.t('labels.yourStop')}:** ${tr.t('order.tracking.stopInSequence', { seq: deliverySeq })}
 
-📍 **Delivering To:**
-${order.address || 'N/A'}
-${mapsUrl ? `🗺️ View Location: ${mapsUrl}` : ''}
-${directionsUrl ? `🚗 Directions from Store: ${directionsUrl}` : ''}
+${tr.t('order.tracking.deliveringTo')}
+${details.address || na}
+${mapsUrl ? tr.t('order.tracking.viewLocation', { url: mapsUrl }) : ''}
+${directionsUrl ? tr.t('order.tracking.storeDirections', { url: directionsUrl }) : ''}
 
-🔴 **TRACK DRIVER LIVE:**
+${tr.t('order.tracking.trackDriverLive')}
 ${driverTrackingUrl}
 
-📊 **Route Progress:**
-${estimate.stopsAway === 0 ? '🎉 You are NEXT!' : `The driver has ${estimate.stopsAway} stop${estimate.stopsAway > 1 ? 's' : ''} before yours.`}
+${tr.t('order.tracking.routeProgress')}
+${estimate.stopsAway === 0 ? tr.t('order.tracking.youAreNext') : tr.t('order.tracking.stopsBefore', { count: estimate.stopsAway })}
 ${liveRouteSection}
-💡 Click the "🚗 Track Driver" button below for real-time driver location!`;
+${tr.t('order.tracking.driverButtonHint')}`;
     } else if (driverInfo) {
         const driverTrackingUrl = `https://delivery-routes.vercel.app/driver`;
         deliveryTrackingSection = `
 ━━━━━━━━━━━━━━━━━━━━━━
-🚚 **Delivery Tracking**
+${tr.t('order.tracking.title')}
 ━━━━━━━━━━━━━━━━━━━━━━
 ${estimate.message}
 
-**Packed By:** ${packingAssociate || 'N/A'}
-**Driver:** ${driverInfo.driver}
-**Delivery Zone:** ${driverInfo.zone}
-**Route ID:** ${driverInfo.route}
-**Delivery Sequence:** #${deliverySeq} in route
+**${tr.t('labels.packedBy')}:** ${packingAssociate || na}
+**${tr.t('labels.driver')}:** ${driverInfo.driver}
+**${tr.t('labels.deliveryZone')}:** ${driverInfo.zone}
+**${tr.t('labels.routeId')}:** ${driverInfo.route}
+**${tr.t('labels.deliverySequence')}:** ${tr.t('order.tracking.stopInRoute', { seq: deliverySeq })}
 ${liveRouteSection}
-📍 **Delivered To:**
-${order.address || 'N/A'}
-${mapsUrl ? `🗺️ View on Map: ${mapsUrl}` : ''}
+${tr.t('order.tracking.deliveredTo')}
+${details.address || na}
+${mapsUrl ? tr.t('order.tracking.viewOnMap', { url: mapsUrl }) : ''}
 
-🚗 **Driver Tracking Portal:**
+${tr.t('order.tracking.driverPortal')}
 ${driverTrackingUrl}`;
     }
     
-    return `📦 **Order #${order.customerOrderId}**
+    const text = `${tr.t('order.title', { orderId: order.customerOrderId })}
 
-${getStatusDisplay(order.orderStatus)}
+${getStatusDisplay(order.orderStatus, tr)}
 
 ━━━━━━━━━━━━━━━━━━━━━━
-📊 **Order Progress**
+${tr.t('order.sections.progress')}
 ━━━━━━━━━━━━━━━━━━━━━━
 ${progressTimeline}
 
 ━━━━━━━━━━━━━━━━━━━━━━
-👤 **Customer Details**
+${tr.t('order.sections.customer')}
 ━━━━━━━━━━━━━━━━━━━━━━
-**Name:** ${(order.firstName || '') + ' ' + (order.lastName || '')}
-**Phone:** ${order.phone || 'N/A'}
-**Email:** ${order.email || 'N/A'}
-**Address:** ${order.address || 'N/A'}
+**${tr.t('labels.name')}:** ${getCustomerName(order, accessLevel) || na}
+**${tr.t('labels.phone')}:** ${details.phone || na}
+**${tr.t('labels.email')}:** ${details.email || na}
+**${tr.t('labels.address')}:** ${details.address || na}
 
 ━━━━━━━━━━━━━━━━━━━━━━
-🏪 **Store Details**
+${tr.t('order.sections.store')}
 ━━━━━━━━━━━━━━━━━━━━━━
-**Store:** ${order.storeName || 'iPerkz - Groceries'}
-**Store Address:** ${order.storeAddress1 || 'N/A'}
+**${tr.t('labels.store')}:** ${order.storeName || store.name}
+**${tr.t('labels.storeAddress')}:** ${order.storeAddress1 || store.address || na}
 
 ━━━━━━━━━━━━━━━━━━━━━━
-📋 **Order Details**
+${tr.t('order.sections.details')}
 ━━━━━━━━━━━━━━━━━━━━━━
-**Order Date:** ${orderDate}
-**Order Type:** ${getOrderType(order.takeOut)}
-**Platform:** ${platform}
-**Scheduled Delivery:** ${deliveryTime}
-${order.deliveryInstructions ? `**Delivery Instructions:** ${order.deliveryInstructions}` : ''}
-${order.specialInstructions ? `**Special Instructions:** ${order.specialInstructions}` : ''}
+**${tr.t('labels.orderDate')}:** ${orderDate}
+**${tr.t('labels.orderType')}:** ${getOrderType(order.takeOut, tr)}
+**${tr.t('labels.platform')}:** ${platform}
+**${tr.t('labels.scheduledDelivery')}:** ${deliveryTime}
+${details.deliveryInstructions ? `**${tr.t('labels.deliveryInstructions')}:** ${details.deliveryInstructions}` : ''}
+${details.specialInstructions ? `**${tr.t('labels.specialInstructions')}:** ${details.specialInstructions}` : ''}
 ${deliveryTrackingSection}
 ${unavailableSection}
 ${deliveryProofSection}
+${fullAccess ? '' : getUnlockHint(order, tr)}
 
 ━━━━━━━━━━━━━━━━━━━━━━
-📱 **Track Your Order**
+${tr.t('order.sections.track')}
 ━━━━━━━━━━━━━━━━━━━━━━
-Download the iPerkz app for real-time tracking!
+${tr.t('order.trackApp')}
 • iOS: ${IOS_APP}
 • Android: ${ANDROID_APP}
 
-Is there anything else I can help you with?`;
+${tr.t('common.anythingElse')}`;
+    
+    return createReply(text, getOrderBlocks(order, store, accessLevel, tr, {
+        details, driverInfo, estimate, unavailableItems, orderDate, deliveryTime, mapsUrl, storeMapsUrl, directionsUrl
+    }));
+}
+
+// Typed blocks for an order reply (the same facts as the markdown, without the formatting)
+function getOrderBlocks(order, store, accessLevel, tr, facts) {
+    const { details, driverInfo, estimate, unavailableItems, orderDate, deliveryTime, mapsUrl, storeMapsUrl, directionsUrl } = facts;
+    const fullAccess = accessLevel === 'full';
+    const packing = order.orderStatus === 'STARTED' ? getPackingProgress(order, tr) : null;
+    const routeProgress = estimate.routeProgress;
+    const blocks = [];
+    
+    blocks.push(block('status_card', {
+        orderId: order.customerOrderId,
+        status: order.orderStatus,
+        title: getStatusDisplay(order.orderStatus, tr),
+        step: getStatusStep(order.orderStatus),
+        totalSteps: TIMELINE_STAGES.length,
+        accessLevel,
+        eta: estimate.eta,
+        etaMessage: estimate.message,
+        etaRange: getEtaRange(estimate),
+        stopsAway: estimate.stopsAway,
+        orderType: getOrderType(order.takeOut, tr),
+        orderDate,
+        scheduledDelivery: deliveryTime,
+        customer: {
+            name: getCustomerName(order, accessLevel),
+            phone: details.phone || null,
+            email: details.email || null,
+            address: details.address || null
+        },
+        store: {
+            name: order.storeName || store.name,
+            address: order.storeAddress1 || store.address || null
+        },
+        deliveryInstructions: details.deliveryInstructions || null,
+        specialInstructions: details.specialInstructions || null,
+        driver: driverInfo ? {
+            id: driverInfo.driverId,
+            name: driverInfo.driver,
+            zone: driverInfo.zone,
+            route: driverInfo.route,
+            stop: order.deliverySeq || null,
+            packedBy: order.packingAssociate || null,
+            lastSeen: estimate.lastSeen || null
+        } : null,
+        packing: packing ? {
+            percent: packing.percent,
+            itemsPacked: packing.itemsPacked,
+            totalItems: packing.totalItems,
+            estimatedMinutes: packing.estimatedMinutes,
+            packer: packing.packer
+        } : null,
+        routeProgress: routeProgress ? {
+            totalStops: routeProgress.totalStops,
+            completedStops: routeProgress.completedStops,
+            progressPercent: routeProgress.progressPercent
+        } : null
+    }));
+    
+    blocks.push(block('timeline', {
+        title: tr.t('blocks.timeline'),
+        cancelled: order.orderStatus === 'CANCELLED',
+        steps: getTimelineSteps(order.orderStatus, tr)
+    }));
+    
+    if (unavailableItems.length > 0) {
+        blocks.push(block('item_list', {
+            title: tr.t('blocks.unavailable'),
+            variant: 'unavailable',
+            items: unavailableItems.map(item => ({
+                name: item.menuItemName,
+                quantity: item.count || 1,
+                substitute: item.substituteItem || null
+            })),
+            note: tr.t('order.unavailable.note')
+        }));
+    }
+    
+    if (mapsUrl) blocks.push(block('map_link', { kind: 'location', label: tr.t('blocks.deliveryLocation'), url: mapsUrl }));
+    if (directionsUrl) blocks.push(block('map_link', { kind: 'directions', label: tr.t('blocks.directions'), url: directionsUrl }));
+    if (storeMapsUrl) blocks.push(block('map_link', { kind: 'store', label: tr.t('blocks.storeLocation'), url: storeMapsUrl }));
+    
+    if (fullAccess && order.orderStatus === 'DELIVERED' && order.imageUrl) {
+        blocks.push(block('image', { kind: 'delivery_proof', url: order.imageUrl, caption: tr.t('blocks.deliveryProof') }));
+    }
+    
+    const canUnlock = !fullAccess && (order.phone || order.email);
+    if (canUnlock) {
+        blocks.push(block('text', { text: tr.t('order.unlock.hidden') }));
+    }
+    
+    const options = getOrderQuickReplies(order, accessLevel, tr);
+    if (options.length > 0) {
+        blocks.push(block('quick_replies', { options }));
+    }
+    return blocks;
+}
+
+// Follow-up buttons for an order: live tracking screens, unlocking, payment.
+// Messages avoid words the language detector keys on, so a tap doesn't switch the chat language.
+function getOrderQuickReplies(order, accessLevel, tr) {
+    const orderId = order.customerOrderId;
+    const options = [];
+    if (order.orderStatus === 'STARTED') {
+        options.push({ label: tr.t('quickReplies.packingStatus'), action: 'packing_status', orderId });
+    }
+    if (order.orderStatus === 'OUT_FOR_DELIVERY') {
+        options.push({ label: tr.t('quickReplies.trackDriver'), action: 'track_driver', orderId });
+    }
+    if (accessLevel === 'full') {
+        options.push({ label: tr.t('quickReplies.payment'), message: `payment ${orderId}` });
+        if (claims.checkEligibility(order).eligible) {
+            options.push({ label: tr.t('quickReplies.reportItem'), message: `report item ${orderId}` });
+        }
+    } else {
+        if (order.phone) options.push({ label: tr.t('quickReplies.sendCode'), message: `send code ${orderId}` });
+        if (order.email) options.push({ label: tr.t('quickReplies.emailCode'), message: `email code ${orderId}` });
+    }
+    return options;
+}
+
+// How to unlock full order details with a one-time code
+function getUnlockHint(order, tr = getTranslator()) {
+    const phone = maskPhone(order.phone);
+    const email = maskEmail(order.email);
+    const options = [];
+    if (phone) options.push(tr.t('order.unlock.sendCode', { phone }));
+    if (email) options.push(tr.t('order.unlock.emailCode', { email }));
+    if (options.length === 0) return '';
+    
+    return `
+${tr.t('order.unlock.hidden')}
+${tr.t('order.unlock.reply', { options: options.join(tr.t('order.unlock.or')) })}`;
 }
 
 // Extract order ID from message
@@ -1015,6 +1789,24 @@ function extractOrderId(message) {
     return null;
 }
 
+// Words around an order number that don't identify anyone ("64540 status please", "gracias, donde esta
+// mi pedido 64540"), in every chat language: verification.fillerWords in the locale catalogs
+const VERIFICATION_FILLER_WORDS = i18n.words('verification.fillerWords');
+
+// The name, phone number or email in a customer's verification text, or null when there is none.
+// Only text that can identify someone is worth a verification attempt (a failed one counts towards lockout).
+function extractIdentity(text) {
+    const value = String(text || '').replace(/['’]s\b/g, '').trim();
+    const email = value.match(/[^\s@,]+@[^\s@,]+\.[^\s@,]+/);
+    if (email) return email[0];
+    
+    const words = value.split(/[\s,:;#?!.¿¡।]+/).filter(word => word && !VERIFICATION_FILLER_WORDS.has(normalizeText(word)));
+    const rest = words.join(' ');
+    if (/^[+()\d\s-]+$/.test(rest) && rest.replace(/\D/g, '').length >= 4) return rest;
+    if (words.length >= 1 && words.length <= 3 && words.every(word => /^[\p{L}\p{M}'’-]{2,}$/u.test(word))) return rest;
+    return null;
+}
+
 // Extract order ID and verification info from single message
 // Supports formats like: "64564 Sonia", "64564, john@email.com", "order 64564 phone 1234567890"
 function extractOrderAndVerification(message) {
@@ -1030,377 +1822,779 @@ function extractOrderAndVerification(message) {
     const pattern1 = /^(\d{5,6})[\s,]+(.+)$/;
     const match1 = msg.match(pattern1);
     if (match1) {
-        return { orderId: match1[1], verificationInfo: match1[2].trim() };
+        return { orderId: match1[1], verificationInfo: extractIdentity(match1[2]) };
     }
     
     // Pattern 3: "order 64564 name Sonia" or "track 64564 email john@test.com"
     const pattern2 = /(?:order|track|status)?\s*#?(\d{5,6})[\s,]+(?:name|phone|email|verify)?[\s:]*(.+)/i;
     const match2 = msg.match(pattern2);
     if (match2) {
-        return { orderId: match2[1], verificationInfo: match2[2].trim() };
+        return { orderId: match2[1], verificationInfo: extractIdentity(match2[2]) };
     }
     
     // Pattern 4: Any 5-6 digit number in the message with additional text
+    // ("thanks, where is my order 64531" has no verification info)
     const orderMatch = msg.match(/\b(\d{5,6})\b/);
     if (orderMatch) {
-        // Extract everything that's not the order ID as potential verification
-        const remaining = msg.replace(orderMatch[0], '').replace(/[,\s]+/g, ' ').trim();
-        // Remove common keywords
-        const cleaned = remaining.replace(/\b(order|track|status|id|my|is|where|#|no)\b/gi, '').trim();
-        if (cleaned.length >= 2) {
-            return { orderId: orderMatch[1], verificationInfo: cleaned };
-        }
-        return { orderId: orderMatch[1], verificationInfo: null };
+        return { orderId: orderMatch[1], verificationInfo: extractIdentity(msg.replace(orderMatch[0], ' ')) };
     }
     
     return { orderId: null, verificationInfo: null };
 }
 
-// Intent detection
-function isGreeting(msg) {
-    const greetings = ['hi', 'hello', 'hey', 'namaste', 'namaskar', 'good morning', 'good afternoon', 'good evening'];
-    return greetings.some(g => msg.startsWith(g) || msg === g);
-}
-
-function isFarewell(msg) {
-    const farewells = ['bye', 'goodbye', 'thanks bye', 'see you', 'take care'];
-    return farewells.some(f => msg.includes(f));
-}
-
-function isThanks(msg) {
-    const thanks = ['thank', 'thanks', 'dhanyavad', 'appreciate'];
-    return thanks.some(t => msg.includes(t));
-}
-
-function isOrderQuery(msg) {
-    // Just order ID
-    if (/^\d{5,6}$/.test(msg.trim())) return true;
-    // Order ID with verification info (e.g., "64564 Sonia")
-    if (/^\d{5,6}[\s,]+\S+/.test(msg.trim())) return true;
-    // Keywords
-    const keywords = ['order', 'track', 'status', 'where is my', 'my order', 'tracking'];
-    return keywords.some(k => msg.includes(k));
-}
-
-function isDeliveryQuery(msg) {
-    const keywords = ['delivery', 'deliver', 'shipping', 'when will', 'arrival'];
-    return keywords.some(k => msg.includes(k));
-}
-
-function isRefundQuery(msg) {
-    const keywords = ['refund', 'cancel', 'money back', 'return'];
-    return keywords.some(k => msg.includes(k));
-}
-
-function isPaymentQuery(msg) {
-    const keywords = ['payment', 'paid', 'charge', 'total', 'amount', 'bill', 'receipt', 'invoice', 'price', 'cost', 'how much'];
-    return keywords.some(k => msg.includes(k));
-}
-
-function isAppQuery(msg) {
-    const keywords = ['app', 'download', 'install', 'play store', 'app store'];
-    return keywords.some(k => msg.includes(k));
-}
-
-// Pending verification state per session
-const pendingVerifications = new Map();
+// Intent detection: scored classifier configured in data/intents.json (INTENTS_FILE)
+const intentClassifier = createIntentClassifier({
+    file: process.env.INTENTS_FILE || path.join(__dirname, 'data', 'intents.json')
+});
 
 // Response handlers
-async function handleOrderQuery(message, sessionId) {
+async function handleOrderQuery(message, session, store, client) {
     // Extract both order ID and verification info from single message
-    const { orderId, verificationInfo } = extractOrderAndVerification(message);
+    const { orderId: mentionedOrderId, verificationInfo } = extractOrderAndVerification(message);
+    const tr = getTranslator(session);
     
+    // "Where is it?", "track the other one": the order being discussed
+    const orderId = resolveOrderId(message, session, mentionedOrderId);
     if (!orderId) {
-        return `To track your order, I'll need your **Order ID** and **verification info** in one step.
-
-**Quick Format:** \`Order ID + Your Name/Phone/Email\`
-
-**Examples:**
-• \`64531 John\`
-• \`64531, john@email.com\`
-• \`64531 7325551234\`
-
-You can find your Order ID in:
-• Your order confirmation notification
-• 'My Orders' section in the iPerkz app
-• Order confirmation email
-
-📦 Just type your order ID and name together!`;
+        return mentionsOtherOrder(message) ? tr.t('followUp.otherOrderUnknown') : tr.t('orderQuery.needId');
     }
     
-    const order = await findOrderById(orderId);
+    const order = await findOrderById(orderId, store.id);
     
     if (!order) {
-        return `📦 **Order #${orderId}**
-
-I couldn't find order #${orderId} in our system. This could mean:
-• The order ID may be incorrect
-• The order is still being processed
-• The order may be from a different store
-
-**Please verify your Order ID:**
-• Check your order confirmation email
-• Check 'My Orders' in the iPerkz app
-• Contact support if the issue persists
-
-📧 **Support:** support@iperkz.com
-
-Would you like to try a different order ID?`;
+        return getOrderNotFoundResponse(orderId, store, tr);
     }
     
     // Check if already verified for this order
-    const verifiedOrders = customerSessions.get(sessionId) || new Set();
-    if (verifiedOrders.has(orderId)) {
-        return formatOrderResponse(order);
+    if (sessions.isVerified(session, orderId)) {
+        focusOrder(session, orderId);
+        return formatOrderResponse(order, store, sessions.getAccessLevel(session, orderId), tr);
     }
     
     // If verification info was provided in same message, try to verify immediately
     if (verificationInfo) {
-        console.log(`[Verification] Single-step attempt for order #${orderId} with: "${verificationInfo}"`);
+        console.log(`[Verification] Single-step attempt for order #${orderId}`);
+        
+        const attempt = runVerificationAttempt(
+            { orderId, session, store, client, method: 'identity' },
+            () => verifyCustomerOwnership(order, verificationInfo)
+        );
+        if (attempt.locked) {
+            return getLockoutResponse(attempt.retryAfterMs, store, tr);
+        }
         
-        if (verifyCustomerOwnership(order, verificationInfo)) {
+        const match = attempt.result;
+        if (match) {
             // Verification successful - single step!
-            let verified = customerSessions.get(sessionId);
-            if (!verified) {
-                verified = new Set();
-                customerSessions.set(sessionId, verified);
-            }
-            verified.add(orderId);
+            const accessLevel = getMatchAccessLevel(match);
+            sessions.markVerified(session, orderId, accessLevel);
+            focusOrder(session, orderId);
             
-            console.log(`[Verification] ✓ Single-step verification successful for order #${orderId}`);
+            console.log(`[Verification] ✓ Single-step verification successful for order #${orderId} (${accessLevel} access)`);
             
-            return `✅ **Verified!** Here's your order:\n\n` + await formatOrderResponse(order);
+            return joinReplies([tr.t('orderQuery.verified'), await formatOrderResponse(order, store, accessLevel, tr)]);
         } else {
             // Verification failed - but still store pending for retry
-            pendingVerifications.set(sessionId, { orderId, order });
+            pendingVerifications.set(session.id, { orderId, storeId: store.id }, PENDING_VERIFICATION_EXPIRY);
             
             console.log(`[Verification] ✗ Single-step verification failed for order #${orderId}`);
             
-            return `❌ **Verification Failed**
-
-Order #${orderId} found, but "${verificationInfo}" doesn't match our records.
-
-**Please try again with:**
-• Your **first name** as on the order
-• Your **phone number** (or last 4 digits)
-• Your **email address**
-
-**Example:** \`${orderId} YourFirstName\`
-
-🔒 This protects your order information.`;
+            return tr.t('verification.failedWithInfo', { orderId, info: verificationInfo });
         }
     }
     
     // No verification info provided - prompt for it (but encourage single-step next time)
-    pendingVerifications.set(sessionId, { orderId, order });
+    pendingVerifications.set(session.id, { orderId, storeId: store.id }, PENDING_VERIFICATION_EXPIRY);
     
+    return getVerificationPrompt(order, orderId, tr);
+}
+
+// Ask for the name, phone or email on an order
+function getVerificationPrompt(order, orderId, tr) {
     // Mask all customer info for security
-    const maskedPhone = order.phone ? `***-***-****` : 'N/A';
-    const maskedEmail = order.email ? `***@***` : 'N/A';
+    const maskedPhone = order.phone ? `***-***-****` : tr.t('common.na');
+    const maskedEmail = order.email ? `***@***` : tr.t('common.na');
     const maskedName = order.firstName ? `${'*'.repeat(order.firstName.length)}` : '***';
     
-    return `🔐 **Verification Required** for Order #${orderId}
-
-**Order found for:** ${maskedName}
-**Phone on file:** ${maskedPhone}
-**Email on file:** ${maskedEmail}
-
-**Quick verify:** Reply with your **first name**, **phone**, or **email**
-
-💡 **Tip:** Next time, enter both together like: \`${orderId} YourName\`
-
-🔒 This protects your order information from unauthorized access.`;
+    return tr.t('verification.required', { orderId, name: maskedName, phone: maskedPhone, email: maskedEmail });
 }
 
 // Handle verification response
-async function handleVerification(message, sessionId) {
-    const pending = pendingVerifications.get(sessionId);
+async function handleVerification(message, session, store, client) {
+    const pending = pendingVerifications.get(session.id);
     
     if (!pending) {
         return null; // No pending verification
     }
     
-    const { orderId, order } = pending;
-    const identifier = message.trim();
+    // Only IDs are kept in the store, so re-read the order (it may also have changed status)
+    const { orderId } = pending;
+    const order = await findOrderById(orderId, pending.storeId || store.id);
+    const tr = getTranslator(session);
+    if (!order) {
+        // Keep the pending verification while orders can't be fetched: the customer can answer again later
+        if (isOrderTrackingUnavailable(pending.storeId || store.id)) {
+            return tr.t('orderQuery.unavailable', { orderId, supportEmail: store.supportEmail });
+        }
+        pendingVerifications.delete(session.id);
+        return null;
+    }
+    
+    // A new order number is a new question; anything without a name, phone or email asks again
+    // without counting as a failed attempt
+    if (extractOrderAndVerification(message).orderId) return null;
+    const identifier = extractIdentity(message);
+    if (!identifier) {
+        return getVerificationPrompt(order, orderId, tr);
+    }
+    
+    const attempt = runVerificationAttempt(
+        { orderId, session, store, client, method: 'identity' },
+        () => verifyCustomerOwnership(order, identifier)
+    );
+    if (attempt.locked) {
+        return getLockoutResponse(attempt.retryAfterMs, store, tr);
+    }
     
-    if (verifyCustomerOwnership(order, identifier)) {
+    const match = attempt.result;
+    if (match) {
         // Verification successful
-        pendingVerifications.delete(sessionId);
+        pendingVerifications.delete(session.id);
         
         // Store verified session
-        let verifiedOrders = customerSessions.get(sessionId);
-        if (!verifiedOrders) {
-            verifiedOrders = new Set();
-            customerSessions.set(sessionId, verifiedOrders);
-        }
-        verifiedOrders.add(orderId);
+        const accessLevel = getMatchAccessLevel(match);
+        sessions.markVerified(session, orderId, accessLevel);
+        focusOrder(session, orderId);
         
         // Await the formatOrderResponse since it's async
-        const orderResponse = await formatOrderResponse(order);
+        const orderResponse = await formatOrderResponse(order, store, accessLevel, tr);
         
-        return `✅ **Verification Successful!**
-
-Thank you for verifying your identity.
-
-` + orderResponse;
+        return joinReplies([tr.t('verification.success'), orderResponse], '\n');
     } else {
         // Verification failed
-        return `❌ **Verification Failed**
+        return tr.t('verification.failed', { orderId, supportEmail: store.supportEmail });
+    }
+}
+
+// Most recently verified order for this session
+function getLastVerifiedOrderId(session) {
+    const verified = Array.from(session.verifiedOrders || []);
+    return verified.length > 0 ? verified[verified.length - 1] : null;
+}
+
+// Make an order the one the conversation is about (see lib/conversationContext.js)
+function focusOrder(session, orderId) {
+    sessions.setContext(session, withActiveOrder(session.context, orderId));
+}
 
-The information provided doesn't match our records for order #${orderId}.
+// Order a message is about: the number in it, "the other one", or the order being discussed.
+// Sessions without an active order yet fall back to the last verified order.
+function resolveOrderId(message, session, mentionedOrderId = extractOrderAndVerification(message).orderId) {
+    const orderId = resolveOrderReference(message, session.context, mentionedOrderId);
+    if (orderId || mentionsOtherOrder(message)) return orderId;
+    return getLastVerifiedOrderId(session);
+}
 
-**Please try again with:**
-• Your phone number (or last 4 digits)
-• Your email address
-• Your first name as it appears on the order
+// "email code", "código por correo", "ईमेल कोड", "ఇమెయిల్ కోడ్" ask for the code by email
+const EMAIL_CHANNEL_PATTERN = /email|e-mail|correo|ईमेल|ఇమెయిల్/i;
 
-💡 Make sure you're using the same contact info used when placing the order.
+// One-time code errors in the customer's language (falls back to the English message)
+function translateCodeError(result, channel, tr) {
+    const key = result.code === 'NO_CONTACT' ? `otp.errors.NO_CONTACT_${channel}` : `otp.errors.${result.code}`;
+    const translated = tr.t(key, { attemptsLeft: result.attemptsLeft });
+    return translated === key ? result.error : translated;
+}
 
-📧 Need help? Contact support@iperkz.com`;
+// Handle "send code" / "email code" - send a one-time code to the contact on file
+async function handleOneTimeCodeRequest(message, session, store) {
+    const orderId = resolveOrderId(message, session);
+    const tr = getTranslator(session);
+    
+    if (!orderId || !sessions.isVerified(session, orderId)) {
+        return tr.t('otp.needVerification');
+    }
+    focusOrder(session, orderId);
+    
+    if (sessions.hasFullAccess(session, orderId)) {
+        return tr.t('otp.alreadyFull', { orderId });
+    }
+    
+    const order = await findOrderById(orderId, store.id);
+    if (!order) return null;
+    
+    const channel = EMAIL_CHANNEL_PATTERN.test(message) ? 'email' : 'sms';
+    sessions.setContext(session, withTurn(session.context, { intent: 'one_time_code', entities: { orderId, channel } }));
+    const result = await oneTimeCodes.send({
+        sessionId: session.id,
+        orderId,
+        channel,
+        to: channel === 'sms' ? order.phone : order.email,
+        storeName: store.name
+    });
+    
+    if (!result.sent) {
+        return `⚠️ ${translateCodeError(result, channel, tr)}`;
     }
+    
+    const destination = channel === 'sms'
+        ? tr.t('otp.destinationSms', { phone: maskPhone(order.phone) })
+        : tr.t('otp.destinationEmail', { email: maskEmail(order.email) });
+    return tr.t('otp.sent', {
+        codeLength: oneTimeCodes.codeLength,
+        destination,
+        orderId,
+        minutes: Math.round(result.expiresIn / 60000)
+    });
 }
 
-function getGreetingResponse() {
-    return `🙏 **Namaste! Welcome to iPerkz Support!**
+// Whether digits typed into the chat are meant as the pending one-time code. Codes look like order
+// IDs, so one of the store's order IDs only counts as a code right after the bot asked for one.
+async function isOneTimeCodeReply(message, session, store) {
+    if (!oneTimeCodes.pendingOrder(session.id)) return false;
+    if (session.context && session.context.lastIntent === 'one_time_code') return true;
+    return !(await findOrderById(message, store.id).catch(() => null));
+}
+
+// Handle a one-time code typed into the chat
+async function handleOneTimeCodeEntry(message, session, store, client) {
+    const orderId = oneTimeCodes.pendingOrder(session.id);
+    if (!orderId) return null;
+    const tr = getTranslator(session);
+    
+    let result = null;
+    const attempt = runVerificationAttempt(
+        { orderId, session, store, client, method: 'one-time-code' },
+        () => {
+            result = oneTimeCodes.verify({ sessionId: session.id, orderId, code: message });
+            return result.valid ? { method: 'one-time-code' } : null;
+        }
+    );
+    if (attempt.locked) {
+        return getLockoutResponse(attempt.retryAfterMs, store, tr);
+    }
+    
+    if (!result.valid) {
+        return tr.t('otp.notAccepted', { error: translateCodeError(result, null, tr) });
+    }
+    
+    sessions.markVerified(session, orderId, VERIFICATION_TIERS.oneTimeCode);
+    focusOrder(session, orderId);
+    console.log(`[Verification] ✓ One-time code accepted for order #${orderId}`);
+    
+    const order = await findOrderById(orderId, store.id);
+    if (!order) return tr.t('otp.acceptedShort', { orderId });
+    return joinReplies([tr.t('otp.accepted'), await formatOrderResponse(order, store, sessions.getAccessLevel(session, orderId), tr)]);
+}
 
-I'm here to help you with:
+function getGreetingResponse(tr = getTranslator()) {
+    const text = `${tr.t('greeting')}\n\n${tr.t('language.options')}`;
+    return createReply(text, [
+        block('text', { text }),
+        block('quick_replies', {
+            options: [
+                { label: tr.t('quickReplies.trackOrder'), message: 'order status' },
+                { label: tr.t('quickReplies.delivery'), message: 'delivery hours' },
+                { label: tr.t('quickReplies.refunds'), message: 'refund policy' },
+                { label: tr.t('quickReplies.app'), message: 'download app' }
+            ]
+        })
+    ]);
+}
 
-📦 **Order Related**
-• Track your order
-• Cancel or modify order
-• Check order history
+function getFarewellResponse(tr = getTranslator()) {
+    return tr.t('farewell');
+}
 
-💰 **Refunds & Returns**
-• Request refund
-• Return policy
+function getThanksResponse(tr = getTranslator()) {
+    return tr.t('thanks');
+}
 
-🚚 **Delivery**
-• Delivery status
-• Delivery hours
+function getDeliveryResponse(store, tr = getTranslator()) {
+    return tr.t('delivery', { hours: store.hours });
+}
 
-📱 **App Support**
-• Download app
-• App issues
+function getRefundResponse(store, tr = getTranslator()) {
+    return tr.t('refund', { supportEmail: store.supportEmail });
+}
 
-How can I assist you today?`;
+// Verified order a delivery or refund question points at ("when will it arrive?"), or null for
+// general questions ("what are your delivery hours?")
+async function findReferencedOrder(message, session, store) {
+    const { orderId: mentionedOrderId } = extractOrderAndVerification(message);
+    if (!mentionedOrderId && !refersToOrder(message)) return null;
+    
+    const orderId = resolveOrderId(message, session, mentionedOrderId);
+    if (!orderId || !sessions.isVerified(session, orderId)) return null;
+    
+    const order = await findOrderById(orderId, store.id);
+    if (order) focusOrder(session, orderId);
+    return order;
 }
 
-function getFarewellResponse() {
-    return `🙏 Thank you for choosing iPerkz!
+// Delivery questions about the order being discussed get its ETA, others the delivery info
+async function handleDeliveryQuery(message, session, store) {
+    const tr = getTranslator(session);
+    const order = await findReferencedOrder(message, session, store);
+    if (!order) return getDeliveryResponse(store, tr);
+    
+    const estimate = await getDeliveryEstimate(order, formatDriverName(order.deliveryAssociate), tr);
+    return tr.t('followUp.eta', {
+        orderId: order.customerOrderId,
+        status: getStatusDisplay(order.orderStatus, tr),
+        message: estimate.message,
+        eta: estimate.eta
+    });
+}
 
-We hope you enjoy your groceries. Have a wonderful day!
+async function handleRefundQuery(message, session, store) {
+    const tr = getTranslator(session);
+    const order = await findReferencedOrder(message, session, store);
+    const policy = getRefundResponse(store, tr);
+    return order ? `${policy}\n\n${tr.t('followUp.refund', { orderId: order.customerOrderId })}` : policy;
+}
 
-📱 Don't forget to download our app for exclusive deals.
+// "What's your cancellation policy?" is answered with the policy rather than starting a cancellation
+const CANCELLATION_POLICY_PATTERN = /polic|pol[ií]tica|नीति|విధానం/i;
 
-See you soon! 🛒`;
+// Handle "cancel my order" - check the order can still be cancelled, then ask for a reason
+async function handleCancelRequest(message, session, store) {
+    const tr = getTranslator(session);
+    const { orderId: mentionedOrderId } = extractOrderAndVerification(message);
+    if (!mentionedOrderId && CANCELLATION_POLICY_PATTERN.test(message)) {
+        return getRefundResponse(store, tr);
+    }
+    
+    const orderId = resolveOrderId(message, session, mentionedOrderId);
+    if (!orderId) {
+        return mentionsOtherOrder(message) ? tr.t('followUp.otherOrderUnknown') : tr.t('cancel.needOrder');
+    }
+    if (!sessions.isVerified(session, orderId)) {
+        return tr.t('cancel.needVerification', { orderId });
+    }
+    
+    const order = await findOrderById(orderId, store.id);
+    if (!order) {
+        return getOrderNotFoundResponse(orderId, store, tr);
+    }
+    focusOrder(session, orderId);
+    
+    const eligibility = cancellations.checkEligibility(order, store.id);
+    if (!eligibility.eligible) {
+        return tr.t(`cancel.notEligible.${eligibility.code}`, { orderId, supportEmail: store.supportEmail });
+    }
+    
+    // Cancelling triggers a refund, so it needs the same one-time code as payment details
+    if (!sessions.hasFullAccess(session, orderId)) {
+        return tr.t('cancel.needFullAccess', { orderId });
+    }
+    
+    cancellations.startRequest(session.id, orderId, store.id);
+    const options = cancellations.reasons.map((reason, i) => ({ label: tr.t(`cancel.reasons.${reason}`), message: String(i + 1) }));
+    const text = tr.t('cancel.askReason', { orderId, options: options.map((option, i) => `${i + 1}. ${option.label}`).join('\n') });
+    return createReply(text, [block('text', { text }), block('quick_replies', { options })]);
 }
 
-function getThanksResponse() {
-    return `You're welcome! 😊
+// Handle the reason and the yes/no for a cancellation started in chat
+async function handleCancellationReply(message, session, store) {
+    const pending = cancellations.pendingRequest(session.id);
+    if (!pending) return null;
+    
+    const tr = getTranslator(session);
+    const { orderId } = pending;
+    const answer = parseConfirmation(message);
+    if (answer === false) {
+        cancellations.clearRequest(session.id);
+        return tr.t('cancel.kept', { orderId });
+    }
+    
+    const order = await findOrderById(orderId, pending.storeId || store.id);
+    if (!order) {
+        cancellations.clearRequest(session.id);
+        return null;
+    }
+    
+    if (pending.step === 'reason') {
+        const { reason, note } = parseReason(message);
+        cancellations.setReason(session.id, reason, note);
+        const text = tr.t('cancel.confirm', {
+            orderId,
+            total: tr.money(order.totalSalePrice || 0),
+            reason: note || tr.t(`cancel.reasons.${reason}`)
+        });
+        return createReply(text, [
+            block('text', { text }),
+            block('quick_replies', { options: [{ label: tr.t('cancel.yes'), message: 'yes' }, { label: tr.t('cancel.no'), message: 'no' }] })
+        ]);
+    }
+    
+    // Anything other than yes/no drops the request and is answered as a new message
+    cancellations.clearRequest(session.id);
+    if (answer !== true) return null;
+    
+    const result = await cancellations.cancel({
+        order,
+        storeId: pending.storeId || store.id,
+        reason: pending.reason,
+        note: pending.note,
+        requestedBy: { sessionId: session.id, channel: 'chat' }
+    });
+    return formatCancellationResult(result, order, store, tr);
+}
 
-Is there anything else I can help you with today?`;
+// "$34.71 back to your CARD within 5-7 business days"
+function getRefundTimeline(refund, tr = getTranslator()) {
+    return tr.t('cancel.refundTimeline', {
+        amount: tr.money(refund.amount),
+        method: refund.method || tr.t('cancel.originalMethod'),
+        days: refund.days
+    });
 }
 
-function getDeliveryResponse() {
-    return `🚚 **Delivery Information**
+function formatCancellationResult(result, order, store, tr = getTranslator()) {
+    const orderId = order.customerOrderId;
+    if (result.cancelled) {
+        const { cancellation } = result;
+        return tr.t('cancel.done', {
+            orderId,
+            reason: cancellation.note || tr.t(`cancel.reasons.${cancellation.reason}`),
+            reference: cancellation.reference || tr.t('common.na'),
+            refund: getRefundTimeline(cancellation.refund, tr)
+        });
+    }
+    // The status changed since the customer asked (e.g. packing started)
+    const key = `cancel.notEligible.${result.code}`;
+    return tr.t(tr.has(key) ? key : 'cancel.failed', { orderId, supportEmail: store.supportEmail });
+}
 
-**Delivery Hours:** 8:00 AM - 10:00 PM
-**Standard Delivery Time:** 2-4 hours
-**Free Delivery:** On orders above $50
-**Delivery Charge:** $5 for orders below $50
+// "Milk x2, Eggs x1"
+function describeClaimItems(items) {
+    return items.map(item => `${item.name} x${item.quantity}`).join(', ');
+}
 
-To track your specific delivery, please share your Order ID.
+// Handle "an item was missing" - check the order can still be claimed, then ask which items
+async function handleClaimRequest(message, session, store) {
+    const tr = getTranslator(session);
+    const { orderId: mentionedOrderId } = extractOrderAndVerification(message);
+    const orderId = resolveOrderId(message, session, mentionedOrderId);
+    if (!orderId) {
+        return mentionsOtherOrder(message) ? tr.t('followUp.otherOrderUnknown') : tr.t('claims.needOrder');
+    }
+    if (!sessions.isVerified(session, orderId)) {
+        return tr.t('claims.needVerification', { orderId });
+    }
+    
+    const order = await findOrderById(orderId, store.id);
+    if (!order) {
+        return getOrderNotFoundResponse(orderId, store, tr);
+    }
+    focusOrder(session, orderId);
+    
+    const eligibility = claims.checkEligibility(order);
+    if (!eligibility.eligible) {
+        return tr.t(`claims.notEligible.${eligibility.code}`, { orderId, days: claims.windowDays, supportEmail: store.supportEmail });
+    }
+    
+    // Claims lead to refunds, so like cancelling they need the one-time code
+    if (!sessions.hasFullAccess(session, orderId)) {
+        return tr.t('claims.needFullAccess', { orderId });
+    }
+    
+    // Items already in a claim aren't offered again; `choices` maps the numbers shown to menuList indexes
+    const claimed = claims.claimedIndexes(orderId);
+    const menuList = order.menuList || [];
+    const choices = menuList.map((item, index) => index).filter(index => !claimed.has(index));
+    if (choices.length === 0) {
+        return tr.t('claims.nothingToClaim', { orderId });
+    }
+    
+    claims.startRequest(session.id, {
+        orderId: String(orderId),
+        storeId: store.id,
+        step: 'items',
+        choices,
+        reason: parseClaimReason(message) // "the milk was damaged" skips the reason question
+    });
+    const items = choices.map((index, i) => `${i + 1}. ${menuList[index].menuItemName} x${menuList[index].count || 1}`).join('\n');
+    const text = tr.t('claims.askItems', { orderId, items });
+    return createReply(text, [
+        block('text', { text }),
+        block('quick_replies', { options: [{ label: tr.t('claims.allItems'), message: 'all' }] })
+    ]);
+}
 
-💡 **Tip:** Use the iPerkz app for real-time delivery tracking!`;
+// Handle the item numbers and the reason for a claim started in chat
+async function handleClaimReply(message, session, store) {
+    const pending = claims.pendingRequest(session.id);
+    if (!pending) return null;
+    
+    const tr = getTranslator(session);
+    const order = await findOrderById(pending.orderId, pending.storeId || store.id);
+    if (!order) {
+        claims.clearRequest(session.id);
+        return null;
+    }
+    
+    let { items, reason } = pending;
+    if (pending.step === 'items') {
+        const picked = parseItemSelection(message, pending.choices.length);
+        items = picked ? picked.map(i => pending.choices[i]) : null;
+    } else {
+        reason = parseClaimReason(message);
+    }
+    
+    // "no" drops the request; anything else that isn't an answer is handled as a new message
+    if (!items || (pending.step === 'reason' && !reason)) {
+        claims.clearRequest(session.id);
+        return parseConfirmation(message) === false ? tr.t('claims.dropped') : null;
+    }
+    
+    if (!reason) {
+        claims.updateRequest(session.id, { step: 'reason', items });
+        const options = claims.reasons.map((key, i) => ({ label: tr.t(`claims.reasons.${key}`), message: String(i + 1) }));
+        const text = tr.t('claims.askReason', {
+            items: describeClaimItems(items.map(index => ({ name: order.menuList[index].menuItemName, quantity: order.menuList[index].count || 1 }))),
+            options: options.map((option, i) => `${i + 1}. ${option.label}`).join('\n')
+        });
+        return createReply(text, [block('text', { text }), block('quick_replies', { options })]);
+    }
+    
+    claims.clearRequest(session.id);
+    const result = claims.create({
+        order,
+        storeId: pending.storeId || store.id,
+        items: items.map(index => ({ index })),
+        reason,
+        requestedBy: { sessionId: session.id, channel: 'chat', language: tr.lang }
+    });
+    return formatClaimResult(result, order, store, tr);
 }
 
-function getRefundResponse() {
-    return `💰 **Refund & Cancellation Policy**
+// Button that opens the photo picker for a claim (📎 in the web chat)
+function getClaimPhotoQuickReplies(claim, tr) {
+    if (claim.status !== 'submitted' || claim.photos.length >= claims.maxPhotos) return [];
+    return [{ label: tr.t('claims.attachPhotos'), action: 'claim_photos', claimId: claim.id }];
+}
 
-**To Cancel an Order:**
-• Open the iPerkz app
-• Go to 'My Orders'
-• Select your order and tap 'Cancel'
-• Orders can only be cancelled before packing starts
+function formatClaimResult(result, order, store, tr = getTranslator()) {
+    const orderId = order.customerOrderId;
+    if (result.error) {
+        // The order changed since the customer asked (e.g. the claim window closed)
+        const key = `claims.notEligible.${result.code}`;
+        return tr.t(tr.has(key) ? key : 'claims.failed', { orderId, days: claims.windowDays, supportEmail: store.supportEmail });
+    }
+    
+    const { claim } = result;
+    const text = tr.t('claims.created', {
+        claimId: claim.id,
+        orderId,
+        reason: tr.t(`claims.reasons.${claim.reason}`),
+        items: describeClaimItems(claim.items),
+        amount: tr.money(claim.claimedAmount),
+        photos: tr.t(claim.photosRequired ? 'claims.photosRequired' : 'claims.photosOptional')
+    });
+    return createReply(text, [
+        block('text', { text }),
+        block('quick_replies', { options: getClaimPhotoQuickReplies(claim, tr) })
+    ]);
+}
 
-**Refund Process:**
-• Refunds are processed within 5-7 business days
-• Amount will be credited to original payment method
+function formatClaimStatus(claim, tr = getTranslator()) {
+    const lines = [tr.t('claims.status', {
+        claimId: claim.id,
+        status: tr.t(`claims.statuses.${claim.status}`),
+        orderId: claim.orderId,
+        reason: tr.t(`claims.reasons.${claim.reason}`),
+        items: describeClaimItems(claim.items),
+        amount: tr.money(claim.claimedAmount),
+        photos: claim.photos.length,
+        createdAt: tr.dateTime(claim.createdAt)
+    })];
+    
+    const { resolution } = claim;
+    if (claim.status === 'submitted' && claim.photosRequired && claim.photos.length === 0) {
+        lines.push('', tr.t('claims.awaitingPhotos'));
+    }
+    if (resolution && resolution.decision === 'approved' && resolution.refundAmount > 0) {
+        lines.push('', tr.t('claims.refund', { amount: tr.money(resolution.refundAmount), days: cancellations.refundDays }));
+    }
+    if (resolution && resolution.note) {
+        lines.push('', tr.t('claims.staffNote', { note: resolution.note }));
+    }
+    
+    const text = lines.join('\n');
+    const options = getClaimPhotoQuickReplies(claim, tr);
+    return createReply(text, options.length > 0 ? [block('text', { text }), block('quick_replies', { options })] : null);
+}
 
-📧 **Support:** support@iperkz.com`;
+// Handle "status of claim CLM-K7Q2MX" or "my claims". Only claims on orders verified in this
+// session are shown, so a guessed claim ID reveals nothing.
+function handleClaimStatus(message, session) {
+    const tr = getTranslator(session);
+    const claimId = extractClaimId(message);
+    if (claimId) {
+        const claim = claims.get(claimId);
+        if (!claim || !sessions.isVerified(session, claim.orderId)) {
+            return tr.t('claims.notFound', { claimId });
+        }
+        focusOrder(session, claim.orderId);
+        return formatClaimStatus(claim, tr);
+    }
+    
+    const { orderId } = extractOrderAndVerification(message);
+    const orderIds = orderId ? [orderId].filter(id => sessions.isVerified(session, id)) : session.verifiedOrders;
+    const found = claims.listForOrders(orderIds);
+    if (found.length === 0) return tr.t('claims.noClaims');
+    if (found.length === 1) return formatClaimStatus(found[0], tr);
+    
+    return [
+        tr.t('claims.list'),
+        '',
+        ...found.map(claim => tr.t('claims.listItem', {
+            claimId: claim.id,
+            orderId: claim.orderId,
+            reason: tr.t(`claims.reasons.${claim.reason}`),
+            status: tr.t(`claims.statuses.${claim.status}`)
+        })),
+        '',
+        tr.t('claims.listHint')
+    ].join('\n');
 }
 
-function getAppResponse() {
-    return `📱 **Download the iPerkz App**
+// What the agent sees about the customer's verified orders when taking over
+async function getHandoffContext(session, store) {
+    const orders = await Promise.all(Array.from(session.verifiedOrders || []).map(async orderId => {
+        const order = await findOrderById(orderId, store.id);
+        return {
+            orderId,
+            accessLevel: sessions.getAccessLevel(session, orderId),
+            status: order ? order.orderStatus : null,
+            customerName: order ? [order.firstName, order.lastName].filter(Boolean).join(' ') || null : null,
+            total: order ? order.totalSalePrice : null,
+            requestedDeliveryDate: order ? order.requestedDeliveryDate || null : null,
+            cancellation: cancellations.get(store.id, orderId),
+            claims: claims.listForOrders([orderId]).map(claim => ({ id: claim.id, status: claim.status, reason: claim.reason }))
+        };
+    }));
+    return { activeOrderId: session.context ? session.context.activeOrderId : null, orders };
+}
 
-Get the best grocery shopping experience!
+// Handle "talk to a human" - queue the conversation for an agent with the verified orders attached
+async function handleHandoffRequest(message, session, store, client) {
+    const tr = getTranslator(session);
+    const { handoff } = handoffs.open({
+        sessionId: session.id,
+        storeId: store.id,
+        reason: message,
+        language: tr.lang,
+        channel: client ? client.platform : 'web',
+        context: await getHandoffContext(session, store)
+    });
+    
+    const text = handoff.status === 'active'
+        ? tr.t('handoff.alreadyActive', { agent: handoff.agent.name })
+        : tr.t('handoff.queued', { position: handoffs.queuePosition(handoff), hours: store.hours });
+    return createReply(text, [
+        block('text', { text }),
+        block('quick_replies', { options: [{ label: tr.t('handoff.endChat'), message: 'end chat' }] })
+    ]);
+}
 
-**Features:**
-• Real-time order tracking
-• Exclusive app-only deals
-• Easy reordering
-• Perkz rewards & cashback
+// "end chat", "back to bot", "terminar chat", "चैट बंद करें", "చాట్ ముగించు" hand the chat back to the bot
+const END_HANDOFF_PATTERN = /^\s*(?:end(?: the)? chat|back to (?:the )?bot|terminar(?: el)? chat|चैट बंद(?: करें)?|చాట్ ముగించు)\s*[.!]?\s*$/i;
+
+// Post an agent or system message to a handoff and the customer's transcript
+function postHandoffMessage(handoff, { from, text, agent = null }) {
+    const message = handoffs.addMessage(handoff.id, { from, text, agent });
+    transcripts.append({ id: handoff.sessionId, storeId: handoff.storeId }, {
+        from,
+        text,
+        agentName: agent ? agent.name : null,
+        intent: 'human_agent',
+        orderId: handoff.context ? handoff.context.activeOrderId : null
+    });
+    return message;
+}
 
-**Download Now:**
-• 🍎 iOS: ${IOS_APP}
-• 🤖 Android: ${ANDROID_APP}
+// While a handoff is open the customer's messages go to the agent. Agent replies reach the
+// customer through /api/v1/handoff, so an active handoff answers with an empty reply.
+function relayToAgent(message, session, handoff) {
+    const tr = getTranslator(session);
+    if (END_HANDOFF_PATTERN.test(message)) {
+        handoffs.close(handoff.id, { by: 'customer' });
+        postHandoffMessage(handoff, { from: 'system', text: 'The customer ended the chat' });
+        return tr.t('handoff.ended');
+    }
+    
+    handoffs.addMessage(handoff.id, { from: 'customer', text: message });
+    if (handoff.status === 'waiting') {
+        return tr.t('handoff.stillWaiting', { position: handoffs.queuePosition(handoff) });
+    }
+    return { text: '', blocks: [] };
+}
 
-Get $5 OFF on your first app order!`;
+// Handoff state for chat responses: { id, status, position, agentName } or null
+function getHandoffSummary(session) {
+    const handoff = handoffs.openFor(session.id);
+    if (!handoff) return null;
+    return {
+        id: handoff.id,
+        status: handoff.status,
+        position: handoffs.queuePosition(handoff),
+        agentName: handoff.agent ? handoff.agent.name : null
+    };
 }
 
-function getDefaultResponse() {
-    return `I'm here to help! Here's what I can assist you with:
+function getAppResponse(tr = getTranslator()) {
+    return tr.t('app', { iosUrl: IOS_APP, androidUrl: ANDROID_APP });
+}
 
-• **Track Order** - Share your order ID
-• **Payment Info** - Ask about your payment details
-• **Delivery Info** - Ask about delivery times
-• **Refunds** - Cancel or return orders
-• **App Download** - Get our mobile app
+function getDefaultResponse(tr = getTranslator()) {
+    return tr.t('default');
+}
 
-Please share your Order ID or let me know how I can help!`;
+// The default answer; when it would repeat, offer a human agent instead of looping
+function getFallbackResponse(session, tr = getTranslator(session)) {
+    const repeated = session.context && session.context.lastIntent === 'fallback';
+    sessions.setContext(session, withTurn(session.context, { intent: 'fallback' }));
+    if (!repeated) return getDefaultResponse(tr);
+    
+    const text = `${getDefaultResponse(tr)}\n\n${tr.t('handoff.offer')}`;
+    return createReply(text, [
+        block('text', { text }),
+        block('quick_replies', { options: [{ label: tr.t('handoff.talkToHuman'), message: 'talk to a human' }] })
+    ]);
 }
 
 // Handle payment query - shows payment details for verified orders
-async function handlePaymentQuery(message, sessionId) {
-    // Find order ID from message or use last verified order
-    const { orderId } = extractOrderAndVerification(message);
-    
-    // Get verified orders for this session
-    const verifiedOrders = customerSessions.get(sessionId);
+async function handlePaymentQuery(message, session, store) {
+    // Order ID from the message, "the other one", or the order being discussed
+    const targetOrderId = resolveOrderId(message, session);
+    const tr = getTranslator(session);
     
-    // If specific order ID mentioned and verified
-    if (orderId && verifiedOrders && verifiedOrders.has(orderId)) {
-        const order = await findOrderById(orderId);
-        if (order) {
-            return formatPaymentResponse(order);
-        }
+    if (!targetOrderId && mentionsOtherOrder(message)) {
+        return tr.t('followUp.otherOrderUnknown');
     }
     
-    // If they have verified orders, use the most recent one
-    if (verifiedOrders && verifiedOrders.size > 0) {
-        const lastOrderId = Array.from(verifiedOrders).pop();
-        const order = await findOrderById(lastOrderId);
+    if (targetOrderId && sessions.isVerified(session, targetOrderId)) {
+        // Payment details need full access (one-time code)
+        if (!sessions.hasFullAccess(session, targetOrderId)) {
+            return tr.t('payment.needFullAccess', { orderId: targetOrderId });
+        }
+        
+        const order = await findOrderById(targetOrderId, store.id);
         if (order) {
-            return formatPaymentResponse(order);
+            focusOrder(session, targetOrderId);
+            return formatPaymentResponse(order, tr);
         }
     }
     
-    // No verified orders
-    return `💰 **Payment Information**
-
-To view your payment details, I need to verify your order first.
-
-Please enter your **Order ID + Name** (e.g., \`64531 John\`)
-
-Once verified, I can show you:
-• Total amount charged
-• Payment method used
-• Itemized breakdown
-• Taxes & fees`;
+    // Order not verified in this session
+    return tr.t('payment.needVerification');
 }
 
-// Format payment details response
-function formatPaymentResponse(order) {
+// Format payment details response (amounts in the customer's locale): markdown plus
+// item_list and payment_breakdown blocks
+function formatPaymentResponse(order, tr = getTranslator()) {
     const items = order.menuList || [];
     const subtotal = items.reduce((sum, item) => sum + ((item.salePrice || 0) * (item.count || 1)), 0);
     const tax = order.tax || 0;
@@ -1416,85 +2610,306 @@ function formatPaymentResponse(order) {
     if (items.length > 0) {
         itemsStr = items.map(item => {
             const qty = item.count || 1;
-            const price = (item.salePrice || 0).toFixed(2);
-            const itemTotal = (qty * (item.salePrice || 0)).toFixed(2);
-            return `• ${item.menuItemName} x${qty} @ $${price} = $${itemTotal}`;
+            const price = tr.money(item.salePrice || 0);
+            const itemTotal = tr.money(qty * (item.salePrice || 0));
+            return `• ${item.menuItemName} x${qty} @ ${price} = ${itemTotal}`;
         }).join('\n');
     }
     
-    return `💰 **Payment Details - Order #${order.customerOrderId}**
+    const text = `${tr.t('payment.title', { orderId: order.customerOrderId })}
 
 ━━━━━━━━━━━━━━━━━━━━━━
-🛒 **Items (${items.length})**
+${tr.t('payment.items', { count: items.length })}
 ━━━━━━━━━━━━━━━━━━━━━━
-${itemsStr || 'No items found'}
+${itemsStr || tr.t('payment.noItems')}
 
 ━━━━━━━━━━━━━━━━━━━━━━
-💵 **Payment Breakdown**
+${tr.t('payment.breakdown')}
 ━━━━━━━━━━━━━━━━━━━━━━
-**Subtotal:** $${subtotal.toFixed(2)}
-**Tax:** $${tax.toFixed(2)}
-**Delivery Fee:** $${deliveryFee.toFixed(2)}
-**Tip:** $${tip.toFixed(2)}
-${discount > 0 ? `**Discount:** -$${discount.toFixed(2)}` : ''}
-${perkzUsed > 0 ? `**Perkz Used:** -$${perkzUsed.toFixed(2)}` : ''}
-**Transaction Fee:** $${transactionFee.toFixed(2)}
+**${tr.t('labels.subtotal')}:** ${tr.money(subtotal)}
+**${tr.t('labels.tax')}:** ${tr.money(tax)}
+**${tr.t('labels.deliveryFee')}:** ${tr.money(deliveryFee)}
+**${tr.t('labels.tip')}:** ${tr.money(tip)}
+${discount > 0 ? `**${tr.t('labels.discount')}:** -${tr.money(discount)}` : ''}
+${perkzUsed > 0 ? `**${tr.t('labels.perkzUsed')}:** -${tr.money(perkzUsed)}` : ''}
+**${tr.t('labels.transactionFee')}:** ${tr.money(transactionFee)}
 
 **━━━━━━━━━━━━━━━━━━━━**
-**💳 Total Charged:** $${total.toFixed(2)}
-**Payment Method:** ${order.paymentMode || 'N/A'}
-
-Is there anything else I can help you with?`;
-}
-
-// Process message
-async function processMessage(message, sessionId) {
+**${tr.t('labels.totalCharged')}:** ${tr.money(total)}
+**${tr.t('labels.paymentMethod')}:** ${order.paymentMode || tr.t('common.na')}
+
+${tr.t('common.anythingElse')}`;
+    
+    const cents = amount => Math.round(amount * 100) / 100;
+    const line = (key, amount) => ({ key, label: tr.t(`labels.${key}`), amount: cents(amount), display: tr.money(amount) });
+    const lines = [line('subtotal', subtotal), line('tax', tax), line('deliveryFee', deliveryFee), line('tip', tip)];
+    if (discount > 0) lines.push(line('discount', -discount));
+    if (perkzUsed > 0) lines.push(line('perkzUsed', -perkzUsed));
+    lines.push(line('transactionFee', transactionFee));
+    
+    return createReply(text, [
+        block('item_list', {
+            title: tr.t('blocks.items'),
+            variant: 'order',
+            items: items.map(item => ({
+                name: item.menuItemName,
+                quantity: item.count || 1,
+                unitPrice: item.salePrice || 0,
+                total: cents((item.count || 1) * (item.salePrice || 0)),
+                unitPriceDisplay: tr.money(item.salePrice || 0),
+                totalDisplay: tr.money((item.count || 1) * (item.salePrice || 0))
+            }))
+        }),
+        block('payment_breakdown', {
+            title: tr.t('blocks.payment'),
+            orderId: order.customerOrderId,
+            currency: 'USD',
+            lines,
+            total: { label: tr.t('blocks.total'), amount: cents(total), display: tr.money(total) },
+            method: order.paymentMode || null
+        })
+    ]);
+}
+
+// Process message. turn.intent is set to what answered it, for the transcript.
+async function processMessage(message, session, store, client, turn = {}) {
     if (!message || !message.trim()) {
-        return getGreetingResponse();
+        turn.intent = 'greeting';
+        return getGreetingResponse(getTranslator(session));
+    }
+    
+    // While a human agent has the conversation, messages go to them instead of the bot
+    const handoff = handoffs.openFor(session.id);
+    if (handoff) {
+        turn.intent = 'human_agent';
+        return relayToAgent(message, session, handoff);
     }
     
     const msg = message.toLowerCase().trim();
     
-    // Check for pending verification first
-    if (pendingVerifications.has(sessionId)) {
-        const verificationResult = await handleVerification(message, sessionId);
+    // "Español", "change language to hindi", ... switches the chat language
+    const selected = i18n.parseSelection(message);
+    if (selected) {
+        sessions.setLanguage(session, selected, 'selected');
+        console.log(`[i18n] Session ${session.id.slice(0, 8)}... selected ${selected}`);
+        turn.intent = 'language';
+        return getTranslator(session).t('language.changed');
+    }
+    
+    // Otherwise follow the language the customer writes in, unless they picked one
+    if (session.languageSource !== 'selected') {
+        const detected = i18n.detect(message);
+        if (detected && detected !== session.language) {
+            sessions.setLanguage(session, detected, 'detected');
+        }
+    }
+    
+    // A one-time code reply takes priority (codes are digits, like order IDs)
+    if (/^\d+$/.test(msg) && msg.length === oneTimeCodes.codeLength && await isOneTimeCodeReply(msg, session, store)) {
+        const codeResult = await handleOneTimeCodeEntry(msg, session, store, client);
+        if (codeResult) {
+            turn.intent = 'one_time_code';
+            turn.sensitive = true; // The message is the code itself
+            return codeResult;
+        }
+    }
+    
+    // Then the reason or yes/no for a cancellation in progress
+    if (cancellations.pendingRequest(session.id)) {
+        const cancelResult = await handleCancellationReply(message, session, store);
+        if (cancelResult) {
+            turn.intent = 'cancel_order';
+            return cancelResult;
+        }
+    }
+    
+    // Or the items and reason for a claim in progress
+    if (claims.pendingRequest(session.id)) {
+        const claimResult = await handleClaimReply(message, session, store);
+        if (claimResult) {
+            turn.intent = 'item_claim';
+            return claimResult;
+        }
+    }
+    
+    const { intents, secondaryThreshold } = intentClassifier.classify(message);
+    
+    if (intents.some(intent => intent.name === 'one_time_code')) {
+        const codeRequestResult = await handleOneTimeCodeRequest(message, session, store);
+        if (codeRequestResult) {
+            turn.intent = 'one_time_code';
+            return codeRequestResult;
+        }
+    }
+    
+    // Then a pending name/phone/email verification
+    if (pendingVerifications.has(session.id)) {
+        const verificationResult = await handleVerification(message, session, store, client);
         if (verificationResult) {
+            turn.intent = 'verification';
             return verificationResult;
         }
     }
     
-    if (isGreeting(msg)) return getGreetingResponse();
-    if (isFarewell(msg)) return getFarewellResponse();
-    if (isThanks(msg)) return getThanksResponse();
-    if (isPaymentQuery(msg)) return await handlePaymentQuery(message, sessionId);
-    if (isOrderQuery(msg)) return await handleOrderQuery(message, sessionId);
-    if (isDeliveryQuery(msg)) return getDeliveryResponse();
-    if (isRefundQuery(msg)) return getRefundResponse();
-    if (isAppQuery(msg)) return getAppResponse();
+    return await respondToIntents(intents, secondaryThreshold, message, session, store, client, turn);
+}
+
+// Handlers for the intents in data/intents.json. An intent without a handler answers with
+// its `response` text, or the catalog's intents.<name>.response in the session language
+// ({storeName}, {supportEmail} and {hours} are filled in).
+const INTENT_HANDLERS = {
+    greeting: (message, session) => getGreetingResponse(getTranslator(session)),
+    farewell: (message, session) => getFarewellResponse(getTranslator(session)),
+    thanks: (message, session) => getThanksResponse(getTranslator(session)),
+    one_time_code: () => null, // Handled before pending verifications in processMessage
+    payment: (message, session, store) => handlePaymentQuery(message, session, store),
+    order_status: (message, session, store, client) => handleOrderQuery(message, session, store, client),
+    cancel_order: (message, session, store) => handleCancelRequest(message, session, store),
+    item_claim: (message, session, store) => handleClaimRequest(message, session, store),
+    claim_status: (message, session) => handleClaimStatus(message, session),
+    human_agent: (message, session, store, client) => handleHandoffRequest(message, session, store, client),
+    delivery: (message, session, store) => handleDeliveryQuery(message, session, store),
+    refund: (message, session, store) => handleRefundQuery(message, session, store),
+    app: (message, session) => getAppResponse(getTranslator(session))
+};
+
+async function runIntent(intent, message, session, store, client) {
+    const handler = INTENT_HANDLERS[intent.name];
+    if (handler) return await handler(message, session, store, client);
+    const tr = getTranslator(session);
+    const key = `intents.${intent.name}.response`;
+    const response = tr.has(key) ? tr.t(key) : intent.response;
+    if (!response) return null;
+    return response
+        .replace(/\{storeName\}/g, store.name)
+        .replace(/\{supportEmail\}/g, store.supportEmail)
+        .replace(/\{hours\}/g, store.hours);
+}
+
+// Requests a bare follow-up ("and the other one?", "what about it?") repeats for the order it refers to
+const FOLLOW_UP_INTENTS = ['order_status', 'payment', 'delivery', 'refund', 'cancel_order', 'item_claim'];
+
+// Answer the best-scoring request. Social intents (thanks, hi) only add a short prefix when
+// the message also asks for something; a strong second informational intent is answered too.
+async function respondToIntents(intents, secondaryThreshold, message, session, store, client, turn = {}) {
+    const social = intents.filter(intent => intent.type === 'social');
+    let requests = intents.filter(intent => intent.type !== 'social');
+    
+    const lastIntent = session.context && session.context.lastIntent;
+    if (requests.length === 0 && social.length === 0 && FOLLOW_UP_INTENTS.includes(lastIntent) && refersToOrder(message)) {
+        requests = [{ name: lastIntent, type: 'follow_up', score: 0 }];
+    }
+    
+    const tr = getTranslator(session);
+    if (requests.length === 0) {
+        if (social.length > 0) {
+            turn.intent = social[0].name;
+            return await runIntent(social[0], message, session, store, client);
+        }
+        turn.intent = 'fallback';
+        return getFallbackResponse(session, tr);
+    }
+    
+    let reply = null;
+    let primary = null;
+    for (const intent of requests) {
+        reply = await runIntent(intent, message, session, store, client);
+        if (reply) {
+            primary = intent;
+            break;
+        }
+    }
+    if (!reply) {
+        turn.intent = 'fallback';
+        return getFallbackResponse(session, tr);
+    }
+    turn.intent = primary.name;
+    
+    const { orderId: mentionedOrderId } = extractOrderAndVerification(message);
+    sessions.setContext(session, withTurn(session.context, { intent: primary.name, entities: { orderId: mentionedOrderId } }));
+    
+    const secondary = requests.find(intent => intent !== primary && intent.type === 'info' && intent.score >= secondaryThreshold);
+    if (secondary) {
+        const extra = await runIntent(secondary, message, session, store, client);
+        if (extra) reply = joinReplies([reply, extra], '\n\n---\n\n');
+    }
     
-    return getDefaultResponse();
+    const prefixed = social.find(intent => intent.prefix);
+    if (!prefixed) return reply;
+    const prefixKey = `intents.${prefixed.name}.prefix`;
+    return joinReplies([tr.has(prefixKey) ? tr.t(prefixKey) : prefixed.prefix, reply]);
+}
+
+// The order a chat turn was about: the one named in the message, otherwise the active order
+function getTurnOrderId(message, session, turn) {
+    const mentioned = !turn.sensitive && message ? extractOrderAndVerification(message).orderId : null;
+    return mentioned || (session.context && session.context.activeOrderId) || null;
+}
+
+// Values to mask in a transcript besides the e-mail/phone/card patterns: the order's customer name
+// and contact details, masked the same way as for status-only access, and the addresses of the
+// other stops on its route
+async function getTranscriptPii(orderId, store) {
+    if (!orderId) return [];
+    const order = await findOrderById(orderId, store.id).catch(() => null);
+    if (!order) return [];
+    const name = (value) => value ? { value, mask: `${String(value).charAt(0)}***` } : null;
+    const route = parseRoute(order.deliveryAssociate);
+    const routeStops = route ? await orderHistory.findByRoute(store.id, route.id).catch(() => []) : [];
+    return [
+        name(order.firstName),
+        name(order.lastName),
+        order.phone ? { value: order.phone, mask: maskPhone(order.phone) } : null,
+        order.email ? { value: order.email, mask: maskEmail(order.email) } : null,
+        order.address ? { value: order.address, mask: maskAddress(order.address) } : null,
+        order.address ? { value: encodeURIComponent(order.address), mask: '***' } : null, // In map links
+        ...routeStops
+            .filter(stop => stop.address && stop.address !== order.address)
+            .flatMap(stop => [
+                { value: stop.address, mask: maskAddress(stop.address) },
+                { value: stop.address.split(',')[0], mask: '***' } // Street on its own
+            ])
+    ].filter(Boolean);
+}
+
+// Answer a chat message and record both sides in the session transcript, tagged with the intent
+// that answered it and the order it was about
+async function handleChatMessage(message, session, store, client) {
+    const receivedAt = new Date().toISOString();
+    const turn = {};
+    const reply = toReply(await processMessage(message, session, store, client, turn));
+    
+    const orderId = getTurnOrderId(message, session, turn);
+    const tags = { intent: turn.intent || null, orderId, pii: await getTranscriptPii(orderId, store) };
+    chatIntents.inc({ intent: turn.intent || 'none' });
+    // Only what the message was about is logged: it may hold names, phone numbers or one-time codes
+    console.log(`[Chat] Session ${session.id.slice(0, 8)}...: ${turn.intent || 'no intent'}${orderId ? ` (order #${orderId})` : ''}`);
+    if (message && message.trim()) {
+        transcripts.append(session, { from: 'customer', text: turn.sensitive ? '******' : message, at: receivedAt, ...tags });
+    }
+    transcripts.append(session, { from: 'bot', text: reply.text, ...tags });
+    return reply;
 }
 
 // API Routes
-app.post('/api/chat', async (req, res) => {
-    const { message, sessionId } = req.body;
-    const session = sessionId || 'default-session';
-    console.log(`[Chat] Session ${session}: ${message}`);
+app.post('/api/chat', apiLimiter, requireSession, async (req, res) => {
+    const { message } = req.body;
+    const session = req.customerSession;
     
-    const response = await processMessage(message, session);
+    applyRequestedLanguage(req);
+    const reply = await handleChatMessage(message, session, req.store, getClientInfo(req));
     
-    res.json({ response, success: true });
+    // The web chat renders the markdown
+    res.json({ response: replyText(reply), language: getTranslator(session).lang, handoff: getHandoffSummary(session), success: true });
 });
 
 // Get order tracking data for map (requires session verification)
-app.get('/api/track/:orderId', async (req, res) => {
+app.get('/api/track/:orderId', requireSession, async (req, res) => {
     const orderId = req.params.orderId;
-    const sessionId = req.query.sessionId || 'default-session';
-    console.log(`[Track] Request for order #${orderId} from session ${sessionId}`);
+    console.log(`[Track] Request for order #${orderId} from session ${req.customerSession.id.slice(0, 8)}...`);
     
     // Check if session is verified for this order
-    const verifiedOrders = customerSessions.get(sessionId);
-    if (!verifiedOrders || !verifiedOrders.has(orderId)) {
+    if (!sessions.isVerified(req.customerSession, orderId)) {
         console.log(`[Track] Session not verified for order #${orderId}`);
         res.json({ 
             success: false, 
@@ -1504,17 +2919,19 @@ app.get('/api/track/:orderId', async (req, res) => {
         return;
     }
     
-    const order = await findOrderById(orderId);
+    const order = await findOrderById(orderId, req.store.id);
     
     if (order) {
+        const accessLevel = sessions.getAccessLevel(req.customerSession, orderId);
+        const details = accessLevel === 'full' ? order : redactOrder(order);
         const driverInfo = formatDriverName(order.deliveryAssociate);
-        const estimate = await getDeliveryEstimate(order, driverInfo);
-        const directionsUrl = getDirectionsUrl(order.storeAddress1, order.address);
+        const estimate = await getDeliveryEstimate(order, driverInfo, getTranslator(req.customerSession));
+        const directionsUrl = accessLevel === 'full' ? getDirectionsUrl(order.storeAddress1, order.address) : null;
         
         // Get route progress for live tracking
         let routeProgress = null;
         if (driverInfo && driverInfo.route) {
-            routeProgress = await getRouteProgress(driverInfo.route);
+            routeProgress = await getRouteProgress(driverInfo.route, req.store.id);
         }
         
         res.json({
@@ -1522,20 +2939,23 @@ app.get('/api/track/:orderId', async (req, res) => {
             order: {
                 orderId: order.customerOrderId,
                 status: order.orderStatus,
-                address: order.address,
+                accessLevel,
+                address: details.address,
                 storeAddress: order.storeAddress1,
                 storeName: order.storeName,
                 driver: driverInfo ? driverInfo.driver : null,
+                driverId: driverInfo ? driverInfo.driverId : null,
                 zone: driverInfo ? driverInfo.zone : null,
                 route: driverInfo ? driverInfo.route : null,
                 deliverySeq: order.deliverySeq,
                 packedBy: order.packingAssociate,
                 scheduledDelivery: order.requestedDeliveryDateString || order.requestedDeliveryDateStr,
-                customerName: `${order.firstName || ''} ${order.lastName || ''}`.trim(),
+                customerName: getCustomerName(order, accessLevel),
                 // ETA information
                 eta: estimate.eta,
                 stopsAway: estimate.stopsAway,
                 estimatedMinutes: estimate.estimatedMinutes,
+                etaRange: getEtaRange(estimate),
                 etaMessage: estimate.message,
                 directionsUrl: directionsUrl,
                 // Live route progress
@@ -1543,11 +2963,13 @@ app.get('/api/track/:orderId', async (req, res) => {
                     totalStops: routeProgress.totalStops,
                     completedStops: routeProgress.completedStops,
                     progressPercent: routeProgress.progressPercent,
-                    currentStopAddress: routeProgress.currentStopAddress,
-                    lastDeliveredAddress: routeProgress.lastDeliveredAddress
-                } : null
+                    currentStopSeq: routeProgress.currentStopSeq
+                } : null,
+                map: await getMapPoints(order, routeProgress, accessLevel, req.store.id)
             }
         });
+    } else if (isOrderTrackingUnavailable(req.store.id)) {
+        sendOrderNotFound(res, req.store.id);
     } else {
         res.json({ success: false, error: 'Order not found' });
     }
@@ -1561,28 +2983,19 @@ app.get('/api/drivers', apiLimiter, async (req, res) => {
 });
 
 // Get driver location for a specific order
-app.get('/api/driver-location/:orderId', apiLimiter, async (req, res) => {
+app.get('/api/driver-location/:orderId', apiLimiter, requireSession, async (req, res) => {
     const orderId = req.params.orderId;
-    const sessionId = req.query.sessionId || req.headers['x-session-id'] || 'default-session';
     console.log(`[Track] Driver location request for order #${orderId}`);
     
     // Check if session is verified for this order
-    const verifiedOrders = customerSessions.get(sessionId);
-    if (!verifiedOrders || !verifiedOrders.has(orderId)) {
-        res.json({ 
-            success: false, 
-            error: 'Please verify your identity first',
-            requiresVerification: true,
-            code: 'VERIFICATION_REQUIRED'
-        });
-        return;
+    if (!sessions.isVerified(req.customerSession, orderId)) {
+        return sendVerificationRequired(res);
     }
     
-    const order = await findOrderById(orderId);
+    const order = await findOrderById(orderId, req.store.id);
     
     if (!order) {
-        res.json({ success: false, error: 'Order not found', code: 'ORDER_NOT_FOUND' });
-        return;
+        return sendOrderNotFound(res, req.store.id);
     }
     
     if (order.orderStatus !== 'OUT_FOR_DELIVERY') {
@@ -1603,95 +3016,74 @@ app.get('/api/driver-location/:orderId', apiLimiter, async (req, res) => {
     
     // Find driver location
     const driverLocation = await findDriverByRoute(driverInfo.route);
-    const routeProgress = await getRouteProgress(driverInfo.route);
+    const routeProgress = await getRouteProgress(driverInfo.route, req.store.id);
+    const accessLevel = sessions.getAccessLevel(req.customerSession, orderId);
     
     res.json({
         success: true,
         order: {
             orderId: order.customerOrderId,
             status: order.orderStatus,
-            address: order.address,
+            accessLevel,
+            address: accessLevel === 'full' ? order.address : maskAddress(order.address),
             deliverySeq: order.deliverySeq,
-            customerName: `${order.firstName || ''} ${order.lastName || ''}`.trim()
+            customerName: getCustomerName(order, accessLevel)
         },
         driver: {
+            id: driverInfo.driverId,
             name: driverInfo.driver,
             zone: driverInfo.zone,
             route: driverInfo.route,
-            location: driverLocation ? {
-                latitude: parseFloat(driverLocation.latitude),
-                longitude: parseFloat(driverLocation.longitude),
-                heading: driverLocation.heading,
-                speed: driverLocation.speed,
-                lastUpdated: driverLocation.last_updated,
-                isActive: driverLocation.is_active
-            } : null
+            location: toDriverLocation(driverLocation)
         },
         routeProgress: routeProgress ? {
             totalStops: routeProgress.totalStops,
             completedStops: routeProgress.completedStops,
             progressPercent: routeProgress.progressPercent,
             currentStopSeq: routeProgress.currentStopSeq
-        } : null
+        } : null,
+        map: await getMapPoints(order, routeProgress, accessLevel, req.store.id)
     });
 });
 
 // Get packing status for a specific order (Live Packing Tracking)
-app.get('/api/packing-status/:orderId', apiLimiter, async (req, res) => {
+app.get('/api/packing-status/:orderId', apiLimiter, requireSession, async (req, res) => {
     const orderId = req.params.orderId;
-    const sessionId = req.query.sessionId || req.headers['x-session-id'] || 'default-session';
     console.log(`[Track] Packing status request for order #${orderId}`);
     
     // Check if session is verified for this order
-    const verifiedOrders = customerSessions.get(sessionId);
-    if (!verifiedOrders || !verifiedOrders.has(orderId)) {
-        res.json({ 
-            success: false, 
-            error: 'Please verify your identity first',
-            requiresVerification: true,
-            code: 'VERIFICATION_REQUIRED'
-        });
-        return;
+    if (!sessions.isVerified(req.customerSession, orderId)) {
+        return sendVerificationRequired(res);
     }
     
     // Get order from today's orders for most up-to-date status
-    const order = await getOrderWithLiveStatus(orderId);
+    const order = await getOrderWithLiveStatus(orderId, req.store.id);
     
     if (!order) {
-        res.json({ success: false, error: 'Order not found', code: 'ORDER_NOT_FOUND' });
-        return;
+        return sendOrderNotFound(res, req.store.id);
     }
     
     // Get packing progress
-    const packingProgress = getPackingProgress(order);
+    const tr = getTranslator(req.customerSession);
+    const packingProgress = getPackingProgress(order, tr);
     
     // Get driver info if assigned
     const driverInfo = formatDriverName(order.deliveryAssociate);
+    const accessLevel = sessions.getAccessLevel(req.customerSession, orderId);
     
-    // Determine appropriate message based on status
-    let statusMessage = '';
-    if (order.orderStatus === 'PLACED') {
-        statusMessage = 'Your order is in queue and will be packed soon!';
-    } else if (order.orderStatus === 'STARTED') {
-        statusMessage = 'Our team is carefully packing your items!';
-    } else if (order.orderStatus === 'COMPLETED') {
-        statusMessage = 'Packing complete! Waiting for driver to start route.';
-    } else if (order.orderStatus === 'OUT_FOR_DELIVERY') {
-        statusMessage = 'Your order has been packed and is on the way!';
-    } else if (order.orderStatus === 'DELIVERED') {
-        statusMessage = 'Your order has been delivered!';
-    } else if (order.orderStatus === 'CANCELLED') {
-        statusMessage = 'This order was cancelled.';
-    }
+    // Message for the current status
+    const statusKey = `packing.status.${order.orderStatus}`;
+    const statusMessage = tr.has(statusKey) ? tr.t(statusKey) : '';
     
     res.json({
         success: true,
         order: {
             orderId: order.customerOrderId,
             status: order.orderStatus,
-            address: order.address,
+            accessLevel,
+            address: accessLevel === 'full' ? order.address : maskAddress(order.address),
             deliverySeq: order.deliverySeq,
-            customerName: `${order.firstName || ''} ${order.lastName || ''}`.trim(),
+            customerName: getCustomerName(order, accessLevel),
             driver: driverInfo ? driverInfo.driver : null,
             zone: driverInfo ? driverInfo.zone : null,
             totalItems: (order.menuList || []).length,
@@ -1714,9 +3106,14 @@ app.get('/api/packing-status/:orderId', apiLimiter, async (req, res) => {
 // MOBILE API ENDPOINTS (v1)
 // ============================================
 
-// Mobile: Generate session token
+// Generate session token (mobile apps and the web chat)
+// The token is bound to the device: later requests must send the same X-Device-ID header
 app.post('/api/v1/session', apiLimiter, (req, res) => {
-    const { deviceId, platform, appVersion } = req.body;
+    const { platform, appVersion } = req.body;
+    // Chat language: explicit `language`, else the first supported Accept-Language
+    const language = i18n.resolve(req.body.language);
+    const preferredLanguage = language || i18n.fromAcceptLanguage(req.headers['accept-language']);
+    const deviceId = req.body.deviceId || req.headers['x-device-id'];
     
     if (!deviceId) {
         return res.status(400).json({ 
@@ -1726,115 +3123,79 @@ app.post('/api/v1/session', apiLimiter, (req, res) => {
         });
     }
     
-    // Generate secure session token
-    const sessionToken = uuidv4();
-    const timestamp = Date.now();
-    
-    // Create session with expiry
-    const sessionData = {
+    // Generate signed session token with expiry
+    const { token: sessionToken, session } = sessions.issue({
+        storeId: req.store.id,
         deviceId,
         platform: platform || 'unknown',
         appVersion: appVersion || '1.0.0',
-        createdAt: timestamp,
-        expiresAt: timestamp + SESSION_EXPIRY,
-        verifiedOrders: new Set()
-    };
-    
-    customerSessions.set(sessionToken, sessionData);
+        language
+    });
+    if (!language && preferredLanguage) {
+        sessions.setLanguage(session, preferredLanguage, 'detected');
+    }
     
-    console.log(`[Mobile] New session created for device ${deviceId.slice(0, 8)}... on ${platform}`);
+    console.log(`[Mobile] New session created for device ${deviceId.slice(0, 8)}... on ${platform} (store ${req.store.id})`);
     
     res.json({
         success: true,
         sessionToken,
         expiresIn: SESSION_EXPIRY,
-        apiVersion: API_VERSION
+        apiVersion: API_VERSION,
+        storeId: req.store.id,
+        language: getTranslator(session).lang
     });
 });
 
 // Mobile: Chat endpoint with session validation
-app.post('/api/v1/chat', apiLimiter, async (req, res) => {
+app.post('/api/v1/chat', apiLimiter, requireSession, async (req, res) => {
     const { message } = req.body;
-    const sessionToken = req.headers['authorization']?.replace('Bearer ', '') || req.body.sessionId;
-    
-    if (!sessionToken) {
-        return res.status(401).json({
-            success: false,
-            error: 'Session token required',
-            code: 'UNAUTHORIZED'
-        });
-    }
-    
-    // Validate session
-    const session = customerSessions.get(sessionToken);
-    if (!session) {
-        // For backward compatibility, create temporary session
-        customerSessions.set(sessionToken, { verifiedOrders: new Set() });
-    } else if (session.expiresAt && Date.now() > session.expiresAt) {
-        customerSessions.delete(sessionToken);
-        return res.status(401).json({
-            success: false,
-            error: 'Session expired',
-            code: 'SESSION_EXPIRED'
-        });
-    }
-    
-    console.log(`[Mobile Chat] Session ${sessionToken.slice(0, 8)}...: ${message}`);
+    const session = req.customerSession;
     
-    const response = await processMessage(message, sessionToken);
+    applyRequestedLanguage(req);
+    const reply = await handleChatMessage(message, session, req.store, getClientInfo(req));
     
+    // `response` keeps the markdown for older app versions; `blocks` are the typed components
     res.json({ 
         success: true, 
-        response,
+        response: reply.text,
+        blocks: reply.blocks,
+        language: getTranslator(session).lang,
+        activeOrderId: session.context ? session.context.activeOrderId : null,
+        handoff: getHandoffSummary(session),
         timestamp: Date.now()
     });
 });
 
 // Mobile: Track order
-app.get('/api/v1/orders/:orderId/track', apiLimiter, async (req, res) => {
+app.get('/api/v1/orders/:orderId/track', apiLimiter, requireSession, async (req, res) => {
     const orderId = req.params.orderId;
-    const sessionToken = req.headers['authorization']?.replace('Bearer ', '') || req.query.sessionId;
-    
-    if (!sessionToken) {
-        return res.status(401).json({
-            success: false,
-            error: 'Session token required',
-            code: 'UNAUTHORIZED'
-        });
-    }
     
     // Check verification
-    const session = customerSessions.get(sessionToken);
-    const verifiedOrders = session?.verifiedOrders || session;
-    
-    if (!verifiedOrders || !(verifiedOrders instanceof Set ? verifiedOrders.has(orderId) : verifiedOrders.has?.(orderId))) {
-        return res.json({
-            success: false,
-            error: 'Please verify your identity first',
-            code: 'VERIFICATION_REQUIRED',
-            requiresVerification: true
-        });
+    if (!sessions.isVerified(req.customerSession, orderId)) {
+        return sendVerificationRequired(res);
     }
     
-    const order = await findOrderById(orderId);
+    const store = req.store;
+    const order = await findOrderById(orderId, store.id);
     
     if (!order) {
-        return res.json({ 
-            success: false, 
-            error: 'Order not found',
-            code: 'ORDER_NOT_FOUND'
-        });
+        return sendOrderNotFound(res, req.store.id);
     }
     
+    // Contact details, items, payment and the delivery photo need full access
+    const accessLevel = sessions.getAccessLevel(req.customerSession, orderId);
+    const fullAccess = accessLevel === 'full';
+    const tr = getTranslator(req.customerSession);
     const driverInfo = formatDriverName(order.deliveryAssociate);
-    const estimate = await getDeliveryEstimate(order, driverInfo);
-    const directionsUrl = getDirectionsUrl(order.storeAddress1, order.address);
+    const estimate = await getDeliveryEstimate(order, driverInfo, tr);
+    const directionsUrl = fullAccess ? getDirectionsUrl(order.storeAddress1, order.address) : null;
     
     let routeProgress = null;
     let driverLocation = null;
     
     if (driverInfo && driverInfo.route) {
-        routeProgress = await getRouteProgress(driverInfo.route);
+        routeProgress = await getRouteProgress(driverInfo.route, store.id);
         if (order.orderStatus === 'OUT_FOR_DELIVERY') {
             driverLocation = await findDriverByRoute(driverInfo.route);
         }
@@ -1845,38 +3206,37 @@ app.get('/api/v1/orders/:orderId/track', apiLimiter, async (req, res) => {
         order: {
             orderId: order.customerOrderId,
             status: order.orderStatus,
-            statusDisplay: getStatusDisplay(order.orderStatus),
-            address: order.address,
+            statusDisplay: getStatusDisplay(order.orderStatus, tr),
+            accessLevel,
+            address: fullAccess ? order.address : maskAddress(order.address),
             storeAddress: order.storeAddress1,
             storeName: order.storeName,
-            customerName: `${order.firstName || ''} ${order.lastName || ''}`.trim(),
+            customerName: getCustomerName(order, accessLevel),
             scheduledDelivery: order.requestedDeliveryDateString || order.requestedDeliveryDateStr,
             deliverySeq: order.deliverySeq,
             packedBy: order.packingAssociate,
-            items: (order.menuList || []).map(item => ({
+            items: fullAccess ? (order.menuList || []).map(item => ({
                 name: item.menuItemName,
                 quantity: item.count || 1,
                 price: item.salePrice || 0
-            })),
-            total: order.totalSalePrice,
-            deliveryProofImage: order.orderStatus === 'DELIVERED' ? order.imageUrl : null
+            })) : null,
+            total: fullAccess ? order.totalSalePrice : null,
+            deliveryProofImage: fullAccess && order.orderStatus === 'DELIVERED' ? order.imageUrl : null
         },
         driver: driverInfo ? {
+            id: driverInfo.driverId,
             name: driverInfo.driver,
             zone: driverInfo.zone,
             route: driverInfo.route,
-            location: driverLocation ? {
-                latitude: parseFloat(driverLocation.latitude),
-                longitude: parseFloat(driverLocation.longitude),
-                heading: driverLocation.heading,
-                speed: driverLocation.speed,
-                lastUpdated: driverLocation.last_updated,
-                isActive: driverLocation.is_active
-            } : null
+            location: toDriverLocation(driverLocation)
         } : null,
         eta: {
             display: estimate.eta,
             minutes: estimate.estimatedMinutes,
+            minMinutes: estimate.minMinutes !== undefined ? estimate.minMinutes : null,
+            maxMinutes: estimate.maxMinutes !== undefined ? estimate.maxMinutes : null,
+            confidence: estimate.confidence || null,
+            method: estimate.method || null,
             stopsAway: estimate.stopsAway,
             message: estimate.message
         },
@@ -1884,8 +3244,9 @@ app.get('/api/v1/orders/:orderId/track', apiLimiter, async (req, res) => {
             totalStops: routeProgress.totalStops,
             completedStops: routeProgress.completedStops,
             progressPercent: routeProgress.progressPercent,
-            currentStopAddress: routeProgress.currentStopAddress
+            currentStopSeq: routeProgress.currentStopSeq
         } : null,
+        map: await getMapPoints(order, routeProgress, accessLevel, store.id),
         links: {
             directions: directionsUrl
         },
@@ -1894,18 +3255,10 @@ app.get('/api/v1/orders/:orderId/track', apiLimiter, async (req, res) => {
 });
 
 // Mobile: Verify order ownership
-app.post('/api/v1/orders/:orderId/verify', strictLimiter, async (req, res) => {
+app.post('/api/v1/orders/:orderId/verify', strictLimiter, requireSession, async (req, res) => {
     const orderId = req.params.orderId;
     const { identifier } = req.body;
-    const sessionToken = req.headers['authorization']?.replace('Bearer ', '') || req.body.sessionId;
-    
-    if (!sessionToken) {
-        return res.status(401).json({
-            success: false,
-            error: 'Session token required',
-            code: 'UNAUTHORIZED'
-        });
-    }
+    const session = req.customerSession;
     
     if (!identifier) {
         return res.status(400).json({
@@ -1915,43 +3268,36 @@ app.post('/api/v1/orders/:orderId/verify', strictLimiter, async (req, res) => {
         });
     }
     
-    const order = await findOrderById(orderId);
+    const order = await findOrderById(orderId, req.store.id);
     
     if (!order) {
-        return res.json({
-            success: false,
-            error: 'Order not found',
-            code: 'ORDER_NOT_FOUND'
-        });
+        return sendOrderNotFound(res, req.store.id);
     }
     
-    const verified = verifyCustomerOwnership(order, identifier);
+    const attempt = runVerificationAttempt(
+        { orderId, session, store: req.store, client: getClientInfo(req), method: 'identity' },
+        () => verifyCustomerOwnership(order, identifier)
+    );
+    if (attempt.locked) {
+        return sendLockout(res, attempt.retryAfterMs);
+    }
     
-    if (verified) {
-        // Get or create session data
-        let session = customerSessions.get(sessionToken);
-        if (!session) {
-            session = { verifiedOrders: new Set() };
-            customerSessions.set(sessionToken, session);
-        }
-        
-        // Add verified order
-        if (session.verifiedOrders) {
-            session.verifiedOrders.add(orderId);
-        } else if (session instanceof Set) {
-            session.add(orderId);
-        } else {
-            // Legacy format
-            customerSessions.set(sessionToken, new Set([orderId]));
-        }
+    const match = attempt.result;
+    if (match) {
+        // Keep a higher access level already unlocked with a one-time code
+        const accessLevel = sessions.hasFullAccess(session, orderId) ? 'full' : getMatchAccessLevel(match);
+        sessions.markVerified(session, orderId, accessLevel);
+        focusOrder(session, orderId);
         
-        console.log(`[Mobile] Order #${orderId} verified for session ${sessionToken.slice(0, 8)}...`);
+        console.log(`[Mobile] Order #${orderId} verified for session ${session.id.slice(0, 8)}... (${accessLevel} access)`);
         
         return res.json({
             success: true,
             message: 'Verification successful',
             orderId,
-            canTrack: true
+            canTrack: true,
+            accessLevel,
+            canRequestCode: accessLevel !== 'full'
         });
     } else {
         return res.json({
@@ -1962,35 +3308,303 @@ app.post('/api/v1/orders/:orderId/verify', strictLimiter, async (req, res) => {
     }
 });
 
-// Mobile: Get driver live location
-app.get('/api/v1/orders/:orderId/driver-location', apiLimiter, async (req, res) => {
+// Mobile: Send a one-time code to the phone or email on file (unlocks full order details)
+app.post('/api/v1/orders/:orderId/otp', strictLimiter, requireSession, async (req, res) => {
     const orderId = req.params.orderId;
-    const sessionToken = req.headers['authorization']?.replace('Bearer ', '') || req.query.sessionId;
+    const channel = req.body.channel || 'sms';
+    const session = req.customerSession;
     
-    if (!sessionToken) {
-        return res.status(401).json({
+    if (channel !== 'sms' && channel !== 'email') {
+        return res.status(400).json({
             success: false,
-            error: 'Session token required',
-            code: 'UNAUTHORIZED'
+            error: 'Channel must be "sms" or "email"',
+            code: 'INVALID_CHANNEL'
         });
     }
     
-    // Check verification
-    const session = customerSessions.get(sessionToken);
-    const verifiedOrders = session?.verifiedOrders || session;
+    // A code can only be requested for an order the session has already matched
+    if (!sessions.isVerified(session, orderId)) {
+        return sendVerificationRequired(res);
+    }
+    
+    const order = await findOrderById(orderId, req.store.id);
+    if (!order) {
+        return sendOrderNotFound(res, req.store.id);
+    }
+    
+    const result = await oneTimeCodes.send({
+        sessionId: session.id,
+        orderId,
+        channel,
+        to: channel === 'sms' ? order.phone : order.email,
+        storeName: req.store.name
+    });
+    
+    if (!result.sent) {
+        return res.json({ success: false, error: result.error, code: result.code });
+    }
+    
+    res.json({
+        success: true,
+        channel,
+        destination: channel === 'sms' ? maskPhone(order.phone) : maskEmail(order.email),
+        expiresIn: result.expiresIn
+    });
+});
+
+// Mobile: Check a one-time code
+app.post('/api/v1/orders/:orderId/otp/verify', strictLimiter, requireSession, (req, res) => {
+    const orderId = req.params.orderId;
+    const { code } = req.body;
+    const session = req.customerSession;
+    
+    if (!code) {
+        return res.status(400).json({
+            success: false,
+            error: 'Verification code required',
+            code: 'MISSING_CODE'
+        });
+    }
+    
+    let result = null;
+    const attempt = runVerificationAttempt(
+        { orderId, session, store: req.store, client: getClientInfo(req), method: 'one-time-code' },
+        () => {
+            result = oneTimeCodes.verify({ sessionId: session.id, orderId, code });
+            return result.valid ? { method: 'one-time-code' } : null;
+        }
+    );
+    if (attempt.locked) {
+        return sendLockout(res, attempt.retryAfterMs);
+    }
+    
+    if (!result.valid) {
+        return res.json({ success: false, error: result.error, code: result.code });
+    }
+    
+    sessions.markVerified(session, orderId, VERIFICATION_TIERS.oneTimeCode);
+    focusOrder(session, orderId);
+    console.log(`[Mobile] One-time code accepted for order #${orderId}, session ${session.id.slice(0, 8)}...`);
+    
+    res.json({
+        success: true,
+        message: 'Code accepted',
+        orderId,
+        accessLevel: sessions.getAccessLevel(session, orderId)
+    });
+});
+
+// Mobile: Can the order still be cancelled? Eligibility, reasons and (with full access) the refund
+app.get('/api/v1/orders/:orderId/cancel', apiLimiter, requireSession, async (req, res) => {
+    const orderId = req.params.orderId;
+    const session = req.customerSession;
+    
+    if (!sessions.isVerified(session, orderId)) {
+        return sendVerificationRequired(res);
+    }
+    
+    const order = await findOrderById(orderId, req.store.id);
+    if (!order) {
+        return sendOrderNotFound(res, req.store.id);
+    }
+    
+    const tr = getTranslator(session);
+    const fullAccess = sessions.hasFullAccess(session, orderId);
+    const eligibility = cancellations.checkEligibility(order, req.store.id);
+    const refund = cancellations.getRefund(order);
+    
+    res.json({
+        success: true,
+        orderId: order.customerOrderId,
+        status: order.orderStatus,
+        cancellable: eligibility.eligible,
+        code: eligibility.code || null,
+        error: eligibility.error || null,
+        requiresOneTimeCode: !fullAccess,
+        reasons: cancellations.reasons.map(key => ({ key, label: tr.t(`cancel.reasons.${key}`) })),
+        refund: fullAccess && eligibility.eligible ? { ...refund, message: getRefundTimeline(refund, tr) } : null
+    });
+});
+
+// Mobile: Cancel an order (the app collects the reason and confirmation itself)
+app.post('/api/v1/orders/:orderId/cancel', strictLimiter, requireSession, async (req, res) => {
+    const orderId = req.params.orderId;
+    const { reason, note } = req.body;
+    const session = req.customerSession;
+    
+    if (!cancellations.reasons.includes(reason)) {
+        return res.status(400).json({
+            success: false,
+            error: `reason must be one of: ${cancellations.reasons.join(', ')}`,
+            code: 'INVALID_REASON'
+        });
+    }
+    
+    if (!sessions.isVerified(session, orderId)) {
+        return sendVerificationRequired(res);
+    }
+    if (!sessions.hasFullAccess(session, orderId)) {
+        return res.json({
+            success: false,
+            error: 'A one-time code is required to cancel this order',
+            code: 'ONE_TIME_CODE_REQUIRED',
+            requiresOneTimeCode: true
+        });
+    }
+    
+    const order = await findOrderById(orderId, req.store.id);
+    if (!order) {
+        return sendOrderNotFound(res, req.store.id);
+    }
+    
+    const result = await cancellations.cancel({
+        order,
+        storeId: req.store.id,
+        reason,
+        note: typeof note === 'string' ? note : null,
+        requestedBy: { sessionId: session.id, channel: 'api' }
+    });
+    if (!result.cancelled) {
+        return res.json({ success: false, error: result.error, code: result.code });
+    }
+    
+    focusOrder(session, orderId);
+    const { cancellation } = result;
+    res.json({
+        success: true,
+        cancellation: {
+            orderId: order.customerOrderId,
+            status: order.orderStatus,
+            reason: cancellation.reason,
+            reference: cancellation.reference,
+            cancelledAt: cancellation.cancelledAt,
+            refund: { ...cancellation.refund, message: getRefundTimeline(cancellation.refund, getTranslator(session)) }
+        }
+    });
+});
+
+// Mobile: Claims on orders verified in this session (?orderId= for one order)
+app.get('/api/v1/claims', apiLimiter, requireSession, (req, res) => {
+    const session = req.customerSession;
+    const { orderId } = req.query;
+    if (orderId && !sessions.isVerified(session, orderId)) {
+        return sendVerificationRequired(res);
+    }
+    
+    const found = claims.listForOrders(orderId ? [orderId] : session.verifiedOrders);
+    res.json({ success: true, count: found.length, claims: found.map(publicView) });
+});
+
+app.get('/api/v1/claims/:claimId', apiLimiter, requireSession, (req, res) => {
+    const claim = claims.get(req.params.claimId);
+    if (!claim || !sessions.isVerified(req.customerSession, claim.orderId)) {
+        return res.json({ success: false, error: 'Claim not found', code: 'CLAIM_NOT_FOUND' });
+    }
+    res.json({ success: true, claim: publicView(claim) });
+});
+
+// Mobile: File a claim - { orderId, items: [{ index, quantity? }], reason, note? }.
+// `index` is the item's position in the order's menuList; quantity defaults to all of it.
+app.post('/api/v1/claims', strictLimiter, requireSession, async (req, res) => {
+    const { orderId, items, reason, note } = req.body;
+    const session = req.customerSession;
+    
+    if (!orderId || !Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ success: false, error: 'orderId and items are required', code: 'INVALID_REQUEST' });
+    }
+    if (!claims.reasons.includes(reason)) {
+        return res.status(400).json({
+            success: false,
+            error: `reason must be one of: ${claims.reasons.join(', ')}`,
+            code: 'INVALID_REASON'
+        });
+    }
+    
+    if (!sessions.isVerified(session, orderId)) {
+        return sendVerificationRequired(res);
+    }
+    if (!sessions.hasFullAccess(session, orderId)) {
+        return res.json({
+            success: false,
+            error: 'A one-time code is required to file a claim for this order',
+            code: 'ONE_TIME_CODE_REQUIRED',
+            requiresOneTimeCode: true
+        });
+    }
+    
+    const order = await findOrderById(orderId, req.store.id);
+    if (!order) {
+        return sendOrderNotFound(res, req.store.id);
+    }
+    
+    const result = claims.create({
+        order,
+        storeId: req.store.id,
+        items,
+        reason,
+        note: typeof note === 'string' ? note : null,
+        requestedBy: { sessionId: session.id, channel: 'api', language: getTranslator(session).lang }
+    });
+    if (result.error) {
+        return res.json({ success: false, error: result.error, code: result.code });
+    }
     
-    if (!verifiedOrders || !(verifiedOrders instanceof Set ? verifiedOrders.has(orderId) : false)) {
+    focusOrder(session, orderId);
+    res.status(201).json({ success: true, claim: publicView(result.claim) });
+});
+
+// Mobile and web: Attach a photo to a claim (full access to its order only, like filing it). The body
+// is the raw image with its Content-Type (image/jpeg, image/png, image/webp or image/heic), up to
+// CLAIM_PHOTO_MAX_BYTES.
+app.post('/api/v1/claims/:claimId/photos', strictLimiter, requireSession,
+    express.raw({ type: claims.photoTypes, limit: CLAIM_PHOTO_MAX_BYTES }), async (req, res) => {
+    const claim = claims.get(req.params.claimId);
+    if (!claim || !sessions.isVerified(req.customerSession, claim.orderId)) {
+        return res.json({ success: false, error: 'Claim not found', code: 'CLAIM_NOT_FOUND' });
+    }
+    if (!sessions.hasFullAccess(req.customerSession, claim.orderId)) {
         return res.json({
             success: false,
-            error: 'Please verify your identity first',
-            code: 'VERIFICATION_REQUIRED'
+            error: 'A one-time code is required to add photos to this claim',
+            code: 'ONE_TIME_CODE_REQUIRED',
+            requiresOneTimeCode: true
+        });
+    }
+    if (!Buffer.isBuffer(req.body)) {
+        return res.status(400).json({
+            success: false,
+            error: `Photos must be one of: ${claims.photoTypes.join(', ')}`,
+            code: 'UNSUPPORTED_MEDIA_TYPE'
         });
     }
     
-    const order = await findOrderById(orderId);
+    try {
+        const result = await claims.addPhoto(claim.id, { contentType: req.get('content-type').split(';')[0].trim(), data: req.body });
+        if (result.error) {
+            const status = result.code === 'EMPTY_PHOTO' || result.code === 'UNSUPPORTED_MEDIA_TYPE' ? 400 : 200;
+            return res.status(status).json({ success: false, error: result.error, code: result.code });
+        }
+        res.status(201).json({ success: true, photo: result.photo, claim: publicView(result.claim) });
+    } catch (error) {
+        console.error(`[Claims] Saving a photo for claim ${claim.id} failed:`, error.message);
+        res.status(500).json({ success: false, error: 'The photo could not be saved. Please try again.', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Mobile: Get driver live location
+app.get('/api/v1/orders/:orderId/driver-location', apiLimiter, requireSession, async (req, res) => {
+    const orderId = req.params.orderId;
+    
+    // Check verification
+    if (!sessions.isVerified(req.customerSession, orderId)) {
+        return sendVerificationRequired(res);
+    }
+    
+    const store = req.store;
+    const order = await findOrderById(orderId, store.id);
     
     if (!order) {
-        return res.json({ success: false, error: 'Order not found', code: 'ORDER_NOT_FOUND' });
+        return sendOrderNotFound(res, req.store.id);
     }
     
     if (order.orderStatus !== 'OUT_FOR_DELIVERY') {
@@ -2008,7 +3622,7 @@ app.get('/api/v1/orders/:orderId/driver-location', apiLimiter, async (req, res)
     }
     
     const driverLocation = await findDriverByRoute(driverInfo.route);
-    const routeProgress = await getRouteProgress(driverInfo.route);
+    const routeProgress = await getRouteProgress(driverInfo.route, store.id);
     
     let stopsAway = order.deliverySeq;
     if (routeProgress) {
@@ -2019,19 +3633,13 @@ app.get('/api/v1/orders/:orderId/driver-location', apiLimiter, async (req, res)
     res.json({
         success: true,
         driver: {
+            id: driverInfo.driverId,
             name: driverInfo.driver,
             zone: driverInfo.zone,
-            location: driverLocation ? {
-                latitude: parseFloat(driverLocation.latitude),
-                longitude: parseFloat(driverLocation.longitude),
-                heading: driverLocation.heading,
-                speed: driverLocation.speed,
-                lastUpdated: driverLocation.last_updated,
-                isActive: driverLocation.is_active
-            } : null
+            location: toDriverLocation(driverLocation)
         },
         delivery: {
-            address: order.address,
+            address: sessions.hasFullAccess(req.customerSession, orderId) ? order.address : maskAddress(order.address),
             seq: order.deliverySeq,
             stopsAway: stopsAway,
             isNext: stopsAway === 0
@@ -2041,28 +3649,246 @@ app.get('/api/v1/orders/:orderId/driver-location', apiLimiter, async (req, res)
             completedStops: routeProgress.completedStops,
             progressPercent: routeProgress.progressPercent
         } : null,
+        map: await getMapPoints(order, routeProgress, sessions.getAccessLevel(req.customerSession, orderId), store.id),
         timestamp: Date.now()
     });
 });
 
-// Health check with version info
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'ok',
-        service: 'iPerkz Support Agent',
-        version: '2.1.0', // Updated version to verify deployment
-        apiVersion: API_VERSION,
-        timestamp: Date.now(),
-        todaysOrdersApi: TODAYS_ORDERS_API
+// Where the driver has been: their sampled trail over the last DRIVER_TRAIL_MINUTES (?minutes= up to
+// 240), as points and as an encoded polyline. Places the driver stopped at are left out.
+app.get('/api/v1/orders/:orderId/driver-trail', apiLimiter, requireSession, async (req, res) => {
+    const orderId = req.params.orderId;
+    
+    if (!sessions.isVerified(req.customerSession, orderId)) {
+        return sendVerificationRequired(res);
+    }
+    
+    const store = req.store;
+    const order = await findOrderById(orderId, store.id);
+    
+    if (!order) {
+        return sendOrderNotFound(res, req.store.id);
+    }
+    
+    if (order.orderStatus !== 'OUT_FOR_DELIVERY') {
+        return res.json({
+            success: false,
+            error: 'Driver trail available only when order is out for delivery',
+            orderStatus: order.orderStatus,
+            code: 'NOT_OUT_FOR_DELIVERY'
+        });
+    }
+    
+    const driverInfo = formatDriverName(order.deliveryAssociate);
+    if (!driverInfo) {
+        return res.json({ success: false, error: 'No driver assigned', code: 'NO_DRIVER' });
+    }
+    
+    // Only the drive since the driver's last stop (earlier points lead to other customers' homes),
+    // and to the nearest ~100 m without full access
+    const minutes = Math.min(DRIVER_TRAIL_MAX_MINUTES, Math.max(1, parseInt(req.query.minutes, 10) || DRIVER_TRAIL_MINUTES));
+    const trail = driverTrail.getTrail(driverInfo.route, {
+        since: new Date(Date.now() - minutes * 60000).toISOString(),
+        movingOnly: true,
+        sinceLastStop: true,
+        decimals: sessions.hasFullAccess(req.customerSession, orderId) ? null : 3
     });
+    const driverLocation = await findDriverByRoute(driverInfo.route);
+    
+    res.json({
+        success: true,
+        orderId: order.customerOrderId,
+        driver: {
+            id: driverInfo.driverId,
+            name: driverInfo.driver,
+            zone: driverInfo.zone,
+            location: toDriverLocation(driverLocation)
+        },
+        trail: {
+            minutes,
+            points: trail ? trail.points.map(point => ({ latitude: point.latitude, longitude: point.longitude, at: point.at })) : [],
+            polyline: trail ? trail.polyline : '',
+            distanceMiles: trail ? trail.distanceMiles : 0,
+            startedAt: trail ? trail.startedAt : null
+        },
+        timestamp: Date.now()
+    });
+});
+
+// Live order updates shared by every open stream (see lib/liveUpdates.js)
+const LIVE_UPDATE_INTERVAL = parseInt(process.env.LIVE_UPDATE_INTERVAL, 10) || 5000; // 5 seconds
+const liveUpdates = createLiveUpdates({
+    poll: pollLiveOrders,
+    intervalMs: LIVE_UPDATE_INTERVAL
+});
+
+// Stream status, packing, route progress and driver location changes as Server-Sent Events.
+// Events: status, packing, route, driver and finally end. EventSource clients that can't set
+// headers may pass ?sessionToken=...&deviceId=... instead.
+app.get('/api/v1/orders/:orderId/live', apiLimiter, requireSession, async (req, res) => {
+    const orderId = req.params.orderId;
+    
+    if (!sessions.isVerified(req.customerSession, orderId)) {
+        return sendVerificationRequired(res);
+    }
+    
+    const order = await getOrderWithLiveStatus(orderId, req.store.id);
+    if (!order) {
+        return sendOrderNotFound(res, req.store.id);
+    }
+    
+    console.log(`[Live] Stream opened for order #${orderId} (store ${req.store.id})`);
+    liveUpdates.subscribe(res, {
+        orderId,
+        storeId: req.store.id,
+        sessionId: req.customerSession.id,
+        language: getTranslator(req.customerSession).lang
+    });
+});
+
+// Agent replies and handoff status for the customer, streamed like order updates.
+// Events: status ({ status, position, agentName }), messages (agent and system messages after
+// ?after=) and end once the conversation is closed.
+function pollHandoffs(subscribers) {
+    const snapshots = new Map();
+    subscribers.forEach(subscriber => {
+        const handoff = handoffs.get(subscriber.handoffId);
+        if (!handoff) {
+            snapshots.set(subscriber.id, { end: { status: 'closed' } });
+            return;
+        }
+        const snapshot = {
+            status: {
+                status: handoff.status,
+                position: handoffs.queuePosition(handoff),
+                agentName: handoff.agent ? handoff.agent.name : null
+            },
+            messages: handoffs.messagesSince(handoff, subscriber.after).filter(message => message.from !== 'customer')
+        };
+        if (handoff.status === 'closed') snapshot.end = { status: 'closed', closedBy: handoff.closedBy };
+        snapshots.set(subscriber.id, snapshot);
+    });
+    return snapshots;
+}
+
+const handoffUpdates = createLiveUpdates({
+    poll: async (subscribers) => pollHandoffs(subscribers),
+    intervalMs: parseInt(process.env.HANDOFF_UPDATE_INTERVAL, 10) || 2000
+});
+
+// Mobile and web: The session's open conversation with an agent (null when there is none)
+app.get('/api/v1/handoff', apiLimiter, requireSession, (req, res) => {
+    const handoff = handoffs.openFor(req.customerSession.id);
+    const after = parseInt(req.query.after, 10) || 0;
+    res.json({
+        success: true,
+        handoff: handoff ? { ...getHandoffSummary(req.customerSession), messages: handoffs.messagesSince(handoff, after) } : null
+    });
+});
+
+app.get('/api/v1/handoff/live', apiLimiter, requireSession, (req, res) => {
+    const handoff = handoffs.openFor(req.customerSession.id);
+    if (!handoff) {
+        return res.json({ success: false, error: 'No conversation with an agent is open', code: 'NO_HANDOFF' });
+    }
+    handoffUpdates.subscribe(res, {
+        handoffId: handoff.id,
+        sessionId: req.customerSession.id,
+        after: parseInt(req.query.after, 10) || 0
+    });
+});
+
+// Health check with version info
+// 'degraded' while a backend dependency is failing (the server itself keeps answering from its caches)
+app.get('/api/health', (req, res) => {
+    const dependencies = dataSource.dependencies();
+    res.json({ 
+        status: Object.values(dependencies).every(dependency => dependency.healthy) ? 'ok' : 'degraded',
+        service: 'iPerkz Support Agent',
+        version: '2.1.0', // Updated version to verify deployment
+        apiVersion: API_VERSION,
+        timestamp: Date.now(),
+        dataSource: dataSource.describe(),
+        dependencies,
+        stores: stores.listStores().map(store => store.id),
+        sessions: {
+            store: SESSION_STORE,
+            active: customerSessions.size(),
+            pendingVerifications: pendingVerifications.size()
+        },
+        liveUpdates: liveUpdates.stats(),
+        webhooks: webhooks.count(),
+        cancellations: cancellations.describe(),
+        claims: claims.stats(),
+        handoffs: handoffs.stats(),
+        transcripts: transcripts.stats(),
+        geocoder: { ...geocoder.describe(), ...geocoder.stats() },
+        driverTrails: driverTrail.stats(),
+        drivers: drivers.describe(),
+        orders: { history: orderHistory.stats(), today: todaysOrders.stats() }
+    });
+});
+
+// Metrics read from the modules that keep them, at scrape time
+const CIRCUIT_STATES = { closed: 0, half_open: 1, open: 2 };
+const cacheStats = () => [
+    ['orders_history', orderHistory.stats()],
+    ['orders_today', todaysOrders.stats()],
+    ['geocoder', { staleHits: 0, ...geocoder.stats() }]
+];
+metrics.counter('cache_requests_total', 'Cache lookups by cache and result (hit, stale, miss)', {
+    collect: () => cacheStats().flatMap(([cache, stats]) => [
+        { labels: { cache, result: 'hit' }, value: stats.hits },
+        { labels: { cache, result: 'stale' }, value: stats.staleHits },
+        { labels: { cache, result: 'miss' }, value: stats.misses }
+    ])
+});
+metrics.gauge('cache_hit_ratio', 'Share of cache lookups answered from the cache (stale included) since start', {
+    collect: () => cacheStats().map(([cache, stats]) => {
+        const served = stats.hits + stats.staleHits + stats.misses;
+        return { labels: { cache }, value: served ? (stats.hits + stats.staleHits) / served : 0 };
+    })
+});
+metrics.gauge('upstream_circuit_state', 'Circuit breaker state per backend dependency (0 closed, 1 half open, 2 open)', {
+    collect: () => Object.entries(dataSource.dependencies()).map(([dependency, state]) => ({
+        labels: { dependency: `${dataSource.name}.${dependency}` },
+        value: CIRCUIT_STATES[state.state]
+    }))
+});
+metrics.gauge('active_sessions', 'Customer chat sessions', {
+    collect: () => [{ labels: {}, value: customerSessions.size() }]
+});
+metrics.gauge('pending_verifications', 'Chats waiting for the customer to verify an order', {
+    collect: () => [{ labels: {}, value: pendingVerifications.size() }]
+});
+metrics.gauge('live_update_subscribers', 'Open live order update streams', {
+    collect: () => [{ labels: {}, value: liveUpdates.stats().subscribers }]
+});
+metrics.gauge('handoffs', 'Human agent handoffs by status', {
+    collect: () => Object.entries(handoffs.stats()).map(([status, count]) => ({ labels: { status }, value: count }))
+});
+metrics.gauge('process_uptime_seconds', 'Seconds since the server started', {
+    collect: () => [{ labels: {}, value: Math.round(process.uptime()) }]
+});
+metrics.gauge('process_resident_memory_bytes', 'Resident memory of the server process', {
+    collect: () => [{ labels: {}, value: process.memoryUsage().rss }]
+});
+
+// Prometheus scrape endpoint. With METRICS_TOKEN set, scrapers send it as a bearer token.
+app.get('/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+        return res.status(401).json({ success: false, error: 'Invalid metrics token', code: 'UNAUTHORIZED' });
+    }
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
 });
 
 // Debug endpoint to check driver assignments
 app.get('/api/debug/driver/:orderId', async (req, res) => {
     try {
         const orderId = req.params.orderId;
-        const todaysOrders = await fetchTodaysOrders();
-        const order = todaysOrders.find(o => o.customerOrderId === parseInt(orderId));
+        const order = await findTodaysOrder(orderId, req.store.id);
         
         if (!order) {
             return res.json({ error: 'Order not found', orderId });
@@ -2077,13 +3903,744 @@ app.get('/api/debug/driver/:orderId', async (req, res) => {
             deliveryAssociateType: typeof order.deliveryAssociate,
             driverInfo: driverInfo,
             deliverySeq: order.deliverySeq,
-            apiUsed: TODAYS_ORDERS_API
+            dataSource: dataSource.name
         });
     } catch (error) {
         res.json({ error: error.message });
     }
 });
 
+// Verification audit trail for support leads (newest first)
+app.get('/api/admin/verification-audit', requireAdmin, (req, res) => {
+    const { orderId, storeId, sessionId, deviceId, result, method, channel, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+    const entries = verificationAudit.query({
+        orderId, storeId, sessionId, deviceId, result, method, channel, from, to, limit
+    });
+
+    res.json({
+        success: true,
+        count: entries.length,
+        entries
+    });
+});
+
+// Intent tuning: see how a message scores, and reload data/intents.json after editing it
+app.get('/api/admin/intents/classify', requireAdmin, (req, res) => {
+    const message = req.query.message || '';
+    const { intents, tokens } = intentClassifier.classify(message);
+    res.json({ success: true, message, tokens, intents });
+});
+
+app.post('/api/admin/intents/reload', requireAdmin, (req, res) => {
+    try {
+        const count = intentClassifier.reload();
+        res.json({ success: true, intents: count });
+    } catch (error) {
+        // The previous definitions stay active if the file doesn't parse
+        console.error('[Intents] Reload failed:', error.message);
+        res.status(400).json({ success: false, error: `Could not load intents: ${error.message}`, code: 'INVALID_INTENTS' });
+    }
+});
+
+// ============================================
+// TRANSCRIPTS (support lookup)
+// ============================================
+
+const TRANSCRIPT_FILTERS = ['orderId', 'intent', 'date', 'from', 'to', 'storeId', 'sessionId'];
+
+// Search filters from the query string; null (after answering 400) when one is malformed
+function getTranscriptFilters(req, res) {
+    const filters = {};
+    TRANSCRIPT_FILTERS.forEach(name => {
+        if (req.query[name]) filters[name] = String(req.query[name]);
+    });
+    if (filters.date && !/^\d{4}-\d{2}-\d{2}$/.test(filters.date)) {
+        res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD', code: 'INVALID_DATE' });
+        return null;
+    }
+    if ([filters.from, filters.to].some(value => value && isNaN(new Date(value).getTime()))) {
+        res.status(400).json({ success: false, error: 'from and to must be dates or timestamps', code: 'INVALID_DATE' });
+        return null;
+    }
+    return filters;
+}
+
+function toTranscriptSummary({ transcript, matches }) {
+    const { entries, ...summary } = transcript;
+    return { ...summary, entryCount: entries.length, matches };
+}
+
+// Conversations, most recently active first: ?orderId=&intent=&date=YYYY-MM-DD&from=&to=&storeId=&sessionId=&limit=
+app.get('/api/admin/transcripts', requireAdmin, (req, res) => {
+    const filters = getTranscriptFilters(req, res);
+    if (!filters) return;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const found = transcripts.search({ ...filters, limit });
+    res.json({ success: true, count: found.length, transcripts: found.map(toTranscriptSummary) });
+});
+
+// The matching transcripts in full, as JSON or as CSV (one row per message): same filters plus ?format=json|csv
+app.get('/api/admin/transcripts/export', requireAdmin, (req, res) => {
+    const filters = getTranscriptFilters(req, res);
+    if (!filters) return;
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ success: false, error: 'format must be json or csv', code: 'INVALID_FORMAT' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 1000, 10000);
+    const found = transcripts.search({ ...filters, limit }).map(result => result.transcript);
+    const filename = `transcripts-${new Date().toISOString().slice(0, 10)}.${format}`;
+    console.log(`[Transcripts] Exported ${found.length} transcripts as ${format}`);
+    
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+        return res.type('text/csv').send(transcripts.toCsv(found));
+    }
+    res.json({ success: true, exportedAt: new Date().toISOString(), filters, count: found.length, transcripts: found });
+});
+
+app.get('/api/admin/transcripts/:sessionId', requireAdmin, (req, res) => {
+    const transcript = transcripts.find(req.params.sessionId);
+    if (!transcript) {
+        return res.status(404).json({ success: false, error: 'Transcript not found', code: 'TRANSCRIPT_NOT_FOUND' });
+    }
+    res.json({ success: true, transcript });
+});
+
+// ============================================
+// OPS DASHBOARD (admin)
+// ============================================
+
+const ORDER_STATUSES = ['PLACED', 'STARTED', 'COMPLETED', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED'];
+
+// Minutes an order may sit in PLACED (not picked up for packing) or STARTED (packing) before it is flagged
+const STUCK_THRESHOLDS = {
+    PLACED: parseInt(process.env.OPS_STUCK_PLACED_MINUTES, 10) || 30,
+    STARTED: parseInt(process.env.OPS_STUCK_STARTED_MINUTES, 10) || 45
+};
+
+// ?storeId= limits a view to one store; without it every configured store's orders are included.
+// Returns { storeId } or null after answering 404 for an unknown store.
+function getOpsStore(req, res) {
+    const storeId = req.query.storeId ? String(req.query.storeId) : null;
+    if (storeId && !stores.getStore(storeId)) {
+        res.status(404).json({ success: false, error: `Unknown store "${storeId}"`, code: 'UNKNOWN_STORE' });
+        return null;
+    }
+    return { storeId };
+}
+
+// `fetch(storeId)` (fetchTodaysOrders, fetchOrders) for one store or for every configured store, so
+// orders are tagged with their store (_storeId) and have recorded cancellations applied. Orders the
+// backend doesn't assign to a store show up in every store's own list; with more than one store
+// configured the all-store list leaves them out rather than count them once per store.
+async function fetchForStores(storeId, fetch) {
+    if (storeId) return fetch(storeId);
+    const configured = stores.listStores();
+    const orders = [];
+    for (const store of configured) {
+        const storeOrders = await fetch(store.id);
+        orders.push(...(configured.length === 1 ? storeOrders : storeOrders.filter(order => order.storeId)));
+    }
+    return orders;
+}
+
+// Today's orders for one store or every configured store
+async function getOpsOrders(storeId) {
+    return fetchForStores(storeId, fetchTodaysOrders);
+}
+
+// The store of a route in today's orders, or null when no configured store has the route
+async function findRouteStore(routeId) {
+    const order = (await getOpsOrders(null)).find(o => sameRoute(o.deliveryAssociate, routeId));
+    return order ? order._storeId : null;
+}
+
+function countByStatus(orders) {
+    const counts = {};
+    ORDER_STATUSES.forEach(status => { counts[status] = 0; });
+    orders.forEach(order => { counts[order.orderStatus] = (counts[order.orderStatus] || 0) + 1; });
+    return counts;
+}
+
+// When an order entered its current status: packing start for STARTED, creation otherwise
+function getStatusSince(order) {
+    if (order.orderStatus === 'STARTED' && order.orderProcessStartTime) return order.orderProcessStartTime;
+    return order.orderCreationTime || null;
+}
+
+// Orders that have been PLACED or STARTED for longer than their threshold, longest waiting first
+function findStuckOrders(orders, thresholds, now = Date.now()) {
+    return orders
+        .map(order => {
+            const limit = thresholds[order.orderStatus];
+            const since = getStatusSince(order);
+            if (!limit || !since || isNaN(new Date(since).getTime())) return null;
+            const minutes = Math.floor((now - new Date(since).getTime()) / 60000);
+            if (minutes < limit) return null;
+            return {
+                orderId: order.customerOrderId,
+                storeId: order._storeId,
+                status: order.orderStatus,
+                since,
+                minutes,
+                thresholdMinutes: limit,
+                customerName: getCustomerName(order, 'full'),
+                requestedDeliveryDate: order.requestedDeliveryDate || null,
+                packer: order.packingAssociate || null,
+                itemCount: (order.menuList || []).length
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.minutes - a.minutes);
+}
+
+// The driver's latest reported position for a route, or null when they haven't reported one
+function getLastDriverPing(locations, routeId, now = Date.now()) {
+    const location = matchDriverToRoute(locations, routeId);
+    if (!location) return null;
+    const at = location.last_updated || null;
+    const time = at ? new Date(at).getTime() : NaN;
+    return {
+        driverName: location.driver_name,
+        at,
+        minutesAgo: isNaN(time) ? null : Math.max(0, Math.floor((now - time) / 60000)),
+        latitude: parseFloat(location.latitude),
+        longitude: parseFloat(location.longitude),
+        speed: location.speed !== undefined ? location.speed : null,
+        active: location.is_active !== false,
+        freshness: driverTrail.freshness(location, now).status
+    };
+}
+
+// Progress of one route (see getRouteProgress) with its driver and last ping
+function toRouteOverview(progress, storeId, locations) {
+    const driverInfo = formatDriverName(progress.routeId);
+    const currentStop = progress.currentStop;
+    return {
+        routeId: progress.routeId,
+        storeId,
+        serviceDate: progress.serviceDate,
+        status: progress.status,
+        driver: driverInfo ? driverInfo.driver : null,
+        driverId: driverInfo ? driverInfo.driverId : null,
+        driverMatch: driverInfo ? (driverInfo.ambiguous ? 'ambiguous' : driverInfo.matchedBy) : null,
+        zone: driverInfo ? driverInfo.zone : null,
+        totalStops: progress.totalStops,
+        completedStops: progress.completedStops,
+        progressPercent: progress.progressPercent,
+        currentStop: currentStop ? {
+            seq: currentStop.seq,
+            orderId: currentStop.orderId,
+            status: currentStop.status,
+            address: currentStop.address
+        } : null,
+        lastPing: getLastDriverPing(locations, progress.routeId)
+    };
+}
+
+// Every route with a stop in `orders` (from getOpsOrders)
+async function getRoutesOverview(orders) {
+    const routeStores = new Map();
+    orders.forEach(order => {
+        const routeId = (order.deliveryAssociate || '').replace(/"/g, '').trim();
+        if (routeId && !routeStores.has(routeId)) routeStores.set(routeId, order._storeId);
+    });
+    if (routeStores.size === 0) return [];
+
+    const locations = await fetchDriverLocations();
+    const routes = [];
+    for (const [routeId, storeId] of routeStores) {
+        const progress = await getRouteProgress(routeId, storeId);
+        if (progress) routes.push(toRouteOverview(progress, storeId, locations));
+    }
+    return routes.sort((a, b) => a.progressPercent - b.progressPercent || a.routeId.localeCompare(b.routeId));
+}
+
+// Today's order counts by status (?storeId=)
+app.get('/api/admin/ops/summary', requireAdmin, async (req, res) => {
+    const scope = getOpsStore(req, res);
+    if (!scope) return;
+    const orders = await getOpsOrders(scope.storeId);
+    res.json({
+        success: true,
+        storeId: scope.storeId,
+        stores: stores.listStores().map(store => ({ id: store.id, name: store.name })),
+        total: orders.length,
+        byStatus: countByStatus(orders),
+        stuck: findStuckOrders(orders, STUCK_THRESHOLDS).length,
+        generatedAt: new Date().toISOString()
+    });
+});
+
+// Orders waiting too long in PLACED or STARTED (?storeId=&placedMinutes=&startedMinutes=)
+app.get('/api/admin/ops/stuck', requireAdmin, async (req, res) => {
+    const scope = getOpsStore(req, res);
+    if (!scope) return;
+    const thresholds = {
+        PLACED: parseInt(req.query.placedMinutes, 10) || STUCK_THRESHOLDS.PLACED,
+        STARTED: parseInt(req.query.startedMinutes, 10) || STUCK_THRESHOLDS.STARTED
+    };
+    const stuck = findStuckOrders(await getOpsOrders(scope.storeId), thresholds);
+    res.json({ success: true, storeId: scope.storeId, thresholds, count: stuck.length, orders: stuck, generatedAt: new Date().toISOString() });
+});
+
+// Per-route progress: completed/total stops, current stop and the driver's last ping (?storeId=)
+app.get('/api/admin/ops/routes', requireAdmin, async (req, res) => {
+    const scope = getOpsStore(req, res);
+    if (!scope) return;
+    const routes = await getRoutesOverview(await getOpsOrders(scope.storeId));
+    res.json({ success: true, storeId: scope.storeId, count: routes.length, routes, generatedAt: new Date().toISOString() });
+});
+
+// One route with every stop
+app.get('/api/admin/ops/routes/:routeId', requireAdmin, async (req, res) => {
+    const routeId = req.params.routeId;
+    const storeId = await findRouteStore(routeId);
+    const progress = storeId ? await getRouteProgress(routeId, storeId) : null;
+    if (!progress) {
+        return res.status(404).json({ success: false, error: 'Route not found in today\'s orders', code: 'ROUTE_NOT_FOUND' });
+    }
+    const route = toRouteOverview(progress, storeId, await fetchDriverLocations());
+    res.json({ success: true, route: { ...route, stops: progress.orders } });
+});
+
+// ============================================
+// DRIVERS (admin)
+// ============================================
+
+// Today's routes by driver, and the routes no driver or more than one driver matches (?storeId=)
+app.get('/api/admin/drivers', requireAdmin, async (req, res) => {
+    const scope = getOpsStore(req, res);
+    if (!scope) return;
+    
+    const routes = new Map();
+    (await getOpsOrders(scope.storeId)).forEach(order => {
+        const routeId = (order.deliveryAssociate || '').replace(/"/g, '').trim();
+        if (!routeId) return;
+        const route = routes.get(routeId) || { routeId, storeId: order._storeId, stops: 0 };
+        route.stops++;
+        routes.set(routeId, route);
+    });
+    
+    const routesByDriver = new Map();
+    const unmatchedRoutes = [];
+    for (const route of routes.values()) {
+        const match = drivers.resolveRoute(route.routeId);
+        if (match.driver) {
+            const list = routesByDriver.get(match.driver.id) || [];
+            list.push({ ...route, matchedBy: match.matchedBy });
+            routesByDriver.set(match.driver.id, list);
+        } else {
+            unmatchedRoutes.push({ ...route, ambiguous: match.ambiguous, candidates: match.candidates });
+        }
+    }
+    
+    res.json({
+        success: true,
+        storeId: scope.storeId,
+        drivers: drivers.listDrivers()
+            .filter(driver => !scope.storeId || driver.storeIds.length === 0 || driver.storeIds.includes(scope.storeId))
+            .map(driver => ({ ...drivers.publicDriver(driver), todaysRoutes: routesByDriver.get(driver.id) || [] })),
+        unmatchedRoutes,
+        conflicts: drivers.conflicts(),
+        generatedAt: new Date().toISOString()
+    });
+});
+
+// Assign one day's route to a driver, overriding the configured routes ({ driverId })
+app.put('/api/admin/drivers/assignments/:routeId', requireAdmin, (req, res) => {
+    const result = drivers.assign(req.params.routeId, req.body && req.body.driverId, { by: 'admin' });
+    if (result.error) {
+        const status = result.code === 'UNKNOWN_DRIVER' ? 404 : 400;
+        return res.status(status).json({ success: false, error: result.error, code: result.code });
+    }
+    res.json({
+        success: true,
+        assignment: result.assignment,
+        driver: drivers.publicDriver(drivers.getDriver(result.assignment.driverId))
+    });
+});
+
+// Remove an assignment; the route goes back to the configured drivers
+app.delete('/api/admin/drivers/assignments/:routeId', requireAdmin, (req, res) => {
+    if (!drivers.unassign(req.params.routeId)) {
+        return res.status(404).json({ success: false, error: 'No assignment for this route', code: 'ASSIGNMENT_NOT_FOUND' });
+    }
+    res.json({ success: true, routeId: req.params.routeId });
+});
+
+// ============================================
+// ROUTES (staff)
+// ============================================
+
+// Orders on routes serviced on `date` (YYYY-MM-DD) for one store or every configured store (see
+// fetchForStores): today's feed for today, the order history otherwise
+async function getOrdersForServiceDate(date, storeId) {
+    if (date === formatServiceDate()) {
+        return getOpsOrders(storeId);
+    }
+    const orders = await fetchForStores(storeId, fetchOrders);
+    return orders.filter(order => {
+        const route = parseRoute(order.deliveryAssociate);
+        return route && route.serviceDate === date;
+    });
+}
+
+// Route summary for staff lists, with the driver from the registry
+function toStaffRoute(route, storeId) {
+    const driverInfo = formatDriverName(route.routeId);
+    const { stops, lastDeliveredStop, ...summary } = route;
+    return {
+        ...summary,
+        storeId,
+        driver: driverInfo ? driverInfo.driver : route.driver,
+        driverId: driverInfo ? driverInfo.driverId : null,
+        driverMatch: driverInfo ? (driverInfo.ambiguous ? 'ambiguous' : driverInfo.matchedBy) : null
+    };
+}
+
+// A day's routes with status and progress (?date=YYYY-MM-DD, default today; ?storeId=)
+app.get('/api/v1/routes', requireStaff, async (req, res) => {
+    const scope = getOpsStore(req, res);
+    if (!scope) return;
+    const date = req.query.date || formatServiceDate();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+        return res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD', code: 'INVALID_DATE' });
+    }
+    
+    const byRoute = new Map();
+    (await getOrdersForServiceDate(date, scope.storeId)).forEach(order => {
+        const route = parseRoute(order.deliveryAssociate);
+        if (!route) return;
+        const key = route.id.toLowerCase();
+        const entry = byRoute.get(key) || { route, storeId: order._storeId, orders: [] };
+        entry.orders.push(order);
+        byRoute.set(key, entry);
+    });
+    
+    const routes = Array.from(byRoute.values())
+        .map(({ route, storeId, orders }) => toStaffRoute(buildRoute(route, orders), storeId))
+        .sort((a, b) => a.routeId.localeCompare(b.routeId));
+    res.json({ success: true, date, storeId: scope.storeId, count: routes.length, routes });
+});
+
+// One route: every stop in sequence with its status, plus the driver's last location
+app.get('/api/v1/routes/:routeId', requireStaff, async (req, res) => {
+    const route = parseRoute(req.params.routeId);
+    const date = route ? route.serviceDate || formatServiceDate() : null;
+    const order = route ? (await getOrdersForServiceDate(date, null)).find(o => sameRoute(o.deliveryAssociate, route.id)) : null;
+    const storeId = order ? order._storeId : null;
+    const progress = storeId ? await getRouteProgress(route.id, storeId) : null;
+    if (!progress) {
+        return res.status(404).json({ success: false, error: 'Route not found', code: 'ROUTE_NOT_FOUND' });
+    }
+    
+    const { orders: stops, currentStopSeq, ...summary } = progress;
+    const driverLocation = date === formatServiceDate() ? await findDriverByRoute(route.id) : null;
+    res.json({
+        success: true,
+        route: {
+            ...toStaffRoute(summary, storeId),
+            lastDeliveredStop: summary.lastDeliveredStop,
+            driverLocation: toDriverLocation(driverLocation),
+            stops
+        }
+    });
+});
+
+// ============================================
+// ITEM CLAIMS (staff review)
+// ============================================
+
+// Claims for review (newest first): ?status=submitted|approved|denied&storeId=&orderId=&limit=
+app.get('/api/admin/claims', requireAdmin, (req, res) => {
+    const { status, storeId, orderId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const found = claims.list({ status, storeId, orderId }).slice(0, limit);
+    res.json({ success: true, count: found.length, stats: claims.stats(), claims: found });
+});
+
+app.get('/api/admin/claims/:id', requireAdmin, (req, res) => {
+    const claim = claims.get(req.params.id);
+    if (!claim) {
+        return res.status(404).json({ success: false, error: 'Claim not found', code: 'CLAIM_NOT_FOUND' });
+    }
+    res.json({ success: true, claim });
+});
+
+app.get('/api/admin/claims/:id/photos/:photoId', requireAdmin, async (req, res) => {
+    const photo = await claims.readPhoto(req.params.id, req.params.photoId).catch(() => null);
+    if (!photo) {
+        return res.status(404).json({ success: false, error: 'Photo not found', code: 'PHOTO_NOT_FOUND' });
+    }
+    res.type(photo.contentType).send(photo.data);
+});
+
+// Tell the customer about the decision on the email or phone on the order, in the chat language
+async function notifyClaimResolved(claim) {
+    const order = await findOrderById(claim.orderId, claim.storeId);
+    if (!order || !(order.email || order.phone)) return;
+    
+    const tr = i18n.forLanguage(claim.requestedBy && claim.requestedBy.language);
+    const store = stores.getStore(claim.storeId) || stores.getStore(stores.defaultStoreId);
+    const params = {
+        claimId: claim.id,
+        orderId: claim.orderId,
+        amount: tr.money(claim.resolution.refundAmount),
+        days: cancellations.refundDays,
+        supportEmail: store.supportEmail
+    };
+    await notifier.send({
+        channel: order.email ? 'email' : 'sms',
+        to: order.email || order.phone,
+        subject: tr.t('claims.notification.subject', params),
+        text: tr.t(`claims.notification.${claim.status}`, params)
+    });
+}
+
+// Approve { refundAmount?, note?, reviewer? } (refund defaults to the claimed amount) or deny { note?, reviewer? }
+['approve', 'deny'].forEach(action => {
+    app.post(`/api/admin/claims/:id/${action}`, requireAdmin, (req, res) => {
+        const { refundAmount, note, reviewer } = req.body || {};
+        const result = claims.resolve(req.params.id, {
+            decision: action === 'approve' ? 'approved' : 'denied',
+            refundAmount,
+            note: typeof note === 'string' ? note : null,
+            resolvedBy: typeof reviewer === 'string' ? reviewer : null
+        });
+        if (result.error) {
+            const status = result.code === 'CLAIM_NOT_FOUND' ? 404 : result.code === 'CLAIM_CLOSED' ? 409 : 400;
+            return res.status(status).json({ success: false, error: result.error, code: result.code });
+        }
+        
+        notifyClaimResolved(result.claim).catch(error => {
+            console.error(`[Claims] Could not notify customer about ${result.claim.id}:`, error.message);
+        });
+        res.json({ success: true, claim: result.claim });
+    });
+});
+
+// ============================================
+// HUMAN AGENT HANDOFF (agent console)
+// ============================================
+
+// Agents use their own key from AGENTS_FILE, which identifies them, so only the agent who claimed a
+// conversation can reply to, release or close it. Once AGENTS_FILE is configured that is the only way
+// in. Without it the shared AGENT_API_KEY and the admin key are accepted with X-Agent-ID /
+// X-Agent-Name: the agent is then whoever the caller says, and anyone with the key can act for any agent.
+function requireAgent(req, res, next) {
+    const key = req.headers['x-api-key'];
+    const agent = agentDirectory.findByKey(key);
+    if (agent) {
+        req.agent = agent;
+        return next();
+    }
+    
+    const keys = [AGENT_API_KEY, ADMIN_API_KEY].filter(Boolean);
+    if (keys.length === 0 && agentDirectory.size() === 0) {
+        return res.status(403).json({ success: false, error: 'Agent API is disabled (AGENTS_FILE, AGENT_API_KEY or ADMIN_API_KEY not set)', code: 'AGENT_DISABLED' });
+    }
+    if (agentDirectory.size() > 0 && keys.includes(key)) {
+        return res.status(403).json({ success: false, error: 'Use your own agent key from AGENTS_FILE', code: 'AGENT_KEY_REQUIRED' });
+    }
+    if (!keys.includes(key)) {
+        return res.status(401).json({ success: false, error: 'Invalid API key', code: 'UNAUTHORIZED' });
+    }
+    const agentId = req.headers['x-agent-id'];
+    if (!agentId) {
+        return res.status(400).json({ success: false, error: 'X-Agent-ID header is required', code: 'AGENT_REQUIRED' });
+    }
+    req.agent = { id: String(agentId), name: req.headers['x-agent-name'] || String(agentId) };
+    next();
+}
+
+const HANDOFF_ERROR_STATUS = { HANDOFF_NOT_FOUND: 404, NOT_ASSIGNED: 403, ALREADY_CLAIMED: 409, HANDOFF_CLOSED: 409 };
+
+function sendHandoffError(res, result) {
+    res.status(HANDOFF_ERROR_STATUS[result.code] || 400).json({ success: false, error: result.error, code: result.code });
+}
+
+// Queue entry without the message history
+function toHandoffSummary(handoff) {
+    const { messages, ...summary } = handoff;
+    const last = messages[messages.length - 1];
+    return {
+        ...summary,
+        position: handoffs.queuePosition(handoff),
+        messageCount: messages.length,
+        lastMessageAt: last ? last.at : null
+    };
+}
+
+// Queue: waiting and active conversations, oldest first (?status=waiting|active|closed&storeId=&mine=true)
+app.get('/api/agent/conversations', requireAgent, (req, res) => {
+    const { status, storeId } = req.query;
+    const agentId = req.query.mine === 'true' ? req.agent.id : null;
+    const found = handoffs.list({ status, storeId, agentId }).filter(handoff => status || handoff.status !== 'closed');
+    res.json({ success: true, count: found.length, stats: handoffs.stats(), conversations: found.map(toHandoffSummary) });
+});
+
+// One conversation: relayed messages, the customer's full chat transcript and up-to-date order context
+app.get('/api/agent/conversations/:id', requireAgent, async (req, res) => {
+    const handoff = handoffs.get(req.params.id);
+    if (!handoff) {
+        return sendHandoffError(res, { error: 'Conversation not found', code: 'HANDOFF_NOT_FOUND' });
+    }
+    
+    const session = customerSessions.get(handoff.sessionId);
+    const store = stores.getStore(handoff.storeId) || stores.getStore(stores.defaultStoreId);
+    const context = session && handoff.status !== 'closed' ? await getHandoffContext(session, store) : handoff.context;
+    res.json({
+        success: true,
+        conversation: { ...handoff, position: handoffs.queuePosition(handoff), context },
+        transcript: transcripts.get(handoff.sessionId)
+    });
+});
+
+app.post('/api/agent/conversations/:id/claim', requireAgent, (req, res) => {
+    const reclaimed = !!(handoffs.get(req.params.id) || {}).agent;
+    const result = handoffs.claim(req.params.id, req.agent);
+    if (result.error) return sendHandoffError(res, result);
+    
+    if (!reclaimed) {
+        const tr = i18n.forLanguage(result.handoff.language);
+        postHandoffMessage(result.handoff, { from: 'system', text: tr.t('handoff.joined', { agent: req.agent.name }) });
+    }
+    res.json({ success: true, conversation: toHandoffSummary(result.handoff) });
+});
+
+// Reply to the customer: { text }
+app.post('/api/agent/conversations/:id/messages', requireAgent, (req, res) => {
+    const text = req.body && typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!text) {
+        return res.status(400).json({ success: false, error: 'text is required', code: 'INVALID_MESSAGE' });
+    }
+    const handoff = handoffs.get(req.params.id);
+    const error = handoffs.checkAssigned(handoff, req.agent);
+    if (error) return sendHandoffError(res, error);
+    
+    const message = postHandoffMessage(handoff, { from: 'agent', text, agent: req.agent });
+    res.status(201).json({ success: true, message });
+});
+
+// Put the conversation back in the queue for another agent
+app.post('/api/agent/conversations/:id/release', requireAgent, (req, res) => {
+    const result = handoffs.release(req.params.id, req.agent);
+    if (result.error) return sendHandoffError(res, result);
+    
+    const tr = i18n.forLanguage(result.handoff.language);
+    postHandoffMessage(result.handoff, { from: 'system', text: tr.t('handoff.released') });
+    res.json({ success: true, conversation: toHandoffSummary(result.handoff) });
+});
+
+// Close the conversation; the customer's chat goes back to the bot
+app.post('/api/agent/conversations/:id/close', requireAgent, (req, res) => {
+    const result = handoffs.close(req.params.id, { by: 'agent', agent: req.agent });
+    if (result.error) return sendHandoffError(res, result);
+    
+    const tr = i18n.forLanguage(result.handoff.language);
+    postHandoffMessage(result.handoff, { from: 'system', text: tr.t('handoff.closedByAgent', { agent: req.agent.name }) });
+    res.json({ success: true, conversation: toHandoffSummary(result.handoff) });
+});
+
+// ============================================
+// OUTBOUND WEBHOOKS (order status transitions)
+// ============================================
+
+// Registrations always persist to disk; deliveries are logged as JSON lines
+const webhookStore = createSessionStore('webhooks', 'file', sessionStoreOptions);
+const webhooks = createWebhooks({
+    store: webhookStore,
+    log: createAuditLog({
+        file: process.env.WEBHOOK_LOG_FILE || path.join(__dirname, '.data', 'webhook-deliveries.jsonl')
+    }),
+    eventTypes: ORDER_EVENT_TYPES,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5
+});
+
+// Payload for order events: what CRM/marketing tools need to act on the transition
+function toWebhookOrder(event) {
+    const order = event.order;
+    const driverInfo = formatDriverName(order.deliveryAssociate);
+    return {
+        orderId: order.customerOrderId,
+        storeId: order.storeId != null ? String(order.storeId) : null,
+        previousStatus: event.previousStatus,
+        status: event.status,
+        customer: {
+            firstName: order.firstName || null,
+            lastName: order.lastName || null,
+            email: order.email || null,
+            phone: order.phone || null
+        },
+        orderType: getOrderType(order.takeOut),
+        totalSalePrice: order.totalSalePrice,
+        requestedDeliveryDate: order.requestedDeliveryDate || null,
+        driver: driverInfo ? driverInfo.driver : null,
+        deliverySeq: order.deliverySeq || null
+    };
+}
+
+// Diff today's orders between polls, for webhooks and for the ETA engine's delivery history
+const WEBHOOK_POLL_INTERVAL = parseInt(process.env.WEBHOOK_POLL_INTERVAL, 10) || 15000; // 15 seconds
+const orderWatcher = createOrderStatusWatcher({
+    fetchOrders: fetchAllTodaysOrders,
+    intervalMs: WEBHOOK_POLL_INTERVAL,
+    onEvent: (event) => {
+        const data = toWebhookOrder(event);
+        webhooks.dispatch(event.type, data, { storeId: data.storeId });
+        // Gaps between deliveries on a route are the ETA engine's stop durations
+        const driverInfo = event.type === 'order.delivered' ? formatDriverName(event.order.deliveryAssociate) : null;
+        if (driverInfo) etaEngine.recordDelivery(driverInfo.route);
+    }
+});
+
+app.get('/api/admin/webhooks', requireAdmin, (req, res) => {
+    res.json({ success: true, eventTypes: ORDER_EVENT_TYPES, webhooks: webhooks.list() });
+});
+
+// Register a webhook: { url, events: ['order.delivered', ...] or ['*'], storeId?, description? }
+// The signing secret is only returned here
+app.post('/api/admin/webhooks', requireAdmin, (req, res) => {
+    const { webhook, error } = webhooks.register(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_WEBHOOK' });
+    }
+    res.status(201).json({ success: true, webhook });
+});
+
+app.delete('/api/admin/webhooks/:id', requireAdmin, (req, res) => {
+    if (!webhooks.remove(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Webhook not found', code: 'WEBHOOK_NOT_FOUND' });
+    }
+    res.json({ success: true });
+});
+
+// Send a webhook.test event to check the receiver and its signature verification
+app.post('/api/admin/webhooks/:id/test', requireAdmin, (req, res) => {
+    const deliveryId = webhooks.ping(req.params.id);
+    if (!deliveryId) {
+        return res.status(404).json({ success: false, error: 'Webhook not found', code: 'WEBHOOK_NOT_FOUND' });
+    }
+    res.status(202).json({ success: true, deliveryId });
+});
+
+// Delivery log for a webhook (newest first): ?event=&orderId=&result=delivered|retrying|failed&from=&to=&limit=
+app.get('/api/admin/webhooks/:id/deliveries', requireAdmin, (req, res) => {
+    if (!webhooks.get(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Webhook not found', code: 'WEBHOOK_NOT_FOUND' });
+    }
+    const { event, orderId, result, deliveryId, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const entries = webhooks.deliveries({
+        webhookId: req.params.id, event, orderId, result, deliveryId, from, to, limit
+    });
+    res.json({ success: true, count: entries.length, deliveries: entries });
+});
+
 // API info endpoint for mobile apps
 app.get('/api/v1/info', (req, res) => {
     res.json({
@@ -2096,9 +4653,15 @@ app.get('/api/v1/info', (req, res) => {
                 chat: 'POST /api/v1/chat',
                 trackOrder: 'GET /api/v1/orders/:orderId/track',
                 verifyOrder: 'POST /api/v1/orders/:orderId/verify',
-                driverLocation: 'GET /api/v1/orders/:orderId/driver-location'
+                sendCode: 'POST /api/v1/orders/:orderId/otp',
+                verifyCode: 'POST /api/v1/orders/:orderId/otp/verify',
+                driverLocation: 'GET /api/v1/orders/:orderId/driver-location',
+                driverTrail: 'GET /api/v1/orders/:orderId/driver-trail',
+                liveUpdates: 'GET /api/v1/orders/:orderId/live (text/event-stream)',
+                store: 'GET /api/v1/store'
             }
         },
+        languages: i18n.list(),
         apps: {
             ios: IOS_APP,
             android: ANDROID_APP
@@ -2106,6 +4669,15 @@ app.get('/api/v1/info', (req, res) => {
     });
 });
 
+// Store details for the resolved store (X-Store-ID header or subdomain)
+app.get('/api/v1/store', (req, res) => {
+    const { id, name, address, hours, supportEmail } = req.store;
+    res.json({
+        success: true,
+        store: { id, name, address, hours, supportEmail }
+    });
+});
+
 // Serve main page
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -2113,6 +4685,10 @@ app.get('/', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // Request bodies over the parser limit (e.g. a claim photo over CLAIM_PHOTO_MAX_BYTES)
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ success: false, error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' });
+    }
     console.error('[Error]', err.message);
     res.status(500).json({
         success: false,
@@ -2121,12 +4697,36 @@ app.use((err, req, res, next) => {
     });
 });
 
+// Persist session stores before exiting (file backend batches its writes)
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        customerSessions.flush();
+        pendingVerifications.flush();
+        oneTimeCodeStore.flush();
+        verificationAttemptStore.flush();
+        webhookStore.flush();
+        pendingCancellations.flush();
+        cancellationStore.flush();
+        pendingClaims.flush();
+        claimStore.flush();
+        transcriptStore.flush();
+        handoffStore.flush();
+        etaHistoryStore.flush();
+        geocodeStore.flush();
+        driverTrailStore.flush();
+        driverAssignmentStore.flush();
+        process.exit(0);
+    });
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log('');
     console.log('🛒 iPerkz Support Agent v2.0 - Mobile Ready');
     console.log(`🌐 Web: http://localhost:${PORT}`);
     console.log(`📡 API: http://localhost:${PORT}/api/v1`);
+    console.log(`🗄️ Data source: ${dataSource.name}`);
+    console.log(`🔐 Session store: ${SESSION_STORE}`);
     console.log(`📱 iOS: ${IOS_APP}`);
     console.log(`📱 Android: ${ANDROID_APP}`);
     console.log('');
@@ -0,0 +1,127 @@
+// Human agent handoff (lib/handoffs.js) and per-agent keys (lib/agents.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAgentDirectory } = require('../lib/agents');
+const { createHandoffs } = require('../lib/handoffs');
+const { createMemoryStore } = require('../lib/sessionStore');
+const { startServer } = require('./helpers/server');
+
+const AGENTS = [{ id: 'maria', name: 'Maria', key: 'maria-key' }, { id: 'ravi', name: 'Ravi', key: 'ravi-key' }];
+
+function writeAgentsFile(t, agents) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iperkz-agents-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'agents.json');
+    fs.writeFileSync(file, JSON.stringify({ agents }));
+    return file;
+}
+
+test('agents are found by their own key', (t) => {
+    const agents = createAgentDirectory({ file: writeAgentsFile(t, AGENTS) });
+    assert.deepEqual(agents.findByKey('ravi-key'), { id: 'ravi', name: 'Ravi' });
+    assert.equal(agents.findByKey('maria'), null);
+    assert.equal(agents.findByKey(undefined), null);
+    assert.equal(agents.size(), 2);
+    assert.equal(createAgentDirectory({}).size(), 0);
+});
+
+test('rejects agent files with missing, repeated or shared keys', (t) => {
+    assert.throws(() => createAgentDirectory({ file: writeAgentsFile(t, [{ id: 'maria' }]) }), /without an id or key/);
+    assert.throws(() => createAgentDirectory({ file: writeAgentsFile(t, [AGENTS[0], { ...AGENTS[1], id: 'maria' }]) }), /configured twice/);
+    assert.throws(() => createAgentDirectory({ file: writeAgentsFile(t, [AGENTS[0], { ...AGENTS[1], key: 'maria-key' }]) }), /share a key/);
+});
+
+test('conversations move through the queue', () => {
+    const handoffs = createHandoffs({ store: createMemoryStore() });
+    const maria = { id: 'maria', name: 'Maria' };
+    const ravi = { id: 'ravi', name: 'Ravi' };
+
+    const { handoff: first } = handoffs.open({ sessionId: 'session-1', storeId: 25 });
+    const { handoff: second } = handoffs.open({ sessionId: 'session-2', storeId: 25 });
+    assert.equal(handoffs.open({ sessionId: 'session-1' }).created, false);
+    assert.equal(handoffs.queuePosition(second), 2);
+
+    assert.equal(handoffs.claim(first.id, maria).handoff.status, 'active');
+    assert.equal(handoffs.queuePosition(handoffs.get(second.id)), 1);
+    assert.equal(handoffs.claim(first.id, ravi).code, 'ALREADY_CLAIMED');
+    assert.equal(handoffs.release(first.id, ravi).code, 'NOT_ASSIGNED');
+    assert.equal(handoffs.close(first.id, { by: 'agent', agent: ravi }).code, 'NOT_ASSIGNED');
+
+    assert.equal(handoffs.release(first.id, maria).handoff.status, 'waiting');
+    assert.equal(handoffs.claim(first.id, ravi).handoff.agent.id, 'ravi');
+    assert.equal(handoffs.close(first.id, { by: 'customer' }).handoff.closedBy, 'customer');
+    assert.equal(handoffs.claim(first.id, ravi).code, 'HANDOFF_CLOSED');
+    assert.deepEqual(handoffs.stats(), { waiting: 1, active: 0, closed: 1 });
+});
+
+test('messages are numbered per conversation', () => {
+    const handoffs = createHandoffs({ store: createMemoryStore() });
+    const { handoff } = handoffs.open({ sessionId: 'session-1' });
+    handoffs.addMessage(handoff.id, { from: 'customer', text: 'hello' });
+    handoffs.addMessage(handoff.id, { from: 'agent', text: 'Hi!', agent: { id: 'maria', name: 'Maria' } });
+    assert.equal(handoffs.addMessage(handoff.id, { from: 'customer', text: '' }), null);
+
+    const latest = handoffs.messagesSince(handoffs.get(handoff.id), 1);
+    assert.deepEqual(latest.map(message => [message.seq, message.from, message.agentName]), [[2, 'agent', 'Maria']]);
+});
+
+test('agents take over a customer chat with their own key', async (t) => {
+    const server = await startServer({ env: { AGENTS_FILE: writeAgentsFile(t, AGENTS), AGENT_API_KEY: 'shared-key', ADMIN_API_KEY: 'admin-key' } });
+    t.after(() => server.stop());
+    const { request } = server;
+    const asAgent = (key, headers = {}) => ({ 'X-API-Key': key, ...headers });
+
+    const session = await server.startSession('device-handoff');
+    const chat = async (message) => (await request('POST', '/api/v1/chat', { session, body: { message } })).body;
+    await chat('64531 Sonia');
+    assert.match((await chat('talk to a human')).response, /You're \*\*#1\*\* in line/);
+    assert.equal((await chat('hello is anyone there')).handoff.status, 'waiting');
+
+    assert.equal((await request('GET', '/api/agent/conversations', { headers: asAgent('wrong-key') })).status, 401);
+    const queue = await request('GET', '/api/agent/conversations', { headers: asAgent('maria-key') });
+    const [waiting] = queue.body.conversations;
+    assert.equal(waiting.context.activeOrderId, '64531');
+    const conversation = `/api/agent/conversations/${waiting.id}`;
+
+    const claimed = await request('POST', `${conversation}/claim`, { headers: asAgent('maria-key') });
+    assert.deepEqual(claimed.body.conversation.agent, { id: 'maria', name: 'Maria' });
+
+    // Another agent's key can't act as Maria, whatever it says
+    const impostor = await request('POST', `${conversation}/messages`, { headers: asAgent('ravi-key', { 'X-Agent-ID': 'maria' }), body: { text: 'hi' } });
+    assert.equal(impostor.status, 403);
+    assert.equal(impostor.body.code, 'NOT_ASSIGNED');
+    assert.equal((await request('POST', `${conversation}/claim`, { headers: asAgent('ravi-key') })).status, 409);
+    // With agent keys configured, the shared and admin keys can't name an agent either
+    for (const key of ['shared-key', 'admin-key']) {
+        const shared = await request('POST', `${conversation}/messages`, { headers: asAgent(key, { 'X-Agent-ID': 'maria' }), body: { text: 'hi' } });
+        assert.equal(shared.status, 403);
+        assert.equal(shared.body.code, 'AGENT_KEY_REQUIRED');
+    }
+
+    const reply = await request('POST', `${conversation}/messages`, { headers: asAgent('maria-key'), body: { text: 'Hi, Maria here' } });
+    assert.equal(reply.status, 201);
+
+    const customerView = await request('GET', '/api/v1/handoff?after=1', { session });
+    assert.deepEqual(customerView.body.handoff.messages.map(message => [message.from, message.agentName]), [['system', null], ['agent', 'Maria']]);
+
+    const details = await request('GET', conversation, { headers: asAgent('maria-key') });
+    assert.ok(details.body.transcript.length > 0);
+
+    await request('POST', `${conversation}/close`, { headers: asAgent('maria-key') });
+    assert.equal((await request('GET', '/api/v1/handoff', { session })).body.handoff, null);
+    assert.match((await chat('64531')).response, /Order #64531/);
+});
+
+test('without agent keys the shared key names the agent', async (t) => {
+    const server = await startServer({ env: { AGENT_API_KEY: 'shared-key' } });
+    t.after(() => server.stop());
+    const headers = { 'X-API-Key': 'shared-key' };
+
+    assert.equal((await server.request('GET', '/api/agent/conversations', { headers })).body.code, 'AGENT_REQUIRED');
+    const queue = await server.request('GET', '/api/agent/conversations', { headers: { ...headers, 'X-Agent-ID': 'maria' } });
+    assert.deepEqual(queue.body.conversations, []);
+});
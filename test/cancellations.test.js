@@ -0,0 +1,148 @@
+// Self-service order cancellation (lib/cancellations.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createCancellations, parseConfirmation, parseReason } = require('../lib/cancellations');
+const { createMemoryStore } = require('../lib/sessionStore');
+const { startServer, readJsonLines } = require('./helpers/server');
+
+// Order-actions adapter that records its calls; `respond` decides the result
+function createActions(respond = async () => ({ cancelled: true, reference: 'REF-1', refund: null })) {
+    const calls = [];
+    return {
+        name: 'test',
+        calls,
+        cancelOrder: async (request) => { calls.push(request); return respond(request); },
+        describe: () => ({ type: 'test' })
+    };
+}
+
+function setup(actions = createActions()) {
+    return createCancellations({ actions, store: createMemoryStore(), pendingStore: createMemoryStore() });
+}
+
+const order = (fields = {}) => ({ customerOrderId: 64542, storeId: 25, orderStatus: 'PLACED', totalSalePrice: 22.9, paymentMode: 'CASH', ...fields });
+
+test('parses reasons and confirmations', () => {
+    assert.deepEqual(parseReason('2'), { reason: 'delivery_too_late', note: null });
+    assert.deepEqual(parseReason('changed_mind'), { reason: 'changed_mind', note: null });
+    assert.deepEqual(parseReason('  it is a gift '), { reason: 'other', note: 'it is a gift' });
+    assert.equal(parseConfirmation('Yes please'), true);
+    assert.equal(parseConfirmation('Sí'), true);
+    assert.equal(parseConfirmation('नहीं'), false);
+    assert.equal(parseConfirmation('what?'), null);
+});
+
+test('only PLACED orders can be cancelled', () => {
+    const cancellations = setup();
+    assert.deepEqual(cancellations.checkEligibility(order()), { eligible: true });
+    assert.equal(cancellations.checkEligibility(order({ orderStatus: 'STARTED' })).code, 'PACKING_STARTED');
+    assert.equal(cancellations.checkEligibility(order({ orderStatus: 'OUT_FOR_DELIVERY' })).code, 'OUT_FOR_DELIVERY');
+    assert.equal(cancellations.checkEligibility(order({ orderStatus: 'CANCELLED' })).code, 'ALREADY_CANCELLED');
+});
+
+test('records a cancellation and shows it on fetched orders', async () => {
+    const actions = createActions();
+    const cancellations = setup(actions);
+
+    const result = await cancellations.cancel({ order: order(), storeId: '25', reason: 'changed_mind', requestedBy: { channel: 'api' } });
+    assert.equal(result.cancelled, true);
+    assert.deepEqual(result.cancellation.refund, { amount: 22.9, method: 'CASH', days: '5-7' });
+    assert.equal(actions.calls[0].orderId, '64542');
+
+    const [fetched] = cancellations.apply([order()], '25');
+    assert.equal(fetched.orderStatus, 'CANCELLED');
+    assert.equal(fetched.cancellation.reference, 'REF-1');
+
+    const again = await cancellations.cancel({ order: order(), storeId: '25', reason: 'changed_mind' });
+    assert.equal(again.code, 'ALREADY_CANCELLED');
+    assert.equal(actions.calls.length, 1);
+});
+
+test('keeps records per store, since stores share order IDs', async () => {
+    const cancellations = setup();
+    await cancellations.cancel({ order: order(), storeId: '25', reason: 'other' });
+
+    assert.equal(cancellations.get('31', 64542), null);
+    assert.equal(cancellations.apply([order({ storeId: 31 })], '31')[0].orderStatus, 'PLACED');
+    // Orders without their own storeId take the store they were fetched for
+    assert.equal(cancellations.apply([order({ storeId: undefined })], '25')[0].orderStatus, 'CANCELLED');
+});
+
+test('a second submit while one is in flight shares its result', async () => {
+    let release;
+    const actions = createActions(() => new Promise(resolve => { release = () => resolve({ cancelled: true, reference: 'REF-2' }); }));
+    const cancellations = setup(actions);
+
+    const first = cancellations.cancel({ order: order(), storeId: '25', reason: 'other' });
+    const second = cancellations.cancel({ order: order(), storeId: '25', reason: 'other' });
+    release();
+    const [a, b] = await Promise.all([first, second]);
+    assert.equal(a, b);
+    assert.equal(actions.calls.length, 1);
+});
+
+test('rejects unknown reasons and reports adapter failures', async () => {
+    const failing = setup(createActions(async () => { throw new Error('connect ECONNREFUSED'); }));
+    assert.equal((await failing.cancel({ order: order(), storeId: '25', reason: 'bored' })).code, 'INVALID_REASON');
+    assert.equal((await failing.cancel({ order: order(), storeId: '25', reason: 'other' })).code, 'CANCEL_UNAVAILABLE');
+    assert.equal(failing.get('25', 64542), null);
+});
+
+test('cancelling in chat and through the API', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { request, startSession } = server;
+    const actionsFile = path.join(server.dataDir, 'order-actions.jsonl');
+
+    function lastCode() {
+        const outbox = readJsonLines(path.join(server.dataDir, 'outbox.jsonl'));
+        return outbox[outbox.length - 1].text.match(/ is (\d+)\./)[1];
+    }
+
+    await t.test('chat asks for a code, a reason and a confirmation', async () => {
+        const session = await startSession('device-cancel-chat');
+        const chat = async (message) => (await request('POST', '/api/v1/chat', { session, body: { message } })).body;
+
+        await chat('64542 Carlos');
+        assert.match((await chat('cancel my order')).response, /needs a one-time code/);
+        await chat('send code');
+        await chat(lastCode());
+
+        const reasons = await chat('cancel my order');
+        assert.equal(reasons.blocks.find(b => b.type === 'quick_replies').options.length, 5);
+        assert.match((await chat('2')).response, /Cancel order #64542 \(\$22\.90\)\?/);
+        assert.match((await chat('yes')).response, /Order #64542 Cancelled[\s\S]*\$22\.90 back to your CASH/);
+
+        const track = await request('GET', '/api/v1/orders/64542/track', { session });
+        assert.equal(track.body.order.status, 'CANCELLED');
+        assert.deepEqual(readJsonLines(actionsFile).map(action => [action.storeId, action.orderId, action.reason]), [
+            ['25', '64542', 'delivery_too_late']
+        ]);
+    });
+
+    await t.test('the API needs full access and cancels once', async () => {
+        const session = await startSession('device-cancel-api', { storeId: '31' });
+        await request('POST', '/api/v1/orders/71015/verify', { session, body: { identifier: 'Grace' } });
+
+        const invalid = await request('POST', '/api/v1/orders/71015/cancel', { session, body: { reason: 'bored' } });
+        assert.equal(invalid.status, 400);
+        const statusOnly = await request('POST', '/api/v1/orders/71015/cancel', { session, body: { reason: 'other' } });
+        assert.equal(statusOnly.body.code, 'ONE_TIME_CODE_REQUIRED');
+
+        await request('POST', '/api/v1/orders/71015/otp', { session, body: { channel: 'email' } });
+        await request('POST', '/api/v1/orders/71015/otp/verify', { session, body: { code: lastCode() } });
+
+        const eligible = await request('GET', '/api/v1/orders/71015/cancel', { session });
+        assert.equal(eligible.body.cancellable, true);
+        assert.equal(eligible.body.refund.amount, 42.33);
+
+        const cancelled = await request('POST', '/api/v1/orders/71015/cancel', { session, body: { reason: 'found_better_price', note: 'cheaper elsewhere' } });
+        assert.equal(cancelled.body.cancellation.status, 'CANCELLED');
+
+        const after = await request('GET', '/api/v1/orders/71015/cancel', { session });
+        assert.equal(after.body.code, 'ALREADY_CANCELLED');
+        assert.equal(readJsonLines(actionsFile).filter(action => action.orderId === '71015').length, 1);
+    });
+});
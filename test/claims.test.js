@@ -0,0 +1,194 @@
+// Missing, damaged and wrong item claims (lib/claims.js) and their staff review
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createClaims, extractClaimId, parseClaimReason, parseItemSelection, publicView } = require('../lib/claims');
+const { createMemoryStore } = require('../lib/sessionStore');
+const { startServer, readJsonLines } = require('./helpers/server');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+function setup(t, options = {}) {
+    const photoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iperkz-claims-'));
+    t.after(() => fs.rmSync(photoDir, { recursive: true, force: true }));
+    return createClaims({ store: createMemoryStore(), pendingStore: createMemoryStore(), photoDir, ...options });
+}
+
+const order = (fields = {}) => ({
+    customerOrderId: 64522,
+    orderStatus: 'DELIVERED',
+    requestedDeliveryDate: new Date().toISOString(),
+    menuList: [
+        { menuItemName: 'Paneer 14oz', count: 2, salePrice: 4.99 },
+        { menuItemName: 'Atta Flour 20lb', count: 1, salePrice: 16.99 },
+        { menuItemName: 'Okra 1lb', count: 1, salePrice: 2.49 }
+    ],
+    ...fields
+});
+
+test('parses claim IDs, reasons and item picks', () => {
+    assert.equal(extractClaimId('status of claim clm-k7q2mx?'), 'CLM-K7Q2MX');
+    assert.equal(extractClaimId('order 64522'), null);
+    assert.equal(parseClaimReason('2'), 'damaged');
+    assert.equal(parseClaimReason('the eggs were broken'), 'damaged');
+    assert.equal(parseClaimReason('producto equivocado'), 'wrong_item');
+    assert.equal(parseClaimReason('hello'), null);
+    assert.deepEqual(parseItemSelection('3 and 1', 3), [0, 2]);
+    assert.deepEqual(parseItemSelection('all', 3), [0, 1, 2]);
+    assert.equal(parseItemSelection('1, 7', 3), null);
+});
+
+test('claims are only taken for delivered orders within the window', (t) => {
+    const claims = setup(t, { windowDays: 7 });
+    assert.deepEqual(claims.checkEligibility(order()), { eligible: true });
+    assert.equal(claims.checkEligibility(order({ orderStatus: 'OUT_FOR_DELIVERY' })).code, 'NOT_DELIVERED');
+    const lastMonth = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    assert.equal(claims.checkEligibility(order({ requestedDeliveryDate: lastMonth })).code, 'CLAIM_WINDOW_EXPIRED');
+});
+
+test('files a claim for the picked items and amounts', (t) => {
+    const claims = setup(t);
+    const { claim } = claims.create({ order: order(), storeId: 25, items: [{ index: 0, quantity: 1 }, { index: 2 }], reason: 'missing', requestedBy: { sessionId: 's1', channel: 'api' } });
+
+    assert.match(claim.id, /^CLM-[A-Z][A-Z2-9]{5}$/);
+    assert.equal(claim.storeId, '25');
+    assert.deepEqual(claim.items.map(item => [item.name, item.quantity, item.amount]), [['Paneer 14oz', 1, 4.99], ['Okra 1lb', 1, 2.49]]);
+    assert.equal(claim.claimedAmount, 7.48);
+    assert.equal(claim.photosRequired, false);
+    assert.deepEqual(publicView(claim).channel, 'api');
+    assert.equal(publicView(claim).requestedBy, undefined);
+
+    assert.equal(claims.create({ order: order(), items: [{ index: 0 }], reason: 'damaged' }).code, 'ITEM_ALREADY_CLAIMED');
+    assert.equal(claims.create({ order: order(), items: [{ index: 1, quantity: 2 }], reason: 'damaged' }).code, 'INVALID_QUANTITY');
+    assert.equal(claims.create({ order: order(), items: [{ index: 9 }], reason: 'damaged' }).code, 'INVALID_ITEM');
+    assert.equal(claims.create({ order: order(), items: [{ index: 1 }], reason: 'late' }).code, 'INVALID_REASON');
+    assert.equal(claims.create({ order: order(), items: [{ index: 1 }], reason: 'wrong_item' }).claim.photosRequired, true);
+});
+
+test('stores photos on open claims', async (t) => {
+    const claims = setup(t, { maxPhotos: 1 });
+    const { claim } = claims.create({ order: order(), items: [{ index: 1 }], reason: 'damaged' });
+
+    assert.equal((await claims.addPhoto(claim.id, { contentType: 'application/pdf', data: PNG })).code, 'UNSUPPORTED_MEDIA_TYPE');
+    assert.equal((await claims.addPhoto(claim.id, { contentType: 'image/png', data: Buffer.alloc(0) })).code, 'EMPTY_PHOTO');
+
+    const { photo } = await claims.addPhoto(claim.id, { contentType: 'image/png', data: PNG });
+    assert.equal(photo.size, PNG.length);
+    assert.deepEqual((await claims.readPhoto(claim.id, photo.id)).data, PNG);
+    assert.equal((await claims.addPhoto(claim.id, { contentType: 'image/png', data: PNG })).code, 'TOO_MANY_PHOTOS');
+    assert.equal((await claims.addPhoto('CLM-AAAAAA', { contentType: 'image/png', data: PNG })).code, 'CLAIM_NOT_FOUND');
+});
+
+test('staff approve up to the claimed amount or deny, once', (t) => {
+    const claims = setup(t);
+    const first = claims.create({ order: order(), items: [{ index: 1 }], reason: 'damaged' }).claim;
+    const second = claims.create({ order: order(), items: [{ index: 2 }], reason: 'missing' }).claim;
+
+    assert.equal(claims.resolve(first.id, { decision: 'approved', refundAmount: 20 }).code, 'INVALID_REFUND_AMOUNT');
+    assert.equal(claims.resolve(first.id, { decision: 'maybe' }).code, 'INVALID_DECISION');
+    assert.equal(claims.resolve(first.id, { decision: 'approved', refundAmount: 10, resolvedBy: 'maria' }).claim.resolution.refundAmount, 10);
+    assert.equal(claims.resolve(first.id, { decision: 'denied' }).code, 'CLAIM_CLOSED');
+    assert.equal(claims.resolve(second.id, { decision: 'denied' }).claim.resolution.refundAmount, 0);
+
+    // Denied items can be claimed again
+    assert.deepEqual([...claims.claimedIndexes(64522)], [1]);
+    assert.deepEqual(claims.stats(), { total: 2, submitted: 0, approved: 1, denied: 1 });
+});
+
+test('claims in chat, through the API and in staff review', async (t) => {
+    const server = await startServer({ env: { ADMIN_API_KEY: 'admin-key' } });
+    t.after(() => server.stop());
+    const { request, startSession } = server;
+    const admin = { 'X-API-Key': 'admin-key' };
+    const outbox = () => readJsonLines(path.join(server.dataDir, 'outbox.jsonl'));
+    const lastCode = () => outbox()[outbox().length - 1].text.match(/ is (\d+)\./)[1];
+
+    await t.test('chat asks for the items and files the claim', async () => {
+        const session = await startSession('device-claim-chat');
+        const chat = async (message) => (await request('POST', '/api/v1/chat', { session, body: { message } })).body;
+
+        await chat('64522 Michael');
+        await chat('send code');
+        await chat(lastCode());
+
+        assert.match((await chat('missing item')).response, /1\. Paneer 14oz x2\n2\. Atta Flour 20lb x1\n3\. Okra 1lb x1/);
+        const filed = await chat('1 and 3');
+        const claimId = filed.blocks.find(b => b.type === 'quick_replies').options[0].claimId;
+        assert.match(filed.response, new RegExp(`Claim ${claimId} Filed[\\s\\S]*\\$12\\.47`));
+        assert.match((await chat(`status of claim ${claimId}`)).response, /Under review/);
+    });
+
+    await t.test('the API files claims, takes photos and shows the decision', async () => {
+        const session = await startSession('device-claim-api');
+        const claim = { orderId: '64521', items: [{ index: 3 }], reason: 'damaged' };
+
+        assert.equal((await request('POST', '/api/v1/claims', { session, body: claim })).body.code, 'VERIFICATION_REQUIRED');
+        await request('POST', '/api/v1/orders/64521/verify', { session, body: { identifier: 'Priya' } });
+        assert.equal((await request('POST', '/api/v1/claims', { session, body: claim })).body.code, 'ONE_TIME_CODE_REQUIRED');
+        await request('POST', '/api/v1/orders/64521/otp', { session, body: { channel: 'email' } });
+        await request('POST', '/api/v1/orders/64521/otp/verify', { session, body: { code: lastCode() } });
+
+        const filed = await request('POST', '/api/v1/claims', { session, body: claim });
+        assert.equal(filed.status, 201);
+        const claimId = filed.body.claim.id;
+        assert.equal(filed.body.claim.claimedAmount, 14.99);
+
+        const wrongType = await request('POST', `/api/v1/claims/${claimId}/photos`, { session, headers: { 'Content-Type': 'text/plain' }, body: 'hello' });
+        assert.equal(wrongType.status, 400);
+        const photo = await request('POST', `/api/v1/claims/${claimId}/photos`, { session, headers: { 'Content-Type': 'image/png' }, body: PNG });
+        assert.equal(photo.status, 201);
+
+        const stranger = await startSession('device-claim-stranger');
+        assert.equal((await request('GET', `/api/v1/claims/${claimId}`, { session: stranger })).body.code, 'CLAIM_NOT_FOUND');
+
+        const review = await request('GET', '/api/admin/claims?status=submitted&orderId=64521', { headers: admin });
+        assert.deepEqual(review.body.claims.map(c => c.id), [claimId]);
+        const stored = await request('GET', `/api/admin/claims/${claimId}/photos/${photo.body.photo.id}`, { headers: admin });
+        assert.equal(stored.headers.get('content-type'), 'image/png');
+
+        const approved = await request('POST', `/api/admin/claims/${claimId}/approve`, { headers: admin, body: { refundAmount: 10, reviewer: 'maria' } });
+        assert.equal(approved.body.claim.status, 'approved');
+        const again = await request('POST', `/api/admin/claims/${claimId}/deny`, { headers: admin });
+        assert.equal(again.status, 409);
+
+        const mine = await request('GET', '/api/v1/claims?orderId=64521', { session });
+        assert.equal(mine.body.claims[0].resolution.refundAmount, 10);
+        // The customer is told about the decision after the response
+        let notice;
+        for (let i = 0; i < 50 && !notice; i++) {
+            notice = outbox().find(message => message.text.includes(claimId));
+            if (!notice) await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        assert.equal(notice.to, 'priya.sharma@example.com');
+        assert.match(notice.text, /\$10\.00/);
+    });
+});
+
+test('photos need full access and a failed save is an error', async (t) => {
+    // Photos can't be stored under a file
+    const server = await startServer({ env: { CLAIM_PHOTOS_DIR: '/dev/null/claim-photos' } });
+    t.after(() => server.stop());
+    const { request, startSession } = server;
+    const outbox = () => readJsonLines(path.join(server.dataDir, 'outbox.jsonl'));
+    const photo = (session, claimId) => request('POST', `/api/v1/claims/${claimId}/photos`, { session, headers: { 'Content-Type': 'image/png' }, body: PNG });
+
+    const owner = await startSession('device-photo-owner');
+    await request('POST', '/api/v1/orders/64522/verify', { session: owner, body: { identifier: 'Michael' } });
+    await request('POST', '/api/v1/orders/64522/otp', { session: owner, body: { channel: 'sms' } });
+    const code = outbox().pop().text.match(/ is (\d+)\./)[1];
+    await request('POST', '/api/v1/orders/64522/otp/verify', { session: owner, body: { code } });
+    const claimId = (await request('POST', '/api/v1/claims', { session: owner, body: { orderId: '64522', items: [{ index: 1 }], reason: 'damaged' } })).body.claim.id;
+
+    // A name match is enough to see the claim, not to add to it
+    const statusOnly = await startSession('device-photo-status');
+    await request('POST', '/api/v1/orders/64522/verify', { session: statusOnly, body: { identifier: 'Michael' } });
+    assert.equal((await request('GET', `/api/v1/claims/${claimId}`, { session: statusOnly })).body.success, true);
+    assert.equal((await photo(statusOnly, claimId)).body.code, 'ONE_TIME_CODE_REQUIRED');
+
+    const failed = await photo(owner, claimId);
+    assert.equal(failed.status, 500);
+    assert.equal(failed.body.code, 'INTERNAL_ERROR');
+});
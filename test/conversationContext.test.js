@@ -0,0 +1,58 @@
+// Conversation context (lib/conversationContext.js) - follow-ups about the order being discussed
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createContext, withActiveOrder, withTurn, mentionsOtherOrder, refersToOrder, resolveOrderReference
+} = require('../lib/conversationContext');
+const { startServer } = require('./helpers/server');
+
+test('keeps the five most recent orders, active one first', () => {
+    let context = withActiveOrder(null, 64521);
+    for (const orderId of [64522, 64531, 64533, 64535, 64536]) context = withActiveOrder(context, orderId);
+    context = withActiveOrder(context, 64531);
+
+    assert.equal(context.activeOrderId, '64531');
+    assert.deepEqual(context.orderIds, ['64531', '64536', '64535', '64533', '64522']);
+});
+
+test('remembers the intent of the last turn without touching the orders', () => {
+    const context = withTurn(withActiveOrder(createContext(), 64540), { intent: 'payment', entities: { orderId: '64540' } });
+    assert.equal(context.lastIntent, 'payment');
+    assert.deepEqual(context.entities, { orderId: '64540' });
+    assert.equal(context.activeOrderId, '64540');
+});
+
+test('recognises references to an order in every chat language', () => {
+    ['when will it arrive?', 'what did I pay for that order', '¿cuándo llega?', 'मेरा ऑर्डर कब आएगा', 'నా ఆర్డర్ ఎప్పుడు వస్తుంది']
+        .forEach(message => assert.ok(refersToOrder(message), message));
+    ['the other one?', 'el otro pedido', 'दूसरा ऑर्डर', 'ఇంకొక ఆర్డర్']
+        .forEach(message => assert.ok(mentionsOtherOrder(message), message));
+    assert.equal(refersToOrder('what are your delivery hours?'), false);
+    assert.equal(mentionsOtherOrder('where is my order'), false);
+});
+
+test('resolves the order a message is about', () => {
+    const context = withActiveOrder(withActiveOrder(createContext(), 64531), 64533);
+    assert.equal(resolveOrderReference('where is 64540', context, 64540), '64540');
+    assert.equal(resolveOrderReference('when will it arrive', context), '64533');
+    assert.equal(resolveOrderReference('and the other one?', context), '64531');
+    assert.equal(resolveOrderReference('and the other one?', withActiveOrder(null, 64531)), null);
+    assert.equal(resolveOrderReference('when will it arrive', null), null);
+});
+
+test('chat follow-ups use the order being discussed', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const chat = async (session, message) => (await server.request('POST', '/api/v1/chat', { session, body: { message } })).body.response;
+
+    const session = await server.startSession('device-context');
+    await chat(session, '64531 Sonia');
+    assert.match(await chat(session, '64533 Kim'), /Order #64533/);
+
+    assert.match(await chat(session, 'where is the other one?'), /^📦 \*\*Order #64531\*\*/);
+    assert.match(await chat(session, 'when will it arrive?'), /^🚚 \*\*Order #64531\*\* — .*\n[\s\S]*ETA:/);
+
+    const fresh = await server.startSession('device-context-fresh');
+    assert.doesNotMatch(await chat(fresh, 'when will it arrive?'), /Order #/);
+});
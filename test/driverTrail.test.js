@@ -0,0 +1,106 @@
+// Driver location trails and freshness (lib/driverTrail.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDriverTrail, encodePolyline } = require('../lib/driverTrail');
+const { createMemoryStore } = require('../lib/sessionStore');
+const { startServer } = require('./helpers/server');
+
+const ROUTE = 'kranthi-west-10.18.26';
+const START = Date.parse('2026-10-18T15:00:00Z');
+
+function setup(t, options = {}) {
+    const trail = createDriverTrail({ store: createMemoryStore(), sample: async () => [], intervalMs: 60000, ...options });
+    t.after(() => trail.stop());
+    return trail;
+}
+
+// A driver-feed entry `minutes` after START
+const ping = (minutes, latitude, longitude, extra = {}) => ({
+    driver_name: 'kranthi',
+    latitude: String(latitude),
+    longitude: String(longitude),
+    last_updated: new Date(START + minutes * 60000).toISOString(),
+    ...extra
+});
+
+test('encodes polylines in the Google format', () => {
+    assert.equal(encodePolyline([[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]]), '_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+    assert.equal(encodePolyline([]), '');
+});
+
+test('records new positions and skips repeats, jitter and late pings', (t) => {
+    const trail = setup(t);
+    assert.ok(trail.record(ROUTE, ping(0, 40.5, -74.4)));
+    assert.equal(trail.record(ROUTE, ping(0, 40.6, -74.4)), null);          // Same report again
+    assert.equal(trail.record(ROUTE, ping(1, 40.50001, -74.4)), null);      // A metre away
+    assert.ok(trail.record(ROUTE, ping(2, 40.51, -74.4)));
+    assert.equal(trail.record(ROUTE, ping(1.5, 40.52, -74.4)), null);       // Older than the last point
+    assert.equal(trail.record('', ping(3, 40.52, -74.4)), null);
+
+    const { points, driverName, lastSeenAt, distanceMiles } = trail.getTrail(ROUTE.toUpperCase());
+    assert.equal(driverName, 'kranthi');
+    assert.deepEqual(points.map(point => point.latitude), [40.5, 40.51]);
+    assert.equal(lastSeenAt, ping(2).last_updated);
+    assert.equal(distanceMiles, 0.7);
+});
+
+test('keeps at most maxPoints per route', (t) => {
+    const trail = setup(t, { maxPoints: 3 });
+    for (let i = 0; i < 5; i++) trail.record(ROUTE, ping(i, 40.5 + i * 0.01, -74.4));
+    assert.deepEqual(trail.getTrail(ROUTE).points.map(point => point.latitude), [40.52, 40.53, 40.54]);
+});
+
+test('customer trails start after the last stop and can be rounded', (t) => {
+    const trail = setup(t);
+    trail.record(ROUTE, ping(0, 40.5, -74.4));
+    trail.record(ROUTE, ping(5, 40.51, -74.4));      // Another customer's stop...
+    trail.record(ROUTE, ping(9, 40.51, -74.4));      // ...where the driver stayed
+    trail.record(ROUTE, ping(12, 40.52123, -74.41234));
+    trail.record(ROUTE, ping(14, 40.53, -74.42));
+
+    assert.equal(trail.getTrail(ROUTE).points.length, 4);
+    assert.deepEqual(trail.getTrail(ROUTE, { movingOnly: true }).points.map(point => point.latitude), [40.5, 40.52123, 40.53]);
+    assert.deepEqual(trail.getTrail(ROUTE, { since: ping(13).last_updated }).points.map(point => point.latitude), [40.53]);
+
+    const customer = trail.getTrail(ROUTE, { movingOnly: true, sinceLastStop: true, decimals: 3 });
+    assert.deepEqual(customer.points.map(point => [point.latitude, point.longitude]), [[40.521, -74.412], [40.53, -74.42]]);
+    assert.equal(customer.startedAt, ping(12).last_updated);
+});
+
+test('says how fresh a driver location is', (t) => {
+    const trail = setup(t, { staleMinutes: 5, offlineMinutes: 20 });
+    const now = START + 30 * 60000;
+    assert.deepEqual(trail.freshness(ping(28, 0, 0), now), { status: 'live', minutesAgo: 2, lastSeenAt: ping(28).last_updated });
+    assert.equal(trail.freshness(ping(20, 0, 0), now).status, 'stale');
+    assert.equal(trail.freshness(ping(5, 0, 0), now).status, 'offline');
+    assert.equal(trail.freshness(ping(29, 0, 0, { is_active: false }), now).status, 'offline');
+    assert.equal(trail.freshness({ latitude: '0', longitude: '0' }, now).status, 'offline');
+    assert.equal(trail.freshness(null), null);
+});
+
+test('samples the routes being driven', async (t) => {
+    let samples = [{ routeId: ROUTE, location: ping(0, 40.5, -74.4) }];
+    const trail = setup(t, { sample: async () => samples });
+    assert.equal(await trail.poll(), 1);
+    assert.equal(await trail.poll(), 0);
+
+    samples = null; // A failing feed is logged, not thrown
+    assert.equal(await trail.poll(), 0);
+});
+
+test('customers see the driver with their freshness', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const session = await server.startSession('device-trail');
+
+    assert.equal((await server.request('GET', '/api/v1/orders/64531/driver-trail', { session })).body.code, 'VERIFICATION_REQUIRED');
+    await server.request('POST', '/api/v1/orders/64531/verify', { session, body: { identifier: 'Sonia' } });
+    const { body } = await server.request('GET', '/api/v1/orders/64531/driver-trail', { session });
+    assert.equal(body.driver.name, 'Kranthi');
+    assert.equal(body.driver.location.freshness, 'live');
+    assert.equal(body.trail.minutes, 30);
+
+    await server.request('POST', '/api/v1/orders/64540/verify', { session, body: { identifier: 'Lakshmi' } });
+    assert.equal((await server.request('GET', '/api/v1/orders/64540/driver-trail', { session })).body.code, 'NOT_OUT_FOR_DELIVERY');
+});
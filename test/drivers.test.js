@@ -0,0 +1,120 @@
+// Driver registry (lib/drivers.js) - which driver a route and a driver-feed entry belong to
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDriverRegistry } = require('../lib/drivers');
+const { createMemoryStore } = require('../lib/sessionStore');
+const { startServer, writeStorelessFixtures } = require('./helpers/server');
+
+const DRIVERS = [
+    { id: 'jag', phone: '(732) 555-0143', storeIds: [25], routes: ['jag-edison'] },
+    { id: 'jagan', name: 'Jagan', routes: ['jagan-north'], locationName: 'Jagan R' },
+    { id: 'kranthi', aliases: ['kk'] },
+    { id: 'priya', routes: ['shared-west'] },
+    { id: 'ravi', routes: ['shared-west'] }
+];
+
+function setup(t, drivers = DRIVERS) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iperkz-drivers-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'drivers.json');
+    fs.writeFileSync(file, JSON.stringify({ drivers }));
+    return createDriverRegistry({ file, store: createMemoryStore() });
+}
+
+const resolved = (registry, routeId) => {
+    const match = registry.resolveRoute(routeId);
+    return [match.driver && match.driver.id, match.matchedBy];
+};
+
+test('resolves routes by configured route, then by exact driver name', (t) => {
+    const registry = setup(t);
+    assert.deepEqual(resolved(registry, 'jag-edison-10.18.26'), ['jag', 'route']);
+    assert.deepEqual(resolved(registry, '"Jagan-North-10.18.26"'), ['jagan', 'route']);
+    assert.deepEqual(resolved(registry, 'kranthi-west-10.18.26'), ['kranthi', 'name']);
+    assert.deepEqual(resolved(registry, 'kk-south-10.18.26'), ['kranthi', 'name']);
+    // Never by prefix: "jaga" is nobody
+    assert.deepEqual(resolved(registry, 'jaga-east-10.18.26'), [null, null]);
+});
+
+test('reports routes more than one driver matches until one is assigned', (t) => {
+    const registry = setup(t);
+    const match = registry.resolveRoute('shared-west-10.18.26');
+    assert.equal(match.driver, null);
+    assert.equal(match.ambiguous, true);
+    assert.deepEqual(match.candidates, ['priya', 'ravi']);
+    assert.deepEqual(registry.conflicts().map(conflict => [conflict.routeId, conflict.problem]), [['shared-west-10.18.26', 'ambiguous']]);
+
+    assert.equal(registry.assign('shared-west-10.18.26', 'nobody').code, 'UNKNOWN_DRIVER');
+    registry.assign('shared-west-10.18.26', 'ravi', { by: 'admin' });
+    assert.deepEqual(resolved(registry, 'shared-west-10.18.26'), ['ravi', 'assignment']);
+    assert.deepEqual(registry.conflicts(), []);
+    // Assignments are per day
+    assert.equal(registry.resolveRoute('shared-west-10.19.26').ambiguous, true);
+
+    assert.equal(registry.unassign('shared-west-10.18.26'), true);
+    assert.equal(registry.unassign('shared-west-10.18.26'), false);
+});
+
+test('finds the driver-feed entry by location name', (t) => {
+    const registry = setup(t);
+    const locations = [
+        { driver_name: 'jagan r', latitude: '1', last_updated: '2026-10-18T10:00:00Z' },
+        { driver_name: 'jag', latitude: '2', last_updated: '2026-10-18T10:00:00Z' },
+        { driver_name: 'jag', latitude: '3', last_updated: '2026-10-18T10:05:00Z' },
+        { driver_name: 'sam', latitude: '4' }
+    ];
+    assert.equal(registry.findLocation(locations, 'jagan-north-10.18.26').latitude, '1');
+    // Two entries under one name: the latest wins and the route is reported
+    assert.equal(registry.findLocation(locations, 'jag-edison-10.18.26').latitude, '3');
+    assert.equal(registry.conflicts()[0].problem, 'ambiguous_location');
+    // Drivers missing from the registry still match their own name
+    assert.equal(registry.findLocation(locations, 'sam-east-10.18.26').latitude, '4');
+    assert.equal(registry.findLocation(locations, 'shared-west-10.18.26'), null);
+});
+
+test('hides phone numbers and rejects broken configuration', (t) => {
+    const registry = setup(t);
+    assert.deepEqual(registry.publicDriver(registry.getDriver('JAG')), {
+        id: 'jag', name: 'Jag', phone: '***-***-0143', storeIds: ['25'], routes: ['jag-edison']
+    });
+    assert.throws(() => setup(t, [{ name: 'No ID' }]), /Driver without an id/);
+    assert.throws(() => setup(t, [{ id: 'jag' }, { id: 'Jag' }]), /configured twice/);
+});
+
+test('admins see today\'s routes by driver and assign routes', async (t) => {
+    const server = await startServer({ env: { ADMIN_API_KEY: 'admin-key' } });
+    t.after(() => server.stop());
+    const admin = { 'X-API-Key': 'admin-key' };
+
+    const all = await server.request('GET', '/api/admin/drivers', { headers: admin });
+    const kranthi = all.body.drivers.find(driver => driver.id === 'kranthi');
+    assert.equal(kranthi.phone, '***-***-0141');
+    assert.deepEqual(kranthi.todaysRoutes.map(route => [route.storeId, route.stops, route.matchedBy]), [['25', 4, 'route']]);
+    assert.deepEqual(all.body.unmatchedRoutes, []);
+
+    const jerseyCity = await server.request('GET', '/api/admin/drivers?storeId=31', { headers: admin });
+    assert.deepEqual(jerseyCity.body.drivers.map(driver => driver.id), ['arjun']);
+
+    const routeId = kranthi.todaysRoutes[0].routeId;
+    const assigned = await server.request('PUT', `/api/admin/drivers/assignments/${routeId}`, { headers: admin, body: { driverId: 'giga' } });
+    assert.equal(assigned.body.driver.id, 'giga');
+    const after = await server.request('GET', '/api/admin/drivers', { headers: admin });
+    assert.deepEqual(after.body.drivers.find(driver => driver.id === 'giga').todaysRoutes.map(route => route.matchedBy).sort(), ['assignment', 'route']);
+
+    assert.equal((await server.request('PUT', `/api/admin/drivers/assignments/${routeId}`, { headers: admin, body: { driverId: 'nobody' } })).status, 404);
+    assert.equal((await server.request('DELETE', `/api/admin/drivers/assignments/${routeId}`, { headers: admin })).status, 200);
+    assert.equal((await server.request('DELETE', `/api/admin/drivers/assignments/${routeId}`, { headers: admin })).status, 404);
+});
+
+test('routes of orders without a store are listed under the configured store', async (t) => {
+    const server = await startServer({ env: { ADMIN_API_KEY: 'admin-key', ...writeStorelessFixtures(t) } });
+    t.after(() => server.stop());
+
+    const { body } = await server.request('GET', '/api/admin/drivers', { headers: { 'X-API-Key': 'admin-key' } });
+    const routes = body.drivers.flatMap(driver => driver.todaysRoutes.map(route => [driver.id, route.storeId]));
+    assert.deepEqual(routes.sort(), [['arjun', '25'], ['giga', '25'], ['kranthi', '25']]);
+});
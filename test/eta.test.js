@@ -0,0 +1,84 @@
+// Delivery ETA engine (lib/eta.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEtaEngine, distanceMiles } = require('../lib/eta');
+const { createMemoryStore } = require('../lib/sessionStore');
+const { startServer } = require('./helpers/server');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-10-18T15:00:00Z');
+
+const engine = (options = {}) => createEtaEngine({ store: createMemoryStore(), ...options });
+
+// Deliveries on a route `gaps` minutes apart, the first one at NOW
+function recordDeliveries(eta, routeId, gaps) {
+    let at = NOW;
+    const samples = [eta.recordDelivery(routeId, at)];
+    gaps.forEach(gap => { at += gap * MINUTE; samples.push(eta.recordDelivery(routeId, at)); });
+    return samples;
+}
+
+test('measures great-circle distances in miles', () => {
+    assert.equal(Math.round(distanceMiles({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 }) * 10) / 10, 69.1);
+    assert.equal(distanceMiles({ latitude: 40.5, longitude: -74.3 }, { latitude: 40.5, longitude: -74.3 }), 0);
+});
+
+test('falls back to a flat time per stop', () => {
+    assert.deepEqual(engine().estimate({ stops: [null, null] }), {
+        minutes: 24, minMinutes: 24, maxMinutes: 39, confidence: 'low', method: 'default', distanceMiles: null, stopDurations: null
+    });
+});
+
+test('learns stop durations from gaps between deliveries on the same day', () => {
+    const eta = engine();
+    assert.deepEqual(recordDeliveries(eta, 'kranthi-west-10.18.26', [8, 10, 240, 12]), [null, 8, 10, null, 12]);
+    assert.deepEqual(eta.stopDurations('kranthi-west-10.18.26'), { samples: 3, median: 10, low: 9, high: 11 });
+
+    // History is kept per route across days, but a new day's first delivery is not a gap
+    assert.equal(eta.recordDelivery('kranthi-west-10.19.26', NOW + 24 * 60 * MINUTE), null);
+    assert.equal(eta.stopDurations('kranthi-west-10.19.26').samples, 3);
+    assert.equal(eta.stopDurations('giga-north-10.18.26'), null);
+
+    const estimate = eta.estimate({ routeId: 'kranthi-west-10.18.26', stops: [null, null] });
+    assert.equal(estimate.method, 'history');
+    assert.deepEqual([estimate.minutes, estimate.minMinutes, estimate.maxMinutes, estimate.confidence], [20, 18, 27, 'low']);
+});
+
+test('drives from a fresh GPS ping through the remaining stops', () => {
+    const eta = engine();
+    const driver = { latitude: 40.5694, longitude: -74.329, speed: 0, lastUpdated: new Date(NOW - MINUTE).toISOString() };
+    const stops = [{ latitude: 40.5754, longitude: -74.3223 }, { latitude: 40.543, longitude: -74.363 }];
+
+    const gps = eta.estimate({ stops, driver, now: NOW });
+    assert.equal(gps.method, 'gps');
+    assert.equal(gps.confidence, 'high');
+    assert.ok(gps.distanceMiles > 3 && gps.distanceMiles < 5, String(gps.distanceMiles));
+    assert.ok(gps.minMinutes < gps.minutes && gps.minutes < gps.maxMinutes);
+
+    const stale = eta.estimate({ stops, driver: { ...driver, lastUpdated: new Date(NOW - 30 * MINUTE).toISOString() }, now: NOW });
+    assert.equal(stale.method, 'default');
+    assert.equal(eta.estimate({ stops: [stops[0], null], driver, now: NOW }).method, 'default');
+});
+
+test('waiting for the driver adds departure time and lowers confidence', () => {
+    const eta = engine();
+    const driver = { latitude: 40.5694, longitude: -74.329, speed: 30, lastUpdated: new Date(NOW).toISOString() };
+    const stops = [{ latitude: 40.5754, longitude: -74.3223 }];
+    const leaving = eta.estimate({ stops, driver, now: NOW });
+    const waiting = eta.estimate({ stops, driver, departureMinutes: 15, now: NOW });
+    assert.equal(waiting.confidence, 'medium');
+    assert.equal(waiting.minMinutes - leaving.minMinutes, 15);
+});
+
+test('tracking returns the estimate for an order on its way', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const session = await server.startSession('device-eta');
+    await server.request('POST', '/api/v1/orders/64533/verify', { session, body: { identifier: 'Kim' } });
+
+    const { eta } = (await server.request('GET', '/api/v1/orders/64533/track', { session })).body;
+    assert.equal(eta.method, 'gps');
+    assert.equal(eta.confidence, 'high');
+    assert.equal(eta.display, `${eta.minMinutes}-${eta.maxMinutes} min`);
+});
@@ -0,0 +1,84 @@
+// Fixture backend (lib/dataSources) - offline orders and driver locations
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDataSource } = require('../lib/dataSources');
+const { resolveTokens } = require('../lib/dataSources/fixtureDataSource');
+const { startServer } = require('./helpers/server');
+
+const pad = (n) => String(n).padStart(2, '0');
+const isoDay = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+function daysFromNow(n) {
+    const d = new Date();
+    d.setDate(d.getDate() + n);
+    return d;
+}
+
+// A fixture directory with the given orders and driver locations
+function writeFixtures(orders, drivers = []) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iperkz-fixtures-'));
+    fs.writeFileSync(path.join(dir, 'orders.json'), JSON.stringify(orders));
+    fs.writeFileSync(path.join(dir, 'driver-locations.json'), JSON.stringify(drivers));
+    return dir;
+}
+
+test('resolves date, time and route tokens relative to now', () => {
+    const now = new Date(2026, 0, 31, 9, 30);
+    assert.equal(resolveTokens('{{date:1}}', now), '2026-02-01');
+    assert.equal(resolveTokens('{{date:-31}}', now), '2025-12-31');
+    assert.equal(resolveTokens('kranthi-west-{{route:0}}', now), 'kranthi-west-1.31.26');
+    assert.equal(resolveTokens('{{time:-90}}', now), new Date(2026, 0, 31, 8, 0).toISOString());
+    assert.equal(resolveTokens('{{week:1}}', now), '{{week:1}}');
+});
+
+test('filters orders by store and creation date', async (t) => {
+    const dir = writeFixtures([
+        { customerOrderId: 1, storeId: '25', orderCreationTime: '{{time:0}}' },
+        { customerOrderId: 2, storeId: '31', orderCreationTime: '{{time:0}}' },
+        { customerOrderId: 3, storeId: '25', orderCreationTime: '{{date:-10}}T12:00:00' },
+        { customerOrderId: 4, orderCreationTime: '{{time:0}}' }
+    ]);
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const source = createDataSource('fixture', { fixtureDir: dir });
+
+    const today = isoDay(new Date());
+    const ids = (orders) => orders.map(order => order.customerOrderId);
+    assert.deepEqual(ids(await source.fetchOrders({ storeId: '25', startDate: today, endDate: today })), [1, 4]);
+    assert.deepEqual(ids(await source.fetchOrders({ storeId: '25', startDate: isoDay(daysFromNow(-30)) })), [1, 3, 4]);
+    assert.deepEqual(ids(await source.fetchOrders({})), [1, 2, 3, 4]);
+});
+
+test("today's orders are the ones due for delivery today", async (t) => {
+    const dir = writeFixtures([
+        { customerOrderId: 1, requestedDeliveryDate: '{{date:0}}T10:00:00' },
+        { customerOrderId: 2, requestedDeliveryDate: '{{date:1}}T10:00:00' },
+        { customerOrderId: 3, requestedDeliveryDate: '{{date:-1}}T10:00:00' }
+    ], [{ driver_name: 'kranthi', last_updated: '{{time:-1}}' }]);
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const source = createDataSource('fixture', { fixtureDir: dir });
+
+    assert.deepEqual((await source.fetchTodaysOrders()).map(order => order.customerOrderId), [1]);
+    const [driver] = await source.fetchDriverLocations();
+    assert.ok(Math.abs(Date.now() - 60000 - new Date(driver.last_updated).getTime()) < 5000);
+});
+
+test('rejects unknown data sources', () => {
+    assert.throws(() => createDataSource('carrier-pigeon'), /Unknown data source "carrier-pigeon"/);
+});
+
+test('the server runs on the fixture backend', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const health = await server.request('GET', '/api/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.dataSource.type, 'fixture');
+
+    const drivers = await server.request('GET', '/api/drivers');
+    assert.ok(drivers.body.drivers.some(driver => driver.driver_name === 'kranthi'));
+    assert.ok(drivers.body.drivers.every(driver => !String(driver.last_updated).includes('{{')));
+});
@@ -0,0 +1,143 @@
+// Address geocoders (lib/geocoders)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createGeocoder, createCachedGeocoder, normalizeAddress } = require('../lib/geocoders');
+const { createMemoryStore } = require('../lib/sessionStore');
+const { startServer } = require('./helpers/server');
+
+const WOOD_AVE = { latitude: 40.5754, longitude: -74.3223 };
+
+// Geocoder that records its lookups and answers from `locations` (a function may stand in for one)
+function createStubGeocoder(locations = {}) {
+    const lookups = [];
+    return {
+        name: 'stub',
+        lookups,
+        geocode: async (address) => {
+            lookups.push(address);
+            const location = locations[address];
+            return typeof location === 'function' ? location() : location || null;
+        },
+        describe: () => ({ type: 'stub' })
+    };
+}
+
+// Capture console output while `fn` runs
+async function captureLogs(fn) {
+    const lines = [];
+    const original = { log: console.log, error: console.error };
+    console.log = console.error = (...args) => lines.push(args.join(' '));
+    try {
+        await fn();
+    } finally {
+        Object.assign(console, original);
+    }
+    return lines.join('\n');
+}
+
+test('normalizes addresses for lookups', () => {
+    assert.equal(normalizeAddress('  221 Wood Ave.,Iselin ,  NJ 08830 '), '221 wood ave, iselin, nj 08830');
+    assert.throws(() => createGeocoder('google'), /Unknown geocoder "google"/);
+});
+
+test('the fixture geocoder knows the fixture addresses', async () => {
+    const geocoder = createGeocoder('fixture');
+    assert.deepEqual(await geocoder.geocode('221 wood ave, iselin, nj 08830'), WOOD_AVE);
+    assert.equal(await geocoder.geocode('1 Nowhere Rd'), null);
+    assert.equal(await createGeocoder('none').geocode('221 Wood Ave, Iselin, NJ 08830'), null);
+});
+
+test('caches hits and misses and shares concurrent lookups', async () => {
+    const stub = createStubGeocoder({ '221 Wood Ave, Iselin, NJ 08830': WOOD_AVE });
+    const geocoder = createCachedGeocoder({ geocoder: stub, store: createMemoryStore() });
+
+    const [first, second] = await Promise.all([
+        geocoder.geocode('221 Wood Ave, Iselin, NJ 08830'),
+        geocoder.geocode('221 WOOD AVE, ISELIN, NJ 08830')
+    ]);
+    assert.deepEqual(first, WOOD_AVE);
+    assert.equal(second, first);
+    assert.equal(await geocoder.geocode('1 Nowhere Rd'), null);
+    assert.equal(await geocoder.geocode('1 nowhere rd'), null);
+    assert.equal(geocoder.peek('221 wood ave, iselin, nj 08830').latitude, WOOD_AVE.latitude);
+
+    assert.equal(stub.lookups.length, 2);
+    assert.deepEqual(geocoder.stats(), { cached: 2, hits: 1, misses: 2, errors: 0 });
+});
+
+test('lookup errors are not cached and never log the address', async () => {
+    let fail = true;
+    const stub = createStubGeocoder({
+        '221 Wood Ave, Iselin, NJ 08830': () => {
+            if (fail) throw new Error('socket hang up');
+            return WOOD_AVE;
+        }
+    });
+    const geocoder = createCachedGeocoder({ geocoder: stub, store: createMemoryStore() });
+
+    const logs = await captureLogs(async () => {
+        assert.equal(await geocoder.geocode('221 Wood Ave, Iselin, NJ 08830'), null);
+        await geocoder.geocode('1 Nowhere Rd');
+    });
+    assert.equal(logs.includes('Wood'), false);
+    assert.equal(logs.includes('Nowhere'), false);
+    assert.equal(geocoder.stats().errors, 1);
+
+    fail = false;
+    assert.deepEqual(await geocoder.geocode('221 Wood Ave, Iselin, NJ 08830'), WOOD_AVE);
+});
+
+test('locate stops waiting for a slow geocoder but still caches its answer', async () => {
+    let answer;
+    const stub = createStubGeocoder({ 'slow': () => new Promise(resolve => { answer = resolve; }) });
+    const geocoder = createCachedGeocoder({ geocoder: stub, store: createMemoryStore() });
+
+    assert.equal(await geocoder.locate('slow', 20), null);
+    answer(WOOD_AVE);
+    await geocoder.geocode('slow');
+    assert.deepEqual(await geocoder.locate('slow', 20), WOOD_AVE);
+});
+
+test('Nominatim is asked with its User-Agent and times out', async (t) => {
+    const requests = [];
+    let delayMs = 0;
+    const server = http.createServer((req, res) => {
+        requests.push({ url: new URL(req.url, 'http://localhost'), userAgent: req.headers['user-agent'] });
+        setTimeout(() => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify([{ lat: '40.5754', lon: '-74.3223' }]));
+        }, delayMs);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => { server.closeAllConnections(); server.close(); });
+
+    const nominatim = createGeocoder('nominatim', {
+        baseUrl: `http://127.0.0.1:${server.address().port}/`,
+        userAgent: 'iperkz-tests',
+        timeoutMs: 100
+    });
+    assert.deepEqual(await nominatim.geocode('221 Wood Ave, Iselin, NJ 08830'), WOOD_AVE);
+    assert.equal(requests[0].url.pathname, '/search');
+    assert.equal(requests[0].url.searchParams.get('q'), '221 Wood Ave, Iselin, NJ 08830');
+    assert.equal(requests[0].url.searchParams.get('countrycodes'), 'us');
+    assert.equal(requests[0].userAgent, 'iperkz-tests');
+
+    delayMs = 1000;
+    await assert.rejects(nominatim.geocode('9 Harding Ave, Metuchen, NJ 08840'), { code: 'UPSTREAM_TIMEOUT' });
+});
+
+test('fixture orders are geocoded without a third-party service', async (t) => {
+    const server = await startServer({ env: { ADMIN_API_KEY: 'admin-key' } });
+    t.after(() => server.stop());
+
+    const health = await server.request('GET', '/api/health');
+    assert.equal(health.body.geocoder.type, 'fixture');
+
+    const route = await server.request('GET', '/api/admin/ops/routes', { headers: { 'X-API-Key': 'admin-key' } });
+    const kranthi = route.body.routes.find(r => r.routeId.startsWith('kranthi-west'));
+    const stops = (await server.request('GET', `/api/admin/ops/routes/${kranthi.routeId}`, { headers: { 'X-API-Key': 'admin-key' } })).body.route.stops;
+    assert.deepEqual(stops.find(stop => stop.orderId === 64531).location, WOOD_AVE);
+    assert.equal(server.output().includes('Wood Ave'), false);
+});
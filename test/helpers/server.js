@@ -0,0 +1,188 @@
+// Test harness - runs server.js on the fixture backend as a child process
+//
+// Every file the server writes goes to a temporary directory, and it listens on a free port,
+// so tests need no network or configuration. `env` adds to or overrides the defaults below.
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER_FILE = path.join(__dirname, '..', '..', 'server.js');
+const FIXTURE_DIR = path.join(__dirname, '..', '..', 'data', 'fixtures');
+const STORES_FILE = path.join(__dirname, '..', '..', 'data', 'stores.json');
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Resolves once the server listens: { baseUrl, dataDir, output, request, startSession, events, stop }
+async function startServer({ env = {} } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iperkz-test-'));
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [SERVER_FILE], {
+        env: {
+            ...process.env,
+            NODE_ENV: 'test',
+            PORT: String(port),
+            API_SECRET: 'test-secret',
+            DATA_SOURCE: 'fixture',
+            SESSION_STORE: 'memory',
+            SESSION_STORE_DIR: dataDir,
+            NOTIFIER: 'file',
+            NOTIFIER_OUTBOX: path.join(dataDir, 'outbox.jsonl'),
+            VERIFICATION_AUDIT_FILE: path.join(dataDir, 'verification-audit.jsonl'),
+            WEBHOOK_LOG_FILE: path.join(dataDir, 'webhook-deliveries.jsonl'),
+            ORDER_ACTIONS_FILE: path.join(dataDir, 'order-actions.jsonl'),
+            CLAIM_PHOTOS_DIR: path.join(dataDir, 'claim-photos'),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    try {
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+            child.stdout.on('data', () => {
+                if (output.includes(`localhost:${port}`)) {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            });
+            child.once('exit', code => {
+                clearTimeout(timer);
+                reject(new Error(`Server exited with ${code}:\n${output}`));
+            });
+        });
+    } catch (error) {
+        child.kill();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    // JSON request: { status, headers, body } (body is text for non-JSON responses).
+    // `session` (from startSession) adds its token and device headers.
+    async function request(method, url, { session, headers = {}, body } = {}) {
+        if (session) headers = { ...session.headers, ...headers };
+        const isRaw = Buffer.isBuffer(body) || typeof body === 'string';
+        const res = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: body && !isRaw ? { 'Content-Type': 'application/json', ...headers } : headers,
+            body: body === undefined ? undefined : (isRaw ? body : JSON.stringify(body))
+        });
+        const text = await res.text();
+        const isJson = (res.headers.get('content-type') || '').includes('application/json');
+        return { status: res.status, headers: res.headers, body: isJson ? JSON.parse(text) : text };
+    }
+
+    // New customer session: { token, deviceId, storeId, headers }
+    async function startSession(deviceId, { storeId, language } = {}) {
+        const res = await request('POST', '/api/v1/session', {
+            headers: storeId ? { 'X-Store-ID': storeId } : {},
+            body: { deviceId, platform: 'test', language }
+        });
+        if (!res.body.success) throw new Error(`Could not start a session: ${JSON.stringify(res.body)}`);
+        const token = res.body.sessionToken;
+        return { token, deviceId, storeId: res.body.storeId, headers: { Authorization: `Bearer ${token}`, 'X-Device-ID': deviceId } };
+    }
+
+    // Read a Server-Sent Events stream until `until(events)` is true or the stream ends: [{ event, data }]
+    async function events(url, { session, headers = {}, until = () => false, timeoutMs = 5000 } = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        const received = [];
+        try {
+            const res = await fetch(`${baseUrl}${url}`, {
+                headers: session ? { ...session.headers, ...headers } : headers,
+                signal: controller.signal
+            });
+            if (!(res.headers.get('content-type') || '').includes('text/event-stream')) {
+                return { status: res.status, body: await res.json(), events: received };
+            }
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for await (const chunk of res.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const event = (block.match(/^event: (.*)$/m) || [])[1];
+                    const data = (block.match(/^data: (.*)$/m) || [])[1];
+                    if (event) received.push({ event, data: JSON.parse(data) });
+                }
+                if (until(received)) break;
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+        } finally {
+            clearTimeout(timer);
+            controller.abort();
+        }
+        return { status: 200, events: received };
+    }
+
+    // Stop the server (SIGTERM, so it flushes its stores) and remove its files
+    function stop() {
+        return new Promise(resolve => {
+            const done = () => {
+                fs.rmSync(dataDir, { recursive: true, force: true });
+                resolve();
+            };
+            if (child.exitCode !== null || child.signalCode !== null) return done();
+            const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+            child.once('exit', () => {
+                clearTimeout(timer);
+                done();
+            });
+            child.kill('SIGTERM');
+        });
+    }
+
+    return { baseUrl, dataDir, output: () => output, request, startSession, events, stop };
+}
+
+// Fixture data (FIXTURE_DIR, STORES_FILE) with every order passed through `mapOrder`, and `stores`
+// in place of the configured stores when given. The directory is removed after the test.
+function writeFixtures(t, { mapOrder = order => order, stores } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iperkz-fixtures-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const orders = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'orders.json'), 'utf8'));
+    fs.writeFileSync(path.join(dir, 'orders.json'), JSON.stringify(orders.map(mapOrder)));
+    fs.copyFileSync(path.join(FIXTURE_DIR, 'driver-locations.json'), path.join(dir, 'driver-locations.json'));
+    if (stores) fs.writeFileSync(path.join(dir, 'stores.json'), JSON.stringify(stores));
+    else fs.copyFileSync(STORES_FILE, path.join(dir, 'stores.json'));
+    return { FIXTURE_DIR: dir, STORES_FILE: path.join(dir, 'stores.json') };
+}
+
+// Fixture data whose orders don't say which store they belong to, with one configured store
+function writeStorelessFixtures(t) {
+    return writeFixtures(t, {
+        mapOrder: ({ storeId, ...order }) => order,
+        stores: {
+            defaultStoreId: '25',
+            stores: [{ id: '25', name: 'iPerkz - Groceries', address: '1655 Oak Tree Rd, Edison, NJ 08820' }]
+        }
+    });
+}
+
+// Lines of a JSON-lines file the server wrote ([] when it doesn't exist yet)
+function readJsonLines(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+module.exports = { startServer, readJsonLines, writeFixtures, writeStorelessFixtures };
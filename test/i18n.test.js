@@ -0,0 +1,74 @@
+// Chat languages (lib/i18n.js) - detection, selection and translated messages
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createI18n, normalize } = require('../lib/i18n');
+const { startServer } = require('./helpers/server');
+
+const i18n = createI18n({ dir: path.join(__dirname, '..', 'data', 'locales') });
+
+test('loads every catalog', () => {
+    assert.deepEqual([...i18n.languages].sort(), ['en', 'es', 'hi', 'te']);
+    assert.deepEqual(i18n.list().find(language => language.code === 'te'), { code: 'te', name: 'Telugu', nativeName: 'తెలుగు', locale: 'te-IN' });
+});
+
+test('resolves codes, locales and language names', () => {
+    assert.equal(i18n.resolve('es-MX'), 'es');
+    assert.equal(i18n.resolve('HI_in'), 'hi');
+    assert.equal(i18n.resolve('Español'), 'es');
+    assert.equal(i18n.resolve('fr'), null);
+    assert.equal(i18n.fromAcceptLanguage('fr-FR, te;q=0.8, es;q=0.9'), 'es');
+    assert.equal(i18n.fromAcceptLanguage('fr-FR'), null);
+});
+
+test('understands a request to switch language', () => {
+    assert.equal(i18n.parseSelection('Hindi'), 'hi');
+    assert.equal(i18n.parseSelection('change language to telugu!'), 'te');
+    assert.equal(i18n.parseSelection('idioma: español'), 'es');
+    assert.equal(i18n.parseSelection('తెలుగు'), 'te');
+    // Codes are not selections: "hi" is a greeting
+    assert.equal(i18n.parseSelection('hi'), null);
+    assert.equal(i18n.parseSelection('I speak english and hindi'), null);
+});
+
+test('detects the language of a message', () => {
+    assert.equal(i18n.detect('mera order kahan hai'), 'hi');
+    assert.equal(i18n.detect('naa order ekkada undi'), 'te');
+    assert.equal(i18n.detect('¿Dónde está mi pedido?'), 'es');
+    assert.equal(i18n.detect('मेरा ऑर्डर'), 'hi');
+    assert.equal(i18n.detect('నా ఆర్డర్'), 'te');
+    assert.equal(i18n.detect('64531'), null);
+});
+
+test('translates with parameters, plurals and an English fallback', () => {
+    const es = i18n.forLanguage('es');
+    const en = i18n.forLanguage('xx');
+    assert.equal(en.lang, 'en');
+    assert.equal(en.t('verification.retryAfter', { count: 1 }), 'a minute');
+    assert.equal(en.t('verification.retryAfter', { count: 5 }), '5 minutes');
+    assert.notEqual(es.t('verification.retryAfter', { count: 5 }), '5 minutes');
+    assert.equal(es.t('no.such.key'), 'no.such.key');
+    assert.equal(en.money(12.5), '$12.50');
+});
+
+test('word lists combine every catalog', () => {
+    const filler = i18n.words('verification.fillerWords');
+    ['order', 'donde', 'kahan', 'ekkada'].forEach(word => assert.ok(filler.has(word), word));
+    assert.equal(normalize('Dónde'), 'donde');
+});
+
+test('the chat answers in the session language and switches on request', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const en = i18n.forLanguage('en');
+    const es = i18n.forLanguage('es');
+
+    const session = await server.startSession('device-es', { language: 'es-MX' });
+    const hola = await server.request('POST', '/api/v1/chat', { session, body: { message: '64531 Sonia' } });
+    assert.ok(hola.body.response.includes(es.t('status.OUT_FOR_DELIVERY')));
+
+    await server.request('POST', '/api/v1/chat', { session, body: { message: 'English' } });
+    const hello = await server.request('POST', '/api/v1/chat', { session, body: { message: '64531' } });
+    assert.ok(hello.body.response.includes(en.t('status.OUT_FOR_DELIVERY')));
+});
@@ -0,0 +1,89 @@
+// Scored intent classifier (lib/intents.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createIntentClassifier, editDistance } = require('../lib/intents');
+
+const INTENTS_FILE = path.join(__dirname, '..', 'data', 'intents.json');
+
+// A classifier over an intents file written for the test
+function classifierFor(t, config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iperkz-intents-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'intents.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    return { file, classifier: createIntentClassifier({ file }) };
+}
+
+const names = (result) => result.intents.map(intent => intent.name);
+
+test('edit distance counts adjacent transpositions as one edit', () => {
+    assert.equal(editDistance('order', 'order'), 0);
+    assert.equal(editDistance('ordre', 'order'), 1);
+    assert.equal(editDistance('delivry', 'delivery'), 1);
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+});
+
+test('scores keywords, phrases and patterns; typos count at 80%', (t) => {
+    const { classifier } = classifierFor(t, {
+        synonyms: { ordr: 'order' },
+        intents: [{
+            name: 'order_status',
+            keywords: { order: 2, delivery: 1 },
+            phrases: { 'where is my': 3 },
+            patterns: { '\\b\\d{5}\\b': 4 }
+        }]
+    });
+
+    const [exact] = classifier.classify('Where is my ordr 64531?').intents;
+    assert.equal(exact.score, 9);
+    assert.deepEqual(exact.matched, ['order', 'where is my', '/\\b\\d{5}\\b/']);
+
+    const [typo] = classifier.classify('my delivary order').intents;
+    assert.equal(typo.score, 2.8);
+    assert.deepEqual(typo.matched, ['order', '~delivery']);
+});
+
+test('short words must match exactly', (t) => {
+    const { classifier } = classifierFor(t, { intents: [{ name: 'payment', keywords: { bill: 3 } }] });
+    assert.deepEqual(names(classifier.classify('will it arrive')), []);
+    assert.deepEqual(names(classifier.classify('my bill')), ['payment']);
+});
+
+test('returns every intent over its threshold, best first', (t) => {
+    const { classifier } = classifierFor(t, {
+        threshold: 2,
+        intents: [
+            { name: 'thanks', keywords: { thanks: 3 } },
+            { name: 'order_status', keywords: { order: 2, where: 2 } },
+            { name: 'picky', threshold: 10, keywords: { order: 5 } }
+        ]
+    });
+    assert.deepEqual(names(classifier.classify('thanks, where is my order')), ['order_status', 'thanks']);
+    assert.deepEqual(names(classifier.classify('hello')), []);
+});
+
+test('a broken file on reload keeps the intents already loaded', (t) => {
+    const { file, classifier } = classifierFor(t, { intents: [{ name: 'greeting', keywords: { hi: 3 } }] });
+    fs.writeFileSync(file, JSON.stringify({ intents: [{ name: 'greeting', patterns: { '(': 3 } }] }));
+    assert.throws(() => classifier.reload());
+    assert.deepEqual(names(classifier.classify('hi')), ['greeting']);
+
+    fs.writeFileSync(file, JSON.stringify({ intents: [{ name: 'farewell', keywords: { bye: 3 } }] }));
+    assert.equal(classifier.reload(), 1);
+    assert.deepEqual(names(classifier.classify('bye')), ['farewell']);
+});
+
+test('the bundled intents recognise everyday messages', () => {
+    const classifier = createIntentClassifier({ file: INTENTS_FILE });
+    const top = (message) => names(classifier.classify(message))[0];
+    assert.equal(top('hi'), 'greeting');
+    assert.equal(top('wheres my ordr 64531'), 'order_status');
+    assert.deepEqual(names(classifier.classify('thanks, where is my order 64531')), ['order_status', 'thanks']);
+    assert.equal(top('thx'), 'thanks');
+    assert.equal(top('my payment failed'), 'payment');
+    assert.equal(top('I want a refund'), 'refund');
+});
@@ -0,0 +1,105 @@
+// Live order updates over Server-Sent Events (lib/liveUpdates.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createLiveUpdates } = require('../lib/liveUpdates');
+const { startServer } = require('./helpers/server');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stand-in for an Express response that records the events written to it
+function createResponse() {
+    const res = new EventEmitter();
+    res.events = [];
+    res.ended = false;
+    res.writeHead = (status, headers) => { res.status = status; res.headers = headers; };
+    res.write = (text) => {
+        const match = text.match(/^event: (.*)\ndata: (.*)\n\n$/);
+        if (match) res.events.push({ event: match[1], data: JSON.parse(match[2]) });
+    };
+    res.end = () => { res.ended = true; };
+    return res;
+}
+
+test('pushes every section first, then only the sections that changed', async (t) => {
+    let status = 'PACKING';
+    const live = createLiveUpdates({
+        intervalMs: 10,
+        poll: async (subscribers) => new Map(subscribers.map(s => [s.id, { status: { status }, driver: { lat: 1 } }]))
+    });
+    const res = createResponse();
+    live.subscribe(res, { orderId: '64540', storeId: '25' });
+    t.after(() => res.emit('close'));
+
+    await sleep(5);
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+    assert.deepEqual(res.events.map(e => e.event), ['status', 'driver']);
+
+    await sleep(30);
+    assert.equal(res.events.length, 2);
+
+    status = 'READY';
+    await sleep(30);
+    assert.deepEqual(res.events.slice(2), [{ event: 'status', data: { status: 'READY' } }]);
+});
+
+test('an end section closes the stream', async () => {
+    const live = createLiveUpdates({
+        intervalMs: 10,
+        poll: async (subscribers) => new Map(subscribers.map(s => [s.id, { status: { status: 'DELIVERED' }, end: { reason: 'DELIVERED' } }]))
+    });
+    const res = createResponse();
+    live.subscribe(res, { orderId: '64521', storeId: '25' });
+
+    await sleep(5);
+    assert.deepEqual(res.events.map(e => e.event), ['status', 'end']);
+    assert.equal(res.ended, true);
+    assert.deepEqual(live.stats(), { subscribers: 0, orders: 0 });
+});
+
+test('polls once for all subscribers and stops when they leave', async () => {
+    const polls = [];
+    const live = createLiveUpdates({
+        intervalMs: 10,
+        poll: async (subscribers) => {
+            polls.push(subscribers.length);
+            return new Map(subscribers.map(s => [s.id, { status: { orderId: s.orderId } }]));
+        }
+    });
+    const first = createResponse();
+    const second = createResponse();
+    live.subscribe(first, { orderId: '64531', storeId: '25' });
+    live.subscribe(second, { orderId: '64531', storeId: '25' });
+    assert.deepEqual(live.stats(), { subscribers: 2, orders: 1 });
+
+    await sleep(40);
+    // One initial poll per new subscriber, then one poll per interval for both
+    assert.deepEqual(polls.slice(0, 2), [1, 1]);
+    assert.ok(polls.length > 2);
+    assert.ok(polls.slice(2).every(count => count === 2));
+
+    first.emit('close');
+    second.emit('close');
+    const stopped = polls.length;
+    await sleep(30);
+    assert.equal(polls.length, stopped);
+});
+
+test('streams a verified order from the server', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const session = await server.startSession('device-live');
+    const unverified = await server.events('/api/v1/orders/64540/live', { session });
+    assert.equal(unverified.body.code, 'VERIFICATION_REQUIRED');
+
+    await server.request('POST', '/api/v1/orders/64540/verify', { session, body: { identifier: 'Lakshmi' } });
+    const stream = await server.events('/api/v1/orders/64540/live', {
+        session,
+        until: (events) => events.some(e => e.event === 'packing')
+    });
+    const status = stream.events.find(e => e.event === 'status');
+    assert.equal(status.data.orderId, 64540);
+    assert.equal(status.data.status, 'STARTED');
+});
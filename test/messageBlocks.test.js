@@ -0,0 +1,46 @@
+// Structured chat replies (lib/messageBlocks.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BLOCK_TYPES, block, createReply, toReply, joinReplies, replyText } = require('../lib/messageBlocks');
+const { startServer } = require('./helpers/server');
+
+test('plain text becomes a single text block', () => {
+    assert.deepEqual(toReply('Hello'), { text: 'Hello', blocks: [{ type: 'text', text: 'Hello' }] });
+    assert.equal(toReply(null), null);
+    assert.equal(replyText(createReply('Hi', [block('quick_replies', { options: [] })])), 'Hi');
+});
+
+test('rejects unknown block types', () => {
+    assert.throws(() => block('carousel'), /Unknown message block type "carousel"/);
+});
+
+test('joins replies, keeping their blocks in order', () => {
+    const card = block('status_card', { orderId: 64531 });
+    const joined = joinReplies(['✅ Verified!', null, '', createReply('Order #64531', [card])]);
+    assert.equal(joined.text, '✅ Verified!\n\nOrder #64531');
+    assert.deepEqual(joined.blocks, [{ type: 'text', text: '✅ Verified!' }, card]);
+});
+
+test('chat replies carry typed blocks next to the markdown', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const session = await server.startSession('device-blocks');
+
+    const reply = await server.request('POST', '/api/v1/chat', { session, body: { message: '64531 Sonia' } });
+    const { response, blocks } = reply.body;
+    assert.ok(blocks.every(b => BLOCK_TYPES.includes(b.type)));
+
+    const card = blocks.find(b => b.type === 'status_card');
+    assert.equal(card.orderId, 64531);
+    assert.equal(card.status, 'OUT_FOR_DELIVERY');
+    assert.equal(card.step, 4);
+    assert.ok(response.includes(card.title));
+
+    const timeline = blocks.find(b => b.type === 'timeline');
+    assert.deepEqual(timeline.steps.map(step => step.state), ['done', 'done', 'done', 'current', 'upcoming']);
+    assert.ok(blocks.some(b => b.type === 'quick_replies' && b.options.length > 0));
+
+    const plain = await server.request('POST', '/api/v1/chat', { session, body: { message: 'thanks' } });
+    assert.deepEqual(plain.body.blocks.filter(b => b.type === 'text').map(b => b.text).join('\n\n'), plain.body.response);
+});
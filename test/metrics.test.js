@@ -0,0 +1,82 @@
+// Prometheus metrics (lib/metrics.js and GET /metrics)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../lib/metrics');
+const { startServer } = require('./helpers/server');
+
+// The sample lines of an exposition, without HELP/TYPE comments
+const samples = text => text.split('\n').filter(line => line && !line.startsWith('#'));
+
+test('renders counters and gauges with escaped labels', () => {
+    const metrics = createMetrics();
+    const requests = metrics.counter('requests_total', 'Requests');
+    requests.inc({ route: '/a', status: 200 });
+    requests.inc({ status: 200, route: '/a' }, 2);
+    requests.inc({ route: 'say "hi"\n' });
+    metrics.gauge('temperature', 'Degrees').set({}, 21.5);
+
+    assert.equal(metrics.render(), [
+        '# HELP requests_total Requests',
+        '# TYPE requests_total counter',
+        'requests_total{route="/a",status="200"} 3',
+        'requests_total{route="say \\"hi\\"\\n"} 1',
+        '# HELP temperature Degrees',
+        '# TYPE temperature gauge',
+        'temperature 21.5',
+        ''
+    ].join('\n'));
+    assert.throws(() => metrics.gauge('temperature', 'Again'), /registered twice/);
+});
+
+test('renders histograms with cumulative buckets', () => {
+    const metrics = createMetrics();
+    const latency = metrics.histogram('latency_seconds', 'Latency', { buckets: [1, 0.1] });
+    [0.05, 0.5, 3].forEach(value => latency.observe({ route: '/a' }, value));
+
+    assert.deepEqual(samples(metrics.render()), [
+        'latency_seconds_bucket{route="/a",le="0.1"} 1',
+        'latency_seconds_bucket{route="/a",le="1"} 2',
+        'latency_seconds_bucket{route="/a",le="+Inf"} 3',
+        'latency_seconds_sum{route="/a"} 3.55',
+        'latency_seconds_count{route="/a"} 3'
+    ]);
+});
+
+test('collects values at scrape time and survives a failing collector', (t) => {
+    const original = console.error;
+    console.error = () => {};
+    t.after(() => { console.error = original; });
+
+    const metrics = createMetrics();
+    let sessions = 2;
+    metrics.gauge('sessions', 'Sessions', { collect: () => [{ labels: { kind: 'chat' }, value: sessions }] });
+    metrics.gauge('broken', 'Broken', { collect: () => { throw new Error('boom'); } });
+    metrics.gauge('ratio', 'Ratio', { collect: () => [{ value: NaN }, { labels: { side: 'up' }, value: Infinity }] });
+
+    sessions = 5;
+    assert.deepEqual(samples(metrics.render()), ['sessions{kind="chat"} 5', 'ratio NaN', 'ratio{side="up"} +Inf']);
+    assert.ok(metrics.render().includes('# TYPE broken gauge'));
+});
+
+test('GET /metrics reports requests by route pattern, intents and verification', async (t) => {
+    const server = await startServer({ env: { METRICS_TOKEN: 'scrape-token' } });
+    t.after(() => server.stop());
+    const session = await server.startSession('device-metrics');
+    await server.request('POST', '/api/v1/orders/64531/verify', { session, body: { identifier: 'Nobody' } });
+    await server.request('POST', '/api/v1/orders/64531/verify', { session, body: { identifier: 'Sonia' } });
+    await server.request('GET', '/api/v1/orders/64531/track', { session });
+    await server.request('POST', '/api/v1/chat', { session, body: { message: 'thanks' } });
+
+    assert.equal((await server.request('GET', '/metrics')).status, 401);
+    const { headers, body } = await server.request('GET', '/metrics', { headers: { Authorization: 'Bearer scrape-token' } });
+    assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+
+    const lines = samples(body);
+    assert.ok(lines.includes('http_requests_total{route="/api/v1/orders/:orderId/track",method="GET",status="200"} 1'), body);
+    assert.ok(lines.some(line => line.startsWith('chat_intents_total{intent="thanks"} ')), body);
+    assert.ok(lines.some(line => /^verification_attempts_total\{.*result="failure"\} 1$/.test(line)), body);
+    assert.ok(lines.some(line => /^verification_attempts_total\{.*result="success"\} 1$/.test(line)), body);
+    assert.ok(lines.some(line => line.startsWith('cache_requests_total{cache="orders_today",result="miss"} ')), body);
+    assert.equal(body.includes('64531'), false);
+});
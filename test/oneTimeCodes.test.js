@@ -0,0 +1,89 @@
+// One-time verification codes (lib/oneTimeCodes.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createOneTimeCodes } = require('../lib/oneTimeCodes');
+const { createMemoryStore } = require('../lib/sessionStore');
+const { startServer } = require('./helpers/server');
+
+// One-time codes with a notifier that keeps what it was asked to send
+function setup(options = {}) {
+    const sent = [];
+    const store = createMemoryStore();
+    const codes = createOneTimeCodes({
+        secret: 'test-secret',
+        store,
+        notifier: { name: 'test', send: async (message) => { sent.push(message); return { delivered: true }; } },
+        resendCooldownMs: 0,
+        ...options
+    });
+    const lastCode = () => sent[sent.length - 1].text.match(/ is (\d+)\./)[1];
+    return { codes, store, sent, lastCode };
+}
+
+test('sends a code to the contact on file and accepts it once', async () => {
+    const { codes, sent, lastCode } = setup();
+    const result = await codes.send({ sessionId: 's1', orderId: '64531', channel: 'email', to: 'sonia@example.com', storeName: 'iPerkz - Jersey City' });
+
+    assert.deepEqual(result, { sent: true, expiresIn: 10 * 60 * 1000 });
+    assert.equal(sent[0].to, 'sonia@example.com');
+    assert.equal(sent[0].subject, 'Your iPerkz - Jersey City verification code');
+    assert.match(lastCode(), /^\d{6}$/);
+    assert.equal(codes.pendingOrder('s1'), '64531');
+
+    assert.deepEqual(codes.verify({ sessionId: 's1', orderId: '64531', code: ` ${lastCode()} ` }), { valid: true });
+    assert.equal(codes.verify({ sessionId: 's1', orderId: '64531', code: lastCode() }).code, 'OTP_NOT_FOUND');
+    assert.equal(codes.pendingOrder('s1'), null);
+});
+
+test('a code only works for the session and order it was sent for', async () => {
+    const { codes, lastCode } = setup();
+    await codes.send({ sessionId: 's1', orderId: '64531', channel: 'sms', to: '(732) 555-0123' });
+    assert.equal(codes.verify({ sessionId: 's2', orderId: '64531', code: lastCode() }).code, 'OTP_NOT_FOUND');
+    assert.equal(codes.verify({ sessionId: 's1', orderId: '64533', code: lastCode() }).code, 'OTP_NOT_FOUND');
+});
+
+test('invalidates the code after too many wrong attempts', async () => {
+    const { codes, lastCode } = setup({ maxAttempts: 2, length: 4 });
+    await codes.send({ sessionId: 's1', orderId: '64531', channel: 'sms', to: '(732) 555-0123' });
+    const wrong = lastCode() === '0000' ? '0001' : '0000';
+
+    assert.deepEqual(
+        codes.verify({ sessionId: 's1', orderId: '64531', code: wrong }),
+        { valid: false, error: 'Incorrect code. 1 attempt(s) left.', code: 'OTP_INVALID', attemptsLeft: 1 }
+    );
+    assert.equal(codes.verify({ sessionId: 's1', orderId: '64531', code: wrong }).code, 'OTP_ATTEMPTS_EXCEEDED');
+    assert.equal(codes.verify({ sessionId: 's1', orderId: '64531', code: lastCode() }).code, 'OTP_NOT_FOUND');
+});
+
+test('codes expire', async () => {
+    const { codes, store, lastCode } = setup();
+    await codes.send({ sessionId: 's1', orderId: '64531', channel: 'sms', to: '(732) 555-0123' });
+    store.getEntry('s1:64531').expiresAt = Date.now() - 1;
+    assert.equal(codes.verify({ sessionId: 's1', orderId: '64531', code: lastCode() }).code, 'OTP_NOT_FOUND');
+});
+
+test('no code without a contact, and none resent during the cooldown', async () => {
+    const { codes, sent } = setup({ resendCooldownMs: 60000 });
+    assert.equal((await codes.send({ sessionId: 's1', orderId: '64531', channel: 'email', to: null })).code, 'NO_CONTACT');
+    await codes.send({ sessionId: 's1', orderId: '64531', channel: 'sms', to: '(732) 555-0123' });
+    assert.equal((await codes.send({ sessionId: 's1', orderId: '64531', channel: 'sms', to: '(732) 555-0123' })).code, 'OTP_COOLDOWN');
+    assert.equal(sent.length, 1);
+});
+
+test('codes are not stored in the clear', async () => {
+    const { codes, store, lastCode } = setup();
+    await codes.send({ sessionId: 's1', orderId: '64531', channel: 'sms', to: '(732) 555-0123' });
+    assert.equal(JSON.stringify(store.get('s1:64531')).includes(lastCode()), false);
+});
+
+test('a damaged stored hash is a wrong code, not an error', async () => {
+    const { codes, store, lastCode } = setup();
+    await codes.send({ sessionId: 's1', orderId: '64531', channel: 'sms', to: '(732) 555-0123' });
+    store.set('s1:64531', { ...store.get('s1:64531'), hash: 'abc' });
+    assert.equal(codes.verify({ sessionId: 's1', orderId: '64531', code: lastCode() }).code, 'OTP_INVALID');
+});
+
+test('the server refuses to start in production without a notifier', async () => {
+    await assert.rejects(startServer({ env: { NODE_ENV: 'production', NOTIFIER: '' } }), /NOTIFIER must be set in production/);
+});
@@ -0,0 +1,90 @@
+// Ops dashboard views (/api/admin/ops/*): today's status counts, stuck orders and route progress
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer, readJsonLines, writeStorelessFixtures } = require('./helpers/server');
+
+test('ops views', async (t) => {
+    const server = await startServer({ env: { ADMIN_API_KEY: 'admin-key' } });
+    t.after(() => server.stop());
+    const get = (url, headers = { 'X-API-Key': 'admin-key' }) => server.request('GET', url, { headers });
+
+    await t.test('need the admin key and a known store', async () => {
+        assert.equal((await get('/api/admin/ops/summary', {})).status, 401);
+        const unknown = await get('/api/admin/ops/summary?storeId=99');
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.body.code, 'UNKNOWN_STORE');
+    });
+
+    await t.test('count today\'s orders by status, for every store or one', async () => {
+        const all = await get('/api/admin/ops/summary');
+        assert.equal(all.body.storeId, null);
+        assert.equal(all.body.total, 11);
+        assert.deepEqual(all.body.byStatus, { PLACED: 2, STARTED: 1, COMPLETED: 2, OUT_FOR_DELIVERY: 3, DELIVERED: 2, CANCELLED: 1 });
+        assert.deepEqual(all.body.stores.map(store => store.id), ['25', '31']);
+
+        const jerseyCity = await get('/api/admin/ops/summary?storeId=31');
+        assert.equal(jerseyCity.body.total, 2);
+        assert.deepEqual(jerseyCity.body.byStatus, { PLACED: 1, STARTED: 0, COMPLETED: 0, OUT_FOR_DELIVERY: 1, DELIVERED: 0, CANCELLED: 0 });
+    });
+
+    await t.test('flag orders waiting too long, longest first', async () => {
+        const stuck = await get('/api/admin/ops/stuck');
+        assert.deepEqual(stuck.body.thresholds, { PLACED: 30, STARTED: 45 });
+        assert.deepEqual(stuck.body.orders.map(order => [order.orderId, order.storeId, order.status]), [[71015, '31', 'PLACED']]);
+
+        const strict = await get('/api/admin/ops/stuck?placedMinutes=1&startedMinutes=1&storeId=25');
+        assert.deepEqual(strict.body.orders.map(order => [order.orderId, order.status, order.customerName]), [
+            [64542, 'PLACED', 'Carlos Rivera'],
+            [64540, 'STARTED', 'Lakshmi Iyer']
+        ]);
+    });
+
+    await t.test('show every route with its progress and driver', async () => {
+        const routes = await get('/api/admin/ops/routes');
+        assert.deepEqual(routes.body.routes.map(route => [route.routeId.split('-').slice(0, 2).join('-'), route.storeId, route.completedStops, route.totalStops]), [
+            ['arjun-downtown', '31', 0, 1],
+            ['giga-north', '25', 0, 2],
+            ['kranthi-west', '25', 2, 4]
+        ]);
+
+        const kranthi = routes.body.routes.find(route => route.routeId.startsWith('kranthi-west'));
+        assert.equal(kranthi.progressPercent, 50);
+        assert.equal(kranthi.currentStop.orderId, 64531);
+        assert.equal(kranthi.lastPing.driverName, 'kranthi');
+
+        const route = await get(`/api/admin/ops/routes/${kranthi.routeId}`);
+        assert.deepEqual(route.body.route.stops.map(stop => [stop.seq, stop.orderId, stop.status]), [
+            [1, 64521, 'DELIVERED'],
+            [2, 64522, 'DELIVERED'],
+            [3, 64531, 'OUT_FOR_DELIVERY'],
+            [4, 64533, 'OUT_FOR_DELIVERY']
+        ]);
+        assert.equal((await get('/api/admin/ops/routes/nobody-nowhere-01.01.20')).status, 404);
+    });
+});
+
+test('orders without a store are shown under the configured store, with cancellations', async (t) => {
+    const server = await startServer({ env: { ADMIN_API_KEY: 'admin-key', ...writeStorelessFixtures(t) } });
+    t.after(() => server.stop());
+    const { request } = server;
+    const get = (url) => request('GET', url, { headers: { 'X-API-Key': 'admin-key' } });
+
+    const routes = await get('/api/admin/ops/routes');
+    assert.deepEqual(routes.body.routes.map(route => route.storeId), ['25', '25', '25']);
+    const arjun = routes.body.routes.find(route => route.routeId.startsWith('arjun-downtown'));
+    assert.equal((await get(`/api/admin/ops/routes/${arjun.routeId}`)).body.route.storeId, '25');
+    assert.deepEqual((await get('/api/admin/ops/stuck')).body.orders.map(order => [order.orderId, order.storeId]), [[71015, '25']]);
+
+    const session = await server.startSession('device-ops-cancel');
+    await request('POST', '/api/v1/orders/64542/verify', { session, body: { identifier: 'Carlos' } });
+    await request('POST', '/api/v1/orders/64542/otp', { session, body: { channel: 'sms' } });
+    const outbox = readJsonLines(path.join(server.dataDir, 'outbox.jsonl'));
+    await request('POST', '/api/v1/orders/64542/otp/verify', { session, body: { code: outbox[outbox.length - 1].text.match(/ is (\d+)\./)[1] } });
+    assert.equal((await request('POST', '/api/v1/orders/64542/cancel', { session, body: { reason: 'other' } })).body.cancellation.status, 'CANCELLED');
+
+    const summary = await get('/api/admin/ops/summary');
+    assert.equal(summary.body.total, 11);
+    assert.deepEqual([summary.body.byStatus.PLACED, summary.body.byStatus.CANCELLED], [1, 2]);
+});
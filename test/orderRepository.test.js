@@ -0,0 +1,122 @@
+// Order repository (lib/orderRepository.js) - indexed snapshots, single-flight and stale-while-revalidate refreshes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createOrderRepository } = require('../lib/orderRepository');
+
+const ORDERS = [
+    { customerOrderId: 64521, deliveryAssociate: '"Kranthi-West-10.18.26"', phone: '(732) 555-0101', orderStatus: 'DELIVERED' },
+    { customerOrderId: 64531, deliveryAssociate: 'kranthi-west-10.18.26', phone: '732-555-0102', orderStatus: 'OUT_FOR_DELIVERY' },
+    { customerOrderId: 64542, deliveryAssociate: '', phone: '+1 732 555 0101', orderStatus: 'PLACED' }
+];
+
+// Repository over `lists` (one list per load, the last one repeated), counting its loads
+function setup(options = {}, lists = [ORDERS]) {
+    const loads = [];
+    const repository = createOrderRepository({
+        name: 'test',
+        load: async (key) => {
+            loads.push(key);
+            const list = lists[Math.min(loads.length, lists.length) - 1];
+            if (list instanceof Error) throw list;
+            return list;
+        },
+        ...options
+    });
+    return { repository, loads };
+}
+
+// Keep the repository's console output out of the test report
+function quiet(t) {
+    const original = { log: console.log, error: console.error };
+    console.log = console.error = () => {};
+    t.after(() => Object.assign(console, original));
+}
+
+const ids = orders => orders.map(order => order.customerOrderId);
+
+test('indexes orders by ID, route, phone and status', async () => {
+    const { repository, loads } = setup();
+    assert.equal((await repository.findById('25', '64531')).orderStatus, 'OUT_FOR_DELIVERY');
+    assert.deepEqual(ids(await repository.findByRoute('25', 'KRANTHI-WEST-10.18.26')), [64521, 64531]);
+    assert.deepEqual(ids(await repository.findByPhone('25', '7325550101')), [64521, 64542]);
+    assert.deepEqual(ids(await repository.findByStatus('25', 'PLACED')), [64542]);
+    assert.deepEqual(await repository.findByRoute('25', 'giga-north-10.18.26'), []);
+    assert.equal((await repository.getAll('25')).length, 3);
+    assert.deepEqual(loads, ['25']);
+    assert.equal(repository.stats().hits, 5);
+});
+
+test('concurrent lookups share one load', async () => {
+    const { repository, loads } = setup();
+    await Promise.all([repository.getAll('25'), repository.getAll('25'), repository.findById('25', 64521)]);
+    assert.equal(loads.length, 1);
+    assert.equal(repository.stats().coalesced, 2);
+});
+
+test('serves stale snapshots while one refresh runs in the background', async () => {
+    const next = [...ORDERS, { customerOrderId: 64550, orderStatus: 'PLACED' }];
+    const { repository, loads } = setup({ ttlMs: 0, maxStaleMs: 60000 }, [ORDERS, next]);
+    await repository.getAll('25');
+
+    assert.equal((await repository.getAll('25')).length, 3);
+    assert.equal(repository.stats().staleHits, 1);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(loads.length, 2);
+    assert.equal((await repository.getAll('25')).length, 4);
+});
+
+test('waits for a refresh before reporting an order missing from a stale snapshot', async () => {
+    const next = [...ORDERS, { customerOrderId: 64550, orderStatus: 'PLACED' }];
+    const { repository, loads } = setup({ ttlMs: 0, maxStaleMs: 60000 }, [ORDERS, next]);
+    await repository.getAll('25');
+
+    assert.equal((await repository.findById('25', 64550)).orderStatus, 'PLACED');
+    assert.equal(await repository.findById('25', 99999), null);
+    assert.ok(loads.length > 2);
+});
+
+test('keeps the last snapshot when a refresh fails', async (t) => {
+    quiet(t);
+    const { repository } = setup({ ttlMs: 0, maxStaleMs: 0 }, [ORDERS, Object.assign(new Error('timeout'), { code: 'UPSTREAM_TIMEOUT' }), ORDERS]);
+    await repository.getAll('25');
+
+    assert.equal((await repository.getAll('25')).length, 3);
+    assert.equal(repository.isAvailable('25'), false);
+    assert.deepEqual(Object.keys(repository.stats().failing), ['25']);
+    assert.equal(repository.stats().failing['25'].code, 'UPSTREAM_TIMEOUT');
+
+    await repository.getAll('25');
+    assert.equal(repository.isAvailable('25'), true);
+    assert.equal(repository.stats().errors, 1);
+});
+
+test('prepares every loaded list and reindexes changed orders', async () => {
+    const prepared = [];
+    const { repository } = setup({
+        prepare: (orders, key) => {
+            prepared.push(key);
+            return orders.map(order => (order.customerOrderId === 64542 && order.orderStatus === 'PLACED'
+                ? { ...order, orderStatus: 'CANCELLED' }
+                : order));
+        }
+    }, [ORDERS.map(order => ({ ...order }))]);
+
+    assert.deepEqual(ids(await repository.findByStatus('25', 'CANCELLED')), [64542]);
+    (await repository.getAll('25'))[1].orderStatus = 'DELIVERED';
+    repository.reindex();
+    assert.deepEqual(ids(await repository.findByStatus('25', 'DELIVERED')), [64521, 64531]);
+    assert.deepEqual(prepared, ['25', '25']);
+});
+
+test('invalidates one key or every key', async () => {
+    const { repository, loads } = setup();
+    await repository.getAll('25');
+    await repository.getAll('31');
+    repository.invalidate('25');
+    assert.equal(repository.stats().keys, 1);
+    repository.invalidate();
+    assert.equal(repository.stats().keys, 0);
+    await repository.getAll('31');
+    assert.deepEqual(loads, ['25', '31', '31']);
+});
@@ -0,0 +1,98 @@
+// Route ID parsing (lib/routes.js) and the staff route API
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRouteId, sameRoute, formatServiceDate } = require('../lib/routes');
+const { startServer, writeStorelessFixtures } = require('./helpers/server');
+
+test('splits a dated route ID into driver, zone and service date', () => {
+    assert.deepEqual(parseRouteId('kranthi-west-10.18.26'), {
+        id: 'kranthi-west-10.18.26',
+        name: 'kranthi-west',
+        driver: 'Kranthi',
+        driverKey: 'kranthi',
+        zone: 'West',
+        serviceDate: '2026-10-18'
+    });
+});
+
+test('reads single-digit and four-digit dates', () => {
+    assert.equal(parseRouteId('Jag-edison-1.2.2026').serviceDate, '2026-01-02');
+    assert.equal(parseRouteId('Jag-edison-1.22.26').driverKey, 'jag');
+});
+
+test('keeps the rest of a multi-word route as the zone', () => {
+    const route = parseRouteId('mary_ann-south-plainfield-1.22.26');
+    assert.equal(route.driver, 'Mary Ann');
+    assert.equal(route.driverKey, 'mary_ann');
+    assert.equal(route.zone, 'South Plainfield');
+});
+
+test('prefers the longest known driver ID', () => {
+    const route = parseRouteId('mary-ann-south-plainfield-1.22.26', { driverIds: ['mary', 'Mary-Ann'] });
+    assert.equal(route.driverKey, 'mary-ann');
+    assert.equal(route.driver, 'Mary Ann');
+    assert.equal(route.zone, 'South Plainfield');
+});
+
+test('a known driver ID only matches whole segments', () => {
+    assert.equal(parseRouteId('maryann-west-1.22.26', { driverIds: ['mary'] }).driverKey, 'maryann');
+});
+
+test('route IDs without a date have no service date', () => {
+    const route = parseRouteId('kranthi-west');
+    assert.equal(route.name, 'kranthi-west');
+    assert.equal(route.zone, 'West');
+    assert.equal(route.serviceDate, null);
+});
+
+test('an impossible date stays part of the route name', () => {
+    const route = parseRouteId('kranthi-west-2.30.26');
+    assert.equal(route.serviceDate, null);
+    assert.equal(route.name, 'kranthi-west-2.30.26');
+});
+
+test('a driver on their own has no zone', () => {
+    const route = parseRouteId('"Kranthi"');
+    assert.equal(route.id, 'Kranthi');
+    assert.equal(route.driverKey, 'kranthi');
+    assert.equal(route.zone, null);
+});
+
+test('empty values are not routes', () => {
+    assert.equal(parseRouteId(''), null);
+    assert.equal(parseRouteId('  '), null);
+    assert.equal(parseRouteId(null), null);
+    assert.equal(sameRoute('', ''), false);
+    assert.equal(sameRoute('"Kranthi-West-10.18.26"', 'kranthi-west-10.18.26'), true);
+});
+
+test('staff see each route under its store', async (t) => {
+    const server = await startServer({ env: { ADMIN_API_KEY: 'admin-key' } });
+    t.after(() => server.stop());
+    const get = (url) => server.request('GET', url, { headers: { 'X-API-Key': 'admin-key' } });
+
+    const today = await get('/api/v1/routes');
+    assert.deepEqual(today.body.routes.map(route => [route.driverId, route.storeId, route.totalStops]), [
+        ['arjun', '31', 1],
+        ['giga', '25', 2],
+        ['kranthi', '25', 4]
+    ]);
+    assert.equal((await get(`/api/v1/routes/${today.body.routes[0].routeId}`)).body.route.storeId, '31');
+    assert.equal((await get('/api/v1/routes?storeId=31')).body.count, 1);
+});
+
+test('routes of orders without a store belong to the configured store', async (t) => {
+    const server = await startServer({ env: { ADMIN_API_KEY: 'admin-key', ...writeStorelessFixtures(t) } });
+    t.after(() => server.stop());
+    const get = (url) => server.request('GET', url, { headers: { 'X-API-Key': 'admin-key' } });
+
+    const today = await get('/api/v1/routes');
+    assert.deepEqual(today.body.routes.map(route => route.storeId), ['25', '25', '25']);
+    const kranthi = today.body.routes.find(route => route.driverId === 'kranthi');
+    assert.equal((await get(`/api/v1/routes/${kranthi.routeId}`)).body.route.storeId, '25');
+
+    const earlier = await get(`/api/v1/routes?date=${formatServiceDate(new Date(Date.now() - 3 * 24 * 60 * 60 * 1000))}`);
+    assert.deepEqual(earlier.body.routes.map(route => [route.driverId, route.storeId, route.totalStops]), [['kranthi', '25', 1]]);
+    assert.equal((await get(`/api/v1/routes/${earlier.body.routes[0].routeId}`)).body.route.storeId, '25');
+});
@@ -0,0 +1,72 @@
+// Session stores (lib/sessionStore) - expiry, sweeping and file persistence
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore, createMemoryStore } = require('../lib/sessionStore');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iperkz-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('expired entries are gone but their raw entry can still be read until swept', () => {
+    const store = createMemoryStore();
+    store.set('a', { n: 1 }, 60000);
+    store.entries().set('old', { value: { n: 2 }, expiresAt: Date.now() - 1 });
+
+    assert.deepEqual(store.get('a'), { n: 1 });
+    assert.equal(store.getEntry('old').value.n, 2);
+    assert.equal(store.has('old'), false);
+    assert.equal(store.getEntry('old'), null);
+});
+
+test('re-saving without a TTL keeps the expiry', () => {
+    const store = createMemoryStore();
+    store.set('a', { n: 1 }, 60000);
+    const { expiresAt } = store.getEntry('a');
+    store.set('a', { n: 2 });
+    assert.equal(store.getEntry('a').expiresAt, expiresAt);
+    store.set('forever', 1);
+    assert.equal(store.getEntry('forever').expiresAt, null);
+});
+
+test('sweep removes expired entries', () => {
+    const store = createMemoryStore();
+    store.set('a', 1, 1000);
+    store.set('b', 2, 5000);
+    store.set('c', 3);
+    assert.equal(store.sweep(Date.now() + 2000), 1);
+    assert.equal(store.size(), 2);
+    assert.equal(store.sweep(Date.now() + 10000), 1);
+    assert.deepEqual([...store.entries().keys()], ['c']);
+});
+
+test('file stores survive a restart, sets included, and drop what expired meanwhile', (t) => {
+    const dir = tempDir(t);
+    const first = createSessionStore('sessions', 'file', { dataDir: dir });
+    first.set('s1', { verifiedOrders: new Set(['64531']) }, 60000);
+    first.set('s2', { verifiedOrders: new Set() }, 60000);
+    first.entries().get('s2').expiresAt = Date.now() - 1;
+    first.flush();
+    assert.ok(fs.existsSync(path.join(dir, 'sessions.json')));
+
+    const second = createSessionStore('sessions', 'file', { dataDir: dir });
+    assert.ok(second.get('s1').verifiedOrders instanceof Set);
+    assert.ok(second.get('s1').verifiedOrders.has('64531'));
+    assert.equal(second.size(), 1);
+});
+
+test('a damaged file starts an empty store', (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'sessions.json'), '{not json');
+    const store = createSessionStore('sessions', 'file', { dataDir: dir });
+    assert.equal(store.size(), 0);
+});
+
+test('rejects unknown store types', () => {
+    assert.throws(() => createSessionStore('sessions', 'redis'), /Unknown session store "redis"/);
+});
@@ -0,0 +1,92 @@
+// Signed, device-bound session tokens (lib/sessions.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionManager } = require('../lib/sessions');
+const { createMemoryStore } = require('../lib/sessionStore');
+const { startServer } = require('./helpers/server');
+
+function createManager(options = {}) {
+    const store = createMemoryStore();
+    return { store, sessions: createSessionManager({ secret: 'test-secret', store, expiryMs: 60000, ...options }) };
+}
+
+test('a token authenticates its session on the device it was issued to', () => {
+    const { sessions } = createManager();
+    const { token, session } = sessions.issue({ storeId: '31', deviceId: 'device-1', platform: 'ios' });
+
+    const result = sessions.authenticate(token, 'device-1');
+    assert.equal(result.session.id, session.id);
+    assert.equal(result.session.storeId, '31');
+    assert.equal(result.session.platform, 'ios');
+    assert.equal(token.includes('device-1'), false);
+});
+
+test('rejects missing, tampered and foreign tokens', () => {
+    const { sessions } = createManager();
+    const { token } = sessions.issue({ storeId: '25', deviceId: 'device-1' });
+    const [encoded, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, store: '31' })).toString('base64url');
+    const other = createManager({ secret: 'other-secret' }).sessions.issue({ storeId: '25', deviceId: 'device-1' }).token;
+
+    assert.equal(sessions.authenticate(null, 'device-1').code, 'UNAUTHORIZED');
+    assert.equal(sessions.authenticate(`${forged}.${signature}`, 'device-1').code, 'INVALID_SESSION');
+    assert.equal(sessions.authenticate(`${token}.extra`, 'device-1').code, 'INVALID_SESSION');
+    assert.equal(sessions.authenticate(encoded, 'device-1').code, 'INVALID_SESSION');
+    assert.equal(sessions.authenticate(other, 'device-1').code, 'INVALID_SESSION');
+});
+
+test('rejects a token used from another device', () => {
+    const { sessions } = createManager();
+    const { token } = sessions.issue({ storeId: '25', deviceId: 'device-1' });
+    assert.equal(sessions.authenticate(token, 'device-2').code, 'DEVICE_MISMATCH');
+    assert.equal(sessions.authenticate(token, null).code, 'DEVICE_MISMATCH');
+});
+
+test('expired tokens are rejected and their session removed', () => {
+    const { sessions, store } = createManager({ expiryMs: -1 });
+    const { token, session } = sessions.issue({ storeId: '25', deviceId: 'device-1' });
+    assert.equal(sessions.authenticate(token, 'device-1').code, 'SESSION_EXPIRED');
+    assert.equal(store.getEntry(session.id), null);
+});
+
+test('a genuine token whose session was lost starts again without verified orders', () => {
+    const { sessions, store } = createManager();
+    const { token, session } = sessions.issue({ storeId: '25', deviceId: 'device-1' });
+    sessions.markVerified(session, 64531, 'full');
+    store.delete(session.id);
+
+    const restored = sessions.authenticate(token, 'device-1').session;
+    assert.equal(restored.id, session.id);
+    assert.equal(restored.storeId, '25');
+    assert.equal(sessions.isVerified(restored, '64531'), false);
+});
+
+test('access levels per verified order', () => {
+    const { sessions } = createManager();
+    const { session } = sessions.issue({ storeId: '25', deviceId: 'device-1' });
+    assert.equal(sessions.getAccessLevel(session, '64531'), null);
+    sessions.markVerified(session, 64531);
+    assert.equal(sessions.getAccessLevel(session, '64531'), 'status');
+    sessions.markVerified(session, '64531', 'full');
+    assert.equal(sessions.hasFullAccess(session, 64531), true);
+});
+
+test('the server refuses to start in production without API_SECRET', async () => {
+    await assert.rejects(startServer({ env: { NODE_ENV: 'production', API_SECRET: '' } }), /API_SECRET must be set in production/);
+});
+
+test('API requests need a session token from the same device', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const session = await server.startSession('device-1');
+    assert.equal((await server.request('POST', '/api/v1/chat', { body: { message: 'hi' } })).status, 401);
+    const otherDevice = await server.request('POST', '/api/v1/chat', {
+        headers: { ...session.headers, 'X-Device-ID': 'device-2' },
+        body: { message: 'hi' }
+    });
+    assert.equal(otherDevice.body.code, 'DEVICE_MISMATCH');
+    assert.equal((await server.request('POST', '/api/v1/chat', { session, body: { message: 'hi' } })).status, 200);
+});
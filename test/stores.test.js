@@ -0,0 +1,59 @@
+// Multiple stores (lib/stores.js) - store resolution and store-scoped order lookups
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStoreRegistry } = require('../lib/stores');
+const { startServer } = require('./helpers/server');
+
+const registry = createStoreRegistry();
+
+test('resolves the store from X-Store-ID, then the subdomain, then the default store', () => {
+    const resolve = (headers, hostname) => registry.resolveFromRequest({ headers, hostname });
+    assert.equal(resolve({ 'x-store-id': ' 31 ' }, 'edison.iperkz.com').store.id, '31');
+    assert.equal(resolve({}, 'JC.iperkz.com').store.id, '31');
+    assert.equal(resolve({}, 'edison.iperkz.com').store.id, '25');
+    assert.equal(resolve({}, 'localhost').store.id, registry.defaultStoreId);
+    assert.deepEqual(resolve({ 'x-store-id': '99' }, 'jc.iperkz.com'), { error: 'Unknown store "99"' });
+});
+
+test('fills in store defaults', () => {
+    assert.equal(registry.getStore(31).supportEmail, 'jc-support@iperkz.com');
+    assert.equal(registry.getStore(null), null);
+    assert.deepEqual(registry.listStores().map(store => store.id), ['25', '31']);
+});
+
+test('the default store must be configured', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iperkz-stores-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'stores.json');
+    fs.writeFileSync(file, JSON.stringify({ stores: [{ id: 7 }] }));
+
+    assert.equal(createStoreRegistry({ file }).getStore('7').name, 'iPerkz - Groceries');
+    assert.throws(() => createStoreRegistry({ file, defaultStoreId: '8' }), /Default store "8" is not configured/);
+});
+
+test('sessions only see orders from their own store', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    assert.equal((await server.request('POST', '/api/v1/session', { headers: { 'X-Store-ID': '99' }, body: { deviceId: 'd' } })).body.code, 'UNKNOWN_STORE');
+
+    const jerseyCity = await server.startSession('device-jc', { storeId: '31' });
+    assert.equal(jerseyCity.storeId, '31');
+    const verified = await server.request('POST', '/api/v1/orders/71012/verify', { session: jerseyCity, body: { identifier: 'Rahul' } });
+    assert.equal(verified.body.success, true);
+    const wrongStore = await server.request('POST', '/api/v1/orders/64531/verify', { session: jerseyCity, body: { identifier: 'Sonia' } });
+    assert.equal(wrongStore.body.code, 'ORDER_NOT_FOUND');
+
+    // The session's store wins over a different X-Store-ID on later requests
+    const track = await server.request('GET', '/api/v1/orders/71012/track', { session: jerseyCity, headers: { 'X-Store-ID': '25' } });
+    assert.equal(track.body.order.orderId, 71012);
+    assert.equal(track.body.order.storeName, 'iPerkz - Jersey City');
+
+    const edison = await server.startSession('device-edison');
+    const notHere = await server.request('POST', '/api/v1/orders/71012/verify', { session: edison, body: { identifier: 'Rahul' } });
+    assert.equal(notHere.body.code, 'ORDER_NOT_FOUND');
+});
@@ -0,0 +1,87 @@
+// PII masking and the CSV export (lib/transcripts.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createTranscripts, maskPii } = require('../lib/transcripts');
+const { createMemoryStore } = require('../lib/sessionStore');
+const { startServer, readJsonLines } = require('./helpers/server');
+
+test('masks e-mail addresses, card numbers and phone numbers', () => {
+    assert.equal(maskPii('mail sonia.patel@example.com'), 'mail s***@example.com');
+    assert.equal(maskPii('card 4111 1111 1111 1234 please'), 'card ****1234 please');
+    assert.equal(maskPii('call (732) 555-0123'), 'call ***-***-0123');
+    assert.equal(maskPii('or +1 732.555.0123'), 'or ***-***-0123');
+});
+
+test('leaves order numbers alone', () => {
+    assert.equal(maskPii('where is 64531?'), 'where is 64531?');
+});
+
+test('masks known values as whole words, longest first', () => {
+    const known = [
+        { value: 'Sonia', mask: '[name]' },
+        { value: 'Sonia Patel', mask: '[full name]' },
+        { value: '221 Wood Ave', mask: '[address]' },
+        { value: 'x', mask: '[too short]' }
+    ];
+    assert.equal(
+        maskPii('sonia patel at 221 wood ave, Sonia again, Sonias and x', known),
+        '[full name] at [address], [name] again, Sonias and x'
+    );
+});
+
+test('exports transcripts as CSV with quoting and formula escaping', () => {
+    const transcripts = createTranscripts({ store: createMemoryStore() });
+    const session = { id: 's1', storeId: '25' };
+    const at = '2026-10-18T10:00:00.000Z';
+    transcripts.append(session, { from: 'customer', text: 'hi, "where" is\nmy order', at });
+    transcripts.append(session, { from: 'customer', text: '=HYPERLINK("http://evil")', at });
+    transcripts.append(session, { from: 'agent', text: '@SUM(A1)', agentName: '-Maria', at });
+
+    const lines = transcripts.toCsv([transcripts.find('s1')]).split('\r\n');
+    assert.deepEqual(lines, [
+        'sessionId,storeId,at,from,intent,orderId,agentName,text',
+        `s1,25,${at},customer,,,,"hi, ""where"" is\nmy order"`,
+        `s1,25,${at},customer,,,,"'=HYPERLINK(""http://evil"")"`,
+        `s1,25,${at},agent,,,'-Maria,'@SUM(A1)`,
+        ''
+    ]);
+});
+
+test('stored chats hold no customer details, codes or other stops on the route', async (t) => {
+    const server = await startServer({ env: { ADMIN_API_KEY: 'admin-key' } });
+    t.after(() => server.stop());
+    const { request } = server;
+    const admin = { 'X-API-Key': 'admin-key' };
+
+    const session = await server.startSession('device-transcript');
+    const chat = (message) => request('POST', '/api/v1/chat', { session, body: { message } });
+    await chat('64533 David');
+    await chat('send code');
+    const outbox = readJsonLines(path.join(server.dataDir, 'outbox.jsonl'));
+    const code = outbox[outbox.length - 1].text.match(/ is (\d+)\./)[1];
+    await chat(code);
+    await chat('my number is (848) 555-0190');
+
+    const found = await request('GET', '/api/admin/transcripts?orderId=64533', { headers: admin });
+    assert.equal(found.body.count, 1);
+    const { transcript } = (await request('GET', `/api/admin/transcripts/${found.body.transcripts[0].sessionId}`, { headers: admin })).body;
+    assert.deepEqual(transcript.entries.filter(entry => entry.from === 'customer').map(entry => entry.text), [
+        '64533 D***',
+        'send code',
+        '******',
+        'my number is ***-***-0190'
+    ]);
+
+    const stored = JSON.stringify(transcript);
+    for (const detail of ['David', 'Kim', 'david.kim@example.com', '(848) 555-0190', code, '221 Wood Ave', 'Wood%20Ave']) {
+        assert.equal(stored.includes(detail), false, detail);
+    }
+    assert.equal(server.output().includes('David'), false);
+    assert.equal(server.output().includes(code), false);
+
+    const csv = await request('GET', '/api/admin/transcripts/export?format=csv&orderId=64533', { headers: admin });
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.equal(csv.body.split('\r\n')[0], 'sessionId,storeId,at,from,intent,orderId,agentName,text');
+});
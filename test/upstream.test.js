@@ -0,0 +1,91 @@
+// Timeouts, retries and the circuit breaker (lib/upstream.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUpstream } = require('../lib/upstream');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const fail = () => Promise.reject(Object.assign(new Error('backend down'), { status: 503 }));
+const succeed = () => Promise.resolve('ok');
+
+test('opens after failureThreshold failed calls in a row and rejects calls while open', async () => {
+    const upstream = createUpstream('test', { retries: 0, failureThreshold: 2, resetMs: 60000 });
+
+    await assert.rejects(upstream.call(fail), { status: 503 });
+    assert.equal(upstream.describe().state, 'closed');
+    await assert.rejects(upstream.call(fail), { status: 503 });
+    assert.equal(upstream.describe().state, 'open');
+
+    let called = false;
+    await assert.rejects(upstream.call(() => { called = true; return succeed(); }), { code: 'CIRCUIT_OPEN' });
+    assert.equal(called, false);
+    assert.equal(upstream.describe().rejected, 1);
+    assert.equal(upstream.isHealthy(), false);
+});
+
+test('a success resets the failure count', async () => {
+    const upstream = createUpstream('test', { retries: 0, failureThreshold: 2 });
+
+    await assert.rejects(upstream.call(fail));
+    await upstream.call(succeed);
+    await assert.rejects(upstream.call(fail));
+    assert.equal(upstream.describe().state, 'closed');
+    assert.equal(upstream.describe().consecutiveFailures, 1);
+});
+
+test('lets one trial call through after resetMs and closes when it succeeds', async () => {
+    const upstream = createUpstream('test', { retries: 0, failureThreshold: 1, resetMs: 20 });
+    await assert.rejects(upstream.call(fail));
+    await sleep(30);
+    assert.equal(upstream.describe().state, 'half_open');
+
+    let release;
+    const trial = upstream.call(() => new Promise(resolve => { release = resolve; }));
+    await assert.rejects(upstream.call(succeed), { code: 'CIRCUIT_OPEN' });
+    release('ok');
+    assert.equal(await trial, 'ok');
+
+    const status = upstream.describe();
+    assert.equal(status.state, 'closed');
+    assert.equal(status.healthy, true);
+    assert.equal(status.consecutiveFailures, 0);
+});
+
+test('a failed trial call opens the circuit again', async () => {
+    const upstream = createUpstream('test', { retries: 3, retryDelayMs: 1, failureThreshold: 1, resetMs: 20 });
+    await assert.rejects(upstream.call(fail));
+    await sleep(30);
+
+    let attempts = 0;
+    await assert.rejects(upstream.call(() => { attempts++; return fail(); }));
+    assert.equal(attempts, 1);
+    assert.equal(upstream.describe().state, 'open');
+});
+
+test('times out slow calls, aborts them and retries', async () => {
+    const upstream = createUpstream('test', { timeoutMs: 10, retries: 1, retryDelayMs: 1, failureThreshold: 5 });
+    const signals = [];
+
+    await assert.rejects(upstream.call(({ signal }) => {
+        signals.push(signal);
+        return new Promise(() => {});
+    }), { code: 'UPSTREAM_TIMEOUT' });
+
+    assert.equal(signals.length, 2);
+    assert.ok(signals.every(signal => signal.aborted));
+    const status = upstream.describe();
+    assert.equal(status.retries, 1);
+    assert.equal(status.timeouts, 1);
+    assert.equal(status.failures, 1);
+});
+
+test('does not retry errors that are not worth another try', async () => {
+    const upstream = createUpstream('test', { retries: 2, retryDelayMs: 1 });
+    let attempts = 0;
+
+    await assert.rejects(upstream.call(() => {
+        attempts++;
+        return Promise.reject(Object.assign(new Error('not found'), { status: 404 }));
+    }), { status: 404 });
+    assert.equal(attempts, 1);
+});
@@ -0,0 +1,155 @@
+// Order verification against the fixture backend: access tiers and lockout
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer, readJsonLines, writeFixtures } = require('./helpers/server');
+
+test('access tiers', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { request, startSession } = server;
+
+    // The code in the last message written to the outbox
+    function lastCode() {
+        const outbox = readJsonLines(path.join(server.dataDir, 'outbox.jsonl'));
+        return outbox[outbox.length - 1].text.match(/ is (\d+)\./)[1];
+    }
+
+    await t.test('a name match in chat gives status access only', async () => {
+        const session = await startSession('device-status');
+        const before = await request('GET', '/api/v1/orders/64531/track', { session });
+        assert.equal(before.body.code, 'VERIFICATION_REQUIRED');
+
+        const chat = await request('POST', '/api/v1/chat', { session, body: { message: '64531 Sonia' } });
+        assert.match(chat.body.response, /Order #64531/);
+
+        const track = await request('GET', '/api/v1/orders/64531/track', { session });
+        assert.equal(track.body.order.accessLevel, 'status');
+        assert.equal(track.body.order.customerName, 'Sonia');
+        assert.equal(track.body.order.address, '***, Iselin, NJ 08830');
+        assert.equal(track.body.order.items, null);
+        assert.equal(track.body.links.directions, null);
+    });
+
+    await t.test('status access shows nothing about other stops on the route', async () => {
+        const session = await startSession('device-route');
+        const chat = await request('POST', '/api/v1/chat', { session, body: { message: '64533 Kim' } });
+        const track = await request('GET', '/api/v1/orders/64533/track', { session });
+
+        for (const text of [chat.body.response, JSON.stringify(chat.body.blocks), JSON.stringify(track.body)]) {
+            assert.equal(text.includes('221 Wood Ave'), false);
+            assert.equal(text.includes('Patel'), false);
+            assert.equal(text.includes('Sonia'), false);
+            assert.equal(text.includes('Kim'), false);
+        }
+        assert.deepEqual(track.body.routeProgress, { totalStops: 4, completedStops: 2, progressPercent: 50, currentStopSeq: 3 });
+    });
+
+    await t.test('a one-time code upgrades to full access', async () => {
+        const session = await startSession('device-full');
+        const verify = await request('POST', '/api/v1/orders/64531/verify', { session, body: { identifier: 'Sonia' } });
+        assert.equal(verify.body.accessLevel, 'status');
+        assert.equal(verify.body.canRequestCode, true);
+
+        const sent = await request('POST', '/api/v1/orders/64531/otp', { session, body: { channel: 'sms' } });
+        assert.equal(sent.body.destination, '***-***-0123');
+
+        const accepted = await request('POST', '/api/v1/orders/64531/otp/verify', { session, body: { code: lastCode() } });
+        assert.equal(accepted.body.accessLevel, 'full');
+
+        const track = await request('GET', '/api/v1/orders/64531/track', { session });
+        assert.equal(track.body.order.accessLevel, 'full');
+        assert.equal(track.body.order.address, '221 Wood Ave, Iselin, NJ 08830');
+        assert.equal(track.body.order.customerName, 'Sonia Patel');
+        assert.ok(track.body.order.items.length > 0);
+    });
+
+    await t.test('a code can only be requested for an order the session has matched', async () => {
+        const session = await startSession('device-unmatched');
+        const sent = await request('POST', '/api/v1/orders/64531/otp', { session, body: { channel: 'email' } });
+        assert.equal(sent.body.code, 'VERIFICATION_REQUIRED');
+    });
+
+    await t.test('a code typed in chat unlocks full access', async () => {
+        const session = await startSession('device-chat-code');
+        await request('POST', '/api/v1/chat', { session, body: { message: '64533 David' } });
+        const prompt = await request('POST', '/api/v1/chat', { session, body: { message: 'send code' } });
+        assert.match(prompt.body.response, /\*\*\*-\*\*\*-0190/);
+
+        await request('POST', '/api/v1/chat', { session, body: { message: lastCode() } });
+        const track = await request('GET', '/api/v1/orders/64533/track', { session });
+        assert.equal(track.body.order.accessLevel, 'full');
+    });
+});
+
+test('an order ID the length of a code is a code only right after the bot asked for one', async (t) => {
+    // 64542 becomes 645420, an order ID as long as a one-time code
+    const fixtures = writeFixtures(t, {
+        mapOrder: order => (order.customerOrderId === 64542 ? { ...order, customerOrderId: 645420 } : order)
+    });
+    const server = await startServer({ env: fixtures });
+    t.after(() => server.stop());
+    const session = await server.startSession('device-code-or-order');
+    const chat = async (message) => (await server.request('POST', '/api/v1/chat', { session, body: { message } })).body.response;
+
+    await chat('64531 Sonia');
+    await chat('send code');
+    const outbox = readJsonLines(path.join(server.dataDir, 'outbox.jsonl'));
+    const code = outbox[outbox.length - 1].text.match(/ is (\d+)\./)[1];
+
+    assert.match(await chat('645420'), /Incorrect code/);
+    await chat('delivery hours');
+    const lookup = await chat('645420');
+    assert.match(lookup, /645420/);
+    assert.doesNotMatch(lookup, /Incorrect code/);
+    assert.match(await chat('999999'), /Incorrect code/);
+
+    assert.match(await chat(code), /Code Accepted/);
+});
+
+test('lockout and audit log', async (t) => {
+    const server = await startServer({ env: { ADMIN_API_KEY: 'admin-key' } });
+    t.after(() => server.stop());
+    const { request, startSession } = server;
+
+    await t.test('locks verification after five failed attempts, even for the right answer', async () => {
+        const session = await startSession('device-lockout');
+        for (let i = 0; i < 5; i++) {
+            const res = await request('POST', '/api/v1/orders/64521/verify', { session, body: { identifier: 'Nobody' } });
+            assert.equal(res.body.code, 'VERIFICATION_FAILED');
+        }
+
+        const locked = await request('POST', '/api/v1/orders/64521/verify', { session, body: { identifier: 'Priya' } });
+        assert.equal(locked.status, 429);
+        assert.equal(locked.body.code, 'VERIFICATION_LOCKED');
+        assert.equal(locked.headers.get('retry-after'), '60');
+
+        // The order is locked for every session, not just this one
+        const other = await startSession('device-lockout-2');
+        const chat = await request('POST', '/api/v1/chat', { session: other, body: { message: '64521 Priya' } });
+        assert.match(chat.body.response, /Too many/i);
+    });
+
+    await t.test('every attempt is in the audit log', async () => {
+        const audit = await request('GET', '/api/admin/verification-audit?orderId=64521', { headers: { 'X-API-Key': 'admin-key' } });
+        const results = audit.body.entries.map(entry => entry.result).reverse();
+        assert.deepEqual(results, ['failure', 'failure', 'failure', 'failure', 'failure', 'locked', 'locked']);
+        assert.equal(audit.body.entries[0].channel, 'chat');
+        assert.equal(audit.body.entries[1].method, 'identity');
+
+        const denied = await request('GET', '/api/admin/verification-audit', { headers: { 'X-API-Key': 'wrong' } });
+        assert.equal(denied.status, 401);
+    });
+
+    await t.test("a reply without a name, phone or email isn't a failed attempt", async () => {
+        const session = await startSession('device-filler');
+        await request('POST', '/api/v1/chat', { session, body: { message: 'where is 64540' } });
+        await request('POST', '/api/v1/chat', { session, body: { message: 'ok can you check please' } });
+        await request('POST', '/api/v1/chat', { session, body: { message: '64540 status please' } });
+        await request('POST', '/api/v1/chat', { session, body: { message: 'Bob' } });
+
+        const audit = await request('GET', '/api/admin/verification-audit?orderId=64540', { headers: { 'X-API-Key': 'admin-key' } });
+        assert.deepEqual(audit.body.entries.map(entry => entry.result), ['failure']);
+    });
+});
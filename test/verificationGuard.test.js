@@ -0,0 +1,69 @@
+// Verification lockout (lib/verificationGuard.js) and the audit log it writes to (lib/auditLog.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createVerificationGuard } = require('../lib/verificationGuard');
+const { createAuditLog } = require('../lib/auditLog');
+const { createMemoryStore } = require('../lib/sessionStore');
+
+const keys = ['order:25:64531', 'session:s1', 'device:d1'];
+
+test('locks out after the free attempts and doubles the lockout', () => {
+    const guard = createVerificationGuard({ store: createMemoryStore(), freeAttempts: 3, baseLockoutMs: 1000 });
+    const now = Date.now();
+    assert.equal(guard.recordFailure(keys, now).locked, false);
+    assert.equal(guard.recordFailure(keys, now).locked, false);
+    assert.deepEqual(guard.recordFailure(keys, now), { locked: true, retryAfterMs: 1000, key: keys[0] });
+    assert.equal(guard.check(keys, now + 999).locked, true);
+    assert.equal(guard.check(keys, now + 1000).locked, false);
+    assert.equal(guard.recordFailure(keys, now + 1000).retryAfterMs, 2000);
+});
+
+test('the lockout is capped', () => {
+    const guard = createVerificationGuard({ store: createMemoryStore(), freeAttempts: 1, baseLockoutMs: 1000, maxLockoutMs: 3000 });
+    const now = Date.now();
+    [1, 2, 3].forEach(() => guard.recordFailure(keys, now));
+    assert.equal(guard.check(keys, now).retryAfterMs, 3000);
+});
+
+test('any locked key locks the attempt', () => {
+    const guard = createVerificationGuard({ store: createMemoryStore(), freeAttempts: 1 });
+    guard.recordFailure(['device:d1']);
+    assert.equal(guard.check(['order:25:64521', 'session:s2', 'device:d1']).key, 'device:d1');
+    assert.equal(guard.check(['order:25:64521', 'session:s2', null]).locked, false);
+});
+
+test('a success clears the counters', () => {
+    const guard = createVerificationGuard({ store: createMemoryStore(), freeAttempts: 2 });
+    guard.recordFailure(keys);
+    guard.recordSuccess(keys);
+    assert.equal(guard.recordFailure(keys).locked, false);
+});
+
+test('counters are forgotten after resetAfterMs', () => {
+    const store = createMemoryStore();
+    const guard = createVerificationGuard({ store, freeAttempts: 2, resetAfterMs: 1000 });
+    guard.recordFailure(keys);
+    store.sweep(Date.now() + 1000);
+    assert.equal(guard.recordFailure(keys).locked, false);
+});
+
+test('the audit log is queried newest first by field and time', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iperkz-audit-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'audit.jsonl');
+    const audit = createAuditLog({ file });
+
+    audit.append({ orderId: '1', result: 'failure' });
+    audit.append({ orderId: '2', result: 'failure' });
+    fs.appendFileSync(file, '{"torn\n');
+    const last = audit.append({ orderId: 1, result: 'success' });
+
+    assert.deepEqual(audit.query({ orderId: '1' }).map(entry => entry.result), ['success', 'failure']);
+    assert.equal(audit.query({ result: 'failure', limit: 1 })[0].orderId, '2');
+    assert.equal(audit.query({ from: new Date(Date.now() + 60000).toISOString() }).length, 0);
+    assert.deepEqual(audit.query({ orderId: '' })[0], last);
+});
@@ -0,0 +1,165 @@
+// Outbound webhooks (lib/webhooks.js) and the order status transitions that feed them (lib/orderEvents.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createWebhooks } = require('../lib/webhooks');
+const { createOrderStatusWatcher, diffOrderStatuses, ORDER_EVENT_TYPES } = require('../lib/orderEvents');
+const { createAuditLog } = require('../lib/auditLog');
+const { createMemoryStore } = require('../lib/sessionStore');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A local endpoint that answers with the next status in `statuses` (the last one repeats)
+async function createReceiver(t, statuses = [200]) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+function setup(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iperkz-webhooks-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const log = createAuditLog({ file: path.join(dir, 'deliveries.jsonl') });
+    return createWebhooks({ store: createMemoryStore(), log, eventTypes: ORDER_EVENT_TYPES, baseDelayMs: 10, ...options });
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting');
+        await sleep(5);
+    }
+}
+
+test('validates new webhooks and never lists their secret', (t) => {
+    const webhooks = setup(t);
+    assert.equal(webhooks.register({ url: 'not a url' }).error, 'A valid webhook URL is required');
+    assert.equal(webhooks.register({ url: 'ftp://example.com' }).error, 'Webhook URL must use http or https');
+    assert.equal(webhooks.register({ url: 'https://example.com', events: [] }).error, 'events must be a non-empty array');
+    assert.equal(webhooks.register({ url: 'https://example.com', events: ['order.lost'] }).error, 'Unknown event type(s): order.lost');
+
+    const { webhook } = webhooks.register({ url: 'https://example.com/hook', events: ['order.delivered'], storeId: 25 });
+    assert.match(webhook.secret, /^whsec_[0-9a-f]{48}$/);
+    assert.equal(webhook.storeId, '25');
+    const listed = webhooks.get(webhook.id);
+    assert.equal(listed.secret, undefined);
+    assert.equal(listed.secretHint, `whsec_...${webhook.secret.slice(-4)}`);
+});
+
+test('signs deliveries with the webhook secret', async (t) => {
+    const receiver = await createReceiver(t);
+    const webhooks = setup(t);
+    const { webhook } = webhooks.register({ url: receiver.url });
+
+    const [deliveryId] = webhooks.dispatch('order.delivered', { orderId: 64531 });
+    await waitFor(() => receiver.requests.length === 1);
+
+    const { headers, body } = receiver.requests[0];
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${headers['x-iperkz-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-iperkz-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-iperkz-event'], 'order.delivered');
+    assert.equal(headers['x-iperkz-delivery'], deliveryId);
+    assert.deepEqual(JSON.parse(body).data, { orderId: 64531 });
+    assert.ok(Math.abs(Number(headers['x-iperkz-timestamp']) - Date.now() / 1000) < 5);
+});
+
+test('retries server errors with the same delivery ID and logs every attempt', async (t) => {
+    const receiver = await createReceiver(t, [503, 500, 200]);
+    const webhooks = setup(t);
+    webhooks.register({ url: receiver.url });
+
+    const [deliveryId] = webhooks.dispatch('order.placed', { orderId: 64542 });
+    await waitFor(() => webhooks.deliveries({ deliveryId }).length === 3);
+
+    assert.deepEqual(receiver.requests.map(request => request.headers['x-iperkz-delivery']), [deliveryId, deliveryId, deliveryId]);
+    assert.deepEqual(webhooks.deliveries({ deliveryId }).map(entry => [entry.attempt, entry.result, entry.httpStatus]), [
+        [3, 'delivered', 200],
+        [2, 'retrying', 500],
+        [1, 'retrying', 503]
+    ]);
+});
+
+test('gives up on client errors and after maxAttempts', async (t) => {
+    const rejecting = await createReceiver(t, [400]);
+    const failing = await createReceiver(t, [500]);
+    const webhooks = setup(t, { maxAttempts: 2 });
+    webhooks.register({ url: rejecting.url, events: ['order.cancelled'] });
+    webhooks.register({ url: failing.url, events: ['order.started'] });
+
+    webhooks.dispatch('order.cancelled', { orderId: 64544 });
+    webhooks.dispatch('order.started', { orderId: 64540 });
+    await waitFor(() => webhooks.deliveries({ result: 'failed' }).length === 2);
+    await sleep(50);
+
+    assert.equal(rejecting.requests.length, 1);
+    assert.equal(failing.requests.length, 2);
+});
+
+test('only sends the events and stores a webhook subscribed to', async (t) => {
+    const receiver = await createReceiver(t);
+    const webhooks = setup(t);
+    webhooks.register({ url: `${receiver.url}/all` });
+    webhooks.register({ url: `${receiver.url}/delivered`, events: ['order.delivered'] });
+    webhooks.register({ url: `${receiver.url}/jc`, storeId: '31' });
+
+    assert.equal(webhooks.dispatch('order.delivered', {}, { storeId: '31' }).length, 3);
+    assert.equal(webhooks.dispatch('order.delivered', {}, { storeId: '25' }).length, 2);
+    // Events without a store never reach a store-scoped webhook
+    assert.equal(webhooks.dispatch('order.placed', {}).length, 1);
+    await waitFor(() => receiver.requests.length === 6);
+});
+
+test('order status changes become events after a baseline', () => {
+    const orders = (statuses) => Object.entries(statuses).map(([id, orderStatus]) => ({ customerOrderId: Number(id), storeId: '25', orderStatus }));
+
+    const baseline = diffOrderStatuses(new Map(), orders({ 1: 'STARTED', 2: 'PLACED' }));
+    assert.equal(baseline.snapshot.size, 2);
+
+    const next = diffOrderStatuses(baseline.snapshot, orders({ 1: 'COMPLETED', 2: 'PLACED', 3: 'PLACED', 4: 'STARTED' }));
+    assert.deepEqual(next.events.map(event => [event.order.customerOrderId, event.type, event.previousStatus]), [
+        [1, 'order.completed', 'STARTED'],
+        [3, 'order.placed', null]
+    ]);
+});
+
+test('the watcher skips empty feeds and drops its baseline while inactive', async (t) => {
+    let feed = [{ customerOrderId: 1, storeId: '25', orderStatus: 'STARTED' }];
+    let active = true;
+    const events = [];
+    const watcher = createOrderStatusWatcher({
+        fetchOrders: async () => feed,
+        onEvent: (event) => events.push(event.type),
+        intervalMs: 60000,
+        isActive: () => active
+    });
+    t.after(() => watcher.stop());
+
+    await watcher.poll();
+    feed = [];
+    await watcher.poll();
+    feed = [{ customerOrderId: 1, storeId: '25', orderStatus: 'COMPLETED' }];
+    await watcher.poll();
+    assert.deepEqual(events, ['order.completed']);
+
+    active = false;
+    await watcher.poll();
+    active = true;
+    feed = [{ customerOrderId: 1, storeId: '25', orderStatus: 'OUT_FOR_DELIVERY' }];
+    await watcher.poll();
+    assert.deepEqual(events, ['order.completed']);
+});